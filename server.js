@@ -26,6 +26,15 @@ const sessionRoutes = require('./src/routes/session.routes');
 const geofenceRoutes = require('./src/routes/geofence.routes');
 const twoFactorRoutes = require('./src/routes/twoFactor.routes');
 const webauthnRoutes = require('./src/routes/webauthn.routes');
+const leaveRoutes = require('./src/routes/leave.routes');
+const holidayRoutes = require('./src/routes/holiday.routes');
+const scheduleRoutes = require('./src/routes/schedule.routes');
+const correctionRoutes = require('./src/routes/attendanceCorrection.routes');
+const kioskRoutes = require('./src/routes/kiosk.routes');
+const siteRoutes = require('./src/routes/site.routes');
+const deviceRoutes = require('./src/routes/device.routes');
+const templateRoutes = require('./src/routes/template.routes');
+const webhookRoutes = require('./src/routes/webhook.routes');
 const NotificationScheduler = require('./src/services/notification.scheduler');
 
 // Initialize express app
@@ -88,9 +97,14 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Kiosk-Key', 'X-Device-Id']
 }));
-app.use(express.json());
+// Routes that parse their own (larger) JSON bodies once the caller is authorized
+const OWN_JSON_PARSER_ROUTES = ['/api/interns/import'];
+const jsonParser = express.json();
+app.use((req, res, next) => (
+  OWN_JSON_PARSER_ROUTES.includes(req.path) ? next() : jsonParser(req, res, next)
+));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev')); 
 
@@ -120,6 +134,15 @@ app.use('/api/sessions', sessionRoutes);
 app.use('/api/geofences', geofenceRoutes);
 app.use('/api/2fa', twoFactorRoutes);
 app.use('/api/webauthn', webauthnRoutes);
+app.use('/api/leaves', leaveRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/corrections', correctionRoutes);
+app.use('/api/kiosks', kioskRoutes);
+app.use('/api/sites', siteRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Base route
 app.get('/', (req, res) => {
@@ -149,10 +172,7 @@ app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   
   // Start automatic notification scheduler
-  try {
-    NotificationScheduler.start();
-    console.log('✅ Automatic notification system started successfully!');
-  } catch (error) {
-    console.error('❌ Failed to start notification scheduler:', error);
-  }
+  NotificationScheduler.start()
+    .then(() => console.log('✅ Automatic notification system started successfully!'))
+    .catch(error => console.error('❌ Failed to start notification scheduler:', error));
 });
@@ -0,0 +1,54 @@
+const path = require('path');
+
+/**
+ * Mail configuration
+ * MAIL_PROVIDER selects the transport: 'smtp', 'resend' or 'outbox' (writes each
+ * message as a JSON file instead of sending - for development and tests).
+ * Without MAIL_PROVIDER, Resend is used when RESEND_API_KEY is set, SMTP when
+ * SMTP/Gmail credentials are set, and the outbox otherwise
+ *
+ * SMTP: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *       (or SMTP_SERVICE, e.g. 'gmail'; EMAIL_USER/EMAIL_PASSWORD still work)
+ * Sender: MAIL_FROM_NAME, MAIL_FROM_ADDRESS
+ * Outbox: MAIL_OUTBOX_DIR
+ * Queue: MAIL_MAX_ATTEMPTS
+ */
+const smtpUser = process.env.SMTP_USER || process.env.EMAIL_USER;
+const smtpPass = process.env.SMTP_PASS || process.env.EMAIL_PASSWORD;
+
+const detectProvider = () => {
+  if (process.env.RESEND_API_KEY) return 'resend';
+  if (process.env.SMTP_HOST || (smtpUser && smtpPass)) return 'smtp';
+  return 'outbox';
+};
+
+const provider = (process.env.MAIL_PROVIDER || detectProvider()).toLowerCase();
+
+const defaultFromAddress = () => {
+  if (provider === 'resend') return 'onboarding@resend.dev';
+  return smtpUser || 'noreply@checkmate.local';
+};
+
+module.exports = {
+  provider,
+  from: {
+    name: process.env.MAIL_FROM_NAME || 'CheckMate',
+    address: process.env.MAIL_FROM_ADDRESS || defaultFromAddress()
+  },
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    // Gmail remains the default when only credentials are configured
+    service: process.env.SMTP_SERVICE || (process.env.SMTP_HOST ? undefined : 'gmail'),
+    user: smtpUser,
+    pass: smtpPass
+  },
+  resend: {
+    apiKey: process.env.RESEND_API_KEY
+  },
+  outbox: {
+    dir: process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')
+  },
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5
+};
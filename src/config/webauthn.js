@@ -0,0 +1,13 @@
+/**
+ * WebAuthn relying party configuration
+ * Shared by biometric login and attendance step-up verification
+ */
+const rpName = 'CheckMate Attendance';
+const rpID = process.env.RP_ID || 'localhost';
+const origin = process.env.ORIGIN || `http://${rpID}:3000`;
+
+module.exports = {
+  rpName,
+  rpID,
+  origin
+};
@@ -1,16 +1,129 @@
 const Attendance = require('../models/attendance.model');
+const AttendanceRevision = require('../models/attendanceRevision.model');
 const Intern = require('../models/intern.model');
 const Geofence = require('../models/geofence.model');
 const { NotificationService } = require('./notification.controller');
+const AttendancePolicy = require('../services/attendancePolicy.service');
+const LocationFraudService = require('../services/locationFraud.service');
+const DeviceBindingService = require('../services/deviceBinding.service');
+const RealtimeService = require('../services/realtime.service');
+const WebhookService = require('../services/webhook.service');
+const { getDeviceFingerprint } = require('../utils/device.utils');
+const { logSuspiciousActivity } = require('../middleware/auditLog.middleware');
+const {
+  getDayRange,
+  formatDateKey,
+  formatTime,
+  getZonedParts,
+  addDays,
+  parseDate,
+  parseEndOfDay
+} = require('../utils/timezone.utils');
+
+// How long after its shift ends yesterday's record can still be checked out
+// (overnight shifts end the day after they start)
+const OPEN_SHIFT_GRACE_MINUTES = 4 * 60;
+
+/**
+ * Find the record an intern is working on: today's record or, until its shift
+ * is over, yesterday's record that is still checked in (overnight shifts)
+ * @param {Object} intern - Intern document
+ * @param {Object} policy - Intern's attendance policy
+ * @param {Date} now - Current time
+ * @returns {Object} Attendance record or null
+ */
+const findCurrentAttendance = async (intern, policy, now = new Date()) => {
+  const timeZone = policy.timezone;
+  const { start: today, end: tomorrow } = getDayRange(now, timeZone);
+  
+  const todays = await Attendance.findOne({
+    internId: intern._id,
+    date: { $gte: today, $lt: tomorrow }
+  });
+  if (todays) return todays;
+  
+  const open = await Attendance.findOne({
+    internId: intern._id,
+    date: { $gte: addDays(today, -1, timeZone), $lt: today },
+    checkInTime: { $ne: null },
+    checkOutTime: null
+  });
+  if (!open) return null;
+  
+  const { end } = AttendancePolicy.getShiftWindow(policy, open.date);
+  return now < new Date(end.getTime() + OPEN_SHIFT_GRACE_MINUTES * 60 * 1000) ? open : null;
+};
+
+// Responses for check-ins/check-outs rejected by an anti-fraud check
+const FRAUD_REJECTIONS = {
+  location: {
+    code: 'LOCATION_REJECTED',
+    message: 'Your location could not be verified. Please enable precise location and try again.'
+  },
+  device: {
+    code: 'DEVICE_REJECTED',
+    message: 'Attendance cannot be recorded from this device. Please use your own registered device.'
+  }
+};
+
+/**
+ * Surface a flagged or rejected anti-fraud check (location or device) to admins
+ * (audit log entry + notification); never fails the request
+ */
+const reportFraudCheck = async (req, intern, check, attendance = null) => {
+  const reasons = check.flags.map(flag => flag.message).join('; ');
+  const device = check.kind === 'device' ? getDeviceFingerprint(req) : null;
+  
+  await logSuspiciousActivity(req, 'attendance', {
+    internId: intern._id,
+    kind: check.kind,
+    event: check.event,
+    decision: check.decision,
+    score: check.score,
+    flags: check.flags,
+    location: check.kind === 'location' ? req.body.location : undefined,
+    device: device ? { fingerprint: device.fingerprint, browser: device.browser, os: device.os } : undefined
+  }, attendance?._id || null, check.decision === 'reject' ? 403 : (check.event === 'check_in' ? 201 : 200));
+  
+  try {
+    await NotificationService.createFraudNotification(
+      `${check.kind}_${check.decision === 'reject' ? 'rejected' : 'flagged'}`,
+      attendance,
+      intern,
+      {
+        event: check.event,
+        score: check.score,
+        reasons
+      }
+    );
+  } catch (notificationError) {
+    console.error('Failed to create fraud notification:', notificationError);
+  }
+};
+
+/**
+ * Send the 403 response for a rejected anti-fraud check
+ */
+const sendFraudRejection = (res, check) => res.status(403).json({
+  status: 'fail',
+  message: FRAUD_REJECTIONS[check.kind].message,
+  code: FRAUD_REJECTIONS[check.kind].code,
+  details: {
+    score: check.score,
+    reasons: check.flags.map(flag => flag.message)
+  }
+});
 
 /**
  * @desc    Record attendance check-in (requires signature for interns)
  * @route   POST /api/attendance/check-in
- * @access  Private
+ *          POST /api/attendance/kiosk/check-in (QR code scanned at a kiosk)
+ * @access  Private (biometric step-up when the department requires it)
  */
 exports.checkIn = async (req, res) => {
   try {
-    const { internId, signature, location } = req.body;
+    const { internId, signature } = req.body;
+    const location = LocationFraudService.normalizeLocation(req.body.location);
     
     // Get the logged-in user from the request (set by auth middleware)
     const userId = req.user._id;
@@ -48,23 +161,52 @@ exports.checkIn = async (req, res) => {
       });
     }
     
-    // Validate location if provided (GEOFENCING)
-    if (location && location.latitude && location.longitude) {
+    // Reject check-ins on non-working days and holidays for the intern's department
+    const checkInTime = new Date();
+    const evaluation = await AttendancePolicy.evaluateCheckIn(intern.department, checkInTime, intern._id);
+    
+    if (!evaluation.allowed) {
+      return res.status(403).json({
+        status: 'fail',
+        message: evaluation.message,
+        code: evaluation.code
+      });
+    }
+    
+    // Day boundaries and geofence hours use the organization/department timezone
+    const timeZone = evaluation.policy.timezone;
+    
+    // Validate location (GEOFENCING + anti-fraud scoring)
+    let locationCheck = null;
+    if (req.kiosk) {
+      // QR code scanned at a kiosk - token freshness and geofence already validated
+      console.log(`📟 Kiosk check-in for ${intern.userId?.name || intern.name} at ${req.kioskGeofence.name}`);
+    } else if (location) {
       const { latitude, longitude } = location;
       
+      if (!LocationFraudService.hasValidCoordinates(location)) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'Invalid location coordinates',
+          code: 'INVALID_LOCATION'
+        });
+      }
+      
       console.log(`📍 Validating location: lat=${latitude}, lon=${longitude}, dept=${intern.department}`);
       
       // Find valid geofence for this location and department
       const validGeofence = await Geofence.findValidGeofence(
         latitude,
         longitude,
-        intern.department
+        intern.department,
+        timeZone
       );
       
       if (!validGeofence) {
         console.log('⚠️ No valid geofence found');
         // Check if there are any nearby geofences
-        const nearbyGeofences = await Geofence.findNearby(latitude, longitude, 500);
+        const zones = await Geofence.findNearby(latitude, longitude, 500, { includeExclusions: true });
+        const nearbyGeofences = zones.filter(zone => zone.zoneType !== 'exclude');
         console.log(`📍 Found ${nearbyGeofences.length} nearby geofences within 500m`);
         
         if (nearbyGeofences.length === 0) {
@@ -77,79 +219,155 @@ exports.checkIn = async (req, res) => {
         
         // Get validation details from nearest geofence
         const nearest = nearbyGeofences[0];
-        const validation = nearest.validateLocation(latitude, longitude);
+        const validation = nearest.validateLocation(latitude, longitude, timeZone);
+        const geofenceTimeZone = nearest.getTimezone(timeZone);
+        
+        // Inside the zone but also inside one of its exclusion zones
+        const exclusion = validation.valid
+          ? zones.find(zone => zone.zoneType === 'exclude' && zone.isWithinGeofence(latitude, longitude) && zone.excludes(nearest))
+          : null;
         
         console.log(`❌ Validation failed for ${nearest.name}:`);
-        console.log(`   Distance: ${Math.round(validation.distance)}m (max: ${nearest.radius}m)`);
+        console.log(`   Distance: ${Math.round(nearest.getDistance(latitude, longitude))}m (${nearest.shape === 'polygon' ? 'polygon' : `max: ${nearest.radius}m`})`);
+        if (exclusion) console.log(`   Inside exclusion zone: ${exclusion.name}`);
         console.log(`   Within hours: ${validation.withinAllowedHours} (${nearest.allowedHours.start} - ${nearest.allowedHours.end})`);
         console.log(`   Allowed day: ${validation.allowedDay} (allowed days: ${nearest.allowedDays.join(', ')})`);
-        console.log(`   Current time: ${new Date().toLocaleTimeString()}`);
-        console.log(`   Current day: ${new Date().getDay()}`);
+        console.log(`   Current time: ${formatTime(checkInTime, geofenceTimeZone)} (${geofenceTimeZone})`);
+        console.log(`   Current day: ${getZonedParts(checkInTime, geofenceTimeZone).dayOfWeek}`);
         
         return res.status(403).json({
           status: 'fail',
-          message: validation.message,
+          message: exclusion ? `Check-in is not allowed in ${exclusion.name}` : validation.message,
           code: 'GEOFENCE_VALIDATION_FAILED',
           details: {
-            distance: Math.round(validation.distance),
-            requiredRadius: nearest.radius,
+            distance: Math.round(nearest.getDistance(latitude, longitude)),
+            shape: nearest.shape,
+            requiredRadius: nearest.shape === 'polygon' ? null : nearest.radius,
+            excludedBy: exclusion ? exclusion.name : null,
             withinAllowedHours: validation.withinAllowedHours,
             allowedDay: validation.allowedDay,
             locationName: nearest.name,
             allowedHours: nearest.allowedHours,
             allowedDays: nearest.allowedDays,
-            currentTime: new Date().toLocaleTimeString(),
-            currentDay: new Date().getDay()
+            currentTime: formatTime(checkInTime, geofenceTimeZone),
+            currentDay: getZonedParts(checkInTime, geofenceTimeZone).dayOfWeek,
+            timezone: geofenceTimeZone
           }
         });
       }
       
       console.log(`✅ Location validated for ${intern.userId?.name || intern.name} at ${validGeofence.geofence.name}`);
+      
+      locationCheck = await LocationFraudService.evaluate({
+        intern,
+        location,
+        policy: evaluation.policy,
+        geofence: validGeofence.geofence,
+        event: 'check_in',
+        at: checkInTime
+      });
+    } else if (evaluation.policy.locationSecurity.requireLocation) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Your location is required to check in. Please enable location services and try again.',
+        code: 'LOCATION_REQUIRED'
+      });
     } else {
-      // No location provided - warn but allow (for backward compatibility)
+      // No location provided - allowed by settings but flagged for review
       console.log(`⚠️ No location provided for check-in: ${intern.userId?.name || intern.name}`);
+      locationCheck = await LocationFraudService.evaluate({
+        intern,
+        location: null,
+        policy: evaluation.policy,
+        event: 'check_in',
+        at: checkInTime
+      });
+    }
+    
+    if (locationCheck?.decision === 'reject') {
+      console.log(`🚨 Check-in location rejected for ${intern.userId?.name || intern.name} (score ${locationCheck.score})`);
+      await reportFraudCheck(req, intern, locationCheck);
+      return sendFraudRejection(res, locationCheck);
     }
     
     // Check if already checked in today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Set to beginning of day
+    const { start: today, end: tomorrow } = getDayRange(checkInTime, timeZone);
     
     const existingAttendance = await Attendance.findOne({
       internId: intern._id,
       date: {
         $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000) // Next day
+        $lt: tomorrow
       }
     });
     
-    if (existingAttendance) {
+    if (existingAttendance && existingAttendance.checkInTime) {
       return res.status(400).json({
         status: 'fail',
         message: 'Already checked in today'
       });
     }
     
-    // Create new attendance record
-    const checkInTime = new Date();
+    // Buddy punching: the same phone clocking in several interns
+    const device = getDeviceFingerprint(req);
+    const deviceCheck = await DeviceBindingService.evaluate({
+      intern,
+      device,
+      policy: evaluation.policy,
+      day: { start: today, end: tomorrow },
+      event: 'check_in',
+      at: checkInTime
+    });
+    
+    if (deviceCheck.decision === 'reject') {
+      console.log(`🚨 Check-in device rejected for ${intern.userId?.name || intern.name}: ${deviceCheck.flags.map(flag => flag.code).join(', ')}`);
+      await reportFraudCheck(req, intern, deviceCheck);
+      return sendFraudRejection(res, deviceCheck);
+    }
     
-    // Determine status based on check-in time
-    // For example, if check-in is after 9:30 AM, mark as late
-    let status = 'present';
-    const lateThreshold = new Date(checkInTime);
-    lateThreshold.setHours(9, 30, 0, 0); // Set late threshold to 9:30 AM
+    const fraudChecks = [locationCheck, deviceCheck].filter(Boolean);
     
-    if (checkInTime > lateThreshold) {
-      status = 'late';
+    // Determine status from the attendance policy (working hours, late threshold, grace time)
+    const { status, minutesLate } = evaluation;
+    
+    let attendance;
+    if (existingAttendance) {
+      // Intern came in on a day recorded as absent/excused (e.g. approved leave)
+      existingAttendance.checkInTime = checkInTime;
+      existingAttendance.segments = [{ type: 'work', start: checkInTime }];
+      existingAttendance.status = status;
+      existingAttendance.signature = signature;
+      existingAttendance.location = location || undefined;
+      existingAttendance.checkInMethod = req.kiosk ? 'kiosk' : 'app';
+      existingAttendance.kioskId = req.kiosk?._id;
+      existingAttendance.checkInDevice = device;
+      existingAttendance.checkInBiometric = req.biometric;
+      fraudChecks.forEach(check => existingAttendance.recordFraudCheck(check));
+      attendance = await existingAttendance
+        .withRevision({ changedBy: userId, source: 'check_in' })
+        .save();
+    } else {
+      attendance = new Attendance({
+        internId: intern._id,
+        date: today,
+        checkInTime,
+        segments: [{ type: 'work', start: checkInTime }],
+        status,
+        signature,
+        location: location || undefined,
+        checkInMethod: req.kiosk ? 'kiosk' : 'app',
+        kioskId: req.kiosk?._id,
+        checkInDevice: device,
+        checkInBiometric: req.biometric
+      });
+      fraudChecks.forEach(check => attendance.recordFraudCheck(check));
+      await attendance.withRevision({ changedBy: userId, source: 'check_in' }).save();
     }
     
-    const attendance = await Attendance.create({
-      internId: intern._id,
-      date: today,
-      checkInTime,
-      status,
-      signature,
-      location: location || undefined
-    });
+    for (const check of fraudChecks.filter(check => check.decision === 'flag')) {
+      console.log(`🚩 Check-in ${check.kind} flagged for ${intern.userId?.name || intern.name} (score ${check.score})`);
+      await reportFraudCheck(req, intern, check, attendance);
+    }
     
     // Create notification for late check-in
     if (status === 'late') {
@@ -160,9 +378,11 @@ exports.checkIn = async (req, res) => {
           {
             checkInTime: checkInTime.toLocaleTimeString('en-US', {
               hour: '2-digit',
-              minute: '2-digit'
+              minute: '2-digit',
+              timeZone
             }),
-            date: today.toISOString().split('T')[0]
+            date: formatDateKey(today, timeZone),
+            minutesLate
           }
         );
         console.log(`Created late check-in notification for ${intern.name}`);
@@ -172,6 +392,15 @@ exports.checkIn = async (req, res) => {
       }
     }
     
+    RealtimeService.publishAttendance('check_in', intern, attendance);
+    
+    // Webhooks are delivered in the background
+    const webhookData = WebhookService.attendanceData(intern, attendance);
+    WebhookService.emit('attendance.check_in', webhookData);
+    if (status === 'late') {
+      WebhookService.emit('attendance.late', { ...webhookData, minutesLate });
+    }
+    
     res.status(201).json({
       status: 'success',
       data: { attendance }
@@ -187,17 +416,20 @@ exports.checkIn = async (req, res) => {
 /**
  * @desc    Record attendance check-out
  * @route   POST /api/attendance/check-out
- * @access  Private
+ *          POST /api/attendance/kiosk/check-out (QR code scanned at a kiosk)
+ * @access  Private (biometric step-up when the department requires it)
  */
 exports.checkOut = async (req, res) => {
   try {
-    const { internId, signature, location } = req.body;
+    const { signature } = req.body;
+    const location = LocationFraudService.normalizeLocation(req.body.location);
     
     // Get the logged-in user from the request
     const userId = req.user._id;
     
-    // Find the intern record for this user
-    let intern = internId ? await Intern.findById(internId) : await Intern.findOne({ userId });
+    // Find the intern record for this user - the biometric, location and
+    // device checks all apply to the caller, so nobody checks out for someone else
+    const intern = await Intern.findOne({ userId });
     
     if (!intern) {
       return res.status(404).json({
@@ -206,20 +438,12 @@ exports.checkOut = async (req, res) => {
       });
     }
     
-    // Get today's date
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Set to beginning of day
+    // Today's record, or yesterday's for an overnight shift
+    const policy = await AttendancePolicy.getPolicy(intern.department, intern._id);
+    const timeZone = policy.timezone;
+    const attendance = await findCurrentAttendance(intern, policy);
     
-    // Find today's attendance record
-    const attendance = await Attendance.findOne({
-      internId: intern._id,
-      date: {
-        $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000) // Next day
-      }
-    });
-    
-    if (!attendance) {
+    if (!attendance || !attendance.checkInTime) {
       return res.status(404).json({
         status: 'fail',
         message: 'No check-in record found for today'
@@ -233,8 +457,60 @@ exports.checkOut = async (req, res) => {
       });
     }
     
+    const checkOutTime = new Date();
+    const recordDay = getDayRange(attendance.date, timeZone);
+    
+    // Score the check-out location (kiosk scans are verified by the kiosk token)
+    let locationCheck = null;
+    if (location && !req.kiosk) {
+      locationCheck = await LocationFraudService.evaluate({
+        intern,
+        location,
+        policy,
+        event: 'check_out',
+        at: checkOutTime
+      });
+      
+      if (locationCheck.decision === 'reject') {
+        console.log(`🚨 Check-out location rejected for ${intern.name} (score ${locationCheck.score})`);
+        await reportFraudCheck(req, intern, locationCheck, attendance);
+        return sendFraudRejection(res, locationCheck);
+      }
+    }
+    
+    // Buddy punching: the same phone clocking out several interns
+    const device = getDeviceFingerprint(req);
+    const deviceCheck = await DeviceBindingService.evaluate({
+      intern,
+      device,
+      policy,
+      day: recordDay,
+      event: 'check_out',
+      at: checkOutTime
+    });
+    
+    if (deviceCheck.decision === 'reject') {
+      console.log(`🚨 Check-out device rejected for ${intern.name}: ${deviceCheck.flags.map(flag => flag.code).join(', ')}`);
+      await reportFraudCheck(req, intern, deviceCheck, attendance);
+      return sendFraudRejection(res, deviceCheck);
+    }
+    
+    const fraudChecks = [locationCheck, deviceCheck].filter(Boolean);
+    
     // Update attendance record with check-out time
-    attendance.checkOutTime = new Date();
+    attendance.checkOutTime = checkOutTime;
+    attendance.checkOutMethod = req.kiosk ? 'kiosk' : 'app';
+    attendance.checkOutDevice = device;
+    attendance.checkOutBiometric = req.biometric;
+    
+    // Close whatever is running (work or a break the intern never ended)
+    const openSegment = attendance.getOpenSegment();
+    if (openSegment) {
+      openSegment.end = checkOutTime;
+    }
+    
+    // Worked hours and overtime against the intern's schedule
+    attendance.calculateHours(AttendancePolicy.getScheduledMinutes(policy, attendance.date));
     
     // Optionally update signature and location
     if (signature) {
@@ -245,7 +521,139 @@ exports.checkOut = async (req, res) => {
       attendance.location = location;
     }
     
-    await attendance.save();
+    fraudChecks.forEach(check => attendance.recordFraudCheck(check));
+    
+    await attendance.withRevision({ changedBy: userId, source: 'check_out' }).save();
+    
+    for (const check of fraudChecks.filter(check => check.decision === 'flag')) {
+      console.log(`🚩 Check-out ${check.kind} flagged for ${intern.name} (score ${check.score})`);
+      await reportFraudCheck(req, intern, check, attendance);
+    }
+    
+    RealtimeService.publishAttendance('check_out', intern, attendance);
+    WebhookService.emit('attendance.check_out', WebhookService.attendanceData(intern, attendance));
+    
+    res.status(200).json({
+      status: 'success',
+      data: { attendance }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Find the open attendance record of the logged-in intern (see findCurrentAttendance)
+ * @returns {Object} { intern, attendance, error } - error is a ready-to-send response
+ */
+const findOpenAttendance = async (userId) => {
+  const intern = await Intern.findOne({ userId });
+  if (!intern) {
+    return { error: { code: 404, message: 'No check-in record found. Please check in first.' } };
+  }
+
+  const policy = await AttendancePolicy.getPolicy(intern.department, intern._id);
+  const attendance = await findCurrentAttendance(intern, policy);
+
+  if (!attendance || !attendance.checkInTime) {
+    return { error: { code: 404, message: 'No check-in record found for today' } };
+  }
+
+  if (attendance.checkOutTime) {
+    return { error: { code: 400, message: 'Already checked out today' } };
+  }
+
+  // Records created before segments were tracked start with a single work segment
+  if (attendance.segments.length === 0) {
+    attendance.segments.push({ type: 'work', start: attendance.checkInTime });
+  }
+
+  return { intern, attendance };
+};
+
+/**
+ * @desc    Start a break or lunch (pauses worked time)
+ * @route   POST /api/attendance/break/start
+ * @access  Private
+ */
+exports.startBreak = async (req, res) => {
+  try {
+    const { type = 'break' } = req.body;
+    
+    if (!['break', 'lunch'].includes(type)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid break type. Use break or lunch'
+      });
+    }
+    
+    const { attendance, error } = await findOpenAttendance(req.user._id);
+    if (error) {
+      return res.status(error.code).json({
+        status: 'fail',
+        message: error.message
+      });
+    }
+    
+    const openSegment = attendance.getOpenSegment();
+    if (openSegment && openSegment.type !== 'work') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'A break is already in progress'
+      });
+    }
+    
+    const now = new Date();
+    if (openSegment) {
+      openSegment.end = now;
+    }
+    attendance.segments.push({ type, start: now });
+    
+    await attendance.withRevision({ changedBy: req.user._id, source: 'break' }).save();
+    
+    res.status(200).json({
+      status: 'success',
+      data: { attendance }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    End the current break and resume work
+ * @route   POST /api/attendance/break/end
+ * @access  Private
+ */
+exports.endBreak = async (req, res) => {
+  try {
+    const { attendance, error } = await findOpenAttendance(req.user._id);
+    if (error) {
+      return res.status(error.code).json({
+        status: 'fail',
+        message: error.message
+      });
+    }
+    
+    const openSegment = attendance.getOpenSegment();
+    if (!openSegment || openSegment.type === 'work') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'No break in progress'
+      });
+    }
+    
+    const now = new Date();
+    openSegment.end = now;
+    attendance.segments.push({ type: 'work', start: now });
+    
+    await attendance.withRevision({ changedBy: req.user._id, source: 'break' }).save();
     
     res.status(200).json({
       status: 'success',
@@ -284,16 +692,20 @@ exports.getAttendanceRecords = async (req, res) => {
       filter.status = req.query.status;
     }
     
-    // Filter by date range
-    if (req.query.startDate) {
-      filter.date = { $gte: new Date(req.query.startDate) };
-    }
-    
-    if (req.query.endDate) {
-      if (!filter.date) {
-        filter.date = {};
+    // Filter by date range (whole days in the organization timezone)
+    if (req.query.startDate || req.query.endDate) {
+      const timeZone = await AttendancePolicy.getTimezone();
+      
+      if (req.query.startDate) {
+        filter.date = { $gte: parseDate(req.query.startDate, timeZone) };
+      }
+      
+      if (req.query.endDate) {
+        if (!filter.date) {
+          filter.date = {};
+        }
+        filter.date.$lte = parseEndOfDay(req.query.endDate, timeZone);
       }
-      filter.date.$lte = new Date(req.query.endDate);
     }
     
     // Execute query with population
@@ -339,11 +751,9 @@ exports.getAttendanceRecords = async (req, res) => {
  */
 exports.getTodayAttendance = async (req, res) => {
   try {
-    // Get today's date range
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Beginning of day
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1); // Beginning of next day
+    // Get today's date range in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const { start: today, end: tomorrow } = getDayRange(new Date(), timeZone);
     
     // Get all attendance records for today
     const records = await Attendance.find({
@@ -400,10 +810,13 @@ exports.getTodayAttendance = async (req, res) => {
  */
 exports.getAttendanceStats = async (req, res) => {
   try {
+    const policy = await AttendancePolicy.getPolicy();
+    const timeZone = policy.timezone;
+    
     // Get date range from query or default to last 30 days
     const endDate = new Date();
     const startDate = req.query.startDate 
-      ? new Date(req.query.startDate) 
+      ? parseDate(req.query.startDate, timeZone) 
       : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
     
     // Get daily attendance counts
@@ -419,7 +832,7 @@ exports.getAttendanceStats = async (req, res) => {
       {
         $group: {
           _id: {
-            date: { $dateToString: { format: "%Y-%m-%d", date: "$date" } },
+            date: { $dateToString: { format: "%Y-%m-%d", date: "$date", timezone: timeZone } },
             status: "$status"
           },
           count: { $sum: 1 }
@@ -481,15 +894,21 @@ exports.getAttendanceStats = async (req, res) => {
       stats[stat._id] = stat.count;
     });
     
-    // Calculate total number of active interns during this period
-    const activeInterns = await Intern.countDocuments({
+    // Active interns during this period
+    const activeInterns = await Intern.find({
       status: 'active',
       startDate: { $lte: endDate }
-    });
-    
-    // Calculate business days in the range for absent calculation
-    const businessDays = getBusinessDays(startDate, endDate);
-    const expectedAttendance = activeInterns * businessDays;
+    }).select('department');
+    
+    // Working days in the range; expected attendance follows each intern's schedule
+    const businessDays = AttendancePolicy.countWorkingDays(policy, startDate, endDate);
+    const resolvePolicy = await AttendancePolicy.createResolver();
+    const expectedAttendance = AttendancePolicy.countExpectedAttendance(
+      resolvePolicy,
+      activeInterns,
+      startDate,
+      endDate
+    );
     
     // Calculate absent count
     stats.absent = expectedAttendance - (stats.present + stats.late + stats.excused);
@@ -541,10 +960,14 @@ exports.getInternAttendance = async (req, res) => {
       });
     }
     
+    // Day boundaries and working days follow the intern's policy and schedule
+    const policy = await AttendancePolicy.getPolicy(intern.department, intern._id);
+    const timeZone = policy.timezone;
+    
     // Get date range from query or default to last 30 days
     const endDate = new Date();
     const startDate = req.query.startDate 
-      ? new Date(req.query.startDate) 
+      ? parseDate(req.query.startDate, timeZone) 
       : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
     
     // Get attendance records for this intern
@@ -556,8 +979,8 @@ exports.getInternAttendance = async (req, res) => {
       }
     }).sort({ date: -1 });
     
-    // Calculate statistics
-    const businessDays = getBusinessDays(startDate, endDate);
+    // Calculate statistics against the intern's working days
+    const businessDays = AttendancePolicy.countWorkingDays(policy, startDate, endDate);
     
     const stats = {
       present: history.filter(record => record.status === 'present').length,
@@ -576,37 +999,32 @@ exports.getInternAttendance = async (req, res) => {
     const sortedHistory = [...history].sort((a, b) => new Date(b.date) - new Date(a.date));
     
     // Only count streak if intern checked in today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = formatDateKey(new Date(), timeZone);
     
     const checkedInToday = sortedHistory.some(record => {
-      const recordDate = new Date(record.date);
-      recordDate.setHours(0, 0, 0, 0);
-      return recordDate.getTime() === today.getTime() && 
+      return formatDateKey(record.date, timeZone) === today && 
         (record.status === 'present' || record.status === 'late');
     });
     
     if (checkedInToday) {
       for (const record of sortedHistory) {
-        const recordDate = new Date(record.date);
-        recordDate.setHours(0, 0, 0, 0);
+        const recordDate = formatDateKey(record.date, timeZone);
         
-        // Check if this is a consecutive day (considering weekends)
+        // Check if this is a consecutive day (considering non-working days)
         if (streak === 0) {
           if (record.status === 'present' || record.status === 'late') {
             streak = 1;
           }
         } else {
-          const prevDate = new Date(today);
-          prevDate.setDate(today.getDate() - streak);
-          prevDate.setHours(0, 0, 0, 0);
+          let prevDate = addDays(new Date(), -streak, timeZone);
           
-          // Skip weekends when calculating streak
-          while (prevDate.getDay() === 0 || prevDate.getDay() === 6) {
-            prevDate.setDate(prevDate.getDate() - 1);
+          // Skip non-working days when calculating streak (at most one week)
+          let skipped = 0;
+          while (!AttendancePolicy.isWorkingDay(policy, prevDate) && skipped++ < 7) {
+            prevDate = addDays(prevDate, -1, timeZone);
           }
           
-          if (recordDate.getTime() === prevDate.getTime() && 
+          if (recordDate === formatDateKey(prevDate, timeZone) && 
               (record.status === 'present' || record.status === 'late')) {
             streak++;
           } else {
@@ -656,22 +1074,18 @@ exports.getInternTodayStatus = async (req, res) => {
       });
     }
     
-    // Get today's date
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Find today's attendance record
-    const record = await Attendance.findOne({
-      internId,
-      date: {
-        $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000) // Next day
-      }
-    });
+    // Today's record, or yesterday's while an overnight shift is still running
+    const policy = await AttendancePolicy.getPolicy(intern.department, intern._id);
+    const record = await findCurrentAttendance(intern, policy);
     
     let status = 'not-checked-in';
-    if (record) {
-      status = record.checkOutTime ? 'checked-out' : 'checked-in';
+    if (record && record.checkInTime) {
+      const openSegment = record.getOpenSegment();
+      if (record.checkOutTime) {
+        status = 'checked-out';
+      } else {
+        status = openSegment && openSegment.type !== 'work' ? 'on-break' : 'checked-in';
+      }
     }
     
     res.status(200).json({
@@ -689,16 +1103,222 @@ exports.getInternTodayStatus = async (req, res) => {
   }
 };
 
-// Helper function to calculate business days between two dates
-function getBusinessDays(startDate, endDate) {
-  let count = 0;
-  const curDate = new Date(startDate.getTime());
-  
-  while (curDate <= endDate) {
-    const dayOfWeek = curDate.getDay();
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) count++; // Skip weekends (0 = Sunday, 6 = Saturday)
-    curDate.setDate(curDate.getDate() + 1);
+/**
+ * @desc    Get the revision history of an attendance record
+ * @route   GET /api/attendance/:id/history
+ * @access  Private (Interns can view their own records)
+ */
+exports.getAttendanceHistory = async (req, res) => {
+  try {
+    const revisions = await AttendanceRevision.getHistory(req.params.id);
+    
+    if (revisions.length === 0) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No history found for this attendance record'
+      });
+    }
+    
+    // Interns can only see the history of their own attendance
+    if (req.user.role === 'intern') {
+      const intern = await Intern.findOne({ userId: req.user._id });
+      if (!intern || revisions[0].internId?.toString() !== intern._id.toString()) {
+        return res.status(403).json({
+          status: 'fail',
+          message: 'You can only view your own attendance history'
+        });
+      }
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
   }
-  
-  return count;
-}
+};
+
+/**
+ * @desc    Revert an attendance record to a prior revision
+ * @route   POST /api/attendance/:id/revert
+ * @access  Private/Admin
+ * Body: { version, reason }. Deleted records are restored
+ */
+exports.revertAttendance = async (req, res) => {
+  try {
+    const { version, reason } = req.body;
+    
+    if (!version || !reason) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Version and reason are required'
+      });
+    }
+    
+    const revision = await AttendanceRevision.findOne({
+      attendanceId: req.params.id,
+      version
+    });
+    
+    if (!revision) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Revision not found'
+      });
+    }
+    
+    if (!revision.after) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Cannot revert to a revision that deleted the record'
+      });
+    }
+    
+    let attendance = await Attendance.findById(req.params.id);
+    if (!attendance) {
+      attendance = new Attendance({
+        _id: revision.attendanceId,
+        internId: revision.internId
+      });
+    }
+    
+    // Restore every tracked field to its value at that version
+    Attendance.TRACKED_FIELDS.forEach(field => {
+      const value = revision.after[field];
+      attendance.set(field, value === null ? undefined : value);
+    });
+    
+    await attendance.withRevision({
+      changedBy: req.user._id,
+      reason,
+      source: 'revert',
+      action: 'reverted',
+      revertedTo: revision.version
+    }).save();
+    
+    console.log(`⏪ Attendance ${attendance._id} reverted to version ${revision.version} by ${req.user.email}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: attendance
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get attendance records flagged by the anti-fraud checks (location or device)
+ * @route   GET /api/attendance/flagged?status=pending|dismissed|confirmed|all&kind=location|device&startDate&endDate&department
+ * @access  Private (Admin/Supervisor)
+ */
+exports.getFlaggedAttendance = async (req, res) => {
+  try {
+    const { status = 'pending', kind, startDate, endDate, department } = req.query;
+    const timeZone = await AttendancePolicy.getTimezone(department || null);
+    const filter = { 'fraud.flagged': true };
+    
+    if (status !== 'all') {
+      filter['fraud.review.status'] = status;
+    }
+    
+    if (kind) {
+      filter['fraud.checks'] = { $elemMatch: { kind, decision: 'flag' } };
+    }
+    
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = parseDate(startDate, timeZone);
+      if (endDate) filter.date.$lte = parseEndOfDay(endDate, timeZone);
+    }
+    
+    if (department) {
+      const interns = await Intern.find({ department }).select('_id');
+      filter.internId = { $in: interns.map(intern => intern._id) };
+    }
+    
+    const records = await Attendance.find(filter)
+      .populate({
+        path: 'internId',
+        select: 'name employeeId department userId',
+        populate: { path: 'userId', select: 'name email' }
+      })
+      .populate('fraud.review.reviewedBy', 'name email')
+      .sort({ date: -1 });
+    
+    res.status(200).json({
+      status: 'success',
+      count: records.length,
+      data: records
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Review a flagged attendance record
+ * @route   PATCH /api/attendance/:id/fraud-review
+ * @access  Private/Admin
+ * Body: { resolution: 'dismissed' | 'confirmed', note }
+ */
+exports.reviewFraudFlag = async (req, res) => {
+  try {
+    const { resolution, note } = req.body;
+    
+    if (!['dismissed', 'confirmed'].includes(resolution)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Resolution must be dismissed or confirmed'
+      });
+    }
+    
+    const attendance = await Attendance.findById(req.params.id);
+    
+    if (!attendance) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Attendance record not found'
+      });
+    }
+    
+    if (!attendance.fraud?.flagged) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This attendance record has not been flagged'
+      });
+    }
+    
+    attendance.fraud.review = {
+      status: resolution,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      note
+    };
+    
+    await attendance.save();
+    
+    console.log(`🔎 Fraud flag on attendance ${attendance._id} ${resolution} by ${req.user.email}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: attendance
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,363 @@
+const AttendanceCorrection = require('../models/attendanceCorrection.model');
+const Intern = require('../models/intern.model');
+const { NotificationService } = require('./notification.controller');
+const AttendancePolicy = require('../services/attendancePolicy.service');
+const InternRequestService = require('../services/internRequest.service');
+const AttendanceCorrectionService = require('../services/attendanceCorrection.service');
+const { parseDate, addDays, formatDateKey, getZonedParts, zonedTimeToUtc } = require('../utils/timezone.utils');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Resolve a corrected time given as "HH:MM" (on the corrected day, in the
+ * intern's timezone) or as a full ISO date-time (checked against the day
+ * by AttendanceCorrectionService.getDayError)
+ */
+const resolveTime = (value, day, timeZone) => {
+  if (!value) return null;
+  if (TIME_PATTERN.test(value)) {
+    const [hours, minutes] = value.split(':').map(Number);
+    const { year, month, day: dayOfMonth } = getZonedParts(day, timeZone);
+    return zonedTimeToUtc(year, month, dayOfMonth, hours, minutes, timeZone);
+  }
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date;
+};
+
+/**
+ * @desc    Submit an attendance correction request
+ * @route   POST /api/corrections
+ * @access  Private (Interns for themselves, Admin/Supervisor for any intern)
+ * Body: { date: "YYYY-MM-DD", checkInTime, checkOutTime, justification }
+ * Times are "HH:MM" on that day or ISO date-times
+ */
+exports.createCorrectionRequest = async (req, res) => {
+  try {
+    const { date, checkInTime, checkOutTime, justification } = req.body;
+
+    if (!date || !DATE_PATTERN.test(date) || !justification || (!checkInTime && !checkOutTime)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Date (YYYY-MM-DD), justification and a corrected check-in or check-out time are required'
+      });
+    }
+
+    // Interns correct their own days; admins/supervisors may file on behalf of an intern
+    const intern = req.user.role === 'intern' || !req.body.internId
+      ? await Intern.findOne({ userId: req.user._id })
+      : await Intern.findById(req.body.internId);
+
+    if (!intern) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Intern not found'
+      });
+    }
+
+    const policy = await AttendancePolicy.getPolicy(intern.department, intern._id);
+    const timeZone = policy.timezone;
+    const day = parseDate(date, timeZone);
+    const requestedCheckInTime = resolveTime(checkInTime, day, timeZone);
+    let requestedCheckOutTime = resolveTime(checkOutTime, day, timeZone);
+
+    if (requestedCheckInTime === undefined || requestedCheckOutTime === undefined) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid time. Use HH:MM or an ISO date-time'
+      });
+    }
+
+    // "HH:MM" check-outs before the check-in belong to an overnight shift
+    if (requestedCheckOutTime && requestedCheckInTime && TIME_PATTERN.test(checkOutTime) &&
+        requestedCheckOutTime <= requestedCheckInTime) {
+      requestedCheckOutTime = resolveTime(checkOutTime, addDays(day, 1, timeZone), timeZone);
+    }
+
+    const dayError = AttendanceCorrectionService.getDayError(policy, day, {
+      checkInTime: requestedCheckInTime,
+      checkOutTime: requestedCheckOutTime
+    });
+    if (dayError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: dayError
+      });
+    }
+
+    const now = new Date();
+    if (day > now || requestedCheckInTime > now || requestedCheckOutTime > now) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Corrections cannot be made for the future'
+      });
+    }
+
+    const existing = await AttendanceCorrection.findPending(intern._id, day);
+    if (existing) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'A correction request for this day is already pending',
+        code: 'CORRECTION_PENDING'
+      });
+    }
+
+    // A day without a check-in needs one in the request
+    const attendance = await AttendanceCorrectionService.findAttendance({ internId: intern._id, date: day }, timeZone);
+    if (!requestedCheckInTime && !attendance?.checkInTime) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'No check-in recorded for this day. Please include the check-in time'
+      });
+    }
+
+    const effectiveCheckIn = requestedCheckInTime || attendance.checkInTime;
+    if (requestedCheckOutTime && requestedCheckOutTime <= effectiveCheckIn) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Check-out time must be after check-in time'
+      });
+    }
+
+    const correction = await AttendanceCorrection.create({
+      internId: intern._id,
+      attendanceId: attendance?._id,
+      date: day,
+      requestedCheckInTime,
+      requestedCheckOutTime,
+      justification,
+      requestedBy: req.user._id
+    });
+
+    try {
+      await NotificationService.createCorrectionNotification(
+        'correction_requested',
+        correction,
+        intern,
+        { date: formatDateKey(day, timeZone) }
+      );
+    } catch (notificationError) {
+      console.error('Failed to create correction request notification:', notificationError);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: correction
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get attendance correction requests
+ * @route   GET /api/corrections
+ * @access  Private (Interns see their own requests, supervisors those of their interns)
+ */
+exports.getCorrectionRequests = async (req, res) => {
+  try {
+    const { status, internId, department, startDate, endDate } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+
+    // Interns see their own requests, supervisors those of their interns
+    const scope = await InternRequestService.getScopeFilter(req.user, { internId, department });
+    if (!scope) {
+      return res.status(200).json({
+        status: 'success',
+        count: 0,
+        data: []
+      });
+    }
+    Object.assign(filter, scope);
+
+    if (startDate || endDate) {
+      const timeZone = await AttendancePolicy.getTimezone();
+      filter.date = {};
+      if (startDate) filter.date.$gte = parseDate(startDate, timeZone);
+      if (endDate) filter.date.$lte = parseDate(endDate, timeZone);
+    }
+
+    const corrections = await AttendanceCorrection.find(filter)
+      .sort({ createdAt: -1 })
+      .populate(InternRequestService.INTERN_POPULATE)
+      .populate('reviewedBy', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      count: corrections.length,
+      data: corrections
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a single correction request
+ * @route   GET /api/corrections/:id
+ * @access  Private (Interns see their own requests, supervisors those of their interns)
+ */
+exports.getCorrectionRequest = async (req, res) => {
+  try {
+    const correction = await AttendanceCorrection.findById(req.params.id)
+      .populate(InternRequestService.INTERN_POPULATE)
+      .populate('reviewedBy', 'name email');
+
+    if (!correction || !InternRequestService.canAccess(req.user, correction)) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Correction request not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: correction
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Approve or reject a pending correction request
+ * Supervisors can only review interns assigned to them
+ */
+const reviewCorrectionRequest = async (req, res, decision) => {
+  const correction = await AttendanceCorrection.findById(req.params.id).populate(InternRequestService.INTERN_POPULATE);
+
+  if (!correction) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Correction request not found'
+    });
+  }
+
+  const reviewError = InternRequestService.getReviewError(req.user, correction, 'correction request');
+  if (reviewError) {
+    return res.status(reviewError.statusCode).json({
+      status: 'fail',
+      message: reviewError.message
+    });
+  }
+
+  const intern = correction.internId;
+  InternRequestService.setDecision(correction, decision, req.user, req.body.note);
+
+  // Approved corrections are written to the attendance record
+  if (decision === 'approved') {
+    try {
+      await AttendanceCorrectionService.applyCorrection(correction, intern);
+    } catch (error) {
+      if (error.code !== 'CORRECTION_CONFLICT') throw error;
+      return res.status(409).json({
+        status: 'fail',
+        message: error.message,
+        code: error.code
+      });
+    }
+  }
+
+  await correction.save();
+
+  try {
+    const timeZone = await AttendancePolicy.getTimezone(intern.department);
+    await NotificationService.createCorrectionNotification(
+      decision === 'approved' ? 'correction_approved' : 'correction_rejected',
+      correction,
+      intern,
+      {
+        date: formatDateKey(correction.date, timeZone),
+        reviewNote: correction.reviewNote
+      }
+    );
+  } catch (notificationError) {
+    console.error('Failed to create correction decision notification:', notificationError);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: correction
+  });
+};
+
+/**
+ * @desc    Approve a correction request and apply it
+ * @route   PATCH /api/corrections/:id/approve
+ * @access  Private (Admin/Supervisor)
+ */
+exports.approveCorrectionRequest = async (req, res) => {
+  try {
+    await reviewCorrectionRequest(req, res, 'approved');
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reject a correction request
+ * @route   PATCH /api/corrections/:id/reject
+ * @access  Private (Admin/Supervisor)
+ */
+exports.rejectCorrectionRequest = async (req, res) => {
+  try {
+    await reviewCorrectionRequest(req, res, 'rejected');
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a pending correction request
+ * @route   PATCH /api/corrections/:id/cancel
+ * @access  Private (Interns cancel their own requests, supervisors their interns', admins any)
+ */
+exports.cancelCorrectionRequest = async (req, res) => {
+  try {
+    const correction = await AttendanceCorrection.findById(req.params.id).populate(InternRequestService.INTERN_POPULATE);
+
+    if (!correction || !InternRequestService.canAccess(req.user, correction)) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Correction request not found'
+      });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Cannot cancel a correction request that is ${correction.status}`
+      });
+    }
+
+    correction.status = 'cancelled';
+    await correction.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: correction
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
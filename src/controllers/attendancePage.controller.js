@@ -2,6 +2,9 @@ const Attendance = require('../models/attendance.model');
 const Intern = require('../models/intern.model');
 const Department = require('../models/department.model');
 const { NotificationService } = require('./notification.controller');
+const AttendancePolicy = require('../services/attendancePolicy.service');
+const WebhookService = require('../services/webhook.service');
+const { parseDate, parseEndOfDay, addDays } = require('../utils/timezone.utils');
 
 /**
  * @desc    Get attendance records for a specific date
@@ -20,12 +23,10 @@ exports.getAttendanceByDate = async (req, res) => {
       });
     }
     
-    // Create date range for the specified date
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
-    
-    const endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + 1);
+    // Create date range for the specified date in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const startDate = parseDate(date, timeZone);
+    const endDate = addDays(startDate, 1, timeZone);
     
     // Get department filter if provided
     const departmentFilter = req.query.department ? { department: req.query.department } : {};
@@ -49,8 +50,13 @@ exports.getAttendanceByDate = async (req, res) => {
       }
     });
     
+    // Calendar entries (holidays/closures) are resolved per department
+    const resolvePolicy = await AttendancePolicy.createResolver();
+    
     // Map attendance records to include intern details
     const mappedRecords = interns.map(intern => {
+      const holiday = AttendancePolicy.getHoliday(resolvePolicy(intern.department), startDate);
+      
       // Find attendance record for this intern if exists
       const record = attendanceRecords.find(r => 
         r.internId && r.internId._id && 
@@ -66,8 +72,10 @@ exports.getAttendanceByDate = async (req, res) => {
         status: record ? record.status : '',
         checkInTime: record ? record.checkInTime : null,
         checkOutTime: record ? record.checkOutTime : null,
+        hours: record ? record.hours : null,
         signature: record ? record.signature : null,
-        notes: record ? record.notes : ''
+        notes: record ? record.notes : '',
+        holiday: holiday ? { name: holiday.name, type: holiday.type } : null
       };
     });
     
@@ -98,7 +106,7 @@ exports.updateAttendanceStatus = async (req, res) => {
     console.log('👤 Request user:', req.user?.name || 'No user');
     
     const { internId } = req.params;
-    const { status, date, notes } = req.body;
+    const { status, date, notes, absenceReason, reason } = req.body;
     
     if (!status || !['Present', 'Absent', 'Late', 'Excused'].includes(status)) {
       return res.status(400).json({
@@ -123,12 +131,10 @@ exports.updateAttendanceStatus = async (req, res) => {
       });
     }
     
-    // Create date range for the specified date
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
-    
-    const endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + 1);
+    // Create date range for the specified date in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const startDate = parseDate(date, timeZone);
+    const endDate = addDays(startDate, 1, timeZone);
     
     // Find existing attendance record
     let attendance = await Attendance.findOne({
@@ -147,12 +153,13 @@ exports.updateAttendanceStatus = async (req, res) => {
         checkInTime: new Date(),
         status: status.toLowerCase(),
         signature: 'Admin marked attendance', // Default signature for admin-managed attendance
-        notes: notes || `Attendance marked by admin: ${req.user.name}`
+        notes: notes || `Attendance marked by admin: ${req.user.name}`,
+        absenceReason: status === 'Excused' ? absenceReason : undefined
       });
       
       // Make signature optional for admin-managed attendance
       attendance.markModified('signature');
-      await attendance.save();
+      await attendance.withRevision({ changedBy: req.user._id, source: 'manual_update', reason }).save();
     } else if (!attendance && status === 'Absent') {
       // For absent status, we don't need to create a record
       
@@ -183,6 +190,15 @@ exports.updateAttendanceStatus = async (req, res) => {
         console.error('🔍 Error stack:', notificationError.stack);
       }
       
+      WebhookService.emit('attendance.absent', {
+        internId: intern._id,
+        employeeId: intern.employeeId,
+        internName: intern.userId?.name || intern.name,
+        department: intern.department,
+        date: startDate,
+        markedBy: req.user._id
+      });
+      
       return res.status(200).json({
         status: 'success',
         message: 'Intern marked as absent'
@@ -191,8 +207,9 @@ exports.updateAttendanceStatus = async (req, res) => {
       // Update existing record
       attendance.status = status.toLowerCase();
       if (notes) attendance.notes = notes;
+      if (status === 'Excused' && absenceReason) attendance.absenceReason = absenceReason;
       
-      await attendance.save();
+      await attendance.withRevision({ changedBy: req.user._id, source: 'manual_update', reason }).save();
     }
     
     // Create immediate notification for manual attendance status changes
@@ -262,7 +279,7 @@ exports.updateAttendanceStatus = async (req, res) => {
  */
 exports.bulkUpdateAttendance = async (req, res) => {
   try {
-    const { date, status, department, notes } = req.body;
+    const { date, status, department, notes, reason } = req.body;
     
     if (!status || !['Present', 'Absent', 'Late', 'Excused'].includes(status)) {
       return res.status(400).json({
@@ -278,12 +295,10 @@ exports.bulkUpdateAttendance = async (req, res) => {
       });
     }
     
-    // Create date range for the specified date
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
-    
-    const endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + 1);
+    // Create date range for the specified date in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const startDate = parseDate(date, timeZone);
+    const endDate = addDays(startDate, 1, timeZone);
     
     // Get all interns based on department filter with populated user data
     const departmentFilter = department ? { department } : {};
@@ -310,14 +325,14 @@ exports.bulkUpdateAttendance = async (req, res) => {
       
       // If no record exists and status is not Absent, create one
       if (!attendance && status !== 'Absent') {
-        attendance = await Attendance.create({
+        attendance = await new Attendance({
           internId: intern._id,
           date: startDate,
           status: status.toLowerCase(),
           checkInTime: status === 'Present' || status === 'Late' ? new Date() : null,
           signature: 'Admin marked attendance',
           notes: notes || `Bulk attendance marked by admin: ${req.user.name}`
-        });
+        }).withRevision({ changedBy: req.user._id, source: 'bulk_update', reason }).save();
       } 
       // If record exists, update it
       else if (attendance) {
@@ -333,7 +348,7 @@ exports.bulkUpdateAttendance = async (req, res) => {
           attendance.notes = notes;
         }
         
-        await attendance.save();
+        await attendance.withRevision({ changedBy: req.user._id, source: 'bulk_update', reason }).save();
       }
       
       if (attendance) {
@@ -417,17 +432,19 @@ exports.saveAttendanceData = async (req, res) => {
       });
     }
     
-    // Create date range for the specified date
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
+    // Create date range for the specified date in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const startDate = parseDate(date, timeZone);
+    const endDate = addDays(startDate, 1, timeZone);
     
-    const endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + 1);
+    // Attendance policy is used to derive present/late from check-in times
+    const resolvePolicy = await AttendancePolicy.createResolver();
     
     // Process each record
     const results = [];
     for (const record of records) {
-      const { internId, status, checkInTime, checkOutTime } = record;
+      const { internId, checkInTime, checkOutTime } = record;
+      let { status } = record;
       
       if (!internId) continue;
       
@@ -435,6 +452,14 @@ exports.saveAttendanceData = async (req, res) => {
       const intern = await Intern.findById(internId);
       if (!intern) continue;
       
+      const policy = resolvePolicy(intern.department, intern._id);
+      
+      // Derive status from the check-in time when none was given explicitly
+      if (!status && checkInTime) {
+        const classification = AttendancePolicy.classifyCheckIn(policy, new Date(checkInTime));
+        status = classification.status;
+      }
+      
       // Find existing attendance record
       let attendance = await Attendance.findOne({
         internId,
@@ -446,21 +471,40 @@ exports.saveAttendanceData = async (req, res) => {
       
       // If no record exists and status is not Absent or empty, create one
       if (!attendance && status && status !== 'Absent') {
-        attendance = await Attendance.create({
+        attendance = new Attendance({
           internId,
           date: startDate,
           status: status.toLowerCase(),
           checkInTime: checkInTime || (status === 'Present' || status === 'Late' ? new Date() : null),
           checkOutTime: checkOutTime || null
         });
+        
+        if (attendance.checkInTime && attendance.checkOutTime) {
+          attendance.calculateHours(AttendancePolicy.getScheduledMinutes(policy, attendance.date));
+        }
+        
+        await attendance.withRevision({ changedBy: req.user._id, source: 'manual_save', reason: record.reason }).save();
       } 
       // If record exists, update it
       else if (attendance) {
         if (status) attendance.status = status.toLowerCase();
-        if (checkInTime) attendance.checkInTime = new Date(checkInTime);
-        if (checkOutTime) attendance.checkOutTime = new Date(checkOutTime);
         
-        await attendance.save();
+        // Manual times move the first/last clock segment so breaks are kept
+        if (checkInTime) {
+          attendance.checkInTime = new Date(checkInTime);
+          if (attendance.segments.length > 0) attendance.segments[0].start = attendance.checkInTime;
+        }
+        if (checkOutTime) {
+          attendance.checkOutTime = new Date(checkOutTime);
+          const lastSegment = attendance.segments[attendance.segments.length - 1];
+          if (lastSegment) lastSegment.end = attendance.checkOutTime;
+        }
+        
+        if (attendance.checkInTime && attendance.checkOutTime) {
+          attendance.calculateHours(AttendancePolicy.getScheduledMinutes(policy, attendance.date));
+        }
+        
+        await attendance.withRevision({ changedBy: req.user._id, source: 'manual_save', reason: record.reason }).save();
       }
       
       if (attendance) {
@@ -499,12 +543,10 @@ exports.exportAttendanceData = async (req, res) => {
       });
     }
     
-    // Create date range for the specified date
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
-    
-    const endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + 1);
+    // Create date range for the specified date in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const startDate = parseDate(date, timeZone);
+    const endDate = addDays(startDate, 1, timeZone);
     
     // Get department filter if provided
     const departmentFilter = department ? { department } : {};
@@ -542,8 +584,8 @@ exports.exportAttendanceData = async (req, res) => {
         Email: intern.userId ? intern.userId.email : '',
         Department: intern.department,
         Status: record ? record.status.charAt(0).toUpperCase() + record.status.slice(1) : 'Absent',
-        'Check-In Time': record && record.checkInTime ? record.checkInTime.toLocaleString() : 'N/A',
-        'Check-Out Time': record && record.checkOutTime ? record.checkOutTime.toLocaleString() : 'N/A',
+        'Check-In Time': record && record.checkInTime ? record.checkInTime.toLocaleString('en-US', { timeZone }) : 'N/A',
+        'Check-Out Time': record && record.checkOutTime ? record.checkOutTime.toLocaleString('en-US', { timeZone }) : 'N/A',
         Notes: record ? record.notes || '' : ''
       };
     });
@@ -604,13 +646,12 @@ exports.getWeeklyAttendancePercentage = async (req, res) => {
   try {
     const { internId } = req.params;
     
-    // Calculate date range for the past week
-    const endDate = new Date();
-    endDate.setHours(23, 59, 59, 999);
-    
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 7); // Go back 7 days
-    startDate.setHours(0, 0, 0, 0);
+    // Calculate date range for the past week in the intern's timezone
+    const intern = await Intern.findById(internId);
+    const policy = await AttendancePolicy.getPolicy(intern ? intern.department : null, intern ? intern._id : null);
+    const timeZone = policy.timezone;
+    const endDate = parseEndOfDay(new Date(), timeZone);
+    const startDate = addDays(new Date(), -7, timeZone); // Go back 7 days
     
     // Get attendance records for the past week
     const attendanceRecords = await Attendance.find({
@@ -644,8 +685,8 @@ exports.getWeeklyAttendancePercentage = async (req, res) => {
       }
     });
     
-    // Calculate total days in the week (should be 7, but we'll calculate it to be safe)
-    const totalDays = 7; // One week
+    // Working days in the week (schedule days off, weekends, holidays and closures excluded)
+    const totalDays = AttendancePolicy.countWorkingDays(policy, startDate, endDate);
     
     // Calculate attendance percentage according to the formula: (present + excused) / total * 100
     const attendancePercentage = totalDays > 0 ? 
@@ -2,7 +2,7 @@ const User = require('../models/user.model');
 const Session = require('../models/session.model');
 const TokenBlacklist = require('../models/tokenBlacklist.model');
 const TwoFactor = require('../models/twoFactor.model');
-const { generateToken, generateRefreshToken, getTokenExpiry } = require('../utils/jwt.utils');
+const { generateToken, generateRefreshToken, generatePreAuthToken, getTokenExpiry } = require('../utils/jwt.utils');
 
 /**
  * @desc    Register new user (self-registration with pending approval)
@@ -159,9 +159,25 @@ exports.login = async (req, res) => {
     const twoFactor = await TwoFactor.findByUserId(user._id);
     
     if (twoFactor && twoFactor.isEnabled) {
-      // 2FA is enabled - generate and send OTP automatically
       console.log(`🔐 2FA required for ${user.email}`);
       
+      // Authenticator app - the user enters the code shown in their app
+      if (twoFactor.method === 'authenticator') {
+        return res.status(200).json({
+          status: 'success',
+          message: 'Password verified. Enter the code from your authenticator app.',
+          requires2FA: true,
+          data: {
+            userId: user._id,
+            email: user.email,
+            method: twoFactor.method,
+            otpSent: false,
+            preAuthToken: generatePreAuthToken(user)
+          }
+        });
+      }
+      
+      // Email - generate and send OTP automatically
       // Generate OTP code
       const code = twoFactor.generateOTP();
       await twoFactor.save();
@@ -187,7 +203,8 @@ exports.login = async (req, res) => {
           userId: user._id,
           email: user.email,
           method: twoFactor.method,
-          otpSent: true
+          otpSent: true,
+          preAuthToken: generatePreAuthToken(user)
         }
       });
     }
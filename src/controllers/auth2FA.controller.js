@@ -1,28 +1,51 @@
 const User = require('../models/user.model');
 const Session = require('../models/session.model');
 const TwoFactor = require('../models/twoFactor.model');
-const { generateToken, generateRefreshToken, getTokenExpiry } = require('../utils/jwt.utils');
+const { generateToken, generateRefreshToken, verifyPreAuthToken } = require('../utils/jwt.utils');
+const { sendLocked } = require('./twoFactor.controller');
 
 /**
  * @desc    Complete login with 2FA verification
  * @route   POST /api/auth/login-2fa
  * @access  Public
+ * Body: { preAuthToken, code, useBackupCode } - preAuthToken is returned by
+ * POST /api/auth/login once the password is verified. The former
+ * { email, code } body is no longer accepted: it let a code stand in for the password
  */
 exports.loginWith2FA = async (req, res) => {
   try {
-    const { email, code, useBackupCode } = req.body;
+    const { preAuthToken, code, useBackupCode } = req.body;
     
-    if (!email || !code) {
+    if (!preAuthToken && req.body.email) {
       return res.status(400).json({
         status: 'fail',
-        message: 'Email and code are required'
+        message: 'Send the preAuthToken returned by POST /api/auth/login instead of the email',
+        code: 'PRE_AUTH_REQUIRED'
+      });
+    }
+    
+    if (!preAuthToken || !code) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Login session and code are required'
+      });
+    }
+    
+    let decoded;
+    try {
+      decoded = verifyPreAuthToken(preAuthToken);
+    } catch (error) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Your login session has expired. Please sign in again.',
+        code: 'PRE_AUTH_INVALID'
       });
     }
     
     // Find user
-    const user = await User.findOne({ email });
+    const user = await User.findById(decoded.id);
     
-    if (!user) {
+    if (!user || !user.isActive) {
       return res.status(401).json({
         status: 'fail',
         message: 'Invalid credentials'
@@ -30,7 +53,7 @@ exports.loginWith2FA = async (req, res) => {
     }
     
     // Get 2FA settings
-    const twoFactor = await TwoFactor.findByUserId(user._id);
+    const twoFactor = await TwoFactor.findByUserId(user._id, true);
     
     if (!twoFactor || !twoFactor.isEnabled) {
       return res.status(401).json({
@@ -39,7 +62,11 @@ exports.loginWith2FA = async (req, res) => {
       });
     }
     
-    // Verify code (OTP or backup code)
+    if (twoFactor.isLocked) {
+      return sendLocked(res, twoFactor);
+    }
+    
+    // Verify code (OTP, authenticator app or backup code)
     let isValid = false;
     
     if (useBackupCode) {
@@ -48,19 +75,25 @@ exports.loginWith2FA = async (req, res) => {
         console.log(`✅ Backup code verified for ${user.email}`);
       }
     } else {
-      isValid = twoFactor.verifyOTP(code);
+      isValid = await twoFactor.verifyCode(code);
       if (isValid) {
-        console.log(`✅ OTP verified for ${user.email}`);
+        console.log(`✅ ${twoFactor.method === 'authenticator' ? 'Authenticator code' : 'OTP'} verified for ${user.email}`);
       }
     }
     
     await twoFactor.save();
     
     if (!isValid) {
+      if (twoFactor.isLocked) {
+        return sendLocked(res, twoFactor);
+      }
+      
       return res.status(401).json({
         status: 'fail',
         message: useBackupCode ? 'Invalid or already used backup code' : 'Invalid or expired OTP code',
-        remainingAttempts: useBackupCode ? null : Math.max(0, 5 - (twoFactor.tempOTP?.attempts || 0))
+        remainingAttempts: useBackupCode || twoFactor.method === 'authenticator'
+          ? null
+          : Math.max(0, 5 - (twoFactor.tempOTP?.attempts || 0))
       });
     }
     
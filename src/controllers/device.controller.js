@@ -0,0 +1,300 @@
+const TrustedDevice = require('../models/trustedDevice.model');
+const Attendance = require('../models/attendance.model');
+const Intern = require('../models/intern.model');
+const DeviceBindingService = require('../services/deviceBinding.service');
+const AttendancePolicy = require('../services/attendancePolicy.service');
+const { parseDate, parseEndOfDay, addDays, formatDateKey } = require('../utils/timezone.utils');
+
+/**
+ * @desc    Get trusted devices
+ * @route   GET /api/devices?internId=
+ * @access  Private (Admin/Supervisor)
+ */
+exports.getDevices = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.internId) filter.internId = req.query.internId;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const devices = await TrustedDevice.find(filter)
+      .populate('internId', 'name employeeId department')
+      .populate('boundBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: devices.length,
+      data: devices
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the devices an intern recently checked in/out from
+ * @route   GET /api/devices/intern/:internId/recent?days=30
+ * @access  Private/Admin
+ * Used to pick the device to bind; only devices the app identified are listed
+ */
+exports.getRecentInternDevices = async (req, res) => {
+  try {
+    const intern = await Intern.findById(req.params.internId);
+
+    if (!intern) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Intern not found'
+      });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const devices = await Attendance.aggregate([
+      { $match: { internId: intern._id, date: { $gte: since } } },
+      { $project: { checkInTime: 1, uses: ['$checkInDevice', '$checkOutDevice'] } },
+      { $unwind: '$uses' },
+      { $match: { 'uses.strong': true } },
+      {
+        $group: {
+          _id: '$uses.fingerprint',
+          browser: { $last: '$uses.browser' },
+          os: { $last: '$uses.os' },
+          device: { $last: '$uses.device' },
+          uses: { $sum: 1 },
+          lastUsedAt: { $max: '$checkInTime' }
+        }
+      },
+      { $sort: { lastUsedAt: -1 } }
+    ]);
+
+    const bindings = await TrustedDevice.find({ fingerprint: { $in: devices.map(device => device._id) } });
+    const bindingsByFingerprint = new Map(bindings.map(binding => [binding.fingerprint, binding]));
+
+    res.status(200).json({
+      status: 'success',
+      count: devices.length,
+      data: devices.map(({ _id, ...device }) => {
+        const binding = bindingsByFingerprint.get(_id);
+        return {
+          fingerprint: _id,
+          ...device,
+          boundTo: binding && binding.isActive ? binding.internId : null
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Bind a device to an intern
+ * @route   POST /api/devices
+ * @access  Private/Admin
+ * Body: { internId, fingerprint, label }
+ */
+exports.bindDevice = async (req, res) => {
+  try {
+    const { internId, fingerprint, label } = req.body;
+
+    if (!internId || !fingerprint) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Intern and device fingerprint are required'
+      });
+    }
+
+    const intern = await Intern.findById(internId);
+    if (!intern) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Intern not found'
+      });
+    }
+
+    let device = await TrustedDevice.findOne({ fingerprint });
+
+    if (device && device.isActive && device.internId.toString() !== intern._id.toString()) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This device is already bound to another intern. Unbind it first.',
+        code: 'DEVICE_ALREADY_BOUND'
+      });
+    }
+
+    // Copy browser/OS details from the last time the device was used
+    const lastUse = await Attendance.findOne({
+      $or: [{ 'checkInDevice.fingerprint': fingerprint }, { 'checkOutDevice.fingerprint': fingerprint }]
+    }).sort({ date: -1 });
+    const used = lastUse?.checkInDevice?.fingerprint === fingerprint ? lastUse.checkInDevice : lastUse?.checkOutDevice;
+    const deviceInfo = used ? { browser: used.browser, os: used.os, device: used.device } : undefined;
+
+    if (device) {
+      // Reactivate (or re-assign) a device that was unbound earlier
+      device.internId = intern._id;
+      device.isActive = true;
+      device.boundBy = req.user._id;
+      if (label !== undefined) device.label = label;
+      if (deviceInfo) device.deviceInfo = deviceInfo;
+      await device.save();
+    } else {
+      device = await TrustedDevice.create({
+        internId: intern._id,
+        fingerprint,
+        label,
+        deviceInfo,
+        boundBy: req.user._id
+      });
+    }
+
+    console.log(`📱 Device bound to ${intern.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: device
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a trusted device (label, active)
+ * @route   PATCH /api/devices/:id
+ * @access  Private/Admin
+ */
+exports.updateDevice = async (req, res) => {
+  try {
+    const device = await TrustedDevice.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Device not found'
+      });
+    }
+
+    const { label, isActive } = req.body;
+    if (label !== undefined) device.label = label;
+    if (isActive !== undefined) device.isActive = !!isActive;
+
+    await device.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: device
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Unbind a device
+ * @route   DELETE /api/devices/:id
+ * @access  Private/Admin
+ */
+exports.unbindDevice = async (req, res) => {
+  try {
+    const device = await TrustedDevice.findByIdAndDelete(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Device not found'
+      });
+    }
+
+    console.log(`🗑️ Device unbound from intern ${device.internId} by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Device unbound successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Report devices used by more than one intern on the same day
+ * @route   GET /api/devices/collisions?startDate&endDate&department
+ * @access  Private (Admin/Supervisor)
+ * Defaults to the last 30 days
+ * Devices that sent no X-Device-Id are listed with identified: false
+ */
+exports.getDeviceCollisions = async (req, res) => {
+  try {
+    const { startDate, endDate, department } = req.query;
+    const timeZone = await AttendancePolicy.getTimezone(department || null);
+
+    const end = endDate ? parseEndOfDay(endDate, timeZone) : new Date();
+    const start = startDate ? parseDate(startDate, timeZone) : addDays(end, -30, timeZone);
+
+    const filter = { date: { $gte: start, $lte: end } };
+    if (department) {
+      const interns = await Intern.find({ department }).select('_id');
+      filter.internId = { $in: interns.map(intern => intern._id) };
+    }
+
+    const collisions = await DeviceBindingService.findCollisions(filter);
+
+    // Attach intern names and any binding for the device
+    const internIds = [...new Set(collisions.flatMap(collision =>
+      collision.interns.map(entry => entry.internId.toString())
+    ))];
+    const [interns, bindings] = await Promise.all([
+      Intern.find({ _id: { $in: internIds } })
+        .select('name employeeId department'),
+      TrustedDevice.find({ fingerprint: { $in: collisions.map(collision => collision.fingerprint) }, isActive: true })
+    ]);
+    const internsById = new Map(interns.map(intern => [intern._id.toString(), intern]));
+    const bindingsByFingerprint = new Map(bindings.map(binding => [binding.fingerprint, binding]));
+
+    res.status(200).json({
+      status: 'success',
+      count: collisions.length,
+      data: {
+        startDate: formatDateKey(start, timeZone),
+        endDate: formatDateKey(end, timeZone),
+        collisions: collisions.map(collision => ({
+          ...collision,
+          date: formatDateKey(collision.date, timeZone),
+          boundTo: bindingsByFingerprint.get(collision.fingerprint)?.internId || null,
+          interns: collision.interns.map(entry => {
+            const intern = internsById.get(entry.internId.toString());
+            return {
+              internId: entry.internId,
+              name: intern?.name,
+              employeeId: intern?.employeeId,
+              department: intern?.department,
+              events: entry.events
+            };
+          })
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -1,264 +1,31 @@
-const nodemailer = require('nodemailer');
+const MailService = require('../services/mail.service');
+const OutboundEmail = require('../models/outboundEmail.model');
+const TemplateService = require('../services/template.service');
 // SMS functionality has been removed for security and deployment reasons
 
 /**
  * Email Controller for handling email notifications
+ * All emails go through MailService (configured transport + outbound queue)
  */
 
-// Initialize email transporter
-let transporter = null;
+// Render the absentee email for an intern in the organization language
+const renderAbsenteeEmail = async (internData, date) => {
+  const { language, timeZone } = await TemplateService.getContext();
 
-const initializeTransporter = () => {
-  if (!transporter) {
-    transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD
-      }
-    });
-  }
-  return transporter;
-};
-
-// Generate professional absentee email template
-const generateAbsenteeEmailTemplate = (internData, date) => {
-  const internName = internData.name || internData.user?.name || 'Team Member';
-  const internEmail = internData.email || internData.user?.email || '';
-  const internDepartment = internData.department || 'General';
-  const internId = internData.id || internData._id || 'N/A';
-  const formattedDate = new Date(date).toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  });
-  const currentTime = new Date().toLocaleString('en-US', { 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric', 
-    hour: '2-digit', 
-    minute: '2-digit' 
-  });
-
-  return `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Attendance Inquiry - CheckMate System</title>
-      <style>
-        * {
-          margin: 0;
-          padding: 0;
-          box-sizing: border-box;
-        }
-        body {
-          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-          line-height: 1.7;
-          color: #2d3748;
-          background-color: #f7fafc;
-          padding: 20px;
-        }
-        .email-container {
-          max-width: 650px;
-          margin: 0 auto;
-          background-color: #ffffff;
-          border-radius: 12px;
-          box-shadow: 0 10px 25px rgba(0, 0, 0, 0.1);
-          overflow: hidden;
-        }
-        .header {
-          background: linear-gradient(135deg, #10b981 0%, #059669 100%);
-          color: white;
-          padding: 30px;
-          text-align: center;
-        }
-        .header h1 {
-          font-size: 28px;
-          font-weight: 700;
-          margin-bottom: 8px;
-        }
-        .header p {
-          font-size: 16px;
-          opacity: 0.9;
-        }
-        .content {
-          padding: 40px 30px;
-        }
-        .greeting {
-          font-size: 18px;
-          font-weight: 600;
-          color: #1a202c;
-          margin-bottom: 20px;
-        }
-        .message {
-          font-size: 16px;
-          color: #4a5568;
-          margin-bottom: 25px;
-          line-height: 1.6;
-        }
-        .details-box {
-          background-color: #f8fafc;
-          border-left: 4px solid #10b981;
-          padding: 20px;
-          margin: 25px 0;
-          border-radius: 0 8px 8px 0;
-        }
-        .details-box h3 {
-          color: #1a202c;
-          font-size: 16px;
-          font-weight: 600;
-          margin-bottom: 12px;
-        }
-        .detail-item {
-          display: flex;
-          justify-content: space-between;
-          margin-bottom: 8px;
-          font-size: 14px;
-        }
-        .detail-label {
-          font-weight: 600;
-          color: #4a5568;
-        }
-        .detail-value {
-          color: #2d3748;
-        }
-        .action-section {
-          background-color: #edf2f7;
-          padding: 25px;
-          border-radius: 8px;
-          margin: 25px 0;
-        }
-        .action-section h3 {
-          color: #1a202c;
-          font-size: 16px;
-          font-weight: 600;
-          margin-bottom: 15px;
-        }
-        .action-list {
-          list-style: none;
-          padding: 0;
-        }
-        .action-list li {
-          padding: 8px 0;
-          border-bottom: 1px solid #e2e8f0;
-          font-size: 14px;
-          color: #4a5568;
-        }
-        .action-list li:last-child {
-          border-bottom: none;
-        }
-        .footer {
-          background-color: #1a202c;
-          color: #e2e8f0;
-          padding: 25px 30px;
-          text-align: center;
-        }
-        .footer p {
-          font-size: 14px;
-          margin-bottom: 5px;
-        }
-        .footer .company {
-          font-weight: 600;
-          color: #10b981;
-        }
-        @media (max-width: 600px) {
-          .email-container {
-            margin: 10px;
-            border-radius: 8px;
-          }
-          .content {
-            padding: 25px 20px;
-          }
-          .header {
-            padding: 25px 20px;
-          }
-          .header h1 {
-            font-size: 24px;
-          }
-        }
-      </style>
-    </head>
-    <body>
-      <div class="email-container">
-        <div class="header">
-          <h1>📋 CheckMate Attendance System</h1>
-          <p>Attendance Inquiry Notice</p>
-        </div>
-        
-        <div class="content">
-          <div class="greeting">
-            Hello ${internName},
-          </div>
-          
-          <div class="message">
-            We hope this message finds you well. We noticed that you were marked as absent on <strong>${formattedDate}</strong> and wanted to follow up to ensure everything is okay.
-          </div>
-          
-          <div class="details-box">
-            <h3>📊 Absence Details</h3>
-            <div class="detail-item">
-              <span class="detail-label">Employee Name:</span>
-              <span class="detail-value">${internName}</span>
-            </div>
-            <div class="detail-item">
-              <span class="detail-label">Employee ID:</span>
-              <span class="detail-value">${internId}</span>
-            </div>
-            <div class="detail-item">
-              <span class="detail-label">Department:</span>
-              <span class="detail-value">${internDepartment}</span>
-            </div>
-            <div class="detail-item">
-              <span class="detail-label">Absence Date:</span>
-              <span class="detail-value">${formattedDate}</span>
-            </div>
-            <div class="detail-item">
-              <span class="detail-label">Email Sent:</span>
-              <span class="detail-value">${currentTime}</span>
-            </div>
-          </div>
-          
-          <div class="message">
-            Your attendance is important to us, and we want to make sure you have the support you need. If your absence was due to illness, personal emergency, or any other circumstances, please let us know so we can assist you appropriately.
-          </div>
-          
-          <div class="action-section">
-            <h3>📝 Please Respond With:</h3>
-            <ul class="action-list">
-              <li>• The reason for your absence on ${formattedDate}</li>
-              <li>• Whether you need any support or assistance</li>
-              <li>• If this was a planned absence that wasn't properly recorded</li>
-              <li>• Any documentation if the absence was medical-related</li>
-              <li>• Your expected return date if you're still unable to attend</li>
-            </ul>
-          </div>
-          
-          <div class="message">
-            Please reply to this email or contact your supervisor as soon as possible. We're here to support you and want to ensure your success in our program.
-          </div>
-          
-          <div class="message">
-            If you have any questions or concerns, please don't hesitate to reach out to the HR department or your direct supervisor.
-          </div>
-          
-          <div class="message">
-            <strong>Best regards,</strong><br>
-            CheckMate Attendance Management Team
-          </div>
-        </div>
-        
-        <div class="footer">
-          <p class="company">CheckMate System</p>
-          <p>Automated Attendance Management</p>
-          <p>This is an automated message. Please reply if you need assistance.</p>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
+  return TemplateService.renderEmail('email.absentee', {
+    internName: internData.name || internData.user?.name || 'Team Member',
+    employeeId: internData.id || internData._id || 'N/A',
+    department: internData.department || 'General',
+    date: TemplateService.formatDate(date, language, timeZone),
+    shortDate: TemplateService.formatDate(date, language, timeZone, { year: 'numeric', month: 'numeric', day: 'numeric' }),
+    sentAt: TemplateService.formatDate(new Date(), language, timeZone, {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }, { language });
 };
 
 /**
@@ -287,9 +54,6 @@ exports.sendAbsenteeEmail = async (req, res) => {
       });
     }
 
-    // Initialize transporter
-    const emailTransporter = initializeTransporter();
-
     let result;
 
     if (type === 'bulk' && Array.isArray(internData)) {
@@ -309,26 +73,23 @@ exports.sendAbsenteeEmail = async (req, res) => {
             continue;
           }
 
-          // Create a custom sender that only shows CheckMate
-          const mailOptions = {
-            from: {
-              name: 'CheckMate',
-              address: process.env.EMAIL_USER
-            },
-            to: internEmail,
-            subject: `Attendance Inquiry - ${new Date(date).toLocaleDateString()}`,
-            html: generateAbsenteeEmailTemplate(intern, date)
-          };
-
-          const emailResult = await emailTransporter.sendMail(mailOptions);
+          const { subject, html } = await renderAbsenteeEmail(intern, date);
+          const emailResult = await MailService.send({ to: internEmail, subject, html }, {
+            category: 'absentee',
+            metadata: { internId: intern.id || intern._id, date }
+          });
           
           // SMS functionality removed for security and deployment reasons
           
+          // Failed deliveries stay queued and are retried automatically
           results.push({
             intern: intern.name || intern.user?.name || 'Unknown',
             email: internEmail,
-            success: true,
-            messageId: emailResult.messageId
+            success: emailResult.status !== 'failed',
+            deliveryStatus: emailResult.status,
+            emailId: emailResult._id,
+            messageId: emailResult.messageId,
+            error: emailResult.status === 'sent' ? undefined : emailResult.lastError
           });
 
           // Add delay between emails to avoid rate limiting
@@ -357,24 +118,21 @@ exports.sendAbsenteeEmail = async (req, res) => {
       };
     } else {
       // Handle single email sending
-      // Create a custom sender that only shows CheckMate
-      const mailOptions = {
-        from: {
-          name: 'CheckMate',
-          address: process.env.EMAIL_USER
-        },
-        to: email,
-        subject: `Attendance Inquiry - ${new Date(date).toLocaleDateString()}`,
-        html: generateAbsenteeEmailTemplate(internData, date)
-      };
-
-      const emailResult = await emailTransporter.sendMail(mailOptions);
-      console.log('Email sent successfully:', emailResult.messageId);
+      const { subject, html } = await renderAbsenteeEmail(internData, date);
+      const emailResult = await MailService.send({ to: email, subject, html }, {
+        category: 'absentee',
+        metadata: { internId: internId || internData.id || internData._id, date }
+      });
       
       result = {
-        success: true,
+        success: emailResult.status !== 'failed',
+        deliveryStatus: emailResult.status,
+        emailId: emailResult._id,
         messageId: emailResult.messageId,
-        message: 'Email sent successfully'
+        error: emailResult.lastError,
+        message: emailResult.status === 'sent'
+          ? 'Email sent successfully'
+          : 'Email queued for delivery - it will be retried automatically'
       };
     }
 
@@ -409,156 +167,29 @@ exports.sendAbsenteeEmail = async (req, res) => {
  */
 exports.sendApprovalEmail = async (userData) => {
   try {
-    const emailTransporter = initializeTransporter();
-    
-    const approvalEmailTemplate = `
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Account Approved - CheckMate</title>
-        <style>
-          body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            background-color: #f4f4f4;
-            margin: 0;
-            padding: 20px;
-          }
-          .container {
-            max-width: 600px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 10px;
-            overflow: hidden;
-            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
-          }
-          .header {
-            background: linear-gradient(135deg, #10b981 0%, #059669 100%);
-            color: white;
-            padding: 30px;
-            text-align: center;
-          }
-          .header h1 {
-            margin: 0;
-            font-size: 28px;
-          }
-          .content {
-            padding: 40px 30px;
-          }
-          .success-icon {
-            text-align: center;
-            font-size: 60px;
-            margin-bottom: 20px;
-          }
-          .message {
-            font-size: 16px;
-            color: #555;
-            margin-bottom: 20px;
-          }
-          .info-box {
-            background: #f0fdf4;
-            border-left: 4px solid #10b981;
-            padding: 15px;
-            margin: 20px 0;
-            border-radius: 4px;
-          }
-          .button {
-            display: inline-block;
-            background: #10b981;
-            color: white;
-            padding: 12px 30px;
-            text-decoration: none;
-            border-radius: 5px;
-            margin: 20px 0;
-            font-weight: bold;
-          }
-          .footer {
-            background: #1a202c;
-            color: #e2e8f0;
-            padding: 20px;
-            text-align: center;
-            font-size: 14px;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>✅ Account Approved!</h1>
-          </div>
-          
-          <div class="content">
-            <div class="success-icon">🎉</div>
-            
-            <p class="message">
-              <strong>Hello ${userData.name},</strong>
-            </p>
-            
-            <p class="message">
-              Great news! Your CheckMate account has been approved by the administrator. 
-              You can now log in and start using the attendance management system.
-            </p>
-            
-            <div class="info-box">
-              <strong>📧 Your Login Email:</strong> ${userData.email}<br>
-              <strong>🔐 Password:</strong> The password you created during registration
-            </div>
-            
-            <p class="message">
-              <strong>What you can do now:</strong>
-            </p>
-            <ul>
-              <li>✅ Log in to your account</li>
-              <li>✅ Check in and check out daily</li>
-              <li>✅ View your attendance history</li>
-              <li>✅ Update your profile</li>
-              <li>✅ Enable two-factor authentication for extra security</li>
-            </ul>
-            
-            <center>
-              <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/login" class="button">
-                Login to CheckMate
-              </a>
-            </center>
-            
-            <p class="message">
-              If you have any questions or need assistance, please don't hesitate to contact your administrator.
-            </p>
-            
-            <p class="message">
-              <strong>Welcome to CheckMate!</strong><br>
-              The Attendance Management Team
-            </p>
-          </div>
-          
-          <div class="footer">
-            <p><strong>CheckMate System</strong></p>
-            <p>Automated Attendance Management</p>
-            <p>This is an automated message from CheckMate.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+    const { subject, html } = await TemplateService.renderEmail('email.approval', {
+      name: userData.name,
+      email: userData.email,
+      loginUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login`
+    });
     
-    const mailOptions = {
-      from: {
-        name: 'CheckMate',
-        address: process.env.EMAIL_USER
-      },
+    const result = await MailService.send({
       to: userData.email,
-      subject: '✅ Your CheckMate Account Has Been Approved!',
-      html: approvalEmailTemplate
-    };
+      subject,
+      html
+    }, {
+      category: 'approval'
+    });
     
-    const result = await emailTransporter.sendMail(mailOptions);
-    console.log(`✅ Approval email sent to ${userData.email}:`, result.messageId);
+    if (result.status === 'failed') {
+      throw new Error(`Approval email failed: ${result.lastError}`);
+    }
+    
+    console.log(`✅ Approval email ${result.status} for ${userData.email}`);
     
     return {
       success: true,
+      status: result.status,
       messageId: result.messageId
     };
   } catch (error) {
@@ -574,12 +205,12 @@ exports.sendApprovalEmail = async (userData) => {
  */
 exports.testEmailConfig = async (req, res) => {
   try {
-    const emailTransporter = initializeTransporter();
-    await emailTransporter.verify();
+    const provider = await MailService.verify();
     
     return res.status(200).json({
       status: 'success',
-      message: 'Email configuration is valid'
+      message: 'Email configuration is valid',
+      data: { provider }
     });
   } catch (error) {
     console.error('Email configuration test error:', error);
@@ -590,3 +221,78 @@ exports.testEmailConfig = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Get outbound emails (delivery status)
+ * @route   GET /api/email/outbox?status=&category=&page=&limit=
+ * @access  Private/Admin
+ */
+exports.getOutbox = async (req, res) => {
+  try {
+    const { status, category } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (category) filter.category = category;
+
+    const [emails, total] = await Promise.all([
+      OutboundEmail.find(filter)
+        .select('-html -text')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      OutboundEmail.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+      status: 'success',
+      count: emails.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: emails
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Retry a queued or failed email now
+ * @route   POST /api/email/outbox/:id/retry
+ * @access  Private/Admin
+ */
+exports.retryEmail = async (req, res) => {
+  try {
+    const email = await MailService.retry(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Email not found or already sent'
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: email.status === 'sent' ? 'Email sent successfully' : 'Email delivery failed again',
+      data: {
+        _id: email._id,
+        status: email.status,
+        attempts: email.attempts,
+        lastError: email.lastError,
+        sentAt: email.sentAt
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
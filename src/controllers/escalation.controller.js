@@ -0,0 +1,113 @@
+const Intern = require('../models/intern.model');
+const Escalation = require('../models/escalation.model');
+const InternRequestService = require('../services/internRequest.service');
+
+/**
+ * @desc    Get an intern's escalation history and current attendance flag
+ * @route   GET /api/interns/:id/escalations?type=&page=&limit=
+ * @access  Private/Admin/Supervisor
+ */
+exports.getInternEscalations = async (req, res) => {
+  try {
+    const intern = await Intern.findById(req.params.id)
+      .select('name department supervisor attendanceFlag')
+      .populate('attendanceFlag.clearedBy', 'name email');
+
+    if (!intern) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Intern not found'
+      });
+    }
+
+    if (!InternRequestService.canManage(req.user, intern)) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'You can only view escalations for interns you supervise'
+      });
+    }
+
+    const { type } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const filter = { internId: intern._id };
+    if (type) filter.type = type;
+
+    const [escalations, total] = await Promise.all([
+      Escalation.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('resolvedBy', 'name email'),
+      Escalation.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      count: escalations.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: {
+        attendanceFlag: intern.attendanceFlag,
+        escalations
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Clear the attendance flag raised by an escalation
+ * @route   DELETE /api/interns/:id/attendance-flag
+ * @access  Private/Admin
+ */
+exports.clearAttendanceFlag = async (req, res) => {
+  try {
+    const intern = await Intern.findById(req.params.id);
+
+    if (!intern) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Intern not found'
+      });
+    }
+
+    if (!intern.attendanceFlag?.flagged) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This intern is not flagged',
+        code: 'NOT_FLAGGED'
+      });
+    }
+
+    intern.attendanceFlag.flagged = false;
+    intern.attendanceFlag.clearedAt = new Date();
+    intern.attendanceFlag.clearedBy = req.user._id;
+    await intern.save();
+
+    if (intern.attendanceFlag.escalationId) {
+      await Escalation.findByIdAndUpdate(intern.attendanceFlag.escalationId, {
+        resolvedAt: intern.attendanceFlag.clearedAt,
+        resolvedBy: req.user._id
+      });
+    }
+
+    console.log(`🏳️ Attendance flag of ${intern.name} cleared by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: intern.attendanceFlag
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -1,4 +1,6 @@
 const Geofence = require('../models/geofence.model');
+const Site = require('../models/site.model');
+const AttendancePolicy = require('../services/attendancePolicy.service');
 
 /**
  * @desc    Create new geofence
@@ -16,14 +18,28 @@ exports.createGeofence = async (req, res) => {
       address,
       departments,
       allowedDays,
-      allowedHours
+      allowedHours,
+      timezone,
+      shape = 'circle',
+      area,
+      zoneType,
+      siteId
     } = req.body;
     
-    // Validate required fields
-    if (!name || !latitude || !longitude) {
+    // Validate required fields (polygons are defined by their area instead of a centre)
+    if (!name || (shape === 'polygon' ? !area : (!latitude || !longitude))) {
       return res.status(400).json({
         status: 'fail',
-        message: 'Name, latitude, and longitude are required'
+        message: shape === 'polygon'
+          ? 'Name and area (GeoJSON Polygon or MultiPolygon) are required'
+          : 'Name, latitude, and longitude are required'
+      });
+    }
+    
+    if (siteId && !(await Site.exists({ _id: siteId }))) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Site not found'
       });
     }
     
@@ -31,15 +47,20 @@ exports.createGeofence = async (req, res) => {
     const geofence = await Geofence.create({
       name,
       description,
+      shape,
+      area: shape === 'polygon' ? area : undefined,
+      zoneType,
+      siteId,
       location: {
         type: 'Point',
-        coordinates: [longitude, latitude] // GeoJSON format: [lon, lat]
+        coordinates: shape === 'polygon' ? undefined : [longitude, latitude] // GeoJSON format: [lon, lat]
       },
       radius: radius || 100,
       address,
       departments: departments || [],
       allowedDays: allowedDays || [1, 2, 3, 4, 5],
       allowedHours: allowedHours || { start: "06:00", end: "20:00" },
+      timezone,
       createdBy: req.user._id
     });
     
@@ -64,14 +85,18 @@ exports.createGeofence = async (req, res) => {
  */
 exports.getAllGeofences = async (req, res) => {
   try {
-    const { isActive, department } = req.query;
+    const { isActive, department, siteId, zoneType, shape } = req.query;
     
     const query = {};
     if (isActive !== undefined) query.isActive = isActive === 'true';
     if (department) query.departments = department;
+    if (siteId) query.siteId = siteId;
+    if (zoneType) query.zoneType = zoneType;
+    if (shape) query.shape = shape;
     
     const geofences = await Geofence.find(query)
       .populate('createdBy', 'name email')
+      .populate('siteId', 'name')
       .sort({ createdAt: -1 });
     
     res.status(200).json({
@@ -97,7 +122,8 @@ exports.getAllGeofences = async (req, res) => {
 exports.getGeofenceById = async (req, res) => {
   try {
     const geofence = await Geofence.findById(req.params.id)
-      .populate('createdBy', 'name email');
+      .populate('createdBy', 'name email')
+      .populate('siteId', 'name');
     
     if (!geofence) {
       return res.status(404).json({
@@ -135,7 +161,12 @@ exports.updateGeofence = async (req, res) => {
       departments,
       allowedDays,
       allowedHours,
-      isActive
+      timezone,
+      isActive,
+      shape,
+      area,
+      zoneType,
+      siteId
     } = req.body;
     
     const geofence = await Geofence.findById(req.params.id);
@@ -147,10 +178,21 @@ exports.updateGeofence = async (req, res) => {
       });
     }
     
+    if (siteId && !(await Site.exists({ _id: siteId }))) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Site not found'
+      });
+    }
+    
     // Update fields
     if (name) geofence.name = name;
+    if (shape) geofence.shape = shape;
+    if (area) geofence.area = area;
+    if (zoneType) geofence.zoneType = zoneType;
+    if (siteId !== undefined) geofence.siteId = siteId || undefined;
     if (description !== undefined) geofence.description = description;
-    if (latitude && longitude) {
+    if (latitude && longitude && geofence.shape !== 'polygon') {
       geofence.location.coordinates = [longitude, latitude];
     }
     if (radius) geofence.radius = radius;
@@ -158,6 +200,7 @@ exports.updateGeofence = async (req, res) => {
     if (departments) geofence.departments = departments;
     if (allowedDays) geofence.allowedDays = allowedDays;
     if (allowedHours) geofence.allowedHours = allowedHours;
+    if (timezone !== undefined) geofence.timezone = timezone || undefined;
     if (isActive !== undefined) geofence.isActive = isActive;
     
     await geofence.save();
@@ -224,16 +267,20 @@ exports.findNearbyGeofences = async (req, res) => {
       });
     }
     
-    const geofences = await Geofence.findNearby(latitude, longitude, maxDistance);
+    const geofences = await Geofence.findNearby(latitude, longitude, maxDistance, { includeExclusions: true });
+    const timeZone = await AttendancePolicy.getTimezone();
     
-    // Add distance and validation info for each geofence
+    // Add distance and validation info for each geofence (circles and polygons alike)
+    const exclusions = geofences.filter(g => g.zoneType === 'exclude' && g.isWithinGeofence(latitude, longitude));
     const geofencesWithDetails = geofences.map(geofence => {
-      const validation = geofence.validateLocation(latitude, longitude);
+      const validation = geofence.validateLocation(latitude, longitude, timeZone);
+      const exclusion = geofence.zoneType === 'exclude' ? null : exclusions.find(zone => zone.excludes(geofence));
       return {
         ...geofence.toObject(),
-        distance: Math.round(validation.distance),
-        isValid: validation.valid,
-        validationMessage: validation.message
+        distance: Math.round(geofence.getDistance(latitude, longitude)),
+        isInside: geofence.isWithinGeofence(latitude, longitude),
+        isValid: geofence.zoneType !== 'exclude' && validation.valid && !exclusion,
+        validationMessage: exclusion ? `Check-in is not allowed in ${exclusion.name}` : validation.message
       };
     });
     
@@ -268,11 +315,13 @@ exports.validateLocation = async (req, res) => {
       });
     }
     
-    const validGeofence = await Geofence.findValidGeofence(latitude, longitude, department);
+    const timeZone = await AttendancePolicy.getTimezone(department);
+    const validGeofence = await Geofence.findValidGeofence(latitude, longitude, department, timeZone);
     
     if (!validGeofence) {
       // Find nearest geofence for helpful error message
-      const nearbyGeofences = await Geofence.findNearby(latitude, longitude, 1000);
+      const zones = await Geofence.findNearby(latitude, longitude, 1000, { includeExclusions: true });
+      const nearbyGeofences = zones.filter(zone => zone.zoneType !== 'exclude');
       
       if (nearbyGeofences.length === 0) {
         return res.status(403).json({
@@ -284,17 +333,24 @@ exports.validateLocation = async (req, res) => {
       }
       
       const nearest = nearbyGeofences[0];
-      const validation = nearest.validateLocation(latitude, longitude);
+      const validation = nearest.validateLocation(latitude, longitude, timeZone);
+      
+      // Inside the nearest zone but standing in an exclusion zone
+      const exclusion = validation.valid
+        ? zones.find(zone => zone.zoneType === 'exclude' && zone.isWithinGeofence(latitude, longitude) && zone.excludes(nearest))
+        : null;
       
       return res.status(403).json({
         status: 'fail',
-        message: validation.message,
+        message: exclusion ? `Check-in is not allowed in ${exclusion.name}` : validation.message,
         isValid: false,
         valid: false,
         nearestLocation: {
           name: nearest.name,
-          distance: Math.round(validation.distance),
-          radius: nearest.radius
+          shape: nearest.shape,
+          site: nearest.siteId?.name,
+          distance: Math.round(nearest.getDistance(latitude, longitude)),
+          radius: nearest.shape === 'polygon' ? null : nearest.radius
         }
       });
     }
@@ -308,6 +364,8 @@ exports.validateLocation = async (req, res) => {
         geofence: {
           id: validGeofence.geofence._id,
           name: validGeofence.geofence.name,
+          shape: validGeofence.geofence.shape,
+          site: validGeofence.geofence.siteId?.name,
           distance: Math.round(validGeofence.validation.distance)
         }
       }
@@ -0,0 +1,298 @@
+const Holiday = require('../models/holiday.model');
+const { parseICS } = require('../utils/ical.utils');
+const { formatDateKey } = require('../utils/timezone.utils');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const HOLIDAY_TYPES = ['public_holiday', 'closure', 'half_day'];
+
+// Check a "YYYY-MM-DD" value names a real day (rejects 2026-13-45, 2026-02-30)
+const isCalendarDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = Holiday.toCalendarDate(value);
+  return !isNaN(date) && formatDateKey(date, 'UTC') === value;
+};
+
+/**
+ * @desc    Get organization calendar entries
+ * @route   GET /api/holidays
+ * @access  Private
+ */
+exports.getHolidays = async (req, res) => {
+  try {
+    const { year, from, to, type, department } = req.query;
+    const filter = {};
+
+    if (type) filter.type = type;
+    if (department) filter.$or = [{ departments: department }, { departments: { $size: 0 } }];
+
+    // Entries overlapping the requested period (recurring entries always match)
+    const rangeStart = from || (year ? `${year}-01-01` : null);
+    const rangeEnd = to || (year ? `${year}-12-31` : null);
+    if ((rangeStart && !isCalendarDate(rangeStart)) || (rangeEnd && !isCalendarDate(rangeEnd))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid date range. Use YYYY-MM-DD for from/to and a 4-digit year'
+      });
+    }
+    if (rangeStart || rangeEnd) {
+      const range = {};
+      if (rangeEnd) range.date = { $lte: Holiday.toCalendarDate(rangeEnd) };
+      if (rangeStart) {
+        range.$or = [
+          { endDate: { $gte: Holiday.toCalendarDate(rangeStart) } },
+          { endDate: null, date: { $gte: Holiday.toCalendarDate(rangeStart) } }
+        ];
+      }
+      filter.$and = [{ $or: [{ recurring: true }, range] }];
+    }
+
+    const holidays = await Holiday.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ date: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: holidays.length,
+      data: holidays
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a calendar entry
+ * @route   GET /api/holidays/:id
+ * @access  Private
+ */
+exports.getHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!holiday) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Holiday not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: holiday
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a calendar entry (holiday, closure or half-day)
+ * @route   POST /api/holidays
+ * @access  Private/Admin
+ */
+exports.createHoliday = async (req, res) => {
+  try {
+    const { name, description, type, date, endDate, recurring, departments, workingHours } = req.body;
+
+    if (!name || !isCalendarDate(date) || (endDate && !isCalendarDate(endDate))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Name and date (YYYY-MM-DD) are required'
+      });
+    }
+
+    if (type && !HOLIDAY_TYPES.includes(type)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Invalid type. Use one of: ${HOLIDAY_TYPES.join(', ')}`
+      });
+    }
+
+    const holiday = await Holiday.create({
+      name,
+      description,
+      type,
+      date: Holiday.toCalendarDate(date),
+      endDate: endDate ? Holiday.toCalendarDate(endDate) : undefined,
+      recurring: !!recurring,
+      departments: departments || [],
+      workingHours,
+      createdBy: req.user._id
+    });
+
+    console.log(`📅 Calendar entry created: ${name} (${date}) by ${req.user.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: holiday
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a calendar entry
+ * @route   PUT /api/holidays/:id
+ * @access  Private/Admin
+ */
+exports.updateHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Holiday not found'
+      });
+    }
+
+    const { name, description, type, date, endDate, recurring, departments, workingHours } = req.body;
+
+    if ((date !== undefined && !isCalendarDate(date)) || (endDate && !isCalendarDate(endDate))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid date format. Please use YYYY-MM-DD'
+      });
+    }
+
+    if (type && !HOLIDAY_TYPES.includes(type)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Invalid type. Use one of: ${HOLIDAY_TYPES.join(', ')}`
+      });
+    }
+
+    if (name !== undefined) holiday.name = name;
+    if (description !== undefined) holiday.description = description;
+    if (type !== undefined) holiday.type = type;
+    if (date !== undefined) holiday.date = Holiday.toCalendarDate(date);
+    if (endDate !== undefined) holiday.endDate = endDate ? Holiday.toCalendarDate(endDate) : undefined;
+    if (recurring !== undefined) holiday.recurring = !!recurring;
+    if (departments !== undefined) holiday.departments = departments;
+    if (workingHours !== undefined) holiday.workingHours = workingHours;
+
+    await holiday.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: holiday
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a calendar entry
+ * @route   DELETE /api/holidays/:id
+ * @access  Private/Admin
+ */
+exports.deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Holiday not found'
+      });
+    }
+
+    console.log(`🗑️ Calendar entry deleted: ${holiday.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Holiday deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Import calendar entries from an iCalendar (.ics) file
+ * @route   POST /api/holidays/import
+ * @access  Private/Admin
+ * Accepts the raw file (Content-Type: text/calendar) or JSON { ics, type, departments }
+ * Entries are matched on their UID so re-importing a calendar updates it
+ */
+exports.importHolidays = async (req, res) => {
+  try {
+    const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+    const type = req.query.type || req.body?.type || 'public_holiday';
+    const departments = req.body?.departments || [];
+
+    if (!ics || !ics.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'A valid iCalendar (.ics) document is required'
+      });
+    }
+
+    if (!HOLIDAY_TYPES.includes(type)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Invalid type. Use one of: ${HOLIDAY_TYPES.join(', ')}`
+      });
+    }
+
+    const events = parseICS(ics);
+    let created = 0;
+    let updated = 0;
+
+    for (const event of events) {
+      const values = {
+        name: event.name,
+        description: event.description,
+        type,
+        date: Holiday.toCalendarDate(event.startDate),
+        endDate: event.endDate !== event.startDate ? Holiday.toCalendarDate(event.endDate) : undefined,
+        recurring: event.recurring,
+        departments,
+        source: { type: 'ics', uid: event.uid }
+      };
+
+      const existing = event.uid ? await Holiday.findOne({ 'source.uid': event.uid }) : null;
+      if (existing) {
+        existing.set(values);
+        await existing.save();
+        updated++;
+      } else {
+        await Holiday.create({ ...values, createdBy: req.user._id });
+        created++;
+      }
+    }
+
+    console.log(`📅 Imported ${events.length} calendar entries (${created} new, ${updated} updated) by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        total: events.length,
+        created,
+        updated
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
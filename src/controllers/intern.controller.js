@@ -2,6 +2,8 @@ const User = require('../models/user.model');
 const Intern = require('../models/intern.model');
 const Attendance = require('../models/attendance.model');
 const { NotificationService } = require('./notification.controller');
+const WebhookService = require('../services/webhook.service');
+const InternImportService = require('../services/internImport.service');
 
 /**
  * @desc    Get intern by user ID
@@ -156,6 +158,17 @@ exports.createIntern = async (req, res) => {
       // Don't fail the intern creation if notification creation fails
     }
     
+    WebhookService.emit('intern.created', {
+      internId: intern._id,
+      employeeId: intern.employeeId,
+      name: intern.name,
+      email: intern.email,
+      department: intern.department,
+      position: intern.position,
+      startDate: intern.startDate,
+      supervisorId: intern.supervisor
+    });
+    
     res.status(201).json({
       status: 'success',
       data: { intern: populatedIntern }
@@ -168,6 +181,77 @@ exports.createIntern = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Import interns from a CSV file or JSON list
+ * @route   POST /api/interns/import?dryRun=&sendWelcomeEmails=
+ * @access  Private/Admin
+ * Accepts the raw file (Content-Type: text/csv) or JSON { csv } / { interns: [...] }
+ * (options may also be sent in the JSON body). Every row is validated first and
+ * nothing is created unless all rows are valid; dryRun only returns the report
+ */
+exports.importInterns = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const options = typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const isEnabled = (value) => value === true || value === 'true';
+
+    let parsed;
+    if (typeof body === 'string' || typeof options.csv === 'string') {
+      parsed = InternImportService.parseCsv(typeof body === 'string' ? body : options.csv);
+    } else if (Array.isArray(body) || Array.isArray(options.interns)) {
+      parsed = InternImportService.parseJson(Array.isArray(body) ? body : options.interns);
+    } else {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Send a CSV file (Content-Type: text/csv) or JSON { csv } or { interns: [...] }'
+      });
+    }
+
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'The import contains no interns'
+      });
+    }
+
+    if (parsed.rows.length > InternImportService.MAX_ROWS) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Import at most ${InternImportService.MAX_ROWS} interns at a time`
+      });
+    }
+
+    const report = await InternImportService.importRows(parsed.rows, {
+      dryRun: isEnabled(req.query.dryRun ?? options.dryRun),
+      sendWelcomeEmails: isEnabled(req.query.sendWelcomeEmails ?? options.sendWelcomeEmails)
+    });
+    report.unknownColumns = parsed.unknownColumns;
+
+    if (report.invalid > 0 && !report.dryRun) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `${report.invalid} of ${report.total} row(s) are invalid; no interns were imported`,
+        code: 'INVALID_ROWS',
+        data: report
+      });
+    }
+
+    if (report.imported) {
+      console.log(`📥 Imported ${report.created} intern(s) by ${req.user.email}`);
+    }
+
+    res.status(report.imported ? 201 : 200).json({
+      status: 'success',
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get single intern
  * @route   GET /api/interns/:id
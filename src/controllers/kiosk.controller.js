@@ -0,0 +1,254 @@
+const QRCode = require('qrcode');
+const Kiosk = require('../models/kiosk.model');
+const Geofence = require('../models/geofence.model');
+
+/**
+ * @desc    Register a kiosk device for a geofence
+ * @route   POST /api/kiosks
+ * @access  Private/Admin
+ * The device key is returned once; the kiosk sends it as X-Kiosk-Key
+ */
+exports.createKiosk = async (req, res) => {
+  try {
+    const { name, description, geofenceId, tokenTtlSeconds } = req.body;
+
+    if (!name || !geofenceId) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Name and geofence are required'
+      });
+    }
+
+    const geofence = await Geofence.findById(geofenceId);
+    if (!geofence) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Geofence not found'
+      });
+    }
+
+    const kiosk = new Kiosk({
+      name,
+      description,
+      geofenceId,
+      tokenTtlSeconds,
+      createdBy: req.user._id
+    });
+    const deviceKey = kiosk.issueDeviceKey();
+    await kiosk.save();
+
+    console.log(`📟 Kiosk registered: ${name} at ${geofence.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        kiosk: await Kiosk.findById(kiosk._id).populate('geofenceId', 'name'),
+        deviceKey
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get all kiosks
+ * @route   GET /api/kiosks
+ * @access  Private (Admin/Supervisor)
+ */
+exports.getKiosks = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.geofenceId) filter.geofenceId = req.query.geofenceId;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const kiosks = await Kiosk.find(filter)
+      .populate('geofenceId', 'name departments')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: kiosks.length,
+      data: { kiosks }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a kiosk
+ * @route   GET /api/kiosks/:id
+ * @access  Private (Admin/Supervisor)
+ */
+exports.getKiosk = async (req, res) => {
+  try {
+    const kiosk = await Kiosk.findById(req.params.id)
+      .populate('geofenceId', 'name departments')
+      .populate('createdBy', 'name email');
+
+    if (!kiosk) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Kiosk not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: { kiosk }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a kiosk
+ * @route   PUT /api/kiosks/:id
+ * @access  Private/Admin
+ */
+exports.updateKiosk = async (req, res) => {
+  try {
+    const kiosk = await Kiosk.findById(req.params.id);
+
+    if (!kiosk) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Kiosk not found'
+      });
+    }
+
+    const { name, description, geofenceId, tokenTtlSeconds, isActive } = req.body;
+
+    if (geofenceId && !(await Geofence.exists({ _id: geofenceId }))) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Geofence not found'
+      });
+    }
+
+    if (name !== undefined) kiosk.name = name;
+    if (description !== undefined) kiosk.description = description;
+    if (geofenceId !== undefined) kiosk.geofenceId = geofenceId;
+    if (tokenTtlSeconds !== undefined) kiosk.tokenTtlSeconds = tokenTtlSeconds;
+    if (isActive !== undefined) kiosk.isActive = isActive;
+
+    await kiosk.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: { kiosk }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a kiosk
+ * @route   DELETE /api/kiosks/:id
+ * @access  Private/Admin
+ */
+exports.deleteKiosk = async (req, res) => {
+  try {
+    const kiosk = await Kiosk.findByIdAndDelete(req.params.id);
+
+    if (!kiosk) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Kiosk not found'
+      });
+    }
+
+    console.log(`🗑️ Kiosk deleted: ${kiosk.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Kiosk deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Issue a new device key (the old key and displayed QR codes stop working)
+ * @route   POST /api/kiosks/:id/rotate-key
+ * @access  Private/Admin
+ */
+exports.rotateKioskKey = async (req, res) => {
+  try {
+    const kiosk = await Kiosk.findById(req.params.id);
+
+    if (!kiosk) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Kiosk not found'
+      });
+    }
+
+    const deviceKey = kiosk.issueDeviceKey();
+    await kiosk.save();
+
+    console.log(`🔑 Kiosk key rotated: ${kiosk.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: { deviceKey }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the current QR code to display on the kiosk
+ * @route   GET /api/kiosks/:id/qr
+ * @access  Kiosk device (X-Kiosk-Key header)
+ * The kiosk should request a new code every refreshInSeconds
+ */
+exports.getKioskQr = async (req, res) => {
+  try {
+    const kiosk = req.kiosk;
+    const { token, expiresAt } = kiosk.generateQrToken();
+    const qrCode = await QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 1, width: 360 });
+
+    kiosk.lastSeenAt = new Date();
+    await kiosk.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        token,
+        qrCode,
+        expiresAt,
+        refreshInSeconds: Math.max(5, Math.floor(kiosk.tokenTtlSeconds / 2))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,316 @@
+const Leave = require('../models/leave.model');
+const Intern = require('../models/intern.model');
+const { NotificationService } = require('./notification.controller');
+const AttendancePolicy = require('../services/attendancePolicy.service');
+const InternRequestService = require('../services/internRequest.service');
+const LeaveService = require('../services/leave.service');
+const WebhookService = require('../services/webhook.service');
+const { parseDate, parseEndOfDay, formatDateKey } = require('../utils/timezone.utils');
+
+// Date range labels used in notifications
+const describeRange = (leave, timeZone) => ({
+  startDate: formatDateKey(leave.startDate, timeZone),
+  endDate: formatDateKey(leave.endDate, timeZone)
+});
+
+/**
+ * @desc    Submit a leave request
+ * @route   POST /api/leaves
+ * @access  Private (Interns for themselves, Admin/Supervisor for any intern)
+ */
+exports.createLeaveRequest = async (req, res) => {
+  try {
+    const { type, startDate, endDate, reason, attachment } = req.body;
+
+    if (!type || !startDate || !endDate || !reason) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Type, start date, end date and reason are required'
+      });
+    }
+
+    if (!Leave.LEAVE_REASONS[type]) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Invalid leave type. Use one of: ${Object.keys(Leave.LEAVE_REASONS).join(', ')}`
+      });
+    }
+
+    // Interns request leave for themselves; admins/supervisors may file on behalf of an intern
+    const intern = req.user.role === 'intern' || !req.body.internId
+      ? await Intern.findOne({ userId: req.user._id })
+      : await Intern.findById(req.body.internId);
+
+    if (!intern) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Intern not found'
+      });
+    }
+
+    // Leave covers whole days in the intern's timezone
+    const timeZone = await AttendancePolicy.getTimezone(intern.department);
+    const parsedStartDate = parseDate(startDate, timeZone);
+    const parsedEndDate = parseEndOfDay(endDate, timeZone);
+
+    if (isNaN(parsedStartDate) || isNaN(parsedEndDate) || parsedEndDate < parsedStartDate) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid date range'
+      });
+    }
+
+    const overlapping = await Leave.findOverlapping(intern._id, parsedStartDate, parsedEndDate);
+    if (overlapping.length > 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'A pending or approved leave request already covers part of this period',
+        code: 'LEAVE_OVERLAP'
+      });
+    }
+
+    const leave = await Leave.create({
+      internId: intern._id,
+      type,
+      startDate: parsedStartDate,
+      endDate: parsedEndDate,
+      reason,
+      attachment: typeof attachment === 'string' ? { url: attachment } : attachment,
+      requestedBy: req.user._id
+    });
+
+    try {
+      await NotificationService.createLeaveNotification(
+        'leave_requested',
+        leave,
+        intern,
+        describeRange(leave, timeZone)
+      );
+    } catch (notificationError) {
+      console.error('Failed to create leave request notification:', notificationError);
+    }
+
+    WebhookService.emit('leave.requested', WebhookService.leaveData(leave, intern));
+
+    res.status(201).json({
+      status: 'success',
+      data: leave
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get leave requests
+ * @route   GET /api/leaves
+ * @access  Private (Interns see their own requests, supervisors those of their interns)
+ */
+exports.getLeaveRequests = async (req, res) => {
+  try {
+    const { status, type, internId, department, startDate, endDate } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    // Interns see their own requests, supervisors those of their interns
+    const scope = await InternRequestService.getScopeFilter(req.user, { internId, department });
+    if (!scope) {
+      return res.status(200).json({
+        status: 'success',
+        count: 0,
+        data: []
+      });
+    }
+    Object.assign(filter, scope);
+
+    // Leave overlapping the requested period
+    if (startDate || endDate) {
+      const timeZone = await AttendancePolicy.getTimezone();
+      if (endDate) filter.startDate = { $lte: parseEndOfDay(endDate, timeZone) };
+      if (startDate) filter.endDate = { $gte: parseDate(startDate, timeZone) };
+    }
+
+    const leaves = await Leave.find(filter)
+      .sort({ startDate: -1 })
+      .populate(InternRequestService.INTERN_POPULATE)
+      .populate('reviewedBy', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      count: leaves.length,
+      data: leaves
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a single leave request
+ * @route   GET /api/leaves/:id
+ * @access  Private (Interns see their own requests, supervisors those of their interns)
+ */
+exports.getLeaveRequest = async (req, res) => {
+  try {
+    const leave = await Leave.findById(req.params.id)
+      .populate(InternRequestService.INTERN_POPULATE)
+      .populate('reviewedBy', 'name email');
+
+    if (!leave || !InternRequestService.canAccess(req.user, leave)) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Leave request not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: leave
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Approve or reject a pending leave request
+ * Supervisors can only review interns assigned to them
+ */
+const reviewLeaveRequest = async (req, res, decision) => {
+  const leave = await Leave.findById(req.params.id).populate(InternRequestService.INTERN_POPULATE);
+
+  if (!leave) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Leave request not found'
+    });
+  }
+
+  const reviewError = InternRequestService.getReviewError(req.user, leave, 'leave request');
+  if (reviewError) {
+    return res.status(reviewError.statusCode).json({
+      status: 'fail',
+      message: reviewError.message
+    });
+  }
+
+  const intern = leave.internId;
+  InternRequestService.setDecision(leave, decision, req.user, req.body.note);
+
+  // Approved leave produces excused attendance rows
+  if (decision === 'approved') {
+    leave.excusedDays = await LeaveService.applyApprovedLeave(leave, intern);
+  }
+
+  await leave.save();
+
+  try {
+    const timeZone = await AttendancePolicy.getTimezone(intern.department);
+    await NotificationService.createLeaveNotification(
+      decision === 'approved' ? 'leave_approved' : 'leave_rejected',
+      leave,
+      intern,
+      {
+        ...describeRange(leave, timeZone),
+        reviewNote: leave.reviewNote
+      }
+    );
+  } catch (notificationError) {
+    console.error('Failed to create leave decision notification:', notificationError);
+  }
+
+  WebhookService.emit(`leave.${decision}`, WebhookService.leaveData(leave, intern));
+
+  res.status(200).json({
+    status: 'success',
+    data: leave
+  });
+};
+
+/**
+ * @desc    Approve a leave request
+ * @route   PATCH /api/leaves/:id/approve
+ * @access  Private (Admin/Supervisor)
+ */
+exports.approveLeaveRequest = async (req, res) => {
+  try {
+    await reviewLeaveRequest(req, res, 'approved');
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reject a leave request
+ * @route   PATCH /api/leaves/:id/reject
+ * @access  Private (Admin/Supervisor)
+ */
+exports.rejectLeaveRequest = async (req, res) => {
+  try {
+    await reviewLeaveRequest(req, res, 'rejected');
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a leave request
+ * @route   PATCH /api/leaves/:id/cancel
+ * @access  Private (Interns cancel their own pending requests, supervisors their interns', admins any)
+ */
+exports.cancelLeaveRequest = async (req, res) => {
+  try {
+    const leave = await Leave.findById(req.params.id).populate(InternRequestService.INTERN_POPULATE);
+
+    if (!leave || !InternRequestService.canAccess(req.user, leave)) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Leave request not found'
+      });
+    }
+
+    const cancellable = req.user.role === 'intern' ? ['pending'] : ['pending', 'approved'];
+    if (!cancellable.includes(leave.status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Cannot cancel a leave request that is ${leave.status}`
+      });
+    }
+
+    // Undo the excused rows written when the leave was approved
+    if (leave.status === 'approved') {
+      await LeaveService.revokeLeave(leave, req.user._id);
+      leave.excusedDays = 0;
+    }
+
+    leave.status = 'cancelled';
+    await leave.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: leave
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
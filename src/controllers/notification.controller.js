@@ -1,5 +1,9 @@
 const Notification = require('../models/notification.model');
-const User = require('../models/user.model');
+const TemplateService = require('../services/template.service');
+const RealtimeService = require('../services/realtime.service');
+const NotificationRoutingService = require('../services/notificationRouting.service');
+const MailService = require('../services/mail.service');
+const { generateStreamToken } = require('../utils/jwt.utils');
 
 /**
  * Notification Controller for handling notification operations
@@ -74,6 +78,8 @@ const markAsRead = async (req, res) => {
       });
     }
 
+    pushUnreadCount(userId);
+
     res.status(200).json({
       status: 'success',
       data: notification,
@@ -102,6 +108,8 @@ const markAllAsRead = async (req, res) => {
       }
     );
 
+    pushUnreadCount(userId);
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -137,6 +145,8 @@ const deleteNotification = async (req, res) => {
       });
     }
 
+    pushUnreadCount(userId);
+
     res.status(200).json({
       status: 'success',
       message: 'Notification deleted successfully'
@@ -151,11 +161,61 @@ const deleteNotification = async (req, res) => {
   }
 };
 
+// Open a Server-Sent Events stream of notifications, unread counts and live check-ins
+const streamNotifications = async (req, res) => {
+  try {
+    await RealtimeService.subscribe(req, res);
+  } catch (error) {
+    console.error('Open notification stream error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to open notification stream',
+      details: error.message
+    });
+  }
+};
+
+// Issue a short-lived token for opening the stream with EventSource (?token=)
+const getStreamToken = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        token: generateStreamToken(req.user),
+        expiresIn: 60
+      }
+    });
+  } catch (error) {
+    console.error('Get stream token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create stream token',
+      details: error.message
+    });
+  }
+};
+
+// Tell the user's open streams their unread count changed (never fails the request)
+const pushUnreadCount = (userId) => {
+  RealtimeService.publishUnreadCount(userId).catch(error => {
+    console.error('Push unread count error:', error);
+  });
+};
+
 // Create notification (internal use)
 const createNotification = async (notificationData) => {
   try {
     const notification = new Notification(notificationData);
     await notification.save();
+
+    // Push to the recipient's open streams without delaying the caller
+    // (digest-only notifications wait for the daily digest email; nothing is pushed in quiet hours)
+    if (notification.delivery?.channel !== 'digest' && !notification.delivery?.quiet) {
+      RealtimeService.publishNotification(notification).catch(error => {
+        console.error('Push notification error:', error);
+      });
+    }
+
     return notification;
   } catch (error) {
     console.error('Create notification error:', error);
@@ -163,105 +223,128 @@ const createNotification = async (notificationData) => {
   }
 };
 
+// Email a copy of a notification to a user whose preference is email
+const emailNotification = async (notification, user) => {
+  try {
+    const { variables } = await TemplateService.getContext();
+    const { subject, html } = await TemplateService.renderEmail('email.notification', {
+      userName: user.name,
+      title: notification.title,
+      message: notification.message,
+      priority: notification.priority,
+      actionUrl: notification.actionUrl ? `${variables.frontendUrl}${notification.actionUrl}` : null,
+      preferencesUrl: `${variables.frontendUrl}/dashboard/settings/notifications`
+    });
+
+    await MailService.send(
+      { to: user.notificationEmail || user.email, subject, html },
+      { category: 'notification', metadata: { notificationId: notification._id } }
+    );
+  } catch (error) {
+    // The in-app notification exists - don't fail the caller
+    console.error(`Failed to email notification ${notification._id}:`, error.message);
+  }
+};
+
+// Create the notification for every recipient the routing rules pick, through
+// each recipient's preferred channel
+// skipQuiet leaves out recipients in their quiet hours (reminders that would be stale later)
+const dispatchNotification = async ({ eventType, priority, internData = null, defaultTargets, skipQuiet = false }, notificationData) => {
+  const recipients = (await NotificationRoutingService.route({ eventType, priority }, { internData, defaultTargets }))
+    .filter(({ quiet }) => !(skipQuiet && quiet));
+
+  if (recipients.length === 0) {
+    // Reminders are routinely held back (muted or quiet hours) - only warn for alerts
+    if (!skipQuiet) console.warn(`⚠️ No recipients for ${eventType} notification`);
+    return [];
+  }
+
+  const notifications = [];
+
+  for (const { user, recipientRole, channel, quiet } of recipients) {
+    const notification = await createNotification({
+      ...notificationData,
+      priority,
+      recipient: user._id,
+      recipientRole,
+      delivery: { channel, quiet }
+    });
+
+    if (channel === 'email') {
+      await emailNotification(notification, user);
+    }
+
+    notifications.push(notification);
+  }
+
+  return notifications;
+};
+
 // Notification service functions for generating notifications
+// Recipients come from the notification routing rules; the targets passed as
+// defaultTargets apply when no rule matches the event
 const NotificationService = {
   // Create attendance-related notifications
   async createAttendanceNotification(type, internData, additionalData = {}) {
     try {
-      console.log('🔔 NotificationService.createAttendanceNotification called');
-      console.log('📝 Type:', type);
-      console.log('👤 Intern data:', internData);
-      console.log('📋 Additional data:', additionalData);
+      console.log(`🔔 Creating ${type} attendance notification`);
       
-      const admins = await User.find({ role: 'admin' });
-      console.log('👥 Found admins:', admins.length);
-      
-      if (admins.length === 0) {
-        console.warn('⚠️ No admin users found! Cannot create notifications.');
-        return [];
+      const internName = internData.userId?.name || internData.name || 'Unknown Intern';
+      let templateKey, actionUrl;
+
+      switch (type) {
+        case 'late_checkin':
+        case 'late':
+          templateKey = 'notification.late_checkin';
+          actionUrl = `/dashboard/attendance?internId=${internData._id}`;
+          break;
+        case 'missed_checkout':
+        case 'absent':
+        case 'present':
+        case 'excused':
+          templateKey = `notification.${type}`;
+          actionUrl = type === 'absent'
+            ? `/dashboard/attendance?date=${additionalData.date}`
+            : `/dashboard/attendance?internId=${internData._id}`;
+          break;
+        case 'perfect_attendance':
+          templateKey = 'notification.perfect_attendance';
+          actionUrl = `/dashboard/interns/${internData._id}`;
+          break;
+        default:
+          templateKey = 'notification.attendance_update';
+          actionUrl = `/dashboard/attendance`;
       }
-      
-      const notifications = [];
-
-      for (const admin of admins) {
-        let title, message, actionUrl;
-        const internName = internData.userId?.name || internData.name || 'Unknown Intern';
-
-        switch (type) {
-          case 'late_checkin':
-          case 'late':
-            title = additionalData.isManual ? 'Manual Late Marking' : 'Late Check-in Alert';
-            message = additionalData.isManual 
-              ? `${internName} was manually marked as late by ${additionalData.markedBy || 'Admin'}${additionalData.isBulk ? ' (bulk update)' : ''}` 
-              : `${internName} checked in late at ${additionalData.checkInTime}`;
-            actionUrl = `/dashboard/attendance?internId=${internData._id}`;
-            break;
-          case 'missed_checkout':
-            title = 'Missed Check-out';
-            message = `${internName} forgot to check out yesterday`;
-            actionUrl = `/dashboard/attendance?internId=${internData._id}`;
-            break;
-          case 'absent':
-            title = additionalData.isManual ? 'Manual Absent Marking' : 'Intern Absent';
-            message = additionalData.isManual 
-              ? `${internName} was manually marked as absent by ${additionalData.markedBy || 'Admin'}${additionalData.isBulk ? ' (bulk update)' : ''}` 
-              : `${internName} is absent today`;
-            actionUrl = `/dashboard/attendance?date=${additionalData.date}`;
-            break;
-          case 'present':
-            title = 'Manual Present Marking';
-            message = `${internName} was manually marked as present by ${additionalData.markedBy || 'Admin'}${additionalData.isBulk ? ' (bulk update)' : ''}`;
-            actionUrl = `/dashboard/attendance?internId=${internData._id}`;
-            break;
-          case 'excused':
-            title = 'Excused Absence';
-            message = `${internName} was marked as excused by ${additionalData.markedBy || 'Admin'}${additionalData.isBulk ? ' (bulk update)' : ''}`;
-            actionUrl = `/dashboard/attendance?internId=${internData._id}`;
-            break;
-          case 'perfect_attendance':
-            title = 'Perfect Attendance';
-            message = `${internName} has maintained perfect attendance for ${additionalData.days} days`;
-            actionUrl = `/dashboard/interns/${internData._id}`;
-            break;
-          default:
-            title = 'Attendance Update';
-            message = `Attendance update for ${internName}`;
-            actionUrl = `/dashboard/attendance`;
-        }
 
-        console.log(`📝 Creating notification for admin: ${admin.name || admin.email}`);
-        console.log('📋 Notification data:', {
-          title,
-          message,
-          type: 'attendance',
-          priority: type === 'absent' ? 'high' : 'medium',
-          recipient: admin._id,
-          recipientRole: 'admin'
-        });
-        
-        const notification = await createNotification({
-          title,
-          message,
-          type: 'attendance',
-          priority: type === 'absent' ? 'high' : 'medium',
-          recipient: admin._id,
-          recipientRole: 'admin',
-          relatedEntity: {
-            entityType: 'intern',
-            entityId: internData._id
-          },
-          actionUrl,
-          metadata: {
-            internName: internName,
-            internId: internData._id,
-            ...additionalData
-          }
-        });
-        
-        console.log(`✅ Notification created successfully:`, notification._id);
-        notifications.push(notification);
-      }
+      // Title and message come from the (admin-editable) template in the organization language
+      const { title, message } = await TemplateService.renderNotification(templateKey, {
+        ...additionalData,
+        internName,
+        markedBy: additionalData.markedBy || 'Admin'
+      });
+
+      const notifications = await dispatchNotification({
+        eventType: templateKey.replace('notification.', ''),
+        priority: type === 'absent' ? 'high' : 'medium',
+        internData,
+        defaultTargets: ['admins']
+      }, {
+        title,
+        message,
+        type: 'attendance',
+        relatedEntity: {
+          entityType: 'intern',
+          entityId: internData._id
+        },
+        actionUrl,
+        metadata: {
+          internName: internName,
+          internId: internData._id,
+          ...additionalData
+        }
+      });
 
+      console.log(`✅ Created ${notifications.length} ${type} notification(s)`);
       return notifications;
     } catch (error) {
       console.error('Create attendance notification error:', error);
@@ -272,84 +355,294 @@ const NotificationService = {
   // Create intern-related notifications
   async createInternNotification(type, internData, additionalData = {}) {
     try {
-      const admins = await User.find({ role: 'admin' });
-      const notifications = [];
-
-      for (const admin of admins) {
-        let title, message, actionUrl;
-
-        switch (type) {
-          case 'new_intern':
-            title = 'New Intern Added';
-            message = `${internData.name} has been added to the ${internData.department} team`;
-            actionUrl = `/dashboard/interns/${internData._id}`;
-            break;
-          case 'intern_updated':
-            title = 'Intern Profile Updated';
-            message = `${internData.name}'s profile has been updated`;
-            actionUrl = `/dashboard/interns/${internData._id}`;
-            break;
-          case 'low_attendance':
-            title = 'Low Attendance Alert';
-            message = `${internData.name} has low attendance (${additionalData.attendanceRate}%)`;
-            actionUrl = `/dashboard/interns/${internData._id}`;
-            break;
-          default:
-            title = 'Intern Update';
-            message = `Update for intern ${internData.name}`;
-            actionUrl = `/dashboard/interns`;
+      const templateKey = ['new_intern', 'intern_updated', 'low_attendance'].includes(type)
+        ? `notification.${type}`
+        : 'notification.intern_update';
+      const actionUrl = templateKey === 'notification.intern_update'
+        ? `/dashboard/interns`
+        : `/dashboard/interns/${internData._id}`;
+
+      const { title, message } = await TemplateService.renderNotification(templateKey, {
+        ...additionalData,
+        internName: internData.name,
+        department: internData.department
+      });
+
+      return dispatchNotification({
+        eventType: templateKey.replace('notification.', ''),
+        priority: type === 'low_attendance' ? 'high' : 'medium',
+        internData,
+        defaultTargets: ['admins']
+      }, {
+        title,
+        message,
+        type: 'intern',
+        relatedEntity: {
+          entityType: 'intern',
+          entityId: internData._id
+        },
+        actionUrl,
+        metadata: {
+          internName: internData.name,
+          internId: internData._id,
+          ...additionalData
         }
+      });
+    } catch (error) {
+      console.error('Create intern notification error:', error);
+      throw error;
+    }
+  },
 
-        const notification = await createNotification({
-          title,
-          message,
-          type: 'intern',
-          priority: type === 'low_attendance' ? 'high' : 'medium',
-          recipient: admin._id,
-          recipientRole: 'admin',
-          relatedEntity: {
-            entityType: 'intern',
-            entityId: internData._id
-          },
-          actionUrl,
-          metadata: {
-            internName: internData.name,
-            internId: internData._id,
-            ...additionalData
-          }
-        });
-
-        notifications.push(notification);
+  // Create leave-related notifications
+  // By default requests go to admins and the intern's supervisor; decisions go to the intern
+  async createLeaveNotification(type, leave, internData, additionalData = {}) {
+    try {
+      const internName = internData.userId?.name || internData.name || 'Unknown Intern';
+      let defaultTargets;
+
+      switch (type) {
+        case 'leave_requested':
+          defaultTargets = ['admins', 'supervisor'];
+          break;
+        case 'leave_approved':
+        case 'leave_rejected':
+          defaultTargets = ['intern'];
+          break;
+        default:
+          return [];
       }
 
-      return notifications;
+      const { title, message } = await TemplateService.renderNotification(`notification.${type}`, {
+        ...additionalData,
+        internName,
+        leaveType: leave.type.replace(/_/g, ' ')
+      });
+
+      return dispatchNotification({
+        eventType: type,
+        priority: 'medium',
+        internData,
+        defaultTargets
+      }, {
+        title,
+        message,
+        type: 'attendance',
+        relatedEntity: {
+          entityType: 'leave',
+          entityId: leave._id
+        },
+        actionUrl: `/dashboard/leaves/${leave._id}`,
+        metadata: {
+          internName,
+          internId: internData._id,
+          leaveType: leave.type,
+          ...additionalData
+        }
+      });
     } catch (error) {
-      console.error('Create intern notification error:', error);
+      console.error('Create leave notification error:', error);
       throw error;
     }
   },
 
-  // Create system notifications
-  async createSystemNotification(title, message, priority = 'medium', metadata = {}) {
+  // Create attendance correction notifications
+  // By default requests go to the intern's supervisor (admins when none is assigned); decisions go to the intern
+  async createCorrectionNotification(type, correction, internData, additionalData = {}) {
     try {
-      const admins = await User.find({ role: 'admin' });
-      const notifications = [];
-
-      for (const admin of admins) {
-        const notification = await createNotification({
-          title,
-          message,
-          type: 'system',
-          priority,
-          recipient: admin._id,
-          recipientRole: 'admin',
-          metadata
-        });
-
-        notifications.push(notification);
+      const internName = internData.userId?.name || internData.name || 'Unknown Intern';
+      let defaultTargets;
+
+      switch (type) {
+        case 'correction_requested':
+          defaultTargets = ['supervisor'];
+          break;
+        case 'correction_approved':
+        case 'correction_rejected':
+          defaultTargets = ['intern'];
+          break;
+        default:
+          return [];
       }
 
-      return notifications;
+      const { title, message } = await TemplateService.renderNotification(`notification.${type}`, {
+        ...additionalData,
+        internName
+      });
+
+      return dispatchNotification({
+        eventType: type,
+        priority: 'medium',
+        internData,
+        defaultTargets
+      }, {
+        title,
+        message,
+        type: 'attendance',
+        relatedEntity: {
+          entityType: 'correction',
+          entityId: correction._id
+        },
+        actionUrl: `/dashboard/corrections/${correction._id}`,
+        metadata: {
+          internName,
+          internId: internData._id,
+          ...additionalData
+        }
+      });
+    } catch (error) {
+      console.error('Create correction notification error:', error);
+      throw error;
+    }
+  },
+
+  // Create anti-fraud (location/device) notifications (admins by default)
+  async createFraudNotification(type, attendance, internData, additionalData = {}) {
+    try {
+      const internName = internData.userId?.name || internData.name || 'Unknown Intern';
+
+      if (!['location_rejected', 'location_flagged', 'device_rejected', 'device_flagged'].includes(type)) {
+        return [];
+      }
+
+      const { title, message } = await TemplateService.renderNotification(`notification.${type}`, {
+        ...additionalData,
+        internName,
+        isCheckOut: additionalData.event === 'check_out'
+      });
+
+      return dispatchNotification({
+        eventType: type,
+        priority: type.endsWith('_rejected') ? 'high' : 'medium',
+        internData,
+        defaultTargets: ['admins']
+      }, {
+        title,
+        message,
+        type: 'attendance',
+        relatedEntity: attendance
+          ? { entityType: 'attendance', entityId: attendance._id }
+          : { entityType: 'intern', entityId: internData._id },
+        actionUrl: attendance
+          ? '/dashboard/attendance/flagged'
+          : `/dashboard/attendance?internId=${internData._id}`,
+        metadata: {
+          internName,
+          internId: internData._id,
+          ...additionalData
+        }
+      });
+    } catch (error) {
+      console.error('Create fraud notification error:', error);
+      throw error;
+    }
+  },
+
+  // Create reminders and milestones for the intern about their own attendance (the intern by default)
+  // Reminders are not sent during the intern's quiet hours
+  async createInternReminderNotification(type, internData, additionalData = {}) {
+    try {
+      if (!['checkin_reminder', 'checkout_reminder', 'attendance_streak'].includes(type)) {
+        return [];
+      }
+
+      const { title, message } = await TemplateService.renderNotification(`notification.${type}`, additionalData);
+
+      return dispatchNotification({
+        eventType: type,
+        priority: type === 'attendance_streak' ? 'low' : 'medium',
+        internData,
+        defaultTargets: ['intern'],
+        skipQuiet: type !== 'attendance_streak'
+      }, {
+        title,
+        message,
+        type: 'attendance',
+        relatedEntity: {
+          entityType: 'intern',
+          entityId: internData._id
+        },
+        actionUrl: '/dashboard/attendance',
+        metadata: {
+          internId: internData._id,
+          eventType: type,
+          ...additionalData
+        }
+      });
+    } catch (error) {
+      console.error('Create intern reminder notification error:', error);
+      throw error;
+    }
+  },
+
+  // Create escalation notifications for repeated absences or late arrivals
+  // Each tier has its own default recipients (see EscalationService)
+  async createEscalationNotification(tier, escalation, internData, additionalData = {}) {
+    try {
+      const internName = internData.userId?.name || internData.name || 'Unknown Intern';
+      const tiers = {
+        remind_intern: { eventType: 'escalation_reminder', priority: 'medium', defaultTargets: ['intern'] },
+        alert_supervisor: { eventType: 'escalation_alert', priority: 'high', defaultTargets: ['supervisor'] },
+        warn_admins: { eventType: 'escalation_warning', priority: 'high', defaultTargets: ['admins'] },
+        flag_intern: { eventType: 'escalation_flag', priority: 'urgent', defaultTargets: ['admins', 'supervisor'] }
+      };
+
+      if (!tiers[tier]) {
+        return [];
+      }
+
+      const { eventType, priority, defaultTargets } = tiers[tier];
+      const { title, message } = await TemplateService.renderNotification(`notification.${eventType}`, {
+        ...additionalData,
+        internName,
+        count: escalation.streak,
+        isLate: escalation.type === 'late'
+      });
+
+      return dispatchNotification({
+        eventType,
+        priority,
+        internData,
+        defaultTargets
+      }, {
+        title,
+        message,
+        type: 'attendance',
+        relatedEntity: {
+          entityType: 'intern',
+          entityId: internData._id
+        },
+        actionUrl: tier === 'remind_intern'
+          ? '/dashboard/attendance'
+          : `/dashboard/interns/${internData._id}`,
+        metadata: {
+          internName,
+          internId: internData._id,
+          escalationId: escalation._id,
+          escalationType: escalation.type,
+          streak: escalation.streak,
+          ...additionalData
+        }
+      });
+    } catch (error) {
+      console.error('Create escalation notification error:', error);
+      throw error;
+    }
+  },
+
+  // Create system notifications (admins by default)
+  async createSystemNotification(title, message, priority = 'medium', metadata = {}) {
+    try {
+      return dispatchNotification({
+        eventType: 'system',
+        priority,
+        defaultTargets: ['admins']
+      }, {
+        title,
+        message,
+        type: 'system',
+        metadata
+      });
     } catch (error) {
       console.error('Create system notification error:', error);
       throw error;
@@ -362,6 +655,8 @@ module.exports = {
   markAsRead,
   markAllAsRead,
   deleteNotification,
+  streamNotifications,
+  getStreamToken,
   createNotification,
   NotificationService
 };
@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const NotificationRule = require('../models/notificationRule.model');
+const NotificationPreference = require('../models/notificationPreference.model');
+const Department = require('../models/department.model');
+const User = require('../models/user.model');
+
+// Fields admins may set on a rule
+const RULE_FIELDS = ['name', 'description', 'enabled', 'eventTypes', 'departments', 'priorities', 'targets'];
+
+const pickRuleFields = (body) => RULE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const sendValidationError = (res, error) => {
+  if (error.name !== 'ValidationError') return false;
+
+  res.status(400).json({
+    status: 'fail',
+    message: error.message
+  });
+  return true;
+};
+
+/**
+ * @desc    List the event types, targets, priorities and channels rules and preferences can use
+ * @route   GET /api/notifications/rules/options
+ * @access  Private
+ */
+exports.getRoutingOptions = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        eventTypes: NotificationRule.EVENT_TYPES,
+        personalEventTypes: NotificationRule.PERSONAL_EVENT_TYPES,
+        internEventTypes: NotificationRule.INTERN_EVENT_TYPES,
+        targets: NotificationRule.TARGETS,
+        priorities: NotificationRule.PRIORITIES,
+        channels: NotificationPreference.CHANNELS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List notification routing rules
+ * @route   GET /api/notifications/rules
+ * @access  Private/Admin
+ */
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await NotificationRule.find()
+      .sort({ name: 1 })
+      .populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a notification routing rule
+ * @route   POST /api/notifications/rules
+ * @access  Private/Admin
+ * Body: { name, description, enabled, eventTypes, departments, priorities, targets }
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const rule = await NotificationRule.create({
+      ...pickRuleFields(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    console.log(`🧭 Notification rule ${rule.name} created by ${req.user.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: rule
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) return;
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a notification routing rule
+ * @route   PUT /api/notifications/rules/:id
+ * @access  Private/Admin
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await NotificationRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Rule not found'
+      });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    rule.updatedBy = req.user._id;
+    await rule.save();
+
+    console.log(`🧭 Notification rule ${rule.name} updated by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: rule
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) return;
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a notification routing rule
+ * @route   DELETE /api/notifications/rules/:id
+ * @access  Private/Admin
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await NotificationRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Rule not found'
+      });
+    }
+
+    console.log(`🗑️ Notification rule ${rule.name} deleted by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List departments with their heads
+ * @route   GET /api/notifications/department-heads
+ * @access  Private/Admin
+ */
+exports.getDepartmentHeads = async (req, res) => {
+  try {
+    const departments = await Department.find()
+      .select('name heads')
+      .sort({ name: 1 })
+      .populate('heads', 'name email role');
+
+    res.status(200).json({
+      status: 'success',
+      count: departments.length,
+      data: departments
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set the heads of a department (notified by rules targeting department heads)
+ * @route   PUT /api/notifications/department-heads/:department
+ * @access  Private/Admin
+ * Body: { heads: [userId] }
+ */
+exports.setDepartmentHeads = async (req, res) => {
+  try {
+    const { heads } = req.body;
+
+    if (!Array.isArray(heads) || heads.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'heads must be an array of user IDs'
+      });
+    }
+
+    const users = await User.find({ _id: { $in: heads }, isActive: true }).select('_id');
+
+    if (users.length !== new Set(heads.map(String)).size) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Every department head must be an active user',
+        code: 'INVALID_USER'
+      });
+    }
+
+    // Interns store their department by name; create the department if it is not listed yet
+    const department = await Department.findOneAndUpdate(
+      { name: req.params.department },
+      { $set: { heads: users.map(user => user._id), updatedAt: Date.now() } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('heads', 'name email role');
+
+    console.log(`🧭 Heads of ${department.name} set by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: department
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the authenticated user's notification preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+exports.getMyPreferences = async (req, res) => {
+  try {
+    const preference = await NotificationPreference.findOne({ userId: req.user._id });
+
+    res.status(200).json({
+      status: 'success',
+      // Defaults until the user saves preferences
+      data: preference || new NotificationPreference({ userId: req.user._id })
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update the authenticated user's notification preferences
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ * Body: { defaultChannel, overrides: [{ eventType, channel }], quietHours: { enabled, start, end } }
+ * Mute an event type (e.g. checkin_reminder) with an override to opt out of it
+ */
+exports.updateMyPreferences = async (req, res) => {
+  try {
+    const { defaultChannel, overrides, quietHours } = req.body;
+
+    if (overrides !== undefined && !Array.isArray(overrides)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'overrides must be an array of { eventType, channel }'
+      });
+    }
+
+    const preference = await NotificationPreference.findOne({ userId: req.user._id }) ||
+      new NotificationPreference({ userId: req.user._id });
+
+    if (defaultChannel !== undefined) preference.defaultChannel = defaultChannel;
+    if (overrides !== undefined) {
+      // One override per event type (the last one wins)
+      const byEventType = new Map(overrides.map(({ eventType, channel }) => [eventType, { eventType, channel }]));
+      preference.overrides = [...byEventType.values()];
+    }
+    if (quietHours) {
+      preference.quietHours = {
+        enabled: quietHours.enabled ?? preference.quietHours.enabled,
+        start: quietHours.start ?? preference.quietHours.start,
+        end: quietHours.end ?? preference.quietHours.end
+      };
+    }
+
+    await preference.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: preference
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) return;
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
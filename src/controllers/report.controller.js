@@ -1,6 +1,9 @@
 const Report = require('../models/report.model');
 const Attendance = require('../models/attendance.model');
 const Intern = require('../models/intern.model');
+const AttendancePolicy = require('../services/attendancePolicy.service');
+const DigestService = require('../services/digest.service');
+const { parseDate, parseEndOfDay, addDays } = require('../utils/timezone.utils');
 
 /**
  * @desc    Generate attendance report
@@ -18,9 +21,10 @@ exports.generateAttendanceReport = async (req, res) => {
       });
     }
     
-    // Parse dates
-    const parsedStartDate = new Date(startDate);
-    const parsedEndDate = new Date(endDate);
+    // Parse dates as whole days in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const parsedStartDate = parseDate(startDate, timeZone);
+    const parsedEndDate = parseEndOfDay(endDate, timeZone);
     
     // Create filter for attendance records
     const filter = {
@@ -75,8 +79,9 @@ exports.generateAttendanceReport = async (req, res) => {
       internStats[internId].stats.total++;
     });
     
-    // Calculate business days for absent tracking
-    const businessDays = getBusinessDays(parsedStartDate, parsedEndDate);
+    // Calculate working days for absent tracking (per department policy and intern schedule)
+    const resolvePolicy = await AttendancePolicy.createResolver();
+    const businessDays = AttendancePolicy.countWorkingDays(resolvePolicy(), parsedStartDate, parsedEndDate);
     
     // Get all interns for absent calculation
     const allInterns = await Intern.find(
@@ -88,6 +93,11 @@ exports.generateAttendanceReport = async (req, res) => {
     // Add missing interns and calculate absent days
     allInterns.forEach(intern => {
       const internId = intern._id.toString();
+      const internBusinessDays = AttendancePolicy.countWorkingDays(
+        resolvePolicy(intern.department, intern._id),
+        parsedStartDate,
+        parsedEndDate
+      );
       
       if (!internStats[internId]) {
         internStats[internId] = {
@@ -101,9 +111,9 @@ exports.generateAttendanceReport = async (req, res) => {
           stats: {
             present: 0,
             late: 0,
-            absent: businessDays,
+            absent: internBusinessDays,
             excused: 0,
-            total: businessDays
+            total: internBusinessDays
           },
           attendanceRate: 0
         };
@@ -112,7 +122,7 @@ exports.generateAttendanceReport = async (req, res) => {
         const recordedDays = internStats[internId].stats.present + 
                             internStats[internId].stats.late + 
                             internStats[internId].stats.excused;
-        internStats[internId].stats.absent = businessDays - recordedDays;
+        internStats[internId].stats.absent = internBusinessDays - recordedDays;
         if (internStats[internId].stats.absent < 0) internStats[internId].stats.absent = 0;
         internStats[internId].stats.total = recordedDays + internStats[internId].stats.absent;
       }
@@ -293,16 +303,63 @@ exports.deleteReport = async (req, res) => {
   }
 };
 
-// Helper function to calculate business days between two dates
-function getBusinessDays(startDate, endDate) {
-  let count = 0;
-  const curDate = new Date(startDate.getTime());
-  
-  while (curDate <= endDate) {
-    const dayOfWeek = curDate.getDay();
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) count++; // Skip weekends
-    curDate.setDate(curDate.getDate() + 1);
+/**
+ * @desc    Send the daily digest or weekly summary email now
+ * @route   POST /api/reports/digest
+ * @access  Private/Admin
+ * Body: { type: "daily"|"weekly", date: "YYYY-MM-DD" (day, or last day of the week;
+ *         defaults to today for daily and yesterday for weekly), recipients: [email] (optional) }
+ */
+exports.sendDigest = async (req, res) => {
+  try {
+    const { type, date, recipients } = req.body;
+
+    if (!['daily', 'weekly'].includes(type)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Type must be daily or weekly'
+      });
+    }
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid date format. Please use YYYY-MM-DD'
+      });
+    }
+
+    if (recipients !== undefined && (!Array.isArray(recipients) ||
+      recipients.some(email => typeof email !== 'string' || !/^[\w-.]+@([\w-]+\.)+[\w-]{2,4}$/.test(email)))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Recipients must be a list of valid email addresses'
+      });
+    }
+
+    const timeZone = await AttendancePolicy.getTimezone();
+    const day = date ? parseDate(date, timeZone) : new Date();
+
+    // The toggles in Settings.notifications only apply to scheduled sends
+    const result = type === 'daily'
+      ? await DigestService.sendDailyDigest({ date: day, recipients, force: true })
+      : await DigestService.sendWeeklySummary({ weekEnd: date ? day : addDays(day, -1, timeZone), recipients, force: true });
+
+    if (result.skipped) {
+      return res.status(400).json({
+        status: 'fail',
+        message: result.skipped,
+        code: 'NO_RECIPIENTS'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
   }
-  
-  return count;
-}
+};
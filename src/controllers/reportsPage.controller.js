@@ -2,6 +2,40 @@ const Report = require('../models/report.model');
 const Attendance = require('../models/attendance.model');
 const Intern = require('../models/intern.model');
 const Department = require('../models/department.model');
+const AttendancePolicy = require('../services/attendancePolicy.service');
+const ReportExportService = require('../services/reportExport.service');
+const {
+  parseDate,
+  parseEndOfDay,
+  addDays,
+  getZonedParts,
+  zonedTimeToUtc
+} = require('../utils/timezone.utils');
+const { toCsv } = require('../utils/csv.utils');
+
+// Columns of the attendance report CSV export
+const ATTENDANCE_CSV_COLUMNS = [
+  { header: 'Name', key: 'name' },
+  { header: 'Email', key: 'email' },
+  { header: 'Employee ID', key: 'employeeId' },
+  { header: 'Department', key: 'department' },
+  { header: 'Present Days', key: 'presentDays' },
+  { header: 'Absent Days', key: 'absentDays' },
+  { header: 'Total Business Days', key: 'totalBusinessDays' },
+  { header: 'Attendance Rate', key: 'attendanceRate' }
+];
+
+// Columns of the hours report CSV export
+const HOURS_CSV_COLUMNS = [
+  { header: 'Name', key: 'name' },
+  { header: 'Employee ID', key: 'employeeId' },
+  { header: 'Department', key: 'department' },
+  { header: 'Days Worked', key: 'daysWorked' },
+  { header: 'Worked Hours', key: 'workedHours' },
+  { header: 'Break Hours', key: 'breakHours' },
+  { header: 'Scheduled Hours', key: 'scheduledHours' },
+  { header: 'Overtime Hours', key: 'overtimeHours' }
+];
 
 /**
  * @desc    Get department-wise attendance statistics
@@ -19,11 +53,10 @@ exports.getDepartmentStats = async (req, res) => {
       });
     }
 
-    // Parse dates
-    const parsedStartDate = new Date(startDate);
-    const parsedEndDate = new Date(endDate);
-    parsedStartDate.setHours(0, 0, 0, 0);
-    parsedEndDate.setHours(23, 59, 59, 999);
+    // Parse dates as whole days in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const parsedStartDate = parseDate(startDate, timeZone);
+    const parsedEndDate = parseEndOfDay(endDate, timeZone);
 
     // Get all departments
     const departments = await Department.find({});
@@ -36,8 +69,8 @@ exports.getDepartmentStats = async (req, res) => {
       }
     };
 
-    // Calculate business days for the period
-    const businessDays = getBusinessDays(parsedStartDate, parsedEndDate);
+    // Resolve working days per department and intern schedule
+    const resolvePolicy = await AttendancePolicy.createResolver();
     
     // Calculate stats for each department
     const departmentStats = [];
@@ -70,7 +103,12 @@ exports.getDepartmentStats = async (req, res) => {
         record => record.status === 'present' || record.status === 'excused'
       ).length;
       
-      const totalExpectedAttendance = interns.length * businessDays;
+      const totalExpectedAttendance = AttendancePolicy.countExpectedAttendance(
+        resolvePolicy,
+        interns,
+        parsedStartDate,
+        parsedEndDate
+      );
       const attendanceRate = totalExpectedAttendance > 0 
         ? parseFloat(((presentCount / totalExpectedAttendance) * 100).toFixed(2))
         : 0;
@@ -110,19 +148,28 @@ exports.getAttendanceTrends = async (req, res) => {
     const { period } = req.params; // 'week', 'month', 'quarter', 'year'
     const { department } = req.query;
     
+    // Build filter for interns
+    let internFilter = {};
+    if (department && department !== 'all' && department !== 'All Departments') {
+      internFilter.department = department;
+    }
+    
+    // Periods are laid out on calendar days in the policy timezone
+    const timeZone = await AttendancePolicy.getTimezone(internFilter.department);
+    
     let startDate, endDate, labels, format;
     const now = new Date();
+    const today = getZonedParts(now, timeZone);
     
     // Determine date range and labels based on period
     switch (period) {
       case 'week':
         // Last 7 days
         endDate = new Date();
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6);
+        startDate = addDays(now, -6, timeZone);
         labels = Array(7).fill().map((_, i) => {
-          const date = new Date(startDate);
-          date.setDate(date.getDate() + i);
-          return date.toLocaleDateString('en-US', { weekday: 'short' });
+          const date = addDays(startDate, i, timeZone);
+          return date.toLocaleDateString('en-US', { weekday: 'short', timeZone });
         });
         format = 'day';
         break;
@@ -130,23 +177,18 @@ exports.getAttendanceTrends = async (req, res) => {
       case 'month':
         // Last 30 days, grouped by week
         endDate = new Date();
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 29);
-        labels = Array(5).fill().map((_, i) => {
-          const date = new Date(startDate);
-          date.setDate(date.getDate() + i * 7);
-          return `Week ${i + 1}`;
-        });
+        startDate = addDays(now, -29, timeZone);
+        labels = Array(5).fill().map((_, i) => `Week ${i + 1}`);
         format = 'week';
         break;
       
       case 'quarter':
         // Last 90 days, grouped by month
         endDate = new Date();
-        startDate = new Date(now.getFullYear(), now.getMonth() - 2, 1);
+        startDate = zonedTimeToUtc(today.year, today.month - 2, 1, 0, 0, timeZone);
         labels = Array(3).fill().map((_, i) => {
-          const date = new Date(startDate);
-          date.setMonth(date.getMonth() + i);
-          return date.toLocaleDateString('en-US', { month: 'short' });
+          const date = zonedTimeToUtc(today.year, today.month - 2 + i, 1, 12, 0, timeZone);
+          return date.toLocaleDateString('en-US', { month: 'short', timeZone });
         });
         format = 'month';
         break;
@@ -154,11 +196,10 @@ exports.getAttendanceTrends = async (req, res) => {
       case 'year':
         // Last 12 months
         endDate = new Date();
-        startDate = new Date(now.getFullYear() - 1, now.getMonth() + 1, 1);
+        startDate = zonedTimeToUtc(today.year - 1, today.month + 1, 1, 0, 0, timeZone);
         labels = Array(12).fill().map((_, i) => {
-          const date = new Date(startDate);
-          date.setMonth(date.getMonth() + i);
-          return date.toLocaleDateString('en-US', { month: 'short' });
+          const date = zonedTimeToUtc(today.year - 1, today.month + 1 + i, 1, 12, 0, timeZone);
+          return date.toLocaleDateString('en-US', { month: 'short', timeZone });
         });
         format = 'month';
         break;
@@ -170,15 +211,10 @@ exports.getAttendanceTrends = async (req, res) => {
         });
     }
     
-    // Build filter for interns
-    let internFilter = {};
-    if (department && department !== 'all' && department !== 'All Departments') {
-      internFilter.department = department;
-    }
-    
     // Get all applicable interns
     const interns = await Intern.find(internFilter);
     const internIds = interns.map(intern => intern._id);
+    const resolvePolicy = await AttendancePolicy.createResolver();
     
     if (internIds.length === 0) {
       return res.status(200).json({
@@ -198,36 +234,31 @@ exports.getAttendanceTrends = async (req, res) => {
     const presentCounts = [];
     const absentCounts = [];
     
-    // Set start date to beginning of day and end date to end of day
-    startDate.setHours(0, 0, 0, 0);
-    endDate.setHours(23, 59, 59, 999);
-    
     if (format === 'day') {
       // Daily data points
       for (let i = 0; i < labels.length; i++) {
-        const currentDate = new Date(startDate);
-        currentDate.setDate(startDate.getDate() + i);
-        
-        const dayStart = new Date(currentDate);
-        dayStart.setHours(0, 0, 0, 0);
-        
-        const dayEnd = new Date(currentDate);
-        dayEnd.setHours(23, 59, 59, 999);
+        const dayStart = addDays(startDate, i, timeZone);
+        const dayEnd = addDays(startDate, i + 1, timeZone);
         
         // Get attendance records for this day
         const records = await Attendance.find({
           internId: { $in: internIds },
-          date: { $gte: dayStart, $lte: dayEnd }
+          date: { $gte: dayStart, $lt: dayEnd }
         });
         
+        // Interns expected on this day (schedules, weekends, holidays and closures)
+        const expected = interns.filter(intern =>
+          AttendancePolicy.isWorkingDay(resolvePolicy(intern.department, intern._id), dayStart)
+        ).length;
+        
         const present = records.filter(r => r.status === 'present' || r.status === 'excused').length;
-        const absent = internIds.length - present;
+        const absent = Math.max(0, expected - present);
         
         presentCounts.push(present);
         absentCounts.push(absent);
         
-        const rate = internIds.length > 0 
-          ? parseFloat(((present / internIds.length) * 100).toFixed(2))
+        const rate = expected > 0 
+          ? parseFloat(((present / expected) * 100).toFixed(2))
           : 0;
         
         attendanceRates.push(rate);
@@ -237,13 +268,8 @@ exports.getAttendanceTrends = async (req, res) => {
       const periodLength = format === 'week' ? 7 : 30;
       
       for (let i = 0; i < labels.length; i++) {
-        const periodStart = new Date(startDate);
-        periodStart.setDate(periodStart.getDate() + (i * periodLength));
-        periodStart.setHours(0, 0, 0, 0);
-        
-        const periodEnd = new Date(periodStart);
-        periodEnd.setDate(periodEnd.getDate() + periodLength - 1);
-        periodEnd.setHours(23, 59, 59, 999);
+        const periodStart = addDays(startDate, i * periodLength, timeZone);
+        const periodEnd = new Date(addDays(periodStart, periodLength, timeZone).getTime() - 1);
         
         // Get attendance records for this period
         const records = await Attendance.find({
@@ -251,9 +277,13 @@ exports.getAttendanceTrends = async (req, res) => {
           date: { $gte: periodStart, $lte: periodEnd }
         });
         
-        // Business days in this period
-        const businessDays = getBusinessDays(periodStart, periodEnd);
-        const totalExpectedAttendance = internIds.length * businessDays;
+        // Expected attendance in this period
+        const totalExpectedAttendance = AttendancePolicy.countExpectedAttendance(
+          resolvePolicy,
+          interns,
+          periodStart,
+          periodEnd
+        );
         
         const present = records.filter(r => r.status === 'present' || r.status === 'excused').length;
         const absent = totalExpectedAttendance - present;
@@ -302,11 +332,10 @@ exports.getAbsenceReasons = async (req, res) => {
       });
     }
 
-    // Parse dates
-    const parsedStartDate = new Date(startDate);
-    const parsedEndDate = new Date(endDate);
-    parsedStartDate.setHours(0, 0, 0, 0);
-    parsedEndDate.setHours(23, 59, 59, 999);
+    // Parse dates as whole days in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const parsedStartDate = parseDate(startDate, timeZone);
+    const parsedEndDate = parseEndOfDay(endDate, timeZone);
     
     // Build filter
     let filter = {
@@ -343,7 +372,7 @@ exports.getAbsenceReasons = async (req, res) => {
     attendanceRecords.forEach(record => {
       if (!record.absenceReason || record.absenceReason.trim() === '') {
         reasonCounts['Unexcused']++;
-      } else if (reasonCounts[record.absenceReason]) {
+      } else if (reasonCounts.hasOwnProperty(record.absenceReason)) {
         reasonCounts[record.absenceReason]++;
       } else if (record.absenceReason.toLowerCase().includes('sick') || 
                 record.absenceReason.toLowerCase().includes('ill')) {
@@ -398,20 +427,16 @@ exports.getAttendanceSummary = async (req, res) => {
       });
     }
 
-    // Parse dates
-    const parsedStartDate = new Date(startDate);
-    const parsedEndDate = new Date(endDate);
-    parsedStartDate.setHours(0, 0, 0, 0);
-    parsedEndDate.setHours(23, 59, 59, 999);
+    // Parse dates as whole days in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const parsedStartDate = parseDate(startDate, timeZone);
+    const parsedEndDate = parseEndOfDay(endDate, timeZone);
     
     // Compare with previous period of the same length
     const periodLength = (parsedEndDate - parsedStartDate) / (1000 * 60 * 60 * 24);
     
-    const prevStartDate = new Date(parsedStartDate);
-    prevStartDate.setDate(prevStartDate.getDate() - periodLength - 1);
-    
-    const prevEndDate = new Date(parsedStartDate);
-    prevEndDate.setDate(prevEndDate.getDate() - 1);
+    const prevStartDate = addDays(parsedStartDate, -Math.ceil(periodLength), timeZone);
+    const prevEndDate = new Date(parsedStartDate.getTime() - 1);
     
     // Build intern filter
     let internFilter = {};
@@ -459,9 +484,17 @@ exports.getAttendanceSummary = async (req, res) => {
     const currentRecords = await Attendance.find(currentFilter);
     const prevRecords = await Attendance.find(prevFilter);
     
-    // Business days in the current period
-    const businessDays = getBusinessDays(parsedStartDate, parsedEndDate);
-    const totalExpectedAttendance = internIds.length * businessDays;
+    // Working days in the current period, per intern schedule
+    const resolvePolicy = await AttendancePolicy.createResolver();
+    const expectedDays = {};
+    interns.forEach(intern => {
+      expectedDays[intern._id.toString()] = AttendancePolicy.countWorkingDays(
+        resolvePolicy(intern.department, intern._id),
+        parsedStartDate,
+        parsedEndDate
+      );
+    });
+    const totalExpectedAttendance = Object.values(expectedDays).reduce((sum, days) => sum + days, 0);
     
     // Calculate current attendance rate
     const currentPresent = currentRecords.filter(r => r.status === 'present' || r.status === 'excused').length;
@@ -470,8 +503,12 @@ exports.getAttendanceSummary = async (req, res) => {
       : 0;
     
     // Calculate previous attendance rate for trend
-    const prevBusinessDays = getBusinessDays(prevStartDate, prevEndDate);
-    const prevTotalExpectedAttendance = internIds.length * prevBusinessDays;
+    const prevTotalExpectedAttendance = AttendancePolicy.countExpectedAttendance(
+      resolvePolicy,
+      interns,
+      prevStartDate,
+      prevEndDate
+    );
     
     const prevPresent = prevRecords.filter(r => r.status === 'present' || r.status === 'excused').length;
     const prevAverageAttendance = prevTotalExpectedAttendance > 0 
@@ -492,7 +529,7 @@ exports.getAttendanceSummary = async (req, res) => {
     internIds.forEach(id => {
       internAttendance[id.toString()] = {
         present: 0,
-        absent: businessDays // Assume absent for all days
+        absent: expectedDays[id.toString()] // Assume absent for all days
       };
     });
     
@@ -523,10 +560,12 @@ exports.getAttendanceSummary = async (req, res) => {
       };
     });
     
-    // Count interns per department
+    // Count interns and expected attendance per department
     for (const intern of interns) {
       if (departmentAbsences[intern.department]) {
         departmentAbsences[intern.department].totalInterns += 1;
+        departmentAbsences[intern.department].expectedAttendance =
+          (departmentAbsences[intern.department].expectedAttendance || 0) + expectedDays[intern._id.toString()];
       }
     }
     
@@ -541,7 +580,7 @@ exports.getAttendanceSummary = async (req, res) => {
     // Calculate absentee rate per department
     for (const dept of departments) {
       const deptStats = departmentAbsences[dept.name];
-      const totalPossibleAttendance = deptStats.totalInterns * businessDays;
+      const totalPossibleAttendance = deptStats.expectedAttendance || 0;
       
       deptStats.absenteeRate = totalPossibleAttendance > 0 
         ? parseFloat(((deptStats.absences / totalPossibleAttendance) * 100).toFixed(2))
@@ -582,20 +621,6 @@ exports.getAttendanceSummary = async (req, res) => {
   }
 };
 
-// Helper function to calculate business days between two dates
-function getBusinessDays(startDate, endDate) {
-  let count = 0;
-  const curDate = new Date(startDate.getTime());
-  
-  while (curDate <= endDate) {
-    const dayOfWeek = curDate.getDay();
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) count++; // Skip weekends
-    curDate.setDate(curDate.getDate() + 1);
-  }
-  
-  return count;
-}
-
 /**
  * @desc    Export attendance report in various formats (PDF, Excel, CSV)
  * @route   GET /api/reports/export
@@ -619,11 +644,10 @@ exports.exportReport = async (req, res) => {
       });
     }
     
-    // Parse dates
-    const parsedStartDate = new Date(startDate);
-    const parsedEndDate = new Date(endDate);
-    parsedStartDate.setHours(0, 0, 0, 0);
-    parsedEndDate.setHours(23, 59, 59, 999);
+    // Parse dates as whole days in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const parsedStartDate = parseDate(startDate, timeZone);
+    const parsedEndDate = parseEndOfDay(endDate, timeZone);
     
     // Build attendance filter
     const attendanceFilter = {
@@ -633,20 +657,14 @@ exports.exportReport = async (req, res) => {
       }
     };
     
-    // Get all department IDs if needed
-    let departmentIds = [];
-    if (department && department !== 'all') {
-      const deptRecord = await Department.findOne({ name: department });
-      if (deptRecord) {
-        departmentIds.push(deptRecord._id);
-      }
-    } else {
-      const departments = await Department.find({});
-      departmentIds = departments.map(dept => dept._id);
+    // Interns store the department name
+    const internFilter = {};
+    if (department && department !== 'all' && department !== 'All Departments') {
+      internFilter.department = department;
     }
     
     // Get all interns in the selected departments
-    const interns = await Intern.find({ department: { $in: departmentIds } }).sort({ name: 1 });
+    const interns = await Intern.find(internFilter).sort({ name: 1 });
     if (interns.length === 0) {
       return res.status(404).json({
         status: 'fail',
@@ -660,10 +678,10 @@ exports.exportReport = async (req, res) => {
     // Get attendance records
     const attendanceRecords = await Attendance.find(attendanceFilter)
       .sort({ date: 1 })
-      .populate('internId', 'name email studentId department');
+      .populate('internId', 'name email employeeId department');
     
-    // Calculate business days in the period
-    const businessDays = getBusinessDays(parsedStartDate, parsedEndDate);
+    // Working days are resolved per department and intern schedule
+    const resolvePolicy = await AttendancePolicy.createResolver();
     
     // Prepare data for export
     const reportData = [];
@@ -678,64 +696,69 @@ exports.exportReport = async (req, res) => {
         record.status === 'present' || record.status === 'excused'
       ).length;
       
-      const absentDays = businessDays - presentDays;
-      
-      // Get department name
-      const department = await Department.findById(intern.department);
-      const departmentName = department ? department.name : 'Unknown';
+      const businessDays = AttendancePolicy.countWorkingDays(
+        resolvePolicy(intern.department, intern._id),
+        parsedStartDate,
+        parsedEndDate
+      );
+      const absentDays = Math.max(0, businessDays - presentDays);
       
-      // Calculate attendance rate
-      const attendanceRate = businessDays > 0 
-        ? ((presentDays / businessDays) * 100).toFixed(2) 
-        : '0.00';
+      // Attendance rate as a fraction (0-1)
+      const attendanceRate = businessDays > 0 ? presentDays / businessDays : 0;
       
       // Create report row
       reportData.push({
         name: intern.name,
-        email: intern.email,
-        studentId: intern.studentId,
-        department: departmentName,
+        email: intern.email || '',
+        employeeId: intern.employeeId,
+        department: intern.department || 'Unknown',
         presentDays,
         absentDays,
         totalBusinessDays: businessDays,
-        attendanceRate: `${attendanceRate}%`
+        attendanceRate,
+        lastAttendance: internAttendance.length > 0
+          ? internAttendance[internAttendance.length - 1].date
+          : null
       });
     }
     
+    const filename = `attendance_report_${startDate}_to_${endDate}`;
+    const exportMeta = {
+      organization: (await AttendancePolicy.getSettings()).organization,
+      startDate: parsedStartDate,
+      endDate: parsedEndDate,
+      timeZone
+    };
+    
     // Format and send response based on requested format
     switch (format.toLowerCase()) {
       case 'csv':
         // Generate CSV
-        let csv = 'Name,Email,Student ID,Department,Present Days,Absent Days,Total Business Days,Attendance Rate\n';
-        reportData.forEach(row => {
-          csv += `${row.name},${row.email},${row.studentId},${row.department},${row.presentDays},${row.absentDays},${row.totalBusinessDays},${row.attendanceRate}\n`;
-        });
+        const csv = toCsv(
+          reportData.map(row => ({ ...row, attendanceRate: `${(row.attendanceRate * 100).toFixed(2)}%` })),
+          ATTENDANCE_CSV_COLUMNS
+        );
         
         // Set response headers
         res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename=attendance_report_${startDate}_to_${endDate}.csv`);
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
         return res.status(200).send(csv);
         
       case 'excel':
-        // For Excel, we'd ideally use a library like exceljs or xlsx
-        // This is a simplified version that returns CSV with Excel extension
-        let excelCsv = 'Name,Email,Student ID,Department,Present Days,Absent Days,Total Business Days,Attendance Rate\n';
-        reportData.forEach(row => {
-          excelCsv += `${row.name},${row.email},${row.studentId},${row.department},${row.presentDays},${row.absentDays},${row.totalBusinessDays},${row.attendanceRate}\n`;
-        });
+        // Workbook with a summary sheet and one sheet per department
+        const workbook = await ReportExportService.buildWorkbook(reportData, exportMeta);
         
         res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition', `attachment; filename=attendance_report_${startDate}_to_${endDate}.xlsx`);
-        return res.status(200).send(excelCsv);
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+        return res.status(200).send(Buffer.from(workbook));
         
       case 'pdf':
-        // For PDF, we'd ideally use a library like pdfkit or html-pdf
-        // This is a simplified version that returns JSON with a message
-        return res.status(200).json({
-          status: 'success',
-          message: 'PDF generation would be implemented here with a PDF library',
-          data: reportData
-        });
+        // Branded PDF using the organization name/logo from settings
+        const pdf = await ReportExportService.buildPdf(reportData, exportMeta);
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}.pdf`);
+        return res.status(200).send(pdf);
         
       default:
         return res.status(400).json({
@@ -751,3 +774,148 @@ exports.exportReport = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Worked hours, breaks and overtime per intern and department
+ * @route   GET /api/reports/hours?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&department=&internId=&format=json|csv
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getHoursReport = async (req, res) => {
+  try {
+    const { startDate, endDate, department, internId, format = 'json' } = req.query;
+    
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Start date and end date are required'
+      });
+    }
+    
+    if (!['json', 'csv'].includes(format.toLowerCase())) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid format. Supported formats: json, csv'
+      });
+    }
+    
+    // Parse dates as whole days in the organization timezone
+    const timeZone = await AttendancePolicy.getTimezone();
+    const parsedStartDate = parseDate(startDate, timeZone);
+    const parsedEndDate = parseEndOfDay(endDate, timeZone);
+    
+    const internFilter = {};
+    if (department && department !== 'all' && department !== 'All Departments') {
+      internFilter.department = department;
+    }
+    if (internId) {
+      internFilter._id = internId;
+    }
+    
+    const interns = await Intern.find(internFilter).sort({ name: 1 });
+    
+    const records = await Attendance.find({
+      internId: { $in: interns.map(intern => intern._id) },
+      date: {
+        $gte: parsedStartDate,
+        $lte: parsedEndDate
+      },
+      checkInTime: { $ne: null }
+    }).sort({ date: 1 });
+    
+    // Scheduled minutes come from each intern's own schedule
+    const resolvePolicy = await AttendancePolicy.createResolver();
+    const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+    
+    const internRows = interns.map(intern => {
+      const policy = resolvePolicy(intern.department, intern._id);
+      const internRecords = records.filter(record => record.internId.toString() === intern._id.toString());
+      
+      const totals = { daysWorked: 0, workedMinutes: 0, breakMinutes: 0, scheduledMinutes: 0, overtimeMinutes: 0, openDays: 0 };
+      internRecords.forEach(record => {
+        // Open days (no check-out) count what has been worked so far
+        const hours = record.calculateHours(AttendancePolicy.getScheduledMinutes(policy, record.date));
+        totals.daysWorked++;
+        totals.workedMinutes += hours.workedMinutes;
+        totals.breakMinutes += hours.breakMinutes;
+        totals.overtimeMinutes += hours.overtimeMinutes;
+        if (!record.checkOutTime) totals.openDays++;
+      });
+      
+      // Expected time includes scheduled days the intern did not attend
+      let day = parsedStartDate;
+      while (day <= parsedEndDate) {
+        totals.scheduledMinutes += AttendancePolicy.getScheduledMinutes(policy, day);
+        day = addDays(day, 1, timeZone);
+      }
+      
+      return {
+        internId: intern._id,
+        name: intern.name,
+        employeeId: intern.employeeId,
+        department: intern.department || 'Unknown',
+        daysWorked: totals.daysWorked,
+        openDays: totals.openDays,
+        workedHours: toHours(totals.workedMinutes),
+        breakHours: toHours(totals.breakMinutes),
+        scheduledHours: toHours(totals.scheduledMinutes),
+        overtimeHours: toHours(totals.overtimeMinutes)
+      };
+    });
+    
+    // Department totals
+    const departmentMap = {};
+    internRows.forEach(row => {
+      if (!departmentMap[row.department]) {
+        departmentMap[row.department] = {
+          department: row.department,
+          interns: 0,
+          daysWorked: 0,
+          workedHours: 0,
+          breakHours: 0,
+          scheduledHours: 0,
+          overtimeHours: 0
+        };
+      }
+      const dept = departmentMap[row.department];
+      dept.interns++;
+      dept.daysWorked += row.daysWorked;
+      dept.workedHours += row.workedHours;
+      dept.breakHours += row.breakHours;
+      dept.scheduledHours += row.scheduledHours;
+      dept.overtimeHours += row.overtimeHours;
+    });
+    const departmentRows = Object.values(departmentMap).map(dept => ({
+      ...dept,
+      workedHours: Math.round(dept.workedHours * 100) / 100,
+      breakHours: Math.round(dept.breakHours * 100) / 100,
+      scheduledHours: Math.round(dept.scheduledHours * 100) / 100,
+      overtimeHours: Math.round(dept.overtimeHours * 100) / 100
+    }));
+    
+    if (format.toLowerCase() === 'csv') {
+      const csv = toCsv(internRows, HOURS_CSV_COLUMNS);
+      
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=hours_report_${startDate}_to_${endDate}.csv`);
+      return res.status(200).send(csv);
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        period: {
+          startDate: parsedStartDate,
+          endDate: parsedEndDate
+        },
+        interns: internRows,
+        departments: departmentRows
+      }
+    });
+  } catch (error) {
+    console.error('Error generating hours report:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
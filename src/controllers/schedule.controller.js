@@ -0,0 +1,465 @@
+const Shift = require('../models/shift.model');
+const Schedule = require('../models/schedule.model');
+const Intern = require('../models/intern.model');
+const AttendancePolicy = require('../services/attendancePolicy.service');
+const { parseDate, addDays, formatDateKey } = require('../utils/timezone.utils');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check that every shift referenced by a schedule exists
+ */
+const validateShiftRefs = async ({ weeklyShifts, rotation }) => {
+  const ids = [
+    ...Object.values(weeklyShifts || {}),
+    ...(rotation || [])
+  ].filter(Boolean);
+
+  if (ids.length === 0) return true;
+
+  const uniqueIds = [...new Set(ids.map(id => id.toString()))];
+  const count = await Shift.countDocuments({ _id: { $in: uniqueIds } });
+  return count === uniqueIds.length;
+};
+
+/**
+ * @desc    Get all shift templates
+ * @route   GET /api/schedules/shifts
+ * @access  Private (Admin/Supervisor)
+ */
+exports.getShifts = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const shifts = await Shift.find(query).sort({ start: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: shifts.length,
+      data: shifts
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a shift template
+ * @route   GET /api/schedules/shifts/:id
+ * @access  Private (Admin/Supervisor)
+ */
+exports.getShift = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Shift not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: shift
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a shift template
+ * @route   POST /api/schedules/shifts
+ * @access  Private/Admin
+ */
+exports.createShift = async (req, res) => {
+  try {
+    const { name, description, start, end, lateThreshold, graceTime, breakMinutes } = req.body;
+
+    if (!name || !start || !end) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Name, start and end times are required'
+      });
+    }
+
+    const shift = await Shift.create({
+      name,
+      description,
+      start,
+      end,
+      lateThreshold,
+      graceTime,
+      breakMinutes,
+      createdBy: req.user._id
+    });
+
+    console.log(`🕘 Shift created: ${name} (${start}-${end}) by ${req.user.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: shift
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a shift template
+ * @route   PUT /api/schedules/shifts/:id
+ * @access  Private/Admin
+ */
+exports.updateShift = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Shift not found'
+      });
+    }
+
+    const fields = ['name', 'description', 'start', 'end', 'lateThreshold', 'graceTime', 'breakMinutes', 'isActive'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) shift[field] = req.body[field];
+    });
+
+    await shift.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: shift
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a shift template
+ * @route   DELETE /api/schedules/shifts/:id
+ * @access  Private/Admin
+ */
+exports.deleteShift = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Shift not found'
+      });
+    }
+
+    // Shifts still referenced by a schedule cannot be removed
+    const inUse = await Schedule.exists({
+      $or: [
+        { rotation: shift._id },
+        ...Schedule.DAY_NAMES.map(day => ({ [`weeklyShifts.${day}`]: shift._id }))
+      ]
+    });
+
+    if (inUse) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Shift is used by one or more schedules. Deactivate it instead.',
+        code: 'SHIFT_IN_USE'
+      });
+    }
+
+    await shift.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Shift deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get schedule assignments
+ * @route   GET /api/schedules
+ * @access  Private (Admin/Supervisor)
+ */
+exports.getSchedules = async (req, res) => {
+  try {
+    const { internId, date } = req.query;
+    const filter = {};
+
+    if (internId) filter.internId = internId;
+
+    // Schedules in effect on a given day
+    if (date && DATE_PATTERN.test(date)) {
+      const day = Schedule.toCalendarDate(date);
+      filter.effectiveFrom = { $lte: day };
+      filter.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: day } }];
+    }
+
+    const schedules = await Schedule.findWithShifts(filter)
+      .populate('internId', 'name employeeId department');
+
+    res.status(200).json({
+      status: 'success',
+      count: schedules.length,
+      data: schedules
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a schedule assignment
+ * @route   GET /api/schedules/:id
+ * @access  Private (Admin/Supervisor)
+ */
+exports.getSchedule = async (req, res) => {
+  try {
+    const [schedule] = await Schedule.findWithShifts({ _id: req.params.id })
+      .populate('internId', 'name employeeId department');
+
+    if (!schedule) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Schedule not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: schedule
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Assign a schedule to an intern
+ * @route   POST /api/schedules
+ * @access  Private/Admin
+ */
+exports.createSchedule = async (req, res) => {
+  try {
+    const { internId, name, type, weeklyShifts, rotation, effectiveFrom, effectiveTo, notes } = req.body;
+
+    if (!internId || !effectiveFrom || !DATE_PATTERN.test(effectiveFrom) ||
+        (effectiveTo && !DATE_PATTERN.test(effectiveTo))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Intern and effective from date (YYYY-MM-DD) are required'
+      });
+    }
+
+    const intern = await Intern.findById(internId);
+    if (!intern) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Intern not found'
+      });
+    }
+
+    if (!(await validateShiftRefs({ weeklyShifts, rotation }))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'One or more shifts do not exist'
+      });
+    }
+
+    const schedule = await Schedule.create({
+      internId,
+      name,
+      type,
+      weeklyShifts,
+      rotation,
+      effectiveFrom: Schedule.toCalendarDate(effectiveFrom),
+      effectiveTo: effectiveTo ? Schedule.toCalendarDate(effectiveTo) : undefined,
+      notes,
+      createdBy: req.user._id
+    });
+
+    console.log(`📆 Schedule assigned to ${intern.name} from ${effectiveFrom} by ${req.user.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: schedule
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a schedule assignment
+ * @route   PUT /api/schedules/:id
+ * @access  Private/Admin
+ */
+exports.updateSchedule = async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Schedule not found'
+      });
+    }
+
+    const { name, type, weeklyShifts, rotation, effectiveFrom, effectiveTo, notes } = req.body;
+
+    if ((effectiveFrom && !DATE_PATTERN.test(effectiveFrom)) || (effectiveTo && !DATE_PATTERN.test(effectiveTo))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid date format. Please use YYYY-MM-DD'
+      });
+    }
+
+    if (!(await validateShiftRefs({ weeklyShifts, rotation }))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'One or more shifts do not exist'
+      });
+    }
+
+    if (name !== undefined) schedule.name = name;
+    if (type !== undefined) schedule.type = type;
+    if (weeklyShifts !== undefined) schedule.weeklyShifts = weeklyShifts;
+    if (rotation !== undefined) schedule.rotation = rotation;
+    if (effectiveFrom !== undefined) schedule.effectiveFrom = Schedule.toCalendarDate(effectiveFrom);
+    if (effectiveTo !== undefined) schedule.effectiveTo = effectiveTo ? Schedule.toCalendarDate(effectiveTo) : undefined;
+    if (notes !== undefined) schedule.notes = notes;
+
+    await schedule.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: schedule
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a schedule assignment
+ * @route   DELETE /api/schedules/:id
+ * @access  Private/Admin
+ */
+exports.deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await Schedule.findByIdAndDelete(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Schedule not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get an intern's expected schedule day by day
+ * @route   GET /api/schedules/intern/:internId?from=YYYY-MM-DD&days=7
+ * @access  Private (Interns can view their own)
+ */
+exports.getInternSchedule = async (req, res) => {
+  try {
+    const intern = await Intern.findById(req.params.internId);
+
+    if (!intern) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Intern not found'
+      });
+    }
+
+    if (req.user.role === 'intern' && intern.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'You can only view your own schedule'
+      });
+    }
+
+    const policy = await AttendancePolicy.getPolicy(intern.department, intern._id);
+    const timeZone = policy.timezone;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 62);
+    const from = req.query.from && DATE_PATTERN.test(req.query.from)
+      ? parseDate(req.query.from, timeZone)
+      : parseDate(formatDateKey(new Date(), timeZone), timeZone);
+
+    const expected = [];
+    for (let i = 0; i < days; i++) {
+      const day = addDays(from, i, timeZone);
+      const working = AttendancePolicy.isWorkingDay(policy, day);
+      const hours = AttendancePolicy.getWorkingHours(policy, day);
+      const holiday = AttendancePolicy.getHoliday(policy, day);
+
+      expected.push({
+        date: formatDateKey(day, timeZone),
+        working,
+        start: working ? hours.start : null,
+        end: working ? hours.end : null,
+        shift: working && hours.shift ? { _id: hours.shift._id, name: hours.shift.name } : null,
+        holiday: holiday ? { name: holiday.name, type: holiday.type } : null
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        schedules: policy.schedules,
+        timezone: timeZone,
+        days: expected
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,328 @@
+const SchedulerJob = require('../models/schedulerJob.model');
+const SchedulerJobRun = require('../models/schedulerJobRun.model');
+const NotificationScheduler = require('../services/notification.scheduler');
+
+// Fields admins may set on a job
+const EDITABLE_FIELDS = ['name', 'description', 'cronExpression', 'timezone', 'enabled'];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Map save errors to 400 responses (returns false for unexpected errors)
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(400).json({
+      status: 'fail',
+      message: 'A job with this name already exists',
+      code: 'DUPLICATE_JOB'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * @desc    List the tasks jobs can run
+ * @route   GET /api/notifications/scheduler/tasks
+ * @access  Private/Admin
+ */
+exports.getTasks = async (req, res) => {
+  try {
+    const tasks = Object.entries(NotificationScheduler.TASKS).map(([task, { description, defaultCron }]) => ({
+      task,
+      description,
+      defaultCron
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      count: tasks.length,
+      data: tasks
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List scheduler jobs
+ * @route   GET /api/notifications/scheduler/jobs
+ * @access  Private/Admin
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await SchedulerJob.find()
+      .sort({ name: 1 })
+      .populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a scheduler job with its latest runs
+ * @route   GET /api/notifications/scheduler/jobs/:id
+ * @access  Private/Admin
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const job = await SchedulerJob.findById(req.params.id).populate('updatedBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Job not found'
+      });
+    }
+
+    const recentRuns = await SchedulerJobRun.find({ jobId: job._id })
+      .sort({ startedAt: -1 })
+      .limit(10);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        job,
+        recentRuns
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a scheduler job
+ * @route   POST /api/notifications/scheduler/jobs
+ * @access  Private/Admin
+ * Body: { name, task, cronExpression, timezone, enabled, description }
+ */
+exports.createJob = async (req, res) => {
+  try {
+    const { task } = req.body;
+
+    if (!NotificationScheduler.TASKS[task]) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Task must be one of: ${Object.keys(NotificationScheduler.TASKS).join(', ')}`
+      });
+    }
+
+    const job = await SchedulerJob.create({
+      ...pickEditable(req.body),
+      task,
+      updatedBy: req.user._id
+    });
+
+    await NotificationScheduler.reload();
+
+    console.log(`🗓️ Scheduler job ${job.name} created by ${req.user.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a scheduler job (schedule, timezone, enabled, name, description)
+ * @route   PUT /api/notifications/scheduler/jobs/:id
+ * @access  Private/Admin
+ */
+exports.updateJob = async (req, res) => {
+  try {
+    const job = await SchedulerJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Job not found'
+      });
+    }
+
+    const updates = pickEditable(req.body);
+
+    // Built-in jobs are looked up by name when seeding
+    if (job.isDefault && updates.name !== undefined && updates.name !== job.name) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Built-in jobs cannot be renamed',
+        code: 'DEFAULT_JOB'
+      });
+    }
+
+    job.set(updates);
+    job.updatedBy = req.user._id;
+    await job.save();
+
+    await NotificationScheduler.reload();
+
+    console.log(`🗓️ Scheduler job ${job.name} updated by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a scheduler job (built-in jobs can only be disabled)
+ * @route   DELETE /api/notifications/scheduler/jobs/:id
+ * @access  Private/Admin
+ */
+exports.deleteJob = async (req, res) => {
+  try {
+    const job = await SchedulerJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Job not found'
+      });
+    }
+
+    if (job.isDefault) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Built-in jobs cannot be deleted. Disable the job instead.',
+        code: 'DEFAULT_JOB'
+      });
+    }
+
+    await job.deleteOne();
+    await NotificationScheduler.reload();
+
+    console.log(`🗑️ Scheduler job ${job.name} deleted by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Run a scheduler job now (even if disabled)
+ * @route   POST /api/notifications/scheduler/jobs/:id/run
+ * @access  Private/Admin
+ */
+exports.runJob = async (req, res) => {
+  try {
+    const job = await SchedulerJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Job not found'
+      });
+    }
+
+    const run = await NotificationScheduler.execute(job._id, {
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    });
+
+    if (!run) {
+      return res.status(409).json({
+        status: 'fail',
+        message: 'This job is already running',
+        code: 'JOB_RUNNING'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: run.status === 'success' ? `${job.name} completed successfully` : `${job.name} failed`,
+      data: run
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the run history of a scheduler job
+ * @route   GET /api/notifications/scheduler/jobs/:id/runs?status=&page=&limit=
+ * @access  Private/Admin
+ */
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const filter = { jobId: req.params.id };
+    if (status) filter.status = status;
+
+    const [runs, total] = await Promise.all([
+      SchedulerJobRun.find(filter)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('triggeredBy', 'name email'),
+      SchedulerJobRun.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      count: runs.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: runs
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
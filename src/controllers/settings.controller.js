@@ -1,4 +1,5 @@
 const Settings = require('../models/settings.model');
+const NotificationScheduler = require('../services/notification.scheduler');
 
 /**
  * @desc    Get application settings
@@ -53,6 +54,8 @@ exports.updateSettings = async (req, res) => {
       });
     }
     
+    const previousTimezone = settings.system?.timezone;
+    
     // Update settings fields if provided
     if (organization) {
       settings.organization = { 
@@ -72,6 +75,26 @@ exports.updateSettings = async (req, res) => {
         workingDays: {
           ...settings.attendance?.workingDays,
           ...attendance.workingDays
+        },
+        locationSecurity: {
+          ...settings.attendance?.locationSecurity,
+          ...attendance.locationSecurity
+        },
+        deviceSecurity: {
+          ...settings.attendance?.deviceSecurity,
+          ...attendance.deviceSecurity
+        },
+        escalation: {
+          ...settings.attendance?.escalation,
+          ...attendance.escalation,
+          absence: {
+            ...settings.attendance?.escalation?.absence,
+            ...attendance.escalation?.absence
+          },
+          late: {
+            ...settings.attendance?.escalation?.late,
+            ...attendance.escalation?.late
+          }
         }
       };
     }
@@ -83,6 +106,10 @@ exports.updateSettings = async (req, res) => {
         email: {
           ...settings.notifications?.email,
           ...notifications.email
+        },
+        reminders: {
+          ...settings.notifications?.reminders,
+          ...notifications.reminders
         }
       };
       
@@ -105,6 +132,17 @@ exports.updateSettings = async (req, res) => {
     // Save the updated settings
     await settings.save();
     
+    // Scheduled checks run in the organization timezone. The settings are
+    // already saved, so a failed reschedule is only logged: the scheduler's
+    // minute-by-minute sync retries it
+    if (settings.system?.timezone !== previousTimezone && NotificationScheduler.isRunning) {
+      try {
+        await NotificationScheduler.sync();
+      } catch (schedulerError) {
+        console.error('❌ Failed to reschedule jobs after timezone change:', schedulerError.message);
+      }
+    }
+    
     res.status(200).json({
       status: 'success',
       data: settings
@@ -0,0 +1,178 @@
+const Site = require('../models/site.model');
+const Geofence = require('../models/geofence.model');
+
+/**
+ * @desc    Create a site
+ * @route   POST /api/sites
+ * @access  Private/Admin
+ */
+exports.createSite = async (req, res) => {
+  try {
+    const { name, description, address } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Site name is required'
+      });
+    }
+
+    const site = await Site.create({
+      name,
+      description,
+      address,
+      createdBy: req.user._id
+    });
+
+    console.log(`🏫 Site created: ${name} by ${req.user.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: { site }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get all sites with their zone counts
+ * @route   GET /api/sites
+ * @access  Private (Admin/Supervisor)
+ */
+exports.getSites = async (req, res) => {
+  try {
+    const sites = await Site.find().sort({ name: 1 });
+    const counts = await Geofence.aggregate([
+      { $match: { siteId: { $in: sites.map(site => site._id) } } },
+      { $group: { _id: '$siteId', zones: { $sum: 1 } } }
+    ]);
+    const zoneCounts = new Map(counts.map(count => [count._id.toString(), count.zones]));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sites: sites.map(site => ({
+          ...site.toObject(),
+          zoneCount: zoneCounts.get(site._id.toString()) || 0
+        })),
+        count: sites.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a site with its zones
+ * @route   GET /api/sites/:id
+ * @access  Private (Admin/Supervisor)
+ */
+exports.getSite = async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!site) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Site not found'
+      });
+    }
+
+    const zones = await Geofence.find({ siteId: site._id }).sort({ zoneType: 1, name: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: { site, zones }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a site
+ * @route   PUT /api/sites/:id
+ * @access  Private/Admin
+ */
+exports.updateSite = async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Site not found'
+      });
+    }
+
+    const { name, description, address } = req.body;
+    if (name) site.name = name;
+    if (description !== undefined) site.description = description;
+    if (address) site.address = address;
+
+    await site.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: { site }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a site
+ * @route   DELETE /api/sites/:id
+ * @access  Private/Admin
+ */
+exports.deleteSite = async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Site not found'
+      });
+    }
+
+    // Zones must be moved or deleted first
+    const zoneCount = await Geofence.countDocuments({ siteId: site._id });
+    if (zoneCount > 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Site still has ${zoneCount} zone(s). Remove or reassign them first.`,
+        code: 'SITE_IN_USE'
+      });
+    }
+
+    await site.deleteOne();
+
+    console.log(`🗑️ Site deleted: ${site.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Site deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,240 @@
+const MessageTemplate = require('../models/messageTemplate.model');
+const TemplateService = require('../services/template.service');
+const { validateTemplate, extractVariables } = require('../utils/template.utils');
+
+// Validate the :key and :language route params
+const checkParams = (req, res) => {
+  const { key, language } = req.params;
+
+  if (!TemplateService.getDefinition(key)) {
+    res.status(404).json({
+      status: 'fail',
+      message: `Unknown template: ${key}`
+    });
+    return false;
+  }
+
+  if (language && !TemplateService.LANGUAGES.includes(language)) {
+    res.status(400).json({
+      status: 'fail',
+      message: `Language must be one of: ${TemplateService.LANGUAGES.join(', ')}`
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Syntax errors in the editable parts of a template
+const getTemplateErrors = ({ subject, title, body }) =>
+  [subject, title, body]
+    .filter(part => typeof part === 'string')
+    .flatMap(validateTemplate);
+
+/**
+ * @desc    List templates with the languages that have custom versions
+ * @route   GET /api/templates
+ * @access  Private/Admin
+ */
+exports.getTemplates = async (req, res) => {
+  try {
+    const overrides = await MessageTemplate.find().select('key language isActive updatedAt');
+
+    const templates = TemplateService.listDefinitions().map(definition => ({
+      ...definition,
+      customized: overrides
+        .filter(override => override.key === definition.key)
+        .map(({ language, isActive, updatedAt }) => ({ language, isActive, updatedAt }))
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      count: templates.length,
+      data: {
+        languages: TemplateService.LANGUAGES,
+        templates
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a template in one language (custom version and built-in default)
+ * @route   GET /api/templates/:key/:language
+ * @access  Private/Admin
+ */
+exports.getTemplate = async (req, res) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { key, language } = req.params;
+    const definition = TemplateService.getDefinition(key);
+    const defaultTemplate = definition[language] || definition.en;
+    const custom = await MessageTemplate.findOne({ key, language }).populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        key,
+        language,
+        description: definition.description,
+        variables: extractVariables(`${defaultTemplate.subject} ${defaultTemplate.title || ''} ${defaultTemplate.body}`),
+        sample: definition.sample,
+        default: defaultTemplate,
+        custom
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create or update the custom version of a template
+ * @route   PUT /api/templates/:key/:language
+ * @access  Private/Admin
+ * Body: { subject, title, body, isActive }
+ */
+exports.updateTemplate = async (req, res) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { key, language } = req.params;
+    const { subject, title, body, isActive } = req.body;
+
+    const errors = getTemplateErrors({ subject, title, body });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Template has syntax errors',
+        errors
+      });
+    }
+
+    let template = await MessageTemplate.findOne({ key, language });
+
+    if (!template) {
+      // Start from the built-in version so partial updates work
+      const definition = TemplateService.getDefinition(key);
+      template = new MessageTemplate({ key, language, ...(definition[language] || definition.en) });
+    }
+
+    if (subject !== undefined) template.subject = subject;
+    if (title !== undefined) template.title = title;
+    if (body !== undefined) template.body = body;
+    if (isActive !== undefined) template.isActive = !!isActive;
+    template.updatedBy = req.user._id;
+
+    await template.save();
+
+    console.log(`📝 Template ${key} (${language}) updated by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: template
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'fail',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete the custom version of a template (restores the built-in one)
+ * @route   DELETE /api/templates/:key/:language
+ * @access  Private/Admin
+ */
+exports.resetTemplate = async (req, res) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { key, language } = req.params;
+    const template = await MessageTemplate.findOneAndDelete({ key, language });
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'This template has no custom version'
+      });
+    }
+
+    console.log(`↩️ Template ${key} (${language}) reset to default by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Template restored to the default version'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Preview a template with sample data (optionally with unsaved changes)
+ * @route   POST /api/templates/:key/preview
+ * @access  Private/Admin
+ * Body: { language, variables, subject, title, body }
+ */
+exports.previewTemplate = async (req, res) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { language, variables, subject, title, body } = req.body;
+
+    if (language && !TemplateService.LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Language must be one of: ${TemplateService.LANGUAGES.join(', ')}`
+      });
+    }
+
+    const errors = getTemplateErrors({ subject, title, body });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Template has syntax errors',
+        errors
+      });
+    }
+
+    // Only the fields sent are replaced in the current template
+    const draft = Object.fromEntries(
+      Object.entries({ subject, title, body }).filter(([, value]) => value !== undefined)
+    );
+
+    const preview = await TemplateService.preview(req.params.key, {
+      language,
+      variables,
+      draft: Object.keys(draft).length > 0 ? draft : undefined
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: preview
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
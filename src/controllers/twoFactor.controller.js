@@ -1,11 +1,8 @@
 const TwoFactor = require('../models/twoFactor.model');
 const User = require('../models/user.model');
-const { Resend } = require('resend');
-
-// Initialize Resend for email sending (works on Render, free tier: 100 emails/day)
-const resend = new Resend(process.env.RESEND_API_KEY);
-
-console.log('📧 Email configured with Resend API');
+const QRCode = require('qrcode');
+const MailService = require('../services/mail.service');
+const TemplateService = require('../services/template.service');
 
 /**
  * Send OTP via email
@@ -15,77 +12,50 @@ console.log('📧 Email configured with Resend API');
  */
 const sendOTPEmail = async (email, code, userName) => {
   try {
-    console.log(`📧 Sending OTP to ${email} via Resend API`);
+    console.log(`📧 Sending OTP to ${email}`);
+    
+    const { subject, html } = await TemplateService.renderEmail('email.otp', {
+      userName,
+      code,
+      expiresInMinutes: 10
+    });
     
-    const { data, error } = await resend.emails.send({
-      from: 'CheckMate <onboarding@resend.dev>',
+    const result = await MailService.send({
       to: email,
-      subject: '🔐 Your CheckMate Verification Code',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
-            .code-box { background: white; border: 2px dashed #10b981; padding: 20px; text-align: center; margin: 20px 0; border-radius: 8px; }
-            .code { font-size: 32px; font-weight: bold; color: #10b981; letter-spacing: 5px; }
-            .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
-            .footer { text-align: center; color: #6b7280; font-size: 12px; margin-top: 20px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>🔐 Verification Code</h1>
-            </div>
-            <div class="content">
-              <p>Hello <strong>${userName}</strong>,</p>
-              <p>You requested a verification code to access your CheckMate account. Use the code below to complete your login:</p>
-              
-              <div class="code-box">
-                <div class="code">${code}</div>
-                <p style="margin: 10px 0 0 0; color: #6b7280; font-size: 14px;">This code expires in 10 minutes</p>
-              </div>
-              
-              <div class="warning">
-                <strong>⚠️ Security Notice:</strong> If you didn't request this code, please ignore this email and secure your account immediately.
-              </div>
-              
-              <p>For your security:</p>
-              <ul>
-                <li>Never share this code with anyone</li>
-                <li>CheckMate staff will never ask for this code</li>
-                <li>This code can only be used once</li>
-              </ul>
-              
-              <p>Best regards,<br><strong>CheckMate Security Team</strong></p>
-            </div>
-            <div class="footer">
-              <p>This is an automated message from CheckMate Attendance System</p>
-              <p>© 2025 CheckMate. All rights reserved.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `
+      subject,
+      html
+    }, {
+      category: 'otp',
+      // The code expires in 10 minutes - don't keep retrying past that
+      maxAttempts: 2,
+      sensitive: true
     });
     
-    if (error) {
-      console.error(`❌ Resend API error:`, error);
-      throw new Error(`Email sending failed: ${error.message}`);
+    if (result.status !== 'sent') {
+      throw new Error(result.lastError);
     }
     
-    console.log(`✅ Email sent successfully to ${email}. ID: ${data.id}`);
-    return data;
+    console.log(`✅ Email sent successfully to ${email}. ID: ${result.messageId}`);
+    return result;
   } catch (error) {
     console.error(`❌ FAILED to send email to ${email}:`, error.message);
     throw new Error(`Email sending failed: ${error.message}`);
   }
 };
 
+// Response for a 2FA account locked after too many wrong codes
+const sendLocked = (res, twoFactor) => {
+  const remainingMinutes = Math.ceil((twoFactor.lockUntil - Date.now()) / 60000);
+  
+  return res.status(423).json({
+    status: 'fail',
+    message: `Too many invalid codes. Please try again in ${remainingMinutes} minutes.`,
+    code: '2FA_LOCKED',
+    lockUntil: twoFactor.lockUntil,
+    remainingMinutes
+  });
+};
+
 /**
  * @desc    Enable 2FA for user
  * @route   POST /api/2fa/enable
@@ -102,6 +72,16 @@ exports.enable2FA = async (req, res) => {
       });
     }
     
+    // Switching away from the authenticator app goes through /api/2fa/method (requires password)
+    const existing = await TwoFactor.findByUserId(user._id);
+    if (existing && existing.isEnabled && existing.method === 'authenticator') {
+      return res.status(400).json({
+        status: 'fail',
+        message: '2FA is already enabled with an authenticator app. Use the method switch to change to email.',
+        code: 'AUTHENTICATOR_ENABLED'
+      });
+    }
+    
     // Enable 2FA and generate backup codes
     const { twoFactor, backupCodes } = await TwoFactor.enableForUser(
       user._id,
@@ -186,14 +166,15 @@ exports.disable2FA = async (req, res) => {
  */
 exports.get2FAStatus = async (req, res) => {
   try {
-    const twoFactor = await TwoFactor.findByUserId(req.user._id);
+    const twoFactor = await TwoFactor.findByUserId(req.user._id, true);
     
     if (!twoFactor) {
       return res.status(200).json({
         status: 'success',
         data: {
           enabled: false,
-          method: null
+          method: null,
+          authenticatorConfigured: false
         }
       });
     }
@@ -203,6 +184,8 @@ exports.get2FAStatus = async (req, res) => {
       data: {
         enabled: twoFactor.isEnabled,
         method: twoFactor.method,
+        authenticatorConfigured: !!twoFactor.secret,
+        authenticatorPending: !!twoFactor.pendingSecret,
         lastUsed: twoFactor.lastUsed,
         totalUsed: twoFactor.totalUsed,
         remainingBackupCodes: twoFactor.getRemainingBackupCodes()
@@ -253,6 +236,14 @@ exports.sendOTP = async (req, res) => {
       });
     }
     
+    // Authenticator app users read the code from their app - nothing to send
+    if (twoFactor.method === 'authenticator') {
+      return res.status(200).json({
+        status: 'success',
+        message: 'If 2FA is enabled for this account, an OTP has been sent to your email'
+      });
+    }
+    
     // Generate OTP
     const code = twoFactor.generateOTP();
     await twoFactor.save();
@@ -287,6 +278,8 @@ exports.sendOTP = async (req, res) => {
  * @desc    Verify OTP code
  * @route   POST /api/2fa/verify-otp
  * @access  Public (but requires valid email first)
+ * Only emailed codes are checked here: authenticator codes are only accepted
+ * by POST /api/auth/login-2fa, after the password step
  */
 exports.verifyOTP = async (req, res) => {
   try {
@@ -310,7 +303,7 @@ exports.verifyOTP = async (req, res) => {
     }
     
     // Get 2FA settings
-    const twoFactor = await TwoFactor.findByUserId(user._id);
+    const twoFactor = await TwoFactor.findByUserId(user._id, true);
     
     if (!twoFactor || !twoFactor.isEnabled) {
       return res.status(401).json({
@@ -319,15 +312,29 @@ exports.verifyOTP = async (req, res) => {
       });
     }
     
-    // Verify OTP
+    if (twoFactor.method === 'authenticator') {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Invalid or expired code'
+      });
+    }
+    
+    if (twoFactor.isLocked) {
+      return sendLocked(res, twoFactor);
+    }
+    
     const isValid = twoFactor.verifyOTP(code);
     await twoFactor.save();
     
     if (!isValid) {
+      if (twoFactor.isLocked) {
+        return sendLocked(res, twoFactor);
+      }
+      
       return res.status(401).json({
         status: 'fail',
         message: 'Invalid or expired code',
-        remainingAttempts: Math.max(0, 5 - twoFactor.tempOTP?.attempts || 0)
+        remainingAttempts: Math.max(0, 5 - (twoFactor.tempOTP?.attempts || 0))
       });
     }
     
@@ -385,11 +392,19 @@ exports.verifyBackupCode = async (req, res) => {
       });
     }
     
+    if (twoFactor.isLocked) {
+      return sendLocked(res, twoFactor);
+    }
+    
     // Verify backup code
     const isValid = twoFactor.verifyBackupCode(backupCode);
     await twoFactor.save();
     
     if (!isValid) {
+      if (twoFactor.isLocked) {
+        return sendLocked(res, twoFactor);
+      }
+      
       return res.status(401).json({
         status: 'fail',
         message: 'Invalid or already used backup code'
@@ -475,5 +490,239 @@ exports.regenerateBackupCodes = async (req, res) => {
   }
 };
 
-// Export helper function for use in other controllers
+/**
+ * @desc    Start authenticator app enrollment
+ * @route   POST /api/2fa/authenticator/setup
+ * @access  Private
+ * Returns a QR code and the secret for manual entry; nothing changes until the
+ * user confirms a code from the app
+ */
+exports.setupAuthenticator = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'User not found'
+      });
+    }
+    
+    let twoFactor = await TwoFactor.findByUserId(user._id, true);
+    
+    if (!twoFactor) {
+      twoFactor = new TwoFactor({
+        userId: user._id,
+        email: user.email,
+        isEnabled: false
+      });
+    }
+    
+    const { secret, otpauthUrl } = twoFactor.generateTotpSecret(user.email);
+    await twoFactor.save();
+    
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    
+    console.log(`📱 Authenticator enrollment started for ${user.email}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from the app',
+      data: {
+        qrCode,
+        otpauthUrl,
+        secret // For manual entry in the app
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Confirm authenticator app enrollment with a code from the app
+ * @route   POST /api/2fa/authenticator/confirm
+ * @access  Private
+ * Body: { code, password } - password is required when 2FA is already enabled,
+ * as for any other change of the 2FA method
+ * Enables 2FA with the authenticator method (backup codes are issued if 2FA was off)
+ */
+exports.confirmAuthenticator = async (req, res) => {
+  try {
+    const { code, password } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Code is required'
+      });
+    }
+    
+    const twoFactor = await TwoFactor.findByUserId(req.user._id, true);
+    
+    if (!twoFactor || !twoFactor.pendingSecret) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'No authenticator enrollment in progress. Start the setup first.',
+        code: 'NO_PENDING_AUTHENTICATOR'
+      });
+    }
+    
+    // Replacing an active second factor needs the password, like /api/2fa/method
+    if (twoFactor.isEnabled) {
+      if (!password) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'Password is required to change the 2FA method',
+          code: 'PASSWORD_REQUIRED'
+        });
+      }
+      
+      const user = await User.findById(req.user._id).select('+password');
+      const isMatch = await user.matchPassword(password);
+      
+      if (!isMatch) {
+        return res.status(401).json({
+          status: 'fail',
+          message: 'Invalid password'
+        });
+      }
+    }
+    
+    if (twoFactor.isLocked) {
+      return sendLocked(res, twoFactor);
+    }
+    
+    const isValid = await twoFactor.verifyTOTP(code, true);
+    
+    if (!isValid) {
+      await twoFactor.save();
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Invalid code. Check the time on your device and try again.'
+      });
+    }
+    
+    const wasEnabled = twoFactor.isEnabled;
+    twoFactor.confirmAuthenticator();
+    
+    // First time enabling 2FA - issue backup codes
+    const backupCodes = wasEnabled ? undefined : twoFactor.generateBackupCodes(10);
+    await twoFactor.save();
+    
+    console.log(`🔐 Authenticator app enabled for user: ${req.user.email}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Authenticator app has been enabled successfully',
+      data: {
+        method: twoFactor.method,
+        backupCodes, // Show once, user must save them
+        backupCodesCount: backupCodes ? backupCodes.length : undefined
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Switch 2FA method between email and authenticator app
+ * @route   POST /api/2fa/method
+ * @access  Private
+ * Body: { method, password, code } - code (from the app) is required when switching to authenticator
+ */
+exports.switch2FAMethod = async (req, res) => {
+  try {
+    const { method, password, code } = req.body;
+    
+    if (!['email', 'authenticator'].includes(method)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Method must be email or authenticator'
+      });
+    }
+    
+    if (!password) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Password is required to change the 2FA method'
+      });
+    }
+    
+    // Verify password
+    const user = await User.findById(req.user._id).select('+password');
+    const isMatch = await user.matchPassword(password);
+    
+    if (!isMatch) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Invalid password'
+      });
+    }
+    
+    const twoFactor = await TwoFactor.findByUserId(user._id, true);
+    
+    if (!twoFactor || !twoFactor.isEnabled) {
+      return res.status(404).json({
+        status: 'fail',
+        message: '2FA is not enabled'
+      });
+    }
+    
+    if (twoFactor.method === method) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `2FA already uses ${method === 'email' ? 'email' : 'the authenticator app'}`
+      });
+    }
+    
+    if (method === 'authenticator') {
+      if (!twoFactor.secret) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'No authenticator app is set up. Complete the authenticator setup first.',
+          code: 'AUTHENTICATOR_NOT_CONFIGURED'
+        });
+      }
+      
+      // Make sure the app still has the secret before relying on it
+      if (!code || !(await twoFactor.verifyTOTP(code))) {
+        await twoFactor.save();
+        return res.status(401).json({
+          status: 'fail',
+          message: 'Invalid authenticator code'
+        });
+      }
+    }
+    
+    twoFactor.method = method;
+    twoFactor.tempOTP = undefined;
+    await twoFactor.save();
+    
+    console.log(`🔄 2FA method switched to ${method} for ${user.email}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: `2FA will now use ${method === 'email' ? 'emailed codes' : 'your authenticator app'}`,
+      data: {
+        method: twoFactor.method
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Export helper functions for use in other controllers
 module.exports.sendOTPEmail = sendOTPEmail;
+module.exports.sendLocked = sendLocked;
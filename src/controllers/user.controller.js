@@ -1,4 +1,5 @@
 const User = require('../models/user.model');
+const WebhookService = require('../services/webhook.service');
 
 /**
  * @desc    Get all users
@@ -179,6 +180,14 @@ exports.approveUser = async (req, res) => {
     
     console.log(`✅ User approved: ${user.email}`);
     
+    WebhookService.emit('user.approved', {
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      approvedBy: req.user._id
+    });
+    
     // Send approval email notification
     try {
       const emailController = require('./email.controller');
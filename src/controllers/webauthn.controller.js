@@ -9,11 +9,7 @@ const WebAuthnCredential = require('../models/webauthn.model');
 const WebAuthnChallenge = require('../models/webauthnChallenge.model');
 const Session = require('../models/session.model');
 const { generateToken, generateRefreshToken } = require('../utils/jwt.utils');
-
-// WebAuthn configuration
-const rpName = 'CheckMate Attendance';
-const rpID = process.env.RP_ID || 'localhost';
-const origin = process.env.ORIGIN || `http://${rpID}:3000`;
+const { rpName, rpID, origin } = require('../config/webauthn');
 
 /**
  * @desc    Generate registration options for new biometric credential
@@ -650,6 +646,67 @@ exports.verifyAuthentication = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Generate a step-up challenge for a biometric-verified check-in/check-out
+ * @route   POST /api/webauthn/attendance/options
+ * @access  Private
+ * Body: { action: 'check_in' | 'check_out' }. The signed assertion is sent as
+ * `webauthn` in the check-in/check-out body and only authorizes that action
+ */
+exports.generateAttendanceOptions = async (req, res) => {
+  try {
+    const { action } = req.body;
+
+    if (!['check_in', 'check_out'].includes(action)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Action must be check_in or check_out'
+      });
+    }
+
+    const credentials = await WebAuthnCredential.findByUserId(req.user._id);
+
+    if (credentials.length === 0) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No biometric credentials found. Please register one in Settings → Security → Biometric Authentication first.',
+        code: 'NO_BIOMETRIC_CREDENTIAL'
+      });
+    }
+
+    // Only the intern's own credentials can answer the challenge
+    const options = await generateAuthenticationOptions({
+      rpID,
+      allowCredentials: credentials.map(cred => ({
+        id: cred.credentialId,
+        transports: cred.transports
+      })),
+      userVerification: 'required'
+    });
+
+    await WebAuthnChallenge.createChallenge(
+      req.user._id,
+      options.challenge,
+      'attendance',
+      2, // 2 minutes - the assertion must be fresh
+      action
+    );
+
+    console.log(`🔐 Attendance step-up options generated for ${req.user.email} (${action})`);
+
+    res.status(200).json({
+      status: 'success',
+      data: { options }
+    });
+  } catch (error) {
+    console.error('Error generating attendance options:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get all biometric credentials for current user
  * @route   GET /api/webauthn/credentials
@@ -0,0 +1,320 @@
+const Webhook = require('../models/webhook.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+const WebhookService = require('../services/webhook.service');
+
+// Fields admins may set on a webhook
+const WEBHOOK_FIELDS = ['name', 'description', 'url', 'events', 'enabled'];
+
+const pickWebhookFields = (body) => WEBHOOK_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const sendValidationError = (res, error) => {
+  if (error.name !== 'ValidationError') return false;
+
+  res.status(400).json({
+    status: 'fail',
+    message: error.message
+  });
+  return true;
+};
+
+const webhookNotFound = (res) => res.status(404).json({
+  status: 'fail',
+  message: 'Webhook not found'
+});
+
+/**
+ * @desc    List the events webhooks can subscribe to
+ * @route   GET /api/webhooks/events
+ * @access  Private/Admin
+ */
+exports.getEvents = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: Webhook.EVENTS
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List webhooks
+ * @route   GET /api/webhooks
+ * @access  Private/Admin
+ */
+exports.getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find()
+      .sort({ name: 1 })
+      .populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      count: webhooks.length,
+      data: webhooks
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a webhook
+ * @route   GET /api/webhooks/:id
+ * @access  Private/Admin
+ */
+exports.getWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!webhook) return webhookNotFound(res);
+
+    res.status(200).json({
+      status: 'success',
+      data: webhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Register a webhook
+ * @route   POST /api/webhooks
+ * @access  Private/Admin
+ * Body: { name, description, url, events, enabled }
+ * The signing secret is only returned here and when it is rotated
+ */
+exports.createWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.create({
+      ...pickWebhookFields(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    console.log(`🔗 Webhook ${webhook.name} created by ${req.user.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: webhook.toObject()
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) return;
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a webhook
+ * @route   PUT /api/webhooks/:id
+ * @access  Private/Admin
+ */
+exports.updateWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) return webhookNotFound(res);
+
+    webhook.set(pickWebhookFields(req.body));
+    webhook.updatedBy = req.user._id;
+    await webhook.save();
+
+    console.log(`🔗 Webhook ${webhook.name} updated by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: webhook
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) return;
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a webhook and its delivery log
+ * @route   DELETE /api/webhooks/:id
+ * @access  Private/Admin
+ */
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+    if (!webhook) return webhookNotFound(res);
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    console.log(`🔗 Webhook ${webhook.name} deleted by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Replace a webhook's signing secret
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @access  Private/Admin
+ */
+exports.rotateSecret = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) return webhookNotFound(res);
+
+    const secret = webhook.rotateSecret();
+    webhook.updatedBy = req.user._id;
+    await webhook.save();
+
+    console.log(`🔑 Webhook ${webhook.name} secret rotated by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: { secret }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Send a test event to a webhook and return the delivery
+ * @route   POST /api/webhooks/:id/test
+ * @access  Private/Admin
+ */
+exports.testWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id).select('+secret');
+
+    if (!webhook) return webhookNotFound(res);
+
+    const delivery = await WebhookService.sendTest(webhook, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: delivery.status === 'delivered'
+        ? 'Test event delivered'
+        : `Test event failed: ${delivery.lastError}`,
+      data: delivery
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a webhook's delivery log
+ * @route   GET /api/webhooks/:id/deliveries?status=&event=&page=&limit=
+ * @access  Private/Admin
+ */
+exports.getDeliveries = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id).select('_id');
+
+    if (!webhook) return webhookNotFound(res);
+
+    const { status, event } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const filter = { webhookId: webhook._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      count: deliveries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: deliveries
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Retry a failed delivery now
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/retry
+ * @access  Private/Admin
+ */
+exports.retryDelivery = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id).select('+secret');
+
+    if (!webhook) return webhookNotFound(res);
+
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.deliveryId, webhookId: webhook._id, status: 'failed' },
+      { status: 'sending', lockedAt: new Date(), $inc: { maxAttempts: 1 } },
+      { new: true }
+    );
+
+    if (!delivery) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Only failed deliveries of this webhook can be retried',
+        code: 'NOT_RETRYABLE'
+      });
+    }
+
+    await WebhookService.deliver(delivery, webhook);
+
+    res.status(200).json({
+      status: 'success',
+      data: delivery
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -12,6 +12,24 @@ const determineAction = (method, path) => {
   if (path.includes('/auth/logout')) return 'LOGOUT';
   if (path.includes('/auth/register')) return 'USER_CREATED';
   
+  // Template routes (checked early: keys such as email.absentee contain other route names)
+  if (path.includes('/templates')) {
+    if (method === 'PUT') return 'TEMPLATE_UPDATED';
+    if (method === 'DELETE') return 'TEMPLATE_RESET';
+    return 'API_REQUEST';
+  }
+  
+  // Webhook routes
+  if (path.includes('/webhooks')) {
+    if (method === 'POST' && path.endsWith('/test')) return 'WEBHOOK_TESTED';
+    if (method === 'POST' && path.endsWith('/retry')) return 'WEBHOOK_DELIVERY_RETRIED';
+    if (method === 'POST' && path.endsWith('/rotate-secret')) return 'WEBHOOK_SECRET_ROTATED';
+    if (method === 'POST') return 'WEBHOOK_CREATED';
+    if (method === 'PUT' || method === 'PATCH') return 'WEBHOOK_UPDATED';
+    if (method === 'DELETE') return 'WEBHOOK_DELETED';
+    return 'API_REQUEST';
+  }
+  
   // User routes
   if (path.includes('/users')) {
     if (method === 'GET') return 'USER_VIEWED';
@@ -21,6 +39,8 @@ const determineAction = (method, path) => {
   }
   
   // Intern routes
+  if (path.includes('/interns') && path.endsWith('/attendance-flag') && method === 'DELETE') return 'INTERN_FLAG_CLEARED';
+  if (path.includes('/interns/import') && method === 'POST') return 'INTERNS_IMPORTED';
   if (path.includes('/interns')) {
     if (method === 'GET') return 'INTERN_VIEWED';
     if (method === 'POST') return 'INTERN_CREATED';
@@ -29,9 +49,10 @@ const determineAction = (method, path) => {
   }
   
   // Attendance routes
-  if (path.includes('/attendance/check-in')) return 'CHECK_IN';
-  if (path.includes('/attendance/check-out')) return 'CHECK_OUT';
+  if (path.includes('/attendance/check-in') || path.includes('/attendance/kiosk/check-in')) return 'CHECK_IN';
+  if (path.includes('/attendance/check-out') || path.includes('/attendance/kiosk/check-out')) return 'CHECK_OUT';
   if (path.includes('/attendance')) {
+    if (path.includes('/revert')) return 'ATTENDANCE_REVERTED';
     if (method === 'GET') return 'ATTENDANCE_VIEWED';
     if (method === 'PUT' || method === 'PATCH') return 'ATTENDANCE_UPDATED';
     if (method === 'DELETE') return 'ATTENDANCE_DELETED';
@@ -45,8 +66,27 @@ const determineAction = (method, path) => {
   }
   
   // Email routes
+  if (path.includes('/email/outbox') && method === 'GET') return 'API_REQUEST';
   if (path.includes('/email')) return 'EMAIL_SENT';
   
+  // Scheduler job routes
+  if (path.includes('/notifications/scheduler/jobs')) {
+    if (method === 'POST' && path.endsWith('/run')) return 'SCHEDULER_JOB_RUN';
+    if (method === 'POST') return 'SCHEDULER_JOB_CREATED';
+    if (method === 'PUT' || method === 'PATCH') return 'SCHEDULER_JOB_UPDATED';
+    if (method === 'DELETE') return 'SCHEDULER_JOB_DELETED';
+    return 'API_REQUEST';
+  }
+  
+  // Notification routing rules and preferences
+  if (path.includes('/notifications/rules') || path.includes('/notifications/department-heads')) {
+    if (method === 'POST') return 'NOTIFICATION_RULE_CREATED';
+    if (method === 'PUT' || method === 'PATCH') return 'NOTIFICATION_RULE_UPDATED';
+    if (method === 'DELETE') return 'NOTIFICATION_RULE_DELETED';
+    return 'API_REQUEST';
+  }
+  if (path.includes('/notifications/preferences') && method === 'PUT') return 'NOTIFICATION_PREFERENCES_UPDATED';
+  
   // Notification routes
   if (path.includes('/notifications')) {
     if (method === 'GET') return 'NOTIFICATION_VIEWED';
@@ -62,7 +102,7 @@ const determineAction = (method, path) => {
   
   // 2FA routes
   if (path.includes('/2fa')) {
-    if (path.includes('/enable')) return '2FA_ENABLED';
+    if (path.includes('/enable') || path.includes('/authenticator/confirm')) return '2FA_ENABLED';
     if (path.includes('/disable')) return '2FA_DISABLED';
     if (path.includes('/verify')) return '2FA_VERIFIED';
     return 'API_REQUEST';
@@ -84,6 +124,34 @@ const determineAction = (method, path) => {
     return 'API_REQUEST';
   }
   
+  // Leave routes
+  if (path.includes('/leaves')) {
+    if (method === 'GET') return 'LEAVE_VIEWED';
+    if (method === 'POST') return 'LEAVE_REQUESTED';
+    if (path.includes('/approve')) return 'LEAVE_APPROVED';
+    if (path.includes('/reject')) return 'LEAVE_REJECTED';
+    if (path.includes('/cancel')) return 'LEAVE_CANCELLED';
+    return 'API_REQUEST';
+  }
+  
+  // Attendance correction routes
+  if (path.includes('/corrections')) {
+    if (method === 'GET') return 'CORRECTION_VIEWED';
+    if (method === 'POST') return 'CORRECTION_REQUESTED';
+    if (path.includes('/approve')) return 'CORRECTION_APPROVED';
+    if (path.includes('/reject')) return 'CORRECTION_REJECTED';
+    if (path.includes('/cancel')) return 'CORRECTION_CANCELLED';
+    return 'API_REQUEST';
+  }
+  
+  // Trusted device routes
+  if (path.includes('/devices')) {
+    if (method === 'POST') return 'DEVICE_BOUND';
+    if (method === 'PUT' || method === 'PATCH') return 'DEVICE_UPDATED';
+    if (method === 'DELETE') return 'DEVICE_UNBOUND';
+    return 'API_REQUEST';
+  }
+  
   // Audit logs
   if (path.includes('/audit-logs')) return 'API_REQUEST';
   
@@ -92,14 +160,20 @@ const determineAction = (method, path) => {
 
 // Helper function to determine resource from path
 const determineResource = (path) => {
+  if (path.includes('/templates')) return 'template';
+  if (path.includes('/webhooks')) return 'webhook';
   if (path.includes('/auth')) return 'auth';
   if (path.includes('/users')) return 'user';
   if (path.includes('/interns')) return 'intern';
   if (path.includes('/attendance')) return 'attendance';
   if (path.includes('/reports')) return 'report';
+  if (path.includes('/notifications/scheduler')) return 'scheduler';
   if (path.includes('/notifications')) return 'notification';
   if (path.includes('/email')) return 'email';
   if (path.includes('/settings')) return 'settings';
+  if (path.includes('/leaves')) return 'leave';
+  if (path.includes('/corrections')) return 'correction';
+  if (path.includes('/devices')) return 'device';
   return 'system';
 };
 
@@ -243,9 +317,34 @@ const logAccountLockout = async (user, ipAddress, userAgent) => {
   }
 };
 
+// Log a suspicious request (e.g. a spoofed check-in location)
+const logSuspiciousActivity = async (req, resource, details, resourceId = null, statusCode = 403) => {
+  try {
+    await AuditLog.log({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      userName: req.user.name,
+      userRole: req.user.role,
+      action: 'SUSPICIOUS_ACTIVITY',
+      resource,
+      resourceId,
+      method: req.method,
+      endpoint: req.originalUrl || req.path,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent'),
+      status: 'warning',
+      statusCode,
+      details
+    });
+  } catch (error) {
+    console.error('Failed to log suspicious activity:', error);
+  }
+};
+
 module.exports = {
   auditLogMiddleware,
   logAction,
   logFailedLogin,
-  logAccountLockout
+  logAccountLockout,
+  logSuspiciousActivity
 };
@@ -37,6 +37,15 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Stream tokens only open event streams (see protectStream) and
+    // pre-auth tokens only complete a 2FA login
+    if (decoded.type === 'stream' || decoded.type === 'pre_auth') {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Not authorized to access this route'
+      });
+    }
+    
     // Check if user still exists
     const user = await User.findById(decoded.id);
     
@@ -82,6 +91,46 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Protect event streams - EventSource cannot send headers, so a stream token
+// (POST /api/notifications/stream/token) is also accepted as ?token=
+exports.protectStream = async (req, res, next) => {
+  if (req.headers.authorization) {
+    return exports.protect(req, res, next);
+  }
+  
+  try {
+    const decoded = jwt.verify(req.query.token || '', process.env.JWT_SECRET);
+    
+    if (decoded.type !== 'stream') {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'A stream token is required',
+        code: 'STREAM_TOKEN_REQUIRED'
+      });
+    }
+    
+    const user = await User.findById(decoded.id);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Not authorized to access this route'
+      });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      status: 'fail',
+      message: error.name === 'TokenExpiredError'
+        ? 'Stream token has expired. Request a new one.'
+        : 'Not authorized to access this route',
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : undefined
+    });
+  }
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
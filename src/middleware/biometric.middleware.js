@@ -0,0 +1,109 @@
+const { verifyAuthenticationResponse } = require('@simplewebauthn/server');
+const Intern = require('../models/intern.model');
+const WebAuthnCredential = require('../models/webauthn.model');
+const WebAuthnChallenge = require('../models/webauthnChallenge.model');
+const AttendancePolicy = require('../services/attendancePolicy.service');
+const { rpID, origin } = require('../config/webauthn');
+
+/**
+ * Biometric Middleware
+ * Step-up verification for check-in/check-out: when the intern's department
+ * requires it, the request must carry a fresh WebAuthn assertion (`webauthn`
+ * in the body) answering a challenge issued for that exact action by
+ * POST /api/webauthn/attendance/options
+ */
+
+// Find the stored credential for an assertion (base64url, or legacy base64 IDs)
+const findCredential = async (credentialId) => {
+  const credential = await WebAuthnCredential.findByCredentialId(credentialId);
+  if (credential) return credential;
+
+  const legacyId = Buffer.from(credentialId, 'base64url').toString('base64');
+  return WebAuthnCredential.findByCredentialId(legacyId);
+};
+
+/**
+ * Require a biometric assertion for an attendance action
+ * @param {String} action - 'check_in' or 'check_out'
+ */
+exports.requireBiometric = (action) => async (req, res, next) => {
+  try {
+    const intern = await Intern.findOne({ userId: req.user._id });
+    const policy = await AttendancePolicy.getPolicy(intern?.department || req.user.department || null, intern?._id);
+
+    if (!policy.requireBiometric) {
+      return next();
+    }
+
+    const assertion = req.body.webauthn;
+
+    if (!assertion || !assertion.id || !assertion.response?.clientDataJSON) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Biometric verification is required. Please verify with your fingerprint or face to continue.',
+        code: 'BIOMETRIC_REQUIRED',
+        action
+      });
+    }
+
+    const credential = await findCredential(assertion.rawId || assertion.id);
+
+    if (!credential || credential.userId.toString() !== req.user._id.toString()) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'This biometric credential is not registered to your account',
+        code: 'BIOMETRIC_VERIFICATION_FAILED'
+      });
+    }
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response: assertion,
+        // The challenge must have been issued to this user for this action (one-time use)
+        expectedChallenge: (challenge) =>
+          WebAuthnChallenge.verifyAndConsume(req.user._id, challenge, 'attendance', action),
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+        credential: {
+          id: assertion.id,
+          publicKey: new Uint8Array(Buffer.from(credential.publicKey, 'base64')),
+          counter: credential.counter || 0,
+          transports: credential.transports
+        },
+        requireUserVerification: true
+      });
+    } catch (verifyError) {
+      console.error(`❌ Biometric step-up failed for ${req.user.email}:`, verifyError.message);
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Biometric verification failed or expired. Please try again.',
+        code: 'BIOMETRIC_VERIFICATION_FAILED'
+      });
+    }
+
+    if (!verification.verified) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Biometric verification failed. Please try again.',
+        code: 'BIOMETRIC_VERIFICATION_FAILED'
+      });
+    }
+
+    credential.counter = verification.authenticationInfo.newCounter;
+    await credential.updateUsage();
+
+    req.biometric = {
+      credentialId: credential._id,
+      verifiedAt: new Date()
+    };
+
+    console.log(`🔐 Biometric step-up verified for ${req.user.email} (${action})`);
+    next();
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
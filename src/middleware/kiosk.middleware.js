@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Kiosk = require('../models/kiosk.model');
+const Geofence = require('../models/geofence.model');
+const Intern = require('../models/intern.model');
+const AttendancePolicy = require('../services/attendancePolicy.service');
+
+/**
+ * Kiosk Middleware
+ * - protectKiosk: authenticates a kiosk device by its X-Kiosk-Key header
+ * - verifyKioskScan: validates a QR token scanned by an intern before check-in/out
+ *   and requires the phone to be inside the kiosk's geofence and outside its
+ *   exclusion zones (a photo of the code forwarded to someone elsewhere must not work)
+ */
+
+// Authenticate a kiosk device
+exports.protectKiosk = async (req, res, next) => {
+  try {
+    const deviceKey = req.headers['x-kiosk-key'];
+    const kiosk = mongoose.isValidObjectId(req.params.id)
+      ? await Kiosk.findById(req.params.id).select('+deviceKeyHash +signingSecret')
+      : null;
+
+    if (!kiosk || !kiosk.verifyDeviceKey(deviceKey)) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Invalid kiosk credentials'
+      });
+    }
+
+    if (!kiosk.isActive) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'This kiosk has been deactivated'
+      });
+    }
+
+    req.kiosk = kiosk;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Validate a scanned QR token (freshness, department and phone location in the geofence)
+exports.verifyKioskScan = async (req, res, next) => {
+  try {
+    const { token, location } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'QR code token is required'
+      });
+    }
+
+    let kiosk;
+    try {
+      ({ kiosk } = await Kiosk.verifyQrToken(token));
+    } catch (tokenError) {
+      return res.status(401).json({
+        status: 'fail',
+        message: tokenError.message,
+        code: 'INVALID_KIOSK_TOKEN'
+      });
+    }
+
+    const geofence = await Geofence.findById(kiosk.geofenceId);
+    const intern = await Intern.findOne({ userId: req.user._id });
+
+    if (!geofence || !intern) {
+      return res.status(404).json({
+        status: 'fail',
+        message: !geofence ? 'Kiosk location not found' : 'Intern record not found'
+      });
+    }
+
+    if (geofence.departments.length > 0 && !geofence.departments.includes(intern.department)) {
+      return res.status(403).json({
+        status: 'fail',
+        message: `This kiosk is not available for the ${intern.department} department`,
+        code: 'KIOSK_DEPARTMENT_MISMATCH'
+      });
+    }
+
+    const { latitude, longitude } = location || {};
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Your location is required to check in at a kiosk. Please enable location and scan again.',
+        code: 'LOCATION_REQUIRED'
+      });
+    }
+
+    const timeZone = await AttendancePolicy.getTimezone(intern.department);
+    const validation = geofence.validateLocation(latitude, longitude, timeZone);
+
+    if (!validation.valid) {
+      return res.status(403).json({
+        status: 'fail',
+        message: validation.message,
+        code: 'GEOFENCE_VALIDATION_FAILED'
+      });
+    }
+
+    // Exclusion zones inside the kiosk's site apply as they do to app check-ins
+    const zones = await Geofence.findContaining(latitude, longitude, { includeExclusions: true });
+    const exclusion = zones.find(zone => zone.zoneType === 'exclude' && zone.excludes(geofence));
+
+    if (exclusion) {
+      return res.status(403).json({
+        status: 'fail',
+        message: `Check-in is not allowed in ${exclusion.name}`,
+        code: 'GEOFENCE_VALIDATION_FAILED'
+      });
+    }
+
+    req.kiosk = kiosk;
+    req.kioskGeofence = geofence;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
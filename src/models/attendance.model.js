@@ -1,4 +1,98 @@
 const mongoose = require('mongoose');
+const AttendanceRevision = require('./attendanceRevision.model');
+
+const MINUTE = 60 * 1000;
+
+// Fields captured in the revision history (signatures are left out)
+const TRACKED_FIELDS = [
+  'date',
+  'status',
+  'checkInTime',
+  'checkOutTime',
+  'segments',
+  'hours',
+  'location',
+  'notes',
+  'absenceReason',
+  'leaveId'
+];
+
+/**
+ * Clock segment within a day: time worked or spent on a break/lunch
+ * The open segment (no end) is the one currently running
+ */
+const segmentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['work', 'break', 'lunch'],
+    default: 'work'
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date
+  }
+}, { _id: false });
+
+/**
+ * Device the intern clocked in/out from (see utils/device.utils)
+ */
+const deviceSchema = new mongoose.Schema({
+  fingerprint: String,
+  strong: Boolean, // false when the client sent no device ID
+  browser: String,
+  os: String,
+  device: String,
+  ipAddress: String,
+  userAgent: String
+}, { _id: false });
+
+/**
+ * WebAuthn step-up verification of a check-in or check-out
+ */
+const biometricSchema = new mongoose.Schema({
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebAuthnCredential'
+  },
+  verifiedAt: Date
+}, { _id: false });
+
+/**
+ * Anti-fraud check of a check-in or check-out (GPS fix or device)
+ */
+const fraudCheckSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['location', 'device'],
+    default: 'location'
+  },
+  event: {
+    type: String,
+    enum: ['check_in', 'check_out']
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  decision: {
+    type: String,
+    enum: ['allow', 'flag', 'reject']
+  },
+  flags: [{
+    _id: false,
+    code: String,
+    message: String,
+    weight: Number
+  }],
+  evaluatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const attendanceSchema = new mongoose.Schema({
   internId: {
@@ -13,11 +107,41 @@ const attendanceSchema = new mongoose.Schema({
   },
   checkInTime: {
     type: Date,
-    required: true
+    // Absent and excused rows have no check-in
+    required: function() {
+      return this.status === 'present' || this.status === 'late';
+    }
   },
   checkOutTime: {
     type: Date
   },
+  // How the intern clocked in/out (phone GPS or a kiosk QR code)
+  checkInMethod: {
+    type: String,
+    enum: ['app', 'kiosk']
+  },
+  checkOutMethod: {
+    type: String,
+    enum: ['app', 'kiosk']
+  },
+  kioskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kiosk'
+  },
+  checkInDevice: deviceSchema,
+  checkOutDevice: deviceSchema,
+  // Set when the intern proved presence with a biometric credential
+  checkInBiometric: biometricSchema,
+  checkOutBiometric: biometricSchema,
+  segments: [segmentSchema],
+  // Computed on check-out (minutes)
+  hours: {
+    totalMinutes: Number,
+    breakMinutes: Number,
+    workedMinutes: Number,
+    scheduledMinutes: Number,
+    overtimeMinutes: Number
+  },
   status: {
     type: String,
     enum: ['present', 'absent', 'late', 'excused'],
@@ -33,11 +157,55 @@ const attendanceSchema = new mongoose.Schema({
     },
     longitude: {
       type: Number
+    },
+    accuracy: {
+      type: Number // Meters
+    },
+    altitude: {
+      type: Number // Meters
+    },
+    timestamp: {
+      type: Date // When the device took the fix
+    },
+    provider: {
+      type: String, // e.g. gps, network, fused
+      trim: true
+    }
+  },
+  // Anti-fraud checks; flagged records wait for an admin review
+  fraud: {
+    checks: [fraudCheckSchema],
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    review: {
+      status: {
+        type: String,
+        enum: ['pending', 'dismissed', 'confirmed']
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date,
+      note: {
+        type: String,
+        trim: true
+      }
     }
   },
   notes: {
     type: String,
     trim: true
+  },
+  absenceReason: {
+    type: String,
+    trim: true
+  },
+  leaveId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leave'
   }
 }, {
   timestamps: true
@@ -45,6 +213,175 @@ const attendanceSchema = new mongoose.Schema({
 
 // Compound index for querying by internId and date
 attendanceSchema.index({ internId: 1, date: 1 });
+attendanceSchema.index({ 'fraud.flagged': 1, 'fraud.review.status': 1, date: -1 });
+attendanceSchema.index({ 'location.latitude': 1, 'location.longitude': 1 });
+attendanceSchema.index({ 'checkInDevice.fingerprint': 1, date: 1 });
+attendanceSchema.index({ 'checkOutDevice.fingerprint': 1, date: 1 });
+
+/**
+ * Revision history
+ * The values loaded from the database are kept so every save can store a
+ * before/after revision. Callers describe the change with withRevision()
+ */
+attendanceSchema.methods.getSnapshot = function() {
+  const values = this.toObject({ depopulate: true });
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = values[field] === undefined ? null : values[field];
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Describe the next change for the revision history
+ * @param {Object} context - { changedBy, reason, source, action, revertedTo }
+ * @returns {Object} The attendance document (for chaining)
+ */
+attendanceSchema.methods.withRevision = function(context = {}) {
+  this.$locals.revision = context;
+  return this;
+};
+
+attendanceSchema.post('init', function() {
+  this.$locals.snapshot = this.getSnapshot();
+});
+
+// The revision is written before the change is stored, so a failed history
+// write stops the save; a save that fails afterwards takes its revision back
+attendanceSchema.pre('save', async function() {
+  const before = this.isNew ? null : (this.$locals.snapshot || null);
+  const after = this.getSnapshot();
+  const changedFields = TRACKED_FIELDS.filter(field =>
+    JSON.stringify(before ? before[field] : null) !== JSON.stringify(after[field])
+  );
+  const context = this.$locals.revision || {};
+  this.$locals.revision = null;
+  this.$locals.pendingRevision = null;
+
+  if (!this.isNew && changedFields.length === 0) return;
+
+  try {
+    this.$locals.pendingRevision = await AttendanceRevision.record(this, {
+      action: context.action || (this.isNew ? 'created' : 'updated'),
+      before,
+      after,
+      changedFields,
+      changedBy: context.changedBy,
+      reason: context.reason,
+      source: context.source,
+      revertedTo: context.revertedTo
+    });
+  } catch (error) {
+    console.error(`Failed to record attendance revision for ${this._id}:`, error);
+    throw error;
+  }
+});
+
+attendanceSchema.pre('deleteOne', { document: true, query: false }, async function() {
+  const context = this.$locals.revision || {};
+  this.$locals.revision = null;
+
+  try {
+    this.$locals.pendingRevision = await AttendanceRevision.record(this, {
+      action: 'deleted',
+      before: this.$locals.snapshot || this.getSnapshot(),
+      after: null,
+      changedFields: [],
+      changedBy: context.changedBy,
+      reason: context.reason,
+      source: context.source
+    });
+  } catch (error) {
+    console.error(`Failed to record attendance revision for ${this._id}:`, error);
+    throw error;
+  }
+});
+
+attendanceSchema.post('save', function() {
+  const revision = this.$locals.pendingRevision;
+  this.$locals.pendingRevision = null;
+  if (revision) this.$locals.snapshot = revision.after;
+});
+
+attendanceSchema.post('deleteOne', { document: true, query: false }, function() {
+  this.$locals.pendingRevision = null;
+});
+
+// Error handler: the change was not stored, so neither is its revision
+const discardPendingRevision = function(error, res, next) {
+  const revision = this.$locals.pendingRevision;
+  this.$locals.pendingRevision = null;
+  if (!revision) return next(error);
+
+  AttendanceRevision.discard(revision).then(
+    () => next(error),
+    (discardError) => {
+      console.error(`Failed to discard attendance revision ${revision._id}:`, discardError);
+      next(error);
+    }
+  );
+};
+
+attendanceSchema.post('save', discardPendingRevision);
+attendanceSchema.post('deleteOne', { document: true, query: false }, discardPendingRevision);
+
+// Get the segment currently running (work or break), if any
+attendanceSchema.methods.getOpenSegment = function() {
+  const last = this.segments[this.segments.length - 1];
+  return last && !last.end ? last : null;
+};
+
+/**
+ * Compute total, break, net worked and overtime minutes for the day
+ * Records without segments fall back to checkInTime/checkOutTime
+ * @param {Number} scheduledMinutes - Expected minutes from the intern's schedule
+ * @param {Date} asOf - End used for a segment still running (defaults to check-out or now)
+ * @returns {Object} Hours breakdown (also stored on the record, not saved)
+ */
+attendanceSchema.methods.calculateHours = function(scheduledMinutes = 0, asOf = null) {
+  const until = asOf || this.checkOutTime || new Date();
+  const segments = this.segments.length > 0
+    ? this.segments
+    : (this.checkInTime ? [{ type: 'work', start: this.checkInTime, end: this.checkOutTime }] : []);
+
+  let workedMinutes = 0;
+  let breakMinutes = 0;
+  segments.forEach(segment => {
+    const end = segment.end || until;
+    const minutes = Math.max(0, Math.round((end - segment.start) / MINUTE));
+    if (segment.type === 'work') {
+      workedMinutes += minutes;
+    } else {
+      breakMinutes += minutes;
+    }
+  });
+
+  this.hours = {
+    totalMinutes: workedMinutes + breakMinutes,
+    breakMinutes,
+    workedMinutes,
+    scheduledMinutes,
+    overtimeMinutes: Math.max(0, workedMinutes - scheduledMinutes)
+  };
+
+  return this.hours;
+};
+
+/**
+ * Store an anti-fraud check (not saved)
+ * A flagged check puts the record in the admin review queue
+ * @param {Object} check - Result of LocationFraudService/DeviceBindingService.evaluate
+ */
+attendanceSchema.methods.recordFraudCheck = function(check) {
+  if (!this.fraud) this.fraud = {};
+  this.fraud.checks.push(check);
+
+  if (check.decision === 'flag') {
+    this.fraud.flagged = true;
+    this.fraud.review = { status: 'pending' };
+  }
+
+  return this;
+};
 
 // Define a static method to get attendance by date range
 attendanceSchema.statics.getByDateRange = async function(internId, startDate, endDate) {
@@ -99,6 +436,8 @@ attendanceSchema.statics.calculateStats = async function(internId, startDate, en
   return result;
 };
 
+attendanceSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
 const Attendance = mongoose.model('Attendance', attendanceSchema);
 
 module.exports = Attendance;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Attendance fields captured before and after a correction is applied
+const snapshotSchema = new mongoose.Schema({
+  checkInTime: Date,
+  checkOutTime: Date,
+  status: String,
+  workedMinutes: Number
+}, { _id: false });
+
+/**
+ * Intern request to fix the check-in/check-out times of a day
+ * (e.g. after a missed check-out). Applied to the attendance record once approved
+ */
+const attendanceCorrectionSchema = new mongoose.Schema({
+  internId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intern',
+    required: [true, 'Intern is required']
+  },
+  attendanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance' // Not set when the day has no attendance record yet
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'] // Start of the day in the intern's timezone
+  },
+  requestedCheckInTime: {
+    type: Date
+  },
+  requestedCheckOutTime: {
+    type: Date
+  },
+  justification: {
+    type: String,
+    required: [true, 'Justification is required'],
+    trim: true,
+    maxlength: [1000, 'Justification cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true
+  },
+  // History of the change made to the attendance record
+  before: snapshotSchema,
+  after: snapshotSchema
+}, {
+  timestamps: true
+});
+
+attendanceCorrectionSchema.index({ internId: 1, date: -1 });
+attendanceCorrectionSchema.index({ status: 1, createdAt: -1 });
+
+attendanceCorrectionSchema.pre('validate', function(next) {
+  if (!this.requestedCheckInTime && !this.requestedCheckOutTime) {
+    this.invalidate('requestedCheckOutTime', 'A corrected check-in or check-out time is required');
+  }
+  if (this.requestedCheckInTime && this.requestedCheckOutTime &&
+      this.requestedCheckOutTime <= this.requestedCheckInTime) {
+    this.invalidate('requestedCheckOutTime', 'Check-out time must be after check-in time');
+  }
+  next();
+});
+
+/**
+ * Find a pending correction for an intern's day
+ */
+attendanceCorrectionSchema.statics.findPending = function(internId, date) {
+  return this.findOne({ internId, date, status: 'pending' });
+};
+
+const AttendanceCorrection = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
+
+module.exports = AttendanceCorrection;
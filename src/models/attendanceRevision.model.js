@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+/**
+ * Versioned, append-only history of an attendance record
+ * Every create/update/delete of an Attendance document stores the values
+ * before and after the change, who made it and why
+ */
+const attendanceRevisionSchema = new mongoose.Schema({
+  attendanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: true
+  },
+  internId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intern'
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted', 'reverted'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: [
+      'check_in',
+      'check_out',
+      'break',
+      'manual_update',
+      'bulk_update',
+      'manual_save',
+      'correction',
+      'leave',
+      'revert',
+      'system'
+    ],
+    default: 'system'
+  },
+  changedFields: [String],
+  before: {
+    type: mongoose.Schema.Types.Mixed, // null when the record was created
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed, // null when the record was deleted
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Not set for scheduled/system changes
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  revertedTo: {
+    type: Number // Version restored by a revert
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+attendanceRevisionSchema.index({ attendanceId: 1, version: 1 }, { unique: true });
+attendanceRevisionSchema.index({ internId: 1, createdAt: -1 });
+
+// Revisions are immutable once written
+const rejectChange = function(next) {
+  next(new Error('Attendance revisions cannot be modified or deleted'));
+};
+
+attendanceRevisionSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndReplace'
+], rejectChange);
+
+attendanceRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+// Attempts at writing a revision when concurrent saves claim the same version
+const MAX_RECORD_ATTEMPTS = 5;
+
+/**
+ * Append a revision for an attendance record
+ * The next version is claimed through the unique (attendanceId, version) index:
+ * when two saves of a record race for it, the loser retries with the following one
+ * @param {Object} attendance - Attendance document
+ * @param {Object} revision - { action, before, after, changedFields, changedBy, reason, source, revertedTo }
+ */
+attendanceRevisionSchema.statics.record = async function(attendance, revision) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ attendanceId: attendance._id })
+      .sort({ version: -1 })
+      .select('version');
+
+    try {
+      return await this.create({
+        attendanceId: attendance._id,
+        internId: attendance.internId,
+        version: (latest?.version || 0) + 1,
+        ...revision
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Remove a revision whose change failed to be stored
+ * Goes around the immutability hooks: only the attendance model's
+ * save/delete error handler may call it
+ * @param {Object} revision - Revision written by record()
+ */
+attendanceRevisionSchema.statics.discard = function(revision) {
+  return this.collection.deleteOne({ _id: revision._id });
+};
+
+/**
+ * Get the history of an attendance record, oldest first
+ */
+attendanceRevisionSchema.statics.getHistory = function(attendanceId) {
+  return this.find({ attendanceId })
+    .sort({ version: 1 })
+    .populate('changedBy', 'name email role');
+};
+
+const AttendanceRevision = mongoose.model('AttendanceRevision', attendanceRevisionSchema);
+
+module.exports = AttendanceRevision;
@@ -46,6 +46,8 @@ const auditLogSchema = new mongoose.Schema({
       'INTERN_UPDATED',
       'INTERN_DELETED',
       'INTERN_VIEWED',
+      'INTERN_FLAG_CLEARED',
+      'INTERNS_IMPORTED',
       
       // Attendance actions
       'CHECK_IN',
@@ -53,6 +55,7 @@ const auditLogSchema = new mongoose.Schema({
       'ATTENDANCE_VIEWED',
       'ATTENDANCE_UPDATED',
       'ATTENDANCE_DELETED',
+      'ATTENDANCE_REVERTED',
       
       // Report actions
       'REPORT_GENERATED',
@@ -89,6 +92,49 @@ const auditLogSchema = new mongoose.Schema({
       'GEOFENCE_DELETED',
       'GEOFENCE_VALIDATED',
       
+      // Leave actions
+      'LEAVE_REQUESTED',
+      'LEAVE_VIEWED',
+      'LEAVE_APPROVED',
+      'LEAVE_REJECTED',
+      'LEAVE_CANCELLED',
+      
+      // Attendance correction actions
+      'CORRECTION_REQUESTED',
+      'CORRECTION_VIEWED',
+      'CORRECTION_APPROVED',
+      'CORRECTION_REJECTED',
+      'CORRECTION_CANCELLED',
+      
+      // Trusted device actions
+      'DEVICE_BOUND',
+      'DEVICE_UPDATED',
+      'DEVICE_UNBOUND',
+      
+      // Template actions
+      'TEMPLATE_UPDATED',
+      'TEMPLATE_RESET',
+      
+      // Scheduler actions
+      'SCHEDULER_JOB_CREATED',
+      'SCHEDULER_JOB_UPDATED',
+      'SCHEDULER_JOB_DELETED',
+      'SCHEDULER_JOB_RUN',
+      
+      // Notification routing actions
+      'NOTIFICATION_RULE_CREATED',
+      'NOTIFICATION_RULE_UPDATED',
+      'NOTIFICATION_RULE_DELETED',
+      'NOTIFICATION_PREFERENCES_UPDATED',
+      
+      // Webhook actions
+      'WEBHOOK_CREATED',
+      'WEBHOOK_UPDATED',
+      'WEBHOOK_DELETED',
+      'WEBHOOK_SECRET_ROTATED',
+      'WEBHOOK_TESTED',
+      'WEBHOOK_DELIVERY_RETRIED',
+      
       // Security actions
       'RATE_LIMIT_EXCEEDED',
       'UNAUTHORIZED_ACCESS',
@@ -102,7 +148,7 @@ const auditLogSchema = new mongoose.Schema({
   resource: {
     type: String,
     required: true,
-    enum: ['user', 'intern', 'attendance', 'report', 'notification', 'email', 'settings', 'auth', 'system']
+    enum: ['user', 'intern', 'attendance', 'report', 'notification', 'email', 'settings', 'auth', 'leave', 'correction', 'device', 'template', 'scheduler', 'webhook', 'system']
   },
   resourceId: {
     type: mongoose.Schema.Types.ObjectId
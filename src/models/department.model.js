@@ -11,6 +11,11 @@ const DepartmentSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Users notified by routing rules that target department heads
+  heads: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Escalation Model
+ * One step of an escalation chain: an intern's run of consecutive absences or
+ * late arrivals reached a tier threshold (see Settings.attendance.escalation).
+ * Each tier fires once per streak; the streak is identified by its first day
+ */
+
+// Tiers in escalation order
+const TIERS = ['remind_intern', 'alert_supervisor', 'warn_admins', 'flag_intern'];
+
+const escalationSchema = new mongoose.Schema({
+  internId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intern',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['absence', 'late'],
+    required: true
+  },
+  tier: {
+    type: String,
+    enum: TIERS,
+    required: true
+  },
+  // Consecutive working days when the tier fired
+  streak: {
+    type: Number,
+    required: true
+  },
+  // First and last day of the streak (YYYY-MM-DD, organization timezone)
+  streakStart: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  notificationsSent: {
+    type: Number,
+    default: 0
+  },
+  // Set when an admin clears the flag raised by a flag_intern escalation
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+escalationSchema.index({ internId: 1, type: 1, streakStart: 1, tier: 1 }, { unique: true });
+escalationSchema.index({ internId: 1, createdAt: -1 });
+
+// Position of the tier in the chain (1 = first)
+escalationSchema.virtual('level').get(function() {
+  return TIERS.indexOf(this.tier) + 1;
+});
+
+escalationSchema.set('toJSON', { virtuals: true });
+
+escalationSchema.statics.TIERS = TIERS;
+
+module.exports = mongoose.model('Escalation', escalationSchema);
@@ -1,10 +1,30 @@
 const mongoose = require('mongoose');
+const { getZonedParts, formatTime, isValidTimeZone, DEFAULT_TIMEZONE } = require('../utils/timezone.utils');
+const {
+  calculateDistance,
+  pointInGeometry,
+  distanceToGeometry,
+  closeRings,
+  validatePolygonGeometry,
+  getCentroid,
+  circleToPolygon,
+  EARTH_RADIUS
+} = require('../utils/geo.utils');
 
 /**
  * Geofence Model
  * Defines workplace locations for attendance validation
+ * - circle: location (Point) + radius; area holds its outline
+ * - polygon: area (GeoJSON Polygon/MultiPolygon); location holds its centroid
+ * Zones containing a point are found with $geoIntersects on area, nearby
+ * zones with $near
+ * Exclusion zones reject check-ins inside them (within their site, or everywhere
+ * when they belong to no site). Zones can be grouped into a Site
  */
 
+// Largest circle radius in meters
+const MAX_RADIUS = 10000;
+
 const geofenceSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -15,6 +35,20 @@ const geofenceSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  shape: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    default: 'circle'
+  },
+  zoneType: {
+    type: String,
+    enum: ['include', 'exclude'],
+    default: 'include'
+  },
+  siteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site'
+  },
   location: {
     type: {
       type: String,
@@ -34,11 +68,20 @@ const geofenceSchema = new mongoose.Schema({
       }
     }
   },
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon']
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed // [[[longitude, latitude], ...]] rings
+    }
+  },
   radius: {
-    type: Number,
+    type: Number, // Only used by circle geofences
     required: [true, 'Radius is required'],
     min: [10, 'Radius must be at least 10 meters'],
-    max: [10000, 'Radius cannot exceed 10000 meters'],
+    max: [MAX_RADIUS, `Radius cannot exceed ${MAX_RADIUS} meters`],
     default: 100 // 100 meters default
   },
   address: {
@@ -70,6 +113,14 @@ const geofenceSchema = new mongoose.Schema({
       default: "20:00"
     }
   },
+  timezone: {
+    type: String, // IANA timezone, falls back to the organization timezone
+    trim: true,
+    validate: {
+      validator: (v) => !v || isValidTimeZone(v),
+      message: 'Invalid timezone. Use an IANA timezone such as Africa/Lagos'
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -83,109 +134,169 @@ const geofenceSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Create geospatial index for location-based queries
+// Create geospatial indexes for location-based queries
 geofenceSchema.index({ location: '2dsphere' });
+geofenceSchema.index({ area: '2dsphere' }, { sparse: true });
+geofenceSchema.index({ siteId: 1 });
 geofenceSchema.index({ isActive: 1 });
 geofenceSchema.index({ departments: 1 });
 
-/**
- * Calculate distance between two coordinates using Haversine formula
- * @param {Number} lat1 - Latitude of point 1
- * @param {Number} lon1 - Longitude of point 1
- * @param {Number} lat2 - Latitude of point 2
- * @param {Number} lon2 - Longitude of point 2
- * @returns {Number} Distance in meters
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lon2 - lon1) * Math.PI / 180;
-
-  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                        
-  return R * c; // Distance in meters
-}
+// Polygons need a valid area; their centroid is kept in location for $near searches
+// Circles get their outline as area so both shapes answer $geoIntersects
+geofenceSchema.pre('validate', function(next) {
+  if (this.shape === 'polygon') {
+    const area = this.toObject().area || null;
+    const error = validatePolygonGeometry(area);
+    if (error) {
+      this.invalidate('area', error);
+    } else {
+      this.area = closeRings(area);
+      this.location = { type: 'Point', coordinates: getCentroid(this.area) };
+    }
+  } else {
+    const [longitude, latitude] = this.location?.coordinates || [];
+    this.area = Number.isFinite(latitude) && Number.isFinite(longitude) && this.radius
+      ? circleToPolygon(latitude, longitude, this.radius)
+      : undefined;
+  }
+  next();
+});
 
 /**
  * Check if a point is within the geofence
+ * Exact test for a zone already loaded; use findContaining to look zones up
  * @param {Number} latitude - User's latitude
  * @param {Number} longitude - User's longitude
  * @returns {Boolean} True if within geofence
  */
 geofenceSchema.methods.isWithinGeofence = function(latitude, longitude) {
+  if (this.shape === 'polygon') {
+    return pointInGeometry(latitude, longitude, this.area);
+  }
+  return this.getDistance(latitude, longitude) <= this.radius;
+};
+
+/**
+ * Get the distance used for validation
+ * Circles measure to their centre, polygons to their nearest edge (0 inside)
+ * @returns {Number} Distance in meters
+ */
+geofenceSchema.methods.getDistance = function(latitude, longitude) {
+  if (this.shape === 'polygon') {
+    return distanceToGeometry(latitude, longitude, this.area);
+  }
   const [fenceLon, fenceLat] = this.location.coordinates;
-  const distance = calculateDistance(fenceLat, fenceLon, latitude, longitude);
-  return distance <= this.radius;
+  return calculateDistance(fenceLat, fenceLon, latitude, longitude);
+};
+
+/**
+ * Check if an exclusion zone applies to a geofence (same site, or a site-less zone)
+ */
+geofenceSchema.methods.excludes = function(geofence) {
+  if (this.zoneType !== 'exclude') return false;
+  if (!this.siteId) return true;
+  const siteId = (value) => String(value?._id || value);
+  return !!geofence.siteId && siteId(this.siteId) === siteId(geofence.siteId);
+};
+
+/**
+ * Get the timezone used for this geofence's allowed hours and days
+ * @param {String} fallbackTimeZone - Organization timezone (optional)
+ * @returns {String} IANA timezone
+ */
+geofenceSchema.methods.getTimezone = function(fallbackTimeZone) {
+  return this.timezone || fallbackTimeZone || DEFAULT_TIMEZONE;
 };
 
 /**
  * Check if current time is within allowed hours
+ * @param {String} timeZone - Organization timezone (optional)
  * @returns {Boolean} True if within allowed hours
  */
-geofenceSchema.methods.isWithinAllowedHours = function() {
-  const now = new Date();
-  const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+geofenceSchema.methods.isWithinAllowedHours = function(timeZone) {
+  const currentTime = formatTime(new Date(), this.getTimezone(timeZone));
   
   return currentTime >= this.allowedHours.start && currentTime <= this.allowedHours.end;
 };
 
 /**
  * Check if current day is allowed
+ * @param {String} timeZone - Organization timezone (optional)
  * @returns {Boolean} True if today is an allowed day
  */
-geofenceSchema.methods.isAllowedDay = function() {
-  const today = new Date().getDay();
+geofenceSchema.methods.isAllowedDay = function(timeZone) {
+  const today = getZonedParts(new Date(), this.getTimezone(timeZone)).dayOfWeek;
   return this.allowedDays.includes(today);
 };
 
 /**
- * Validate if check-in/out is allowed
- * @param {Number} latitude - User's latitude
- * @param {Number} longitude - User's longitude
- * @returns {Object} Validation result with details
+ * Check if the geofence accepts check-ins right now (active, allowed day and hours)
+ * @param {String} timeZone - Organization timezone (optional)
+ * @returns {Object} { valid, allowedDay, withinAllowedHours, message }
  */
-geofenceSchema.methods.validateLocation = function(latitude, longitude) {
+geofenceSchema.methods.checkAvailability = function(timeZone) {
   const result = {
     valid: false,
-    withinGeofence: false,
-    withinAllowedHours: false,
     allowedDay: false,
-    distance: null,
+    withinAllowedHours: false,
     message: ''
   };
 
-  // Check if geofence is active
   if (!this.isActive) {
     result.message = 'This location is currently inactive';
     return result;
   }
 
-  // Check if today is an allowed day
-  result.allowedDay = this.isAllowedDay();
+  result.allowedDay = this.isAllowedDay(timeZone);
   if (!result.allowedDay) {
     result.message = 'Check-in is not allowed on this day';
     return result;
   }
 
-  // Check if within allowed hours
-  result.withinAllowedHours = this.isWithinAllowedHours();
+  result.withinAllowedHours = this.isWithinAllowedHours(timeZone);
   if (!result.withinAllowedHours) {
     result.message = `Check-in is only allowed between ${this.allowedHours.start} and ${this.allowedHours.end}`;
     return result;
   }
 
+  result.valid = true;
+  return result;
+};
+
+/**
+ * Validate if check-in/out is allowed
+ * @param {Number} latitude - User's latitude
+ * @param {Number} longitude - User's longitude
+ * @param {String} timeZone - Organization timezone (optional)
+ * @returns {Object} Validation result with details
+ */
+geofenceSchema.methods.validateLocation = function(latitude, longitude, timeZone) {
+  const result = {
+    valid: false,
+    withinGeofence: false,
+    withinAllowedHours: false,
+    allowedDay: false,
+    distance: null,
+    message: ''
+  };
+
+  // Check if the geofence is active and open today at this time
+  const availability = this.checkAvailability(timeZone);
+  result.allowedDay = availability.allowedDay;
+  result.withinAllowedHours = availability.withinAllowedHours;
+  if (!availability.valid) {
+    result.message = availability.message;
+    return result;
+  }
+
   // Check if within geofence
-  const [fenceLon, fenceLat] = this.location.coordinates;
-  result.distance = calculateDistance(fenceLat, fenceLon, latitude, longitude);
-  result.withinGeofence = result.distance <= this.radius;
+  result.distance = this.getDistance(latitude, longitude);
+  result.withinGeofence = this.isWithinGeofence(latitude, longitude);
 
   if (!result.withinGeofence) {
-    result.message = `You are ${Math.round(result.distance)}m away from the workplace. You must be within ${this.radius}m to check in.`;
+    result.message = this.shape === 'polygon'
+      ? `You are ${Math.round(result.distance)}m outside the workplace area. You must be inside it to check in.`
+      : `You are ${Math.round(result.distance)}m away from the workplace. You must be within ${this.radius}m to check in.`;
     return result;
   }
 
@@ -195,26 +306,71 @@ geofenceSchema.methods.validateLocation = function(latitude, longitude) {
   return result;
 };
 
+/**
+ * Static method to find the geofences containing a location
+ * @param {Number} latitude - Latitude
+ * @param {Number} longitude - Longitude
+ * @param {Object} options - { includeExclusions } also return exclusion zones
+ * @returns {Array} Array of containing geofences, nearest centre first
+ */
+geofenceSchema.statics.findContaining = async function(latitude, longitude, options = {}) {
+  const point = { type: 'Point', coordinates: [longitude, latitude] };
+  const filter = { isActive: true };
+  if (!options.includeExclusions) filter.zoneType = { $ne: 'exclude' };
+
+  const zones = await this.find({
+    ...filter,
+    $or: [
+      { area: { $geoIntersects: { $geometry: point } } },
+      // Circles saved before their outline was stored
+      {
+        shape: { $ne: 'polygon' },
+        'area.type': { $exists: false },
+        location: { $geoWithin: { $centerSphere: [point.coordinates, MAX_RADIUS / EARTH_RADIUS] } }
+      }
+    ]
+  }).populate('siteId', 'name');
+
+  // The circle outlines are slightly larger than the circles
+  return zones
+    .filter(zone => zone.isWithinGeofence(latitude, longitude))
+    .sort((a, b) => a.getDistance(latitude, longitude) - b.getDistance(latitude, longitude));
+};
+
 /**
  * Static method to find geofences near a location
+ * Circles are matched on their centre, polygons on their nearest edge;
+ * zones containing the location are always included
  * @param {Number} latitude - Latitude
  * @param {Number} longitude - Longitude
  * @param {Number} maxDistance - Maximum distance in meters (default 1000m)
- * @returns {Array} Array of nearby geofences
+ * @param {Object} options - { includeExclusions } also return exclusion zones
+ * @returns {Array} Array of nearby geofences, nearest first
  */
-geofenceSchema.statics.findNearby = async function(latitude, longitude, maxDistance = 1000) {
-  return this.find({
-    isActive: true,
-    location: {
-      $near: {
-        $geometry: {
-          type: 'Point',
-          coordinates: [longitude, latitude]
-        },
-        $maxDistance: maxDistance
-      }
+geofenceSchema.statics.findNearby = async function(latitude, longitude, maxDistance = 1000, options = {}) {
+  const near = {
+    $near: {
+      $geometry: {
+        type: 'Point',
+        coordinates: [longitude, latitude]
+      },
+      $maxDistance: maxDistance
     }
-  });
+  };
+  const filter = { isActive: true };
+  if (!options.includeExclusions) filter.zoneType = { $ne: 'exclude' };
+
+  const [containing, circles, polygons] = await Promise.all([
+    this.findContaining(latitude, longitude, options),
+    this.find({ ...filter, shape: { $ne: 'polygon' }, location: near }).populate('siteId', 'name'),
+    this.find({ ...filter, shape: 'polygon', area: near }).populate('siteId', 'name')
+  ]);
+
+  const zones = new Map([...containing, ...circles, ...polygons].map(zone => [zone._id.toString(), zone]));
+
+  return [...zones.values()].sort((a, b) =>
+    a.getDistance(latitude, longitude) - b.getDistance(latitude, longitude)
+  );
 };
 
 /**
@@ -222,14 +378,19 @@ geofenceSchema.statics.findNearby = async function(latitude, longitude, maxDista
  * @param {Number} latitude - User's latitude
  * @param {Number} longitude - User's longitude
  * @param {String} department - User's department (optional)
+ * @param {String} timeZone - Organization timezone (optional)
  * @returns {Object} Valid geofence or null
  */
-geofenceSchema.statics.findValidGeofence = async function(latitude, longitude, department = null) {
+geofenceSchema.statics.findValidGeofence = async function(latitude, longitude, department = null, timeZone = null) {
   console.log(`🔍 Finding valid geofence for: lat=${latitude}, lon=${longitude}, dept=${department}`);
   
-  // Find nearby geofences (within 2000m to catch all possible geofences)
-  const nearbyGeofences = await this.findNearby(latitude, longitude, 2000);
-  console.log(`📍 Found ${nearbyGeofences.length} nearby geofences within 2000m`);
+  // Zones the user is standing in
+  const zones = await this.findContaining(latitude, longitude, { includeExclusions: true });
+  const nearbyGeofences = zones.filter(g => g.zoneType !== 'exclude');
+  console.log(`📍 Found ${nearbyGeofences.length} geofences containing the location`);
+  
+  // Exclusion zones the user is standing in
+  const exclusions = zones.filter(g => g.zoneType === 'exclude');
   
   // Filter by department if provided
   let geofences = nearbyGeofences;
@@ -244,10 +405,18 @@ geofenceSchema.statics.findValidGeofence = async function(latitude, longitude, d
   for (const geofence of geofences) {
     console.log(`\n🎯 Checking geofence: ${geofence.name}`);
     console.log(`   Location: [${geofence.location.coordinates[1]}, ${geofence.location.coordinates[0]}]`);
-    console.log(`   Radius: ${geofence.radius}m`);
+    console.log(`   Shape: ${geofence.shape === 'polygon' ? 'polygon' : `circle (${geofence.radius}m)`}`);
     console.log(`   Departments: ${geofence.departments.join(', ') || 'All'}`);
     
-    const validation = geofence.validateLocation(latitude, longitude);
+    const validation = geofence.validateLocation(latitude, longitude, timeZone);
+    
+    const exclusion = exclusions.find(zone => zone.excludes(geofence));
+    if (validation.valid && exclusion) {
+      validation.valid = false;
+      validation.excluded = true;
+      validation.message = `Check-in is not allowed in ${exclusion.name}`;
+    }
+    
     console.log(`   ✅ Valid: ${validation.valid}`);
     console.log(`   📏 Distance: ${Math.round(validation.distance)}m`);
     console.log(`   ⏰ Within hours: ${validation.withinAllowedHours}`);
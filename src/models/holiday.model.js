@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+/**
+ * Organization calendar entry (public holiday, closure day or half-day)
+ * Dates are calendar days stored as UTC midnight, so an entry covers the same
+ * day in every timezone
+ */
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['public_holiday', 'closure', 'half_day'],
+    default: 'public_holiday'
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  endDate: {
+    type: Date // Last day (inclusive) for multi-day entries
+  },
+  recurring: {
+    type: Boolean,
+    default: false // Repeats every year on the same month/day
+  },
+  departments: [{
+    type: String,
+    trim: true // Empty means the whole organization
+  }],
+  workingHours: {
+    start: String, // Half-day hours, e.g. 09:00 - 13:00
+    end: String
+  },
+  source: {
+    type: {
+      type: String,
+      enum: ['manual', 'ics'],
+      default: 'manual'
+    },
+    uid: {
+      type: String,
+      trim: true
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.index({ date: 1 });
+holidaySchema.index({ 'source.uid': 1 }, { sparse: true });
+
+// End date must not be before the start date
+holidaySchema.pre('validate', function(next) {
+  if (this.endDate && this.date && this.endDate < this.date) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+  next();
+});
+
+/**
+ * Calendar key ("YYYY-MM-DD") of the first and last day of the entry
+ */
+holidaySchema.methods.getDateKeys = function() {
+  const start = this.date.toISOString().slice(0, 10);
+  const end = (this.endDate || this.date).toISOString().slice(0, 10);
+  return { start, end };
+};
+
+/**
+ * Check if the entry applies to a department
+ */
+holidaySchema.methods.appliesTo = function(department) {
+  return !this.departments || this.departments.length === 0 ||
+    (!!department && this.departments.includes(department));
+};
+
+/**
+ * Check if the entry covers a calendar day
+ * @param {String} dateKey - Day as "YYYY-MM-DD"
+ */
+holidaySchema.methods.coversDate = function(dateKey) {
+  const { start, end } = this.getDateKeys();
+
+  if (!this.recurring) {
+    return dateKey >= start && dateKey <= end;
+  }
+
+  // Recurring entries match on month/day (ranges may wrap over new year)
+  const day = dateKey.slice(5);
+  const startDay = start.slice(5);
+  const endDay = end.slice(5);
+  return startDay <= endDay
+    ? day >= startDay && day <= endDay
+    : day >= startDay || day <= endDay;
+};
+
+/**
+ * Convert a "YYYY-MM-DD" string (or Date) to the stored calendar date
+ */
+holidaySchema.statics.toCalendarDate = function(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T00:00:00.000Z`);
+  }
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Calendar cache
+ * Every policy lookup needs the calendar, so it is kept in memory. Writes
+ * through this model clear it; other server instances pick changes up once
+ * the cache expires
+ */
+const CALENDAR_CACHE_MS = 60 * 1000;
+let calendarCache = null;
+
+const clearCalendarCache = () => {
+  calendarCache = null;
+};
+
+holidaySchema.post(['save', 'insertMany', 'findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany', 'deleteMany'], clearCalendarCache);
+holidaySchema.post('deleteOne', { document: true, query: true }, clearCalendarCache);
+
+/**
+ * Get every calendar entry (cached)
+ * @returns {Array} Holiday documents - shared between callers, don't modify them
+ */
+holidaySchema.statics.findCalendar = function() {
+  if (!calendarCache || Date.now() - calendarCache.loadedAt > CALENDAR_CACHE_MS) {
+    const cache = { loadedAt: Date.now(), entries: this.find({}).exec() };
+    cache.entries.catch(() => {
+      if (calendarCache === cache) clearCalendarCache();
+    });
+    calendarCache = cache;
+  }
+  return calendarCache.entries;
+};
+
+const Holiday = mongoose.model('Holiday', holidaySchema);
+
+module.exports = Holiday;
@@ -68,6 +68,24 @@ const internSchema = new mongoose.Schema({
   attendanceRate: {
     type: Number,
     default: 0
+  },
+  // Raised by the last escalation tier for repeated absences or late arrivals
+  attendanceFlag: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    flaggedAt: Date,
+    escalationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Escalation'
+    },
+    clearedAt: Date,
+    clearedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }
 }, {
   timestamps: true
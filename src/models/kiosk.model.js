@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Kiosk Model
+ * A registered device (e.g. a tablet at the entrance) that displays a rotating,
+ * short-lived signed QR code for one geofence. Interns scan it to check in/out
+ */
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const kioskSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Kiosk name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  geofenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Geofence',
+    required: [true, 'Geofence is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Seconds a displayed QR code stays valid
+  tokenTtlSeconds: {
+    type: Number,
+    default: 30,
+    min: [10, 'QR codes must be valid for at least 10 seconds'],
+    max: [300, 'QR codes cannot be valid for more than 5 minutes']
+  },
+  // The kiosk authenticates with a device key (only its hash is stored)
+  deviceKeyHash: {
+    type: String,
+    select: false
+  },
+  // Secret used to sign this kiosk's QR tokens
+  signingSecret: {
+    type: String,
+    select: false
+  },
+  lastSeenAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+kioskSchema.index({ geofenceId: 1 });
+
+/**
+ * Issue a new device key and signing secret (invalidates displayed QR codes)
+ * @returns {String} Plain device key - shown once to the admin
+ */
+kioskSchema.methods.issueDeviceKey = function() {
+  const deviceKey = crypto.randomBytes(32).toString('hex');
+  this.deviceKeyHash = hashKey(deviceKey);
+  this.signingSecret = crypto.randomBytes(32).toString('hex');
+  return deviceKey;
+};
+
+/**
+ * Check a device key against the stored hash
+ */
+kioskSchema.methods.verifyDeviceKey = function(deviceKey) {
+  if (!deviceKey || !this.deviceKeyHash) return false;
+  const expected = Buffer.from(this.deviceKeyHash, 'hex');
+  const actual = Buffer.from(hashKey(deviceKey), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Generate a signed QR token for this kiosk's geofence
+ * @returns {Object} { token, expiresAt }
+ */
+kioskSchema.methods.generateQrToken = function() {
+  const token = jwt.sign(
+    { kiosk: this._id.toString(), geofence: this.geofenceId.toString(), type: 'kiosk_qr' },
+    this.signingSecret,
+    {
+      expiresIn: this.tokenTtlSeconds,
+      jwtid: crypto.randomBytes(8).toString('hex')
+    }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + this.tokenTtlSeconds * 1000)
+  };
+};
+
+/**
+ * Verify a scanned QR token
+ * @param {String} token - Token read from the QR code
+ * @returns {Object} { kiosk, payload }
+ * @throws {Error} When the token is malformed, expired or from an inactive kiosk
+ */
+kioskSchema.statics.verifyQrToken = async function(token) {
+  const decoded = jwt.decode(token);
+  if (!decoded || decoded.type !== 'kiosk_qr' || !mongoose.isValidObjectId(decoded.kiosk)) {
+    throw new Error('Invalid QR code');
+  }
+
+  const kiosk = await this.findById(decoded.kiosk).select('+signingSecret');
+  if (!kiosk || !kiosk.isActive || !kiosk.signingSecret) {
+    throw new Error('This kiosk is not active');
+  }
+
+  try {
+    // A few seconds of tolerance for clock drift between kiosk and server
+    const payload = jwt.verify(token, kiosk.signingSecret, { clockTolerance: 5 });
+    return { kiosk, payload };
+  } catch (error) {
+    throw new Error(error.name === 'TokenExpiredError'
+      ? 'QR code has expired. Please scan the current code'
+      : 'Invalid QR code');
+  }
+};
+
+const Kiosk = mongoose.model('Kiosk', kioskSchema);
+
+module.exports = Kiosk;
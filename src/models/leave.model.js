@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+/**
+ * Leave types and the absence reason they are reported under
+ * (matches the categories of GET /api/reports/absence-reasons)
+ */
+const LEAVE_REASONS = {
+  sick: 'Sick',
+  personal: 'Personal Emergency',
+  transport: 'Transport Issues',
+  work_from_home: 'Work From Home',
+  other: 'Other'
+};
+
+const leaveSchema = new mongoose.Schema({
+  internId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intern',
+    required: [true, 'Intern is required']
+  },
+  type: {
+    type: String,
+    enum: Object.keys(LEAVE_REASONS),
+    required: [true, 'Leave type is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  attachment: {
+    name: {
+      type: String,
+      trim: true
+    },
+    url: {
+      type: String,
+      trim: true
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true
+  },
+  excusedDays: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+leaveSchema.index({ internId: 1, startDate: 1, endDate: 1 });
+leaveSchema.index({ status: 1, startDate: 1 });
+
+// End date must not be before start date
+leaveSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+  next();
+});
+
+// Absence reason label used on excused attendance rows
+leaveSchema.virtual('absenceReason').get(function() {
+  return LEAVE_REASONS[this.type] || LEAVE_REASONS.other;
+});
+
+/**
+ * Find pending or approved leave overlapping a date range for an intern
+ */
+leaveSchema.statics.findOverlapping = function(internId, startDate, endDate, excludeId = null) {
+  const query = {
+    internId,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query);
+};
+
+/**
+ * Get IDs of interns with approved leave covering any part of a date range
+ * @returns {Set<String>} Intern IDs
+ */
+leaveSchema.statics.getInternIdsOnLeave = async function(startDate, endDate) {
+  const leaves = await this.find({
+    status: 'approved',
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  }).select('internId');
+
+  return new Set(leaves.map(leave => leave.internId.toString()));
+};
+
+leaveSchema.statics.LEAVE_REASONS = LEAVE_REASONS;
+
+const Leave = mongoose.model('Leave', leaveSchema);
+
+module.exports = Leave;
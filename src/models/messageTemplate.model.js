@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Message Template Model
+ * Admin overrides of the built-in email and notification templates
+ * (src/templates). One document per template key and language; deleting it
+ * restores the built-in version
+ */
+
+const messageTemplateSchema = new mongoose.Schema({
+  // e.g. 'email.absentee', 'notification.late_checkin'
+  key: {
+    type: String,
+    required: [true, 'Template key is required'],
+    trim: true
+  },
+  language: {
+    type: String,
+    enum: ['en', 'fr', 'es'],
+    required: [true, 'Template language is required']
+  },
+  // Email subject or notification title
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  // Email heading shown in the branded layout (emails only)
+  title: {
+    type: String
+  },
+  // Email HTML or notification message
+  body: {
+    type: String,
+    required: [true, 'Template body is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+messageTemplateSchema.index({ key: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('MessageTemplate', messageTemplateSchema);
@@ -41,7 +41,7 @@ const notificationSchema = new mongoose.Schema({
   relatedEntity: {
     entityType: {
       type: String,
-      enum: ['intern', 'attendance', 'report', 'user', 'organization']
+      enum: ['intern', 'attendance', 'report', 'user', 'organization', 'leave', 'correction']
     },
     entityId: {
       type: mongoose.Schema.Types.ObjectId
@@ -57,6 +57,21 @@ const notificationSchema = new mongoose.Schema({
   },
   expiresAt: {
     type: Date
+  },
+  // How the recipient asked to receive it (see NotificationPreference)
+  delivery: {
+    channel: {
+      type: String,
+      enum: ['in_app', 'email', 'digest'],
+      default: 'in_app'
+    },
+    // Created during the recipient's quiet hours (not pushed live)
+    quiet: {
+      type: Boolean,
+      default: false
+    },
+    // When a digest-only notification was included in the daily digest email
+    digestedAt: Date
   }
 }, {
   timestamps: true
@@ -67,6 +82,7 @@ notificationSchema.index({ recipient: 1, createdAt: -1 });
 notificationSchema.index({ isRead: 1, recipient: 1 });
 notificationSchema.index({ type: 1, recipient: 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+notificationSchema.index({ 'delivery.channel': 1, 'delivery.digestedAt': 1 });
 
 // Virtual for time ago
 notificationSchema.virtual('timeAgo').get(function() {
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const NotificationRule = require('./notificationRule.model');
+const { getZonedParts } = require('../utils/timezone.utils');
+
+/**
+ * Notification Preference Model
+ * How a user wants to receive notifications, with per-event overrides
+ *
+ * in_app  - in-app notification (default)
+ * email   - in-app notification and an email
+ * digest  - kept in the notification list and emailed once a day in a digest
+ * muted   - not delivered
+ *
+ * During quiet hours (organization timezone) notifications are only added to
+ * the notification list: nothing is pushed or emailed, email copies move to
+ * the digest and reminders are not sent. Urgent notifications ignore quiet hours
+ */
+
+const CHANNELS = ['in_app', 'email', 'digest', 'muted'];
+
+const TIME_PATTERN = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Please use HH:MM format'];
+
+// Convert "HH:MM" to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  defaultChannel: {
+    type: String,
+    enum: CHANNELS,
+    default: 'in_app'
+  },
+  overrides: [{
+    _id: false,
+    eventType: {
+      type: String,
+      enum: NotificationRule.EVENT_TYPES,
+      required: [true, 'Event type is required']
+    },
+    channel: {
+      type: String,
+      enum: CHANNELS,
+      required: [true, 'Channel is required']
+    }
+  }],
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: TIME_PATTERN,
+      default: '22:00'
+    },
+    end: {
+      type: String,
+      match: TIME_PATTERN,
+      default: '07:00'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get the channel for an event type
+ * @param {String} eventType - e.g. 'late_checkin'
+ * @returns {String} Channel
+ */
+notificationPreferenceSchema.methods.getChannel = function(eventType) {
+  const override = this.overrides.find(o => o.eventType === eventType);
+  return override ? override.channel : this.defaultChannel;
+};
+
+/**
+ * Check whether a time falls in the user's quiet hours
+ * Windows ending before they start span midnight (e.g. 22:00-07:00)
+ * @param {Date} date - Time to check
+ * @param {String} timeZone - IANA timezone the hours are expressed in
+ */
+notificationPreferenceSchema.methods.isQuietTime = function(date, timeZone) {
+  if (!this.quietHours?.enabled) return false;
+
+  const { hour, minute } = getZonedParts(date, timeZone);
+  const now = hour * 60 + minute;
+  const start = toMinutes(this.quietHours.start);
+  const end = toMinutes(this.quietHours.end);
+
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+/**
+ * Load the preferences of several users
+ * @param {Array} userIds - User IDs
+ * @returns {Map} userId -> preference (users without one are missing)
+ */
+notificationPreferenceSchema.statics.findForUsers = async function(userIds) {
+  const preferences = await this.find({ userId: { $in: userIds } });
+  return new Map(preferences.map(preference => [preference.userId.toString(), preference]));
+};
+
+notificationPreferenceSchema.statics.CHANNELS = CHANNELS;
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Rule Model
+ * Routes notifications to recipients by event type, intern department and
+ * priority. Every enabled rule that matches adds its targets; when no rule
+ * matches, the event's built-in recipients are used. Personal events always
+ * go to the intern they are about, whatever the rules say; decisions addressed
+ * to the intern reach them on top of the rule targets
+ */
+
+// Events NotificationService creates (template keys without the notification. prefix)
+const EVENT_TYPES = [
+  'late_checkin', 'missed_checkout', 'absent', 'present', 'excused', 'perfect_attendance', 'attendance_update',
+  'new_intern', 'intern_updated', 'low_attendance', 'intern_update',
+  'leave_requested', 'leave_approved', 'leave_rejected',
+  'correction_requested', 'correction_approved', 'correction_rejected',
+  'location_rejected', 'location_flagged', 'device_rejected', 'device_flagged',
+  'checkin_reminder', 'checkout_reminder', 'attendance_streak',
+  'escalation_reminder', 'escalation_alert', 'escalation_warning', 'escalation_flag',
+  'system'
+];
+
+// Reminders meant for the intern only - rules never reroute them
+const PERSONAL_EVENT_TYPES = ['checkin_reminder', 'checkout_reminder', 'attendance_streak'];
+
+// Decisions addressed to the intern - rules may copy others in, the intern always gets them
+const INTERN_EVENT_TYPES = [
+  'leave_approved', 'leave_rejected',
+  'correction_approved', 'correction_rejected',
+  'escalation_reminder'
+];
+
+// Who a rule can notify
+const TARGETS = ['supervisor', 'department_heads', 'admins', 'intern'];
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const notificationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Empty list matches every event type / department / priority
+  eventTypes: [{
+    type: String,
+    enum: EVENT_TYPES
+  }],
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  priorities: [{
+    type: String,
+    enum: PRIORITIES
+  }],
+  targets: {
+    type: [{
+      type: String,
+      enum: TARGETS
+    }],
+    validate: {
+      validator: (targets) => targets.length > 0,
+      message: 'At least one target is required'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Check whether the rule applies to an event
+ * @param {Object} event - { eventType, department, priority }
+ */
+notificationRuleSchema.methods.matches = function({ eventType, department, priority }) {
+  return this.enabled &&
+    (this.eventTypes.length === 0 || this.eventTypes.includes(eventType)) &&
+    (this.departments.length === 0 || this.departments.includes(department)) &&
+    (this.priorities.length === 0 || this.priorities.includes(priority));
+};
+
+notificationRuleSchema.statics.EVENT_TYPES = EVENT_TYPES;
+notificationRuleSchema.statics.PERSONAL_EVENT_TYPES = PERSONAL_EVENT_TYPES;
+notificationRuleSchema.statics.INTERN_EVENT_TYPES = INTERN_EVENT_TYPES;
+notificationRuleSchema.statics.TARGETS = TARGETS;
+notificationRuleSchema.statics.PRIORITIES = PRIORITIES;
+
+module.exports = mongoose.model('NotificationRule', notificationRuleSchema);
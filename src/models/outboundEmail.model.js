@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+/**
+ * Outbound Email Model
+ * Persistent queue of emails sent through the mail service. Failed deliveries
+ * are retried with backoff until maxAttempts, then marked failed
+ */
+
+// Minutes to wait before each retry (the last value repeats)
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+const outboundEmailSchema = new mongoose.Schema({
+  to: {
+    type: [String],
+    required: [true, 'Recipient is required']
+  },
+  from: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  html: String,
+  text: String,
+  // Text attachments (e.g. CSV reports)
+  attachments: [{
+    _id: false,
+    filename: String,
+    content: String,
+    contentType: String
+  }],
+  // What kind of email this is (otp, absentee, approval, ...)
+  category: {
+    type: String,
+    default: 'general'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  // Transport that handled the last attempt
+  provider: String,
+  messageId: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  sentAt: Date,
+  // When a worker claimed it for sending (to recover from crashes)
+  lockedAt: Date,
+  // Body is deleted once the email is sent or gives up (e.g. contains an OTP)
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundEmailSchema.index({ category: 1, createdAt: -1 });
+
+/**
+ * Record a successful delivery
+ * @param {String} provider - Transport name
+ * @param {String} messageId - ID returned by the transport
+ */
+outboundEmailSchema.methods.markSent = function(provider, messageId) {
+  this.status = 'sent';
+  this.provider = provider;
+  this.messageId = messageId;
+  this.sentAt = new Date();
+  this.lastError = undefined;
+  this.lockedAt = undefined;
+  this.redactIfSensitive();
+};
+
+/**
+ * Record a failed delivery and schedule a retry if attempts remain
+ * @param {String} provider - Transport name
+ * @param {Error} error - Delivery error
+ */
+outboundEmailSchema.methods.markFailed = function(provider, error) {
+  this.provider = provider;
+  this.lastError = error.message;
+  this.lockedAt = undefined;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    this.redactIfSensitive();
+    return;
+  }
+
+  const delay = RETRY_DELAYS_MINUTES[Math.min(this.attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+  this.status = 'queued';
+  this.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+};
+
+/**
+ * Drop the body of a sensitive email that will not be sent again
+ */
+outboundEmailSchema.methods.redactIfSensitive = function() {
+  if (!this.sensitive) return;
+  this.html = undefined;
+  this.text = undefined;
+  this.attachments = [];
+};
+
+/**
+ * Claim the next email that is due for sending
+ * Emails stuck in 'sending' (e.g. the server restarted mid-send) are picked up again
+ * @param {Number} staleMinutes - How long a claim is honoured
+ * @returns {Object} Claimed email or null
+ */
+outboundEmailSchema.statics.claimNext = async function(staleMinutes = 10) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - staleMinutes * 60 * 1000) } }
+      ]
+    },
+    { status: 'sending', lockedAt: now },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+module.exports = mongoose.model('OutboundEmail', outboundEmailSchema);
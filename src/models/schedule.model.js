@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const shiftRef = {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: 'Shift',
+  default: null // No shift means a day off
+};
+
+/**
+ * Intern schedule assignment
+ * - weekly: a shift (or day off) per weekday, e.g. part-time interns
+ * - rotating: a cycle of shifts/days off starting on effectiveFrom
+ * Dates are calendar days stored as UTC midnight. When several schedules
+ * cover a day, the one with the latest effectiveFrom wins
+ */
+const scheduleSchema = new mongoose.Schema({
+  internId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intern',
+    required: [true, 'Intern is required']
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['weekly', 'rotating'],
+    default: 'weekly'
+  },
+  weeklyShifts: DAY_NAMES.reduce((days, day) => {
+    days[day] = shiftRef;
+    return days;
+  }, {}),
+  rotation: [shiftRef],
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required']
+  },
+  effectiveTo: {
+    type: Date // Inclusive; open-ended when not set
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+scheduleSchema.index({ internId: 1, effectiveFrom: -1 });
+
+scheduleSchema.pre('validate', function(next) {
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective to date cannot be before effective from date');
+  }
+  if (this.type === 'rotating' && (!this.rotation || this.rotation.length === 0)) {
+    this.invalidate('rotation', 'Rotating schedules need at least one day in the rotation');
+  }
+  next();
+});
+
+/**
+ * Check if the schedule is in effect on a calendar day
+ * @param {String} dateKey - Day as "YYYY-MM-DD"
+ */
+scheduleSchema.methods.coversDate = function(dateKey) {
+  const from = this.effectiveFrom.toISOString().slice(0, 10);
+  const to = this.effectiveTo ? this.effectiveTo.toISOString().slice(0, 10) : null;
+  return dateKey >= from && (!to || dateKey <= to);
+};
+
+/**
+ * Get the shift scheduled on a calendar day (null for a day off)
+ * @param {String} dateKey - Day as "YYYY-MM-DD"
+ */
+scheduleSchema.methods.getShiftForDate = function(dateKey) {
+  if (this.type === 'rotating') {
+    const from = Date.parse(`${this.effectiveFrom.toISOString().slice(0, 10)}T00:00:00.000Z`);
+    const day = Date.parse(`${dateKey}T00:00:00.000Z`);
+    const offset = Math.round((day - from) / (24 * 60 * 60 * 1000));
+    const length = this.rotation.length;
+    return this.rotation[((offset % length) + length) % length] || null;
+  }
+
+  const dayOfWeek = new Date(`${dateKey}T00:00:00.000Z`).getUTCDay();
+  return this.weeklyShifts?.[DAY_NAMES[dayOfWeek]] || null;
+};
+
+/**
+ * Find schedules with their shifts populated
+ */
+scheduleSchema.statics.findWithShifts = function(filter = {}) {
+  return this.find(filter)
+    .populate(DAY_NAMES.map(day => `weeklyShifts.${day}`).join(' '))
+    .populate('rotation')
+    .sort({ effectiveFrom: -1 });
+};
+
+/**
+ * Convert a "YYYY-MM-DD" string (or Date) to the stored calendar date
+ */
+scheduleSchema.statics.toCalendarDate = function(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T00:00:00.000Z`);
+  }
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+scheduleSchema.statics.DAY_NAMES = DAY_NAMES;
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+module.exports = Schedule;
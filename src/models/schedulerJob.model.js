@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const { isValidTimeZone } = require('../utils/timezone.utils');
+
+/**
+ * Scheduler Job Model
+ * A scheduled run of one of the scheduler's built-in tasks. The lock fields
+ * make sure only one server instance executes each run
+ */
+
+const schedulerJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true,
+    match: [/^[\w-]+$/, 'Job name may only contain letters, numbers, dashes and underscores']
+  },
+  // Task to run (see NotificationScheduler.TASKS)
+  task: {
+    type: String,
+    required: [true, 'Task is required']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  cronExpression: {
+    type: String,
+    required: [true, 'Cron expression is required'],
+    trim: true,
+    validate: {
+      validator: (value) => cron.validate(value),
+      message: 'Invalid cron expression'
+    }
+  },
+  // IANA timezone for the cron expression (defaults to the organization timezone)
+  timezone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (value) => !value || isValidTimeZone(value),
+      message: 'Invalid timezone'
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Built-in jobs can be disabled or rescheduled but not deleted
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Distributed lock: the instance running the job and until when the claim is honoured
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Cron slot of the last scheduled run claimed by any instance
+  lastScheduledFor: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: Date,
+  lastRunStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  lastRunDurationMs: Number,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Claim a job for one run
+ * Fails if another instance holds an unexpired lock or, for scheduled runs,
+ * has already claimed the same cron slot
+ * @param {ObjectId} jobId - Job to claim
+ * @param {Object} options - { instanceId, scheduledFor: cron slot (scheduled runs only), leaseMinutes }
+ * @returns {Object} Claimed job or null
+ */
+schedulerJobSchema.statics.claim = async function(jobId, { instanceId, scheduledFor = null, leaseMinutes = 30 }) {
+  const now = new Date();
+  const conditions = [
+    { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }
+  ];
+  const update = {
+    lockedBy: instanceId,
+    lockedUntil: new Date(now.getTime() + leaseMinutes * 60 * 1000)
+  };
+
+  if (scheduledFor) {
+    conditions.push({ enabled: true });
+    conditions.push({ $or: [{ lastScheduledFor: null }, { lastScheduledFor: { $lt: scheduledFor } }] });
+    update.lastScheduledFor = scheduledFor;
+  }
+
+  // Lock changes are not edits - leave updatedAt alone so instances don't reload
+  return this.findOneAndUpdate(
+    { _id: jobId, $and: conditions },
+    update,
+    { new: true, timestamps: false }
+  );
+};
+
+/**
+ * Release a claimed job and record the outcome of the run
+ * @param {ObjectId} jobId - Claimed job
+ * @param {String} instanceId - Instance holding the lock
+ * @param {Object} run - Finished SchedulerJobRun
+ */
+schedulerJobSchema.statics.release = async function(jobId, instanceId, run) {
+  return this.updateOne(
+    { _id: jobId, lockedBy: instanceId },
+    {
+      lockedBy: null,
+      lockedUntil: null,
+      lastRunAt: run.startedAt,
+      lastRunStatus: run.status,
+      lastRunDurationMs: run.durationMs
+    },
+    { timestamps: false }
+  );
+};
+
+module.exports = mongoose.model('SchedulerJob', schedulerJobSchema);
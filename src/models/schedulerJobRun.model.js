@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scheduler Job Run Model
+ * History of scheduler job executions (kept for 30 days)
+ */
+
+const schedulerJobRunSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchedulerJob',
+    required: true
+  },
+  jobName: {
+    type: String,
+    required: true
+  },
+  task: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Server instance that executed the run
+  instanceId: String,
+  // Cron slot this run was for (scheduled runs only)
+  scheduledFor: Date,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  // Counts returned by the task (notifications created, emails sent, ...)
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+schedulerJobRunSchema.index({ jobId: 1, startedAt: -1 });
+schedulerJobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Auto-delete old runs
+
+module.exports = mongoose.model('SchedulerJobRun', schedulerJobRunSchema);
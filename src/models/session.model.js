@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { parseUserAgent } = require('../utils/device.utils');
 
 /**
  * Session Model
@@ -189,36 +190,6 @@ sessionSchema.statics.enforceConcurrentLimit = async function(userId, maxSession
   return 0;
 };
 
-// Helper function to parse user agent
-function parseUserAgent(userAgent) {
-  const info = {
-    browser: 'Unknown',
-    os: 'Unknown',
-    device: 'Desktop'
-  };
-  
-  if (!userAgent) return info;
-  
-  // Detect browser
-  if (userAgent.includes('Chrome')) info.browser = 'Chrome';
-  else if (userAgent.includes('Firefox')) info.browser = 'Firefox';
-  else if (userAgent.includes('Safari')) info.browser = 'Safari';
-  else if (userAgent.includes('Edge')) info.browser = 'Edge';
-  
-  // Detect OS
-  if (userAgent.includes('Windows')) info.os = 'Windows';
-  else if (userAgent.includes('Mac')) info.os = 'macOS';
-  else if (userAgent.includes('Linux')) info.os = 'Linux';
-  else if (userAgent.includes('Android')) info.os = 'Android';
-  else if (userAgent.includes('iOS')) info.os = 'iOS';
-  
-  // Detect device
-  if (userAgent.includes('Mobile') || userAgent.includes('Android')) info.device = 'Mobile';
-  else if (userAgent.includes('Tablet') || userAgent.includes('iPad')) info.device = 'Tablet';
-  
-  return info;
-}
-
 const Session = mongoose.model('Session', sessionSchema);
 
 module.exports = Session;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone, DEFAULT_TIMEZONE } = require('../utils/timezone.utils');
 
 /**
  * Settings Schema
@@ -14,6 +15,12 @@ const SettingsSchema = new mongoose.Schema({
       type: String,
       default: '/images/default-logo.png'
     },
+    // Accent color used in email templates
+    brandColor: {
+      type: String,
+      default: '#10b981',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Brand color must be a hex color such as #10b981']
+    },
     address: {
       type: String,
       trim: true
@@ -56,6 +63,11 @@ const SettingsSchema = new mongoose.Schema({
       max: 30,
       description: 'Minutes of grace period after start time'
     },
+    requireBiometric: {
+      type: Boolean,
+      default: false,
+      description: 'Require a WebAuthn (fingerprint/face) verification on check-in and check-out'
+    },
     workingDays: {
       monday: {
         type: Boolean,
@@ -85,6 +97,117 @@ const SettingsSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       }
+    },
+    departmentOverrides: [{
+      department: {
+        type: String,
+        required: [true, 'Department name is required'],
+        trim: true
+      },
+      workingHours: {
+        start: String,
+        end: String
+      },
+      lateThreshold: {
+        type: Number,
+        min: 0,
+        max: 60
+      },
+      graceTime: {
+        type: Number,
+        min: 0,
+        max: 30
+      },
+      timezone: {
+        type: String,
+        trim: true,
+        validate: {
+          validator: (v) => !v || isValidTimeZone(v),
+          message: 'Invalid timezone. Use an IANA timezone such as Africa/Lagos'
+        }
+      },
+      workingDays: {
+        monday: Boolean,
+        tuesday: Boolean,
+        wednesday: Boolean,
+        thursday: Boolean,
+        friday: Boolean,
+        saturday: Boolean,
+        sunday: Boolean
+      },
+      requireBiometric: Boolean
+    }],
+    locationSecurity: {
+      requireLocation: {
+        type: Boolean,
+        default: true,
+        description: 'Reject app check-ins that do not send a GPS location'
+      },
+      maxAccuracy: {
+        type: Number,
+        default: 100,
+        min: 5,
+        description: 'Largest accepted GPS accuracy radius in meters'
+      },
+      maxFixAge: {
+        type: Number,
+        default: 120,
+        min: 10,
+        description: 'Seconds after which a GPS fix is considered stale'
+      },
+      maxTravelSpeed: {
+        type: Number,
+        default: 200,
+        min: 10,
+        description: 'Fastest plausible travel speed (km/h) between consecutive check-ins'
+      },
+      flagScore: {
+        type: Number,
+        default: 30,
+        min: 0,
+        max: 100,
+        description: 'Fraud score at which a check-in is flagged for review'
+      },
+      rejectScore: {
+        type: Number,
+        default: 70,
+        min: 0,
+        max: 100,
+        description: 'Fraud score at which a check-in is rejected'
+      }
+    },
+    deviceSecurity: {
+      sharedDevice: {
+        type: String,
+        enum: ['allow', 'flag', 'block'],
+        default: 'flag',
+        description: 'What to do when one device is used by several interns on the same day'
+      },
+      requireTrustedDevice: {
+        type: Boolean,
+        default: false,
+        description: 'Only allow check-ins from devices bound to the intern'
+      }
+    },
+    // Consecutive working days absent/late that trigger each escalation tier (0 disables a tier)
+    escalation: {
+      enabled: {
+        type: Boolean,
+        default: true,
+        description: 'Escalate repeated absences and late arrivals'
+      },
+      absence: {
+        remindIntern: { type: Number, default: 1, min: 0 },
+        alertSupervisor: { type: Number, default: 2, min: 0 },
+        warnAdmins: { type: Number, default: 3, min: 0 },
+        flagIntern: { type: Number, default: 5, min: 0 }
+      },
+      late: {
+        remindIntern: { type: Number, default: 2, min: 0 },
+        alertSupervisor: { type: Number, default: 3, min: 0 },
+        warnAdmins: { type: Number, default: 5, min: 0 },
+        flagIntern: { type: Number, default: 8, min: 0 }
+      }
     }
   },
   notifications: {
@@ -112,7 +235,32 @@ const SettingsSchema = new mongoose.Schema({
         /^([\w-\.]+@([\w-]+\.)+[\w-]{2,4})?$/,
         'Please provide a valid email'
       ]
-    }]
+    }],
+    // Reminders sent to interns about their own attendance
+    reminders: {
+      checkIn: {
+        type: Boolean,
+        default: true
+      },
+      // Minutes after shift start to remind interns who have not checked in
+      checkInAfter: {
+        type: Number,
+        min: 0,
+        max: 240,
+        default: 15
+      },
+      checkOut: {
+        type: Boolean,
+        default: true
+      },
+      // Minutes before shift end to remind interns who have not checked out
+      checkOutBefore: {
+        type: Number,
+        min: 0,
+        max: 240,
+        default: 10
+      }
+    }
   },
   system: {
     dateFormat: {
@@ -134,6 +282,15 @@ const SettingsSchema = new mongoose.Schema({
       type: String,
       enum: ['en', 'fr', 'es'],
       default: 'en'
+    },
+    timezone: {
+      type: String,
+      trim: true,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Invalid timezone. Use an IANA timezone such as Africa/Lagos'
+      }
     }
   },
   created: {
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Shift template (e.g. "Morning 08:00-16:00")
+ * Shifts whose end is before their start run overnight
+ */
+const shiftSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Shift name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  start: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be in HH:MM format']
+  },
+  end: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be in HH:MM format']
+  },
+  lateThreshold: {
+    type: Number,
+    min: 0,
+    max: 60 // Falls back to the attendance policy when not set
+  },
+  graceTime: {
+    type: Number,
+    min: 0,
+    max: 30
+  },
+  breakMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Check if the shift ends on the following day
+shiftSchema.virtual('isOvernight').get(function() {
+  return this.end <= this.start;
+});
+
+// Scheduled length in minutes (excluding breaks)
+shiftSchema.virtual('durationMinutes').get(function() {
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  let duration = toMinutes(this.end) - toMinutes(this.start);
+  if (duration <= 0) duration += 24 * 60;
+  return Math.max(0, duration - (this.breakMinutes || 0));
+});
+
+shiftSchema.set('toJSON', { virtuals: true });
+
+const Shift = mongoose.model('Shift', shiftSchema);
+
+module.exports = Shift;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * Site Model
+ * Groups several geofence zones (buildings, car parks, exclusion zones)
+ * into one workplace such as a campus
+ */
+
+const siteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Site name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    country: String,
+    postalCode: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const Site = mongoose.model('Site', siteSchema);
+
+module.exports = Site;
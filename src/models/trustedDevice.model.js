@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Trusted Device Model
+ * A phone an admin has bound to an intern. A device can only be bound to
+ * one intern; an intern can have several devices (e.g. a replacement phone)
+ */
+
+const trustedDeviceSchema = new mongoose.Schema({
+  internId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intern',
+    required: [true, 'Intern is required']
+  },
+  fingerprint: {
+    type: String,
+    required: [true, 'Device fingerprint is required'],
+    unique: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  deviceInfo: {
+    browser: String,
+    os: String,
+    device: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  boundBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+trustedDeviceSchema.index({ internId: 1, isActive: 1 });
+
+/**
+ * Get the active devices bound to an intern
+ */
+trustedDeviceSchema.statics.findForIntern = function(internId) {
+  return this.find({ internId, isActive: true }).sort({ createdAt: -1 });
+};
+
+const TrustedDevice = mongoose.model('TrustedDevice', trustedDeviceSchema);
+
+module.exports = TrustedDevice;
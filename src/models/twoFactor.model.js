@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1; // Accept the previous/next code for clock drift
+
+// Consecutive wrong codes (any method) before verification is locked
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
 
 /**
  * Two-Factor Authentication Model
@@ -34,6 +42,16 @@ const twoFactorSchema = new mongoose.Schema({
     type: String,
     select: false // Don't include in queries by default
   },
+  // Secret generated during authenticator enrollment, until the user confirms a code
+  pendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last TOTP time step accepted (a code cannot be used twice)
+  lastTotpStep: {
+    type: Number,
+    select: false
+  },
   // Backup codes for emergency access
   backupCodes: [{
     code: {
@@ -64,7 +82,9 @@ const twoFactorSchema = new mongoose.Schema({
   failedAttempts: {
     type: Number,
     default: 0
-  }
+  },
+  // No code is accepted until then (set after MAX_FAILED_ATTEMPTS wrong codes)
+  lockUntil: Date
 }, {
   timestamps: true
 });
@@ -72,6 +92,34 @@ const twoFactorSchema = new mongoose.Schema({
 // Index for efficient queries
 twoFactorSchema.index({ userId: 1, isEnabled: 1 });
 
+// Virtual to check if code verification is locked
+twoFactorSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+/**
+ * Record a wrong code and lock verification after too many in a row
+ */
+twoFactorSchema.methods.recordFailure = function() {
+  this.failedAttempts += 1;
+  
+  if (this.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    this.lockUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+    this.failedAttempts = 0;
+    console.log(`🔒 2FA verification locked for user ${this.userId} until ${this.lockUntil.toISOString()}`);
+  }
+};
+
+/**
+ * Record an accepted code
+ */
+twoFactorSchema.methods.recordSuccess = function() {
+  this.lastUsed = new Date();
+  this.totalUsed += 1;
+  this.failedAttempts = 0;
+  this.lockUntil = undefined;
+};
+
 /**
  * Generate a 6-digit OTP code
  * @returns {String} 6-digit code
@@ -95,7 +143,7 @@ twoFactorSchema.methods.generateOTP = function() {
  * @returns {Boolean} True if valid
  */
 twoFactorSchema.methods.verifyOTP = function(code) {
-  if (!this.tempOTP || !this.tempOTP.code) {
+  if (this.isLocked || !this.tempOTP || !this.tempOTP.code) {
     return false;
   }
   
@@ -116,16 +164,104 @@ twoFactorSchema.methods.verifyOTP = function(code) {
   if (this.tempOTP.code === code) {
     // Clear temp OTP
     this.tempOTP = undefined;
-    this.lastUsed = new Date();
-    this.totalUsed += 1;
-    this.failedAttempts = 0;
+    this.recordSuccess();
     return true;
   }
   
-  this.failedAttempts += 1;
+  this.recordFailure();
   return false;
 };
 
+/**
+ * Start authenticator enrollment with a new TOTP secret
+ * The secret only becomes active once confirmed with confirmAuthenticator()
+ * @param {String} accountName - Label shown in the authenticator app (user email)
+ * @returns {Object} { secret, otpauthUrl } - base32 secret for manual entry and provisioning URI
+ */
+twoFactorSchema.methods.generateTotpSecret = function(accountName) {
+  const generated = speakeasy.generateSecret({ length: 20 });
+  
+  this.pendingSecret = generated.base32;
+  
+  const otpauthUrl = speakeasy.otpauthURL({
+    secret: generated.base32,
+    encoding: 'base32',
+    label: `CheckMate:${accountName}`,
+    issuer: 'CheckMate',
+    period: TOTP_STEP_SECONDS
+  });
+  
+  return { secret: generated.base32, otpauthUrl };
+};
+
+/**
+ * Verify a TOTP code from the authenticator app
+ * Requires the document to be loaded with +secret +pendingSecret
+ * @param {String} code - 6-digit code
+ * @param {Boolean} pending - Check against the secret being enrolled
+ * @returns {Promise<Boolean>} True if valid
+ */
+twoFactorSchema.methods.verifyTOTP = async function(code, pending = false) {
+  const secret = pending ? this.pendingSecret : this.secret;
+  
+  if (this.isLocked || !secret || !code) {
+    return false;
+  }
+  
+  const result = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: 'base32',
+    token: String(code).replace(/\s/g, ''),
+    step: TOTP_STEP_SECONDS,
+    window: TOTP_WINDOW
+  });
+  
+  // Reject replays of a code that was already accepted. The step is claimed
+  // in a single update so two requests racing with the same code can't both pass
+  const step = result
+    ? Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta
+    : null;
+  
+  const claimed = result && await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $or: [{ lastTotpStep: { $lt: step } }, { lastTotpStep: null }]
+    },
+    { $set: { lastTotpStep: step } },
+    { projection: { _id: 1 } }
+  );
+  
+  if (!claimed) {
+    this.recordFailure();
+    return false;
+  }
+  
+  this.recordSuccess();
+  return true;
+};
+
+/**
+ * Activate the enrolled authenticator secret and switch to it
+ */
+twoFactorSchema.methods.confirmAuthenticator = function() {
+  this.secret = this.pendingSecret;
+  this.pendingSecret = undefined;
+  this.method = 'authenticator';
+  this.isEnabled = true;
+};
+
+/**
+ * Verify a login code with the user's current method
+ * (authenticator app TOTP or emailed OTP)
+ * @param {String} code - Code to verify
+ * @returns {Promise<Boolean>} True if valid
+ */
+twoFactorSchema.methods.verifyCode = async function(code) {
+  return this.method === 'authenticator'
+    ? this.verifyTOTP(code)
+    : this.verifyOTP(code);
+};
+
 /**
  * Generate backup codes
  * @param {Number} count - Number of codes to generate (default 10)
@@ -153,12 +289,16 @@ twoFactorSchema.methods.generateBackupCodes = function(count = 10) {
  * @returns {Boolean} True if valid
  */
 twoFactorSchema.methods.verifyBackupCode = function(code) {
+  if (this.isLocked) {
+    return false;
+  }
+  
   const backupCode = this.backupCodes.find(
     bc => bc.code === code.toUpperCase() && !bc.used
   );
   
   if (!backupCode) {
-    this.failedAttempts += 1;
+    this.recordFailure();
     return false;
   }
   
@@ -166,9 +306,7 @@ twoFactorSchema.methods.verifyBackupCode = function(code) {
   backupCode.used = true;
   backupCode.usedAt = new Date();
   
-  this.lastUsed = new Date();
-  this.totalUsed += 1;
-  this.failedAttempts = 0;
+  this.recordSuccess();
   
   return true;
 };
@@ -184,10 +322,13 @@ twoFactorSchema.methods.getRemainingBackupCodes = function() {
 /**
  * Static method to find 2FA settings for user
  * @param {String} userId - User ID
+ * @param {Boolean} withSecrets - Include the TOTP secrets (needed to verify authenticator codes)
  * @returns {Object} 2FA settings or null
  */
-twoFactorSchema.statics.findByUserId = async function(userId) {
-  return this.findOne({ userId });
+twoFactorSchema.statics.findByUserId = async function(userId, withSecrets = false) {
+  const query = this.findOne({ userId });
+  if (withSecrets) query.select('+secret +pendingSecret');
+  return query;
 };
 
 /**
@@ -227,7 +368,8 @@ twoFactorSchema.statics.enableForUser = async function(userId, email, method = '
  * @returns {Boolean} True if disabled
  */
 twoFactorSchema.statics.disableForUser = async function(userId) {
-  const twoFactor = await this.findOne({ userId });
+  // Load the hidden fields so clearing them below is written
+  const twoFactor = await this.findOne({ userId }).select('+secret +pendingSecret +lastTotpStep');
   
   if (!twoFactor) {
     return false;
@@ -235,11 +377,18 @@ twoFactorSchema.statics.disableForUser = async function(userId) {
   
   twoFactor.isEnabled = false;
   twoFactor.tempOTP = undefined;
+  // Re-enabling the authenticator requires a new enrollment
+  twoFactor.method = 'email';
+  twoFactor.secret = undefined;
+  twoFactor.pendingSecret = undefined;
+  twoFactor.lastTotpStep = undefined;
   await twoFactor.save();
   
   return true;
 };
 
+twoFactorSchema.statics.MAX_FAILED_ATTEMPTS = MAX_FAILED_ATTEMPTS;
+
 const TwoFactor = mongoose.model('TwoFactor', twoFactorSchema);
 
 module.exports = TwoFactor;
@@ -19,9 +19,14 @@ const webauthnChallengeSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['registration', 'authentication'],
+    enum: ['registration', 'authentication', 'attendance'],
     required: true
   },
+  // Attendance step-up challenges are bound to the action they authorize
+  action: {
+    type: String,
+    enum: ['check_in', 'check_out']
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -37,13 +42,14 @@ webauthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 /**
  * Static method to create a new challenge
  */
-webauthnChallengeSchema.statics.createChallenge = async function(userId, challenge, type, expiresInMinutes = 5) {
+webauthnChallengeSchema.statics.createChallenge = async function(userId, challenge, type, expiresInMinutes = 5, action = undefined) {
   const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
   
   return this.create({
     userId,
     challenge,
     type,
+    action,
     expiresAt
   });
 };
@@ -51,11 +57,12 @@ webauthnChallengeSchema.statics.createChallenge = async function(userId, challen
 /**
  * Static method to verify and consume challenge
  */
-webauthnChallengeSchema.statics.verifyAndConsume = async function(userId, challenge, type) {
+webauthnChallengeSchema.statics.verifyAndConsume = async function(userId, challenge, type, action = undefined) {
   const challengeDoc = await this.findOne({
     userId,
     challenge,
     type,
+    ...(action ? { action } : {}),
     expiresAt: { $gt: new Date() }
   });
   
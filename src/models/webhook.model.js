@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Model
+ * An endpoint notified of the events it subscribes to. Payloads are signed
+ * with the webhook secret (see WebhookService)
+ */
+
+// Events that can be subscribed to
+const EVENTS = [
+  'attendance.check_in',
+  'attendance.check_out',
+  'attendance.late',
+  'attendance.absent',
+  'user.approved',
+  'intern.created',
+  'intern.flagged',
+  'leave.requested',
+  'leave.approved',
+  'leave.rejected'
+];
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Please provide a valid http(s) URL']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: EVENTS
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Only returned when the webhook is created or the secret rotated
+  secret: {
+    type: String,
+    default: generateSecret,
+    select: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['delivered', 'failed']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ enabled: 1, events: 1 });
+
+/**
+ * Replace the signing secret
+ * @returns {String} New secret
+ */
+webhookSchema.methods.rotateSecret = function() {
+  this.secret = generateSecret();
+  return this.secret;
+};
+
+webhookSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Delivery Model
+ * Queue and log of webhook deliveries. Failed attempts are retried with
+ * exponential backoff until maxAttempts, then marked failed. Deliveries are
+ * kept for 30 days
+ */
+
+// Delay before the first retry; it doubles after every failed attempt
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// Response bodies are truncated to this many characters in the log
+const MAX_RESPONSE_LENGTH = 1000;
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Events that may be emitted more than once (e.g. a check run twice a day)
+  // are delivered once per webhook and key
+  idempotencyKey: {
+    type: String
+  },
+  // Body sent to the endpoint: { id, event, createdAt, data }
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'delivered', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When a worker claimed it for sending (to recover from crashes)
+  lockedAt: Date,
+  responseStatus: Number,
+  responseBody: String,
+  durationMs: Number,
+  lastError: String,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { webhookId: 1, event: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+/**
+ * Record the endpoint's response to an attempt
+ * @param {Object} response - { status, body, durationMs }
+ */
+webhookDeliverySchema.methods.recordResponse = function({ status, body, durationMs }) {
+  this.responseStatus = status;
+  this.responseBody = body ? String(body).slice(0, MAX_RESPONSE_LENGTH) : undefined;
+  this.durationMs = durationMs;
+};
+
+/**
+ * Record a successful delivery
+ */
+webhookDeliverySchema.methods.markDelivered = function() {
+  this.status = 'delivered';
+  this.deliveredAt = new Date();
+  this.lastError = undefined;
+  this.lockedAt = undefined;
+};
+
+/**
+ * Record a failed attempt and schedule a retry if attempts remain
+ * @param {Error} error - Delivery error
+ */
+webhookDeliverySchema.methods.markFailed = function(error) {
+  this.lastError = error.message;
+  this.lockedAt = undefined;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    return;
+  }
+
+  const delay = Math.min(RETRY_BASE_SECONDS * 2 ** (this.attempts - 1), RETRY_MAX_SECONDS);
+  this.status = 'queued';
+  this.nextAttemptAt = new Date(Date.now() + delay * 1000);
+};
+
+/**
+ * Claim the next delivery that is due
+ * Deliveries stuck in 'sending' (e.g. the server restarted mid-send) are picked up again
+ * @param {Number} staleMinutes - How long a claim is honoured
+ * @returns {Object} Claimed delivery or null
+ */
+webhookDeliverySchema.statics.claimNext = async function(staleMinutes = 10) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - staleMinutes * 60 * 1000) } }
+      ]
+    },
+    { status: 'sending', lockedAt: now },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
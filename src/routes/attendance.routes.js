@@ -3,11 +3,17 @@ const router = express.Router();
 const { 
   checkIn, 
   checkOut, 
+  startBreak,
+  endBreak,
   getAttendanceRecords, 
   getTodayAttendance,
   getAttendanceStats,
   getInternAttendance,
-  getInternTodayStatus
+  getInternTodayStatus,
+  getAttendanceHistory,
+  revertAttendance,
+  getFlaggedAttendance,
+  reviewFraudFlag
 } = require('../controllers/attendance.controller');
 
 const { 
@@ -22,18 +28,25 @@ const {
 
 const { protect, authorize } = require('../middleware/auth.middleware');
 const { attendanceLimiter } = require('../middleware/rateLimiter.middleware');
+const { verifyKioskScan } = require('../middleware/kiosk.middleware');
+const { requireBiometric } = require('../middleware/biometric.middleware');
 
 // All routes are protected
 router.use(protect);
 
 // Routes for all authenticated users - with rate limiting
-router.post('/check-in', attendanceLimiter, checkIn);
-router.post('/check-out', attendanceLimiter, checkOut);
+router.post('/check-in', attendanceLimiter, requireBiometric('check_in'), checkIn);
+router.post('/check-out', attendanceLimiter, requireBiometric('check_out'), checkOut);
+router.post('/kiosk/check-in', attendanceLimiter, verifyKioskScan, requireBiometric('check_in'), checkIn);
+router.post('/kiosk/check-out', attendanceLimiter, verifyKioskScan, requireBiometric('check_out'), checkOut);
+router.post('/break/start', attendanceLimiter, startBreak);
+router.post('/break/end', attendanceLimiter, endBreak);
 
 // Routes for viewing attendance (admin/supervisor)
 router.get('/', authorize('admin', 'supervisor'), getAttendanceRecords);
 router.get('/today', authorize('admin', 'supervisor'), getTodayAttendance);
 router.get('/stats', authorize('admin', 'supervisor'), getAttendanceStats);
+router.get('/flagged', authorize('admin', 'supervisor'), getFlaggedAttendance);
 
 // New routes for attendance management
 router.get('/date/:date', getAttendanceByDate); // Allow all authenticated users to view
@@ -43,6 +56,13 @@ router.post('/save', authorize('admin', 'supervisor'), saveAttendanceData);
 router.get('/export', authorize('admin', 'supervisor'), exportAttendanceData);
 router.get('/departments', getAllDepartments); // Allow all authenticated users to view
 
+// Revision history
+router.get('/:id/history', getAttendanceHistory);
+router.post('/:id/revert', authorize('admin'), revertAttendance);
+
+// Anti-fraud review (suspicious locations, shared devices)
+router.patch('/:id/fraud-review', authorize('admin'), reviewFraudFlag);
+
 // Intern-specific routes
 router.get('/intern/:internId', getInternAttendance);
 router.get('/intern/:internId/today', getInternTodayStatus);
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createCorrectionRequest,
+  getCorrectionRequests,
+  getCorrectionRequest,
+  approveCorrectionRequest,
+  rejectCorrectionRequest,
+  cancelCorrectionRequest
+} = require('../controllers/attendanceCorrection.controller');
+
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+// All routes are protected
+router.use(protect);
+
+// Interns submit and view their own requests; admins/supervisors see all
+router.post('/', createCorrectionRequest);
+router.get('/', getCorrectionRequests);
+router.get('/:id', getCorrectionRequest);
+
+// Review workflow
+router.patch('/:id/approve', authorize('admin', 'supervisor'), approveCorrectionRequest);
+router.patch('/:id/reject', authorize('admin', 'supervisor'), rejectCorrectionRequest);
+router.patch('/:id/cancel', cancelCorrectionRequest);
+
+module.exports = router;
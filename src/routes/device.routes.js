@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const {
+  getDevices,
+  getRecentInternDevices,
+  bindDevice,
+  updateDevice,
+  unbindDevice,
+  getDeviceCollisions
+} = require('../controllers/device.controller');
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', authorize('admin', 'supervisor'), getDevices);
+router.get('/collisions', authorize('admin', 'supervisor'), getDeviceCollisions);
+router.get('/intern/:internId/recent', authorize('admin'), getRecentInternDevices);
+router.post('/', authorize('admin'), bindDevice);
+router.patch('/:id', authorize('admin'), updateDevice);
+router.delete('/:id', authorize('admin'), unbindDevice);
+
+module.exports = router;
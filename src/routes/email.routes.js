@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const emailController = require('../controllers/email.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
 
 // @route   POST /api/email/absent
 // @desc    Send email to absent interns
@@ -13,4 +13,14 @@ router.post('/absent', protect, emailController.sendAbsenteeEmail);
 // @access  Private
 router.get('/test', protect, emailController.testEmailConfig);
 
+// @route   GET /api/email/outbox
+// @desc    List outbound emails and their delivery status
+// @access  Private/Admin
+router.get('/outbox', protect, authorize('admin'), emailController.getOutbox);
+
+// @route   POST /api/email/outbox/:id/retry
+// @desc    Retry a queued or failed email now
+// @access  Private/Admin
+router.post('/outbox/:id/retry', protect, authorize('admin'), emailController.retryEmail);
+
 module.exports = router;
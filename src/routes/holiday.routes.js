@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const {
+  getHolidays,
+  getHoliday,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays
+} = require('../controllers/holiday.controller');
+
+// All routes require authentication
+router.use(protect);
+
+// Calendar is visible to all authenticated users
+router.get('/', getHolidays);
+router.get('/:id', getHoliday);
+
+// Admin only routes
+router.post('/import', authorize('admin'), express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), importHolidays);
+router.post('/', authorize('admin'), createHoliday);
+router.put('/:id', authorize('admin'), updateHoliday);
+router.delete('/:id', authorize('admin'), deleteHoliday);
+
+module.exports = router;
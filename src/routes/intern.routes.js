@@ -3,12 +3,14 @@ const router = express.Router();
 const { 
   getInterns, 
   createIntern, 
+  importInterns,
   getIntern, 
   updateIntern, 
   deleteIntern,
   getInternAttendanceStats,
   getInternByUserId
 } = require('../controllers/intern.controller');
+const { getInternEscalations, clearAttendanceFlag } = require('../controllers/escalation.controller');
 const { protect, authorize } = require('../middleware/auth.middleware');
 
 // All routes are protected
@@ -22,7 +24,12 @@ router.get('/:id/attendance-stats', getInternAttendanceStats);
 
 // Routes requiring admin or supervisor role
 router.post('/', authorize('admin', 'supervisor'), createIntern);
+router.post('/import', authorize('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), express.json({ limit: '2mb' }), importInterns);
 router.put('/:id', authorize('admin', 'supervisor'), updateIntern);
 router.delete('/:id', authorize('admin'), deleteIntern);
 
+// Escalations for repeated absences and late arrivals
+router.get('/:id/escalations', authorize('admin', 'supervisor'), getInternEscalations);
+router.delete('/:id/attendance-flag', authorize('admin'), clearAttendanceFlag);
+
 module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { protectKiosk } = require('../middleware/kiosk.middleware');
+const {
+  createKiosk,
+  getKiosks,
+  getKiosk,
+  updateKiosk,
+  deleteKiosk,
+  rotateKioskKey,
+  getKioskQr
+} = require('../controllers/kiosk.controller');
+
+// Kiosk devices authenticate with their device key, not a user token
+router.get('/:id/qr', protectKiosk, getKioskQr);
+
+// All other routes require authentication
+router.use(protect);
+
+router.post('/', authorize('admin'), createKiosk);
+router.get('/', authorize('admin', 'supervisor'), getKiosks);
+router.get('/:id', authorize('admin', 'supervisor'), getKiosk);
+router.put('/:id', authorize('admin'), updateKiosk);
+router.delete('/:id', authorize('admin'), deleteKiosk);
+router.post('/:id/rotate-key', authorize('admin'), rotateKioskKey);
+
+module.exports = router;
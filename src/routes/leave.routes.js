@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createLeaveRequest,
+  getLeaveRequests,
+  getLeaveRequest,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  cancelLeaveRequest
+} = require('../controllers/leave.controller');
+
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+// All routes are protected
+router.use(protect);
+
+// Interns submit and view their own requests; admins/supervisors see all
+router.post('/', createLeaveRequest);
+router.get('/', getLeaveRequests);
+router.get('/:id', getLeaveRequest);
+
+// Review workflow
+router.patch('/:id/approve', authorize('admin', 'supervisor'), approveLeaveRequest);
+router.patch('/:id/reject', authorize('admin', 'supervisor'), rejectLeaveRequest);
+router.patch('/:id/cancel', cancelLeaveRequest);
+
+module.exports = router;
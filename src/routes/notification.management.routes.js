@@ -1,8 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
 const NotificationScheduler = require('../services/notification.scheduler');
-const AbsenceService = require('../services/absence.service');
+const {
+  getTasks,
+  getJobs,
+  getJob,
+  createJob,
+  updateJob,
+  deleteJob,
+  runJob,
+  getJobRuns
+} = require('../controllers/schedulerJob.controller');
 
 // Apply authentication middleware to all routes
 router.use(protect);
@@ -12,7 +21,7 @@ router.use(protect);
  * @route   GET /api/notifications/scheduler/status
  * @access  Private/Admin
  */
-router.get('/scheduler/status', async (req, res) => {
+router.get('/scheduler/status', authorize('admin'), async (req, res) => {
   try {
     const status = NotificationScheduler.getStatus();
     
@@ -35,9 +44,9 @@ router.get('/scheduler/status', async (req, res) => {
  * @route   POST /api/notifications/scheduler/start
  * @access  Private/Admin
  */
-router.post('/scheduler/start', async (req, res) => {
+router.post('/scheduler/start', authorize('admin'), async (req, res) => {
   try {
-    NotificationScheduler.start();
+    await NotificationScheduler.start();
     
     res.status(200).json({
       status: 'success',
@@ -59,7 +68,7 @@ router.post('/scheduler/start', async (req, res) => {
  * @route   POST /api/notifications/scheduler/stop
  * @access  Private/Admin
  */
-router.post('/scheduler/stop', async (req, res) => {
+router.post('/scheduler/stop', authorize('admin'), async (req, res) => {
   try {
     NotificationScheduler.stop();
     
@@ -78,20 +87,35 @@ router.post('/scheduler/stop', async (req, res) => {
   }
 });
 
+/**
+ * Run a check through its scheduler job and send the run
+ */
+const sendCheckRun = async (req, res, checkType) => {
+  const run = await NotificationScheduler.triggerCheck(checkType, req.user._id);
+
+  if (!run) {
+    return res.status(409).json({
+      status: 'fail',
+      message: 'This check is already running',
+      code: 'JOB_RUNNING'
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: run.status === 'success' ? `${run.jobName} completed successfully` : `${run.jobName} failed`,
+    data: run
+  });
+};
+
 /**
  * @desc    Manually trigger all notification checks
  * @route   POST /api/notifications/trigger/all
  * @access  Private/Admin
  */
-router.post('/trigger/all', async (req, res) => {
+router.post('/trigger/all', authorize('admin'), async (req, res) => {
   try {
-    const results = await NotificationScheduler.triggerManualCheck();
-    
-    res.status(200).json({
-      status: 'success',
-      message: 'All notification checks completed successfully',
-      data: results
-    });
+    await sendCheckRun(req, res, 'all');
   } catch (error) {
     console.error('Manual trigger all error:', error);
     res.status(500).json({
@@ -107,10 +131,10 @@ router.post('/trigger/all', async (req, res) => {
  * @route   POST /api/notifications/trigger/:checkType
  * @access  Private/Admin
  */
-router.post('/trigger/:checkType', async (req, res) => {
+router.post('/trigger/:checkType', authorize('admin'), async (req, res) => {
   try {
     const { checkType } = req.params;
-    const validCheckTypes = ['absence', 'missedCheckout', 'perfectAttendance'];
+    const validCheckTypes = Object.keys(NotificationScheduler.CHECK_TASKS).filter(type => type !== 'all');
     
     if (!validCheckTypes.includes(checkType)) {
       return res.status(400).json({
@@ -119,13 +143,7 @@ router.post('/trigger/:checkType', async (req, res) => {
       });
     }
     
-    const results = await NotificationScheduler.triggerSpecificCheck(checkType);
-    
-    res.status(200).json({
-      status: 'success',
-      message: `${checkType} check completed successfully`,
-      data: results
-    });
+    await sendCheckRun(req, res, checkType);
   } catch (error) {
     console.error(`Manual trigger ${req.params.checkType} error:`, error);
     res.status(500).json({
@@ -141,14 +159,27 @@ router.post('/trigger/:checkType', async (req, res) => {
  * @route   GET /api/notifications/absence/summary
  * @access  Private/Admin
  */
-router.get('/absence/summary', async (req, res) => {
+router.get('/absence/summary', authorize('admin'), async (req, res) => {
   try {
-    const results = await AbsenceService.checkDailyAbsences();
+    // Runs the absence check job, which also sends its notifications
+    const run = await NotificationScheduler.triggerCheck('absence', req.user._id);
+    
+    if (!run) {
+      return res.status(409).json({
+        status: 'fail',
+        message: 'The absence check is already running',
+        code: 'JOB_RUNNING'
+      });
+    }
+    
+    if (run.status !== 'success') {
+      throw new Error(run.error);
+    }
     
     res.status(200).json({
       status: 'success',
       message: 'Daily absence summary generated',
-      data: results
+      data: run.result
     });
   } catch (error) {
     console.error('Get absence summary error:', error);
@@ -160,4 +191,14 @@ router.get('/absence/summary', async (req, res) => {
   }
 });
 
+// Scheduler job management
+router.get('/scheduler/tasks', authorize('admin'), getTasks);
+router.get('/scheduler/jobs', authorize('admin'), getJobs);
+router.post('/scheduler/jobs', authorize('admin'), createJob);
+router.get('/scheduler/jobs/:id', authorize('admin'), getJob);
+router.put('/scheduler/jobs/:id', authorize('admin'), updateJob);
+router.delete('/scheduler/jobs/:id', authorize('admin'), deleteJob);
+router.post('/scheduler/jobs/:id/run', authorize('admin'), runJob);
+router.get('/scheduler/jobs/:id/runs', authorize('admin'), getJobRuns);
+
 module.exports = router;
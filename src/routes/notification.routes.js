@@ -4,13 +4,47 @@ const {
   getNotifications,
   markAsRead,
   markAllAsRead,
-  deleteNotification
+  deleteNotification,
+  streamNotifications,
+  getStreamToken
 } = require('../controllers/notification.controller');
-const { protect } = require('../middleware/auth.middleware');
+const {
+  getRoutingOptions,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getDepartmentHeads,
+  setDepartmentHeads,
+  getMyPreferences,
+  updateMyPreferences
+} = require('../controllers/notificationRouting.controller');
+const { protect, protectStream, authorize } = require('../middleware/auth.middleware');
+
+// GET /api/notifications/stream - Server-Sent Events (Authorization header or ?token= stream token)
+router.get('/stream', protectStream, streamNotifications);
 
 // Apply authentication middleware to all routes
 router.use(protect);
 
+// POST /api/notifications/stream/token - Short-lived token for EventSource clients
+router.post('/stream/token', getStreamToken);
+
+// GET/PUT /api/notifications/preferences - The user's delivery preferences (in_app, email, digest, muted)
+router.get('/preferences', getMyPreferences);
+router.put('/preferences', updateMyPreferences);
+
+// Routing rules - who receives each event
+router.get('/rules/options', getRoutingOptions);
+router.get('/rules', authorize('admin'), getRules);
+router.post('/rules', authorize('admin'), createRule);
+router.put('/rules/:id', authorize('admin'), updateRule);
+router.delete('/rules/:id', authorize('admin'), deleteRule);
+
+// Department heads - recipients of rules targeting department_heads
+router.get('/department-heads', authorize('admin'), getDepartmentHeads);
+router.put('/department-heads/:department', authorize('admin'), setDepartmentHeads);
+
 // GET /api/notifications - Get all notifications for authenticated user
 router.get('/', getNotifications);
 
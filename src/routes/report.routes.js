@@ -4,7 +4,8 @@ const {
   generateAttendanceReport, 
   getReports, 
   getReport, 
-  deleteReport 
+  deleteReport,
+  sendDigest
 } = require('../controllers/report.controller');
 
 const {
@@ -12,7 +13,8 @@ const {
   getAttendanceTrends,
   getAbsenceReasons,
   getAttendanceSummary,
-  exportReport
+  exportReport,
+  getHoursReport
 } = require('../controllers/reportsPage.controller');
 
 const { protect, authorize } = require('../middleware/auth.middleware');
@@ -26,10 +28,12 @@ router.get('/trends/:period', authorize('admin', 'supervisor'), getAttendanceTre
 router.get('/absence-reasons', authorize('admin', 'supervisor'), getAbsenceReasons);
 router.get('/summary', authorize('admin', 'supervisor'), getAttendanceSummary);
 router.get('/export', authorize('admin', 'supervisor'), exportReport);
+router.get('/hours', authorize('admin', 'supervisor'), getHoursReport);
 
 // Original report routes
 router.post('/attendance', authorize('admin', 'supervisor'), generateAttendanceReport);
 router.get('/', authorize('admin', 'supervisor'), getReports);
+router.post('/digest', authorize('admin'), sendDigest);
 
 // These parameterized routes MUST come after specific routes
 router.get('/:id', authorize('admin', 'supervisor'), getReport);
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const {
+  getShifts,
+  getShift,
+  createShift,
+  updateShift,
+  deleteShift,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getInternSchedule
+} = require('../controllers/schedule.controller');
+
+// All routes require authentication
+router.use(protect);
+
+// Shift templates - MUST come before parameterized schedule routes
+router.get('/shifts', authorize('admin', 'supervisor'), getShifts);
+router.get('/shifts/:id', authorize('admin', 'supervisor'), getShift);
+router.post('/shifts', authorize('admin'), createShift);
+router.put('/shifts/:id', authorize('admin'), updateShift);
+router.delete('/shifts/:id', authorize('admin'), deleteShift);
+
+// Expected schedule for an intern (interns can view their own)
+router.get('/intern/:internId', getInternSchedule);
+
+// Schedule assignments
+router.get('/', authorize('admin', 'supervisor'), getSchedules);
+router.get('/:id', authorize('admin', 'supervisor'), getSchedule);
+router.post('/', authorize('admin'), createSchedule);
+router.put('/:id', authorize('admin'), updateSchedule);
+router.delete('/:id', authorize('admin'), deleteSchedule);
+
+module.exports = router;
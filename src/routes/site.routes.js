@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const {
+  createSite,
+  getSites,
+  getSite,
+  updateSite,
+  deleteSite
+} = require('../controllers/site.controller');
+
+// All routes require authentication
+router.use(protect);
+
+router.post('/', authorize('admin'), createSite);
+router.get('/', authorize('admin', 'supervisor'), getSites);
+router.get('/:id', authorize('admin', 'supervisor'), getSite);
+router.put('/:id', authorize('admin'), updateSite);
+router.delete('/:id', authorize('admin'), deleteSite);
+
+module.exports = router;
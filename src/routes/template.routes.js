@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const {
+  getTemplates,
+  getTemplate,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate
+} = require('../controllers/template.controller');
+
+// All routes require an admin
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getTemplates);
+router.post('/:key/preview', previewTemplate);
+router.get('/:key/:language', getTemplate);
+router.put('/:key/:language', updateTemplate);
+router.delete('/:key/:language', resetTemplate);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth.middleware');
+const { authLimiter } = require('../middleware/rateLimiter.middleware');
 const {
   enable2FA,
   disable2FA,
@@ -8,13 +9,16 @@ const {
   sendOTP,
   verifyOTP,
   verifyBackupCode,
-  regenerateBackupCodes
+  regenerateBackupCodes,
+  setupAuthenticator,
+  confirmAuthenticator,
+  switch2FAMethod
 } = require('../controllers/twoFactor.controller');
 
 // Public routes (for login flow)
-router.post('/send-otp', sendOTP);
-router.post('/verify-otp', verifyOTP);
-router.post('/verify-backup', verifyBackupCode);
+router.post('/send-otp', authLimiter, sendOTP);
+router.post('/verify-otp', authLimiter, verifyOTP);
+router.post('/verify-backup', authLimiter, verifyBackupCode);
 
 // Protected routes (require authentication)
 router.use(protect);
@@ -23,5 +27,8 @@ router.get('/status', get2FAStatus);
 router.post('/enable', enable2FA);
 router.post('/disable', disable2FA);
 router.post('/regenerate-backup-codes', regenerateBackupCodes);
+router.post('/authenticator/setup', setupAuthenticator);
+router.post('/authenticator/confirm', confirmAuthenticator);
+router.post('/method', switch2FAMethod);
 
 module.exports = router;
@@ -6,6 +6,7 @@ const {
   verifyRegistration,
   generateAuthenticationOptions,
   verifyAuthentication,
+  generateAttendanceOptions,
   getCredentials,
   deleteCredential,
   updateCredentialName
@@ -22,6 +23,9 @@ router.use(protect);
 router.post('/register/options', generateRegistrationOptions);
 router.post('/register/verify', verifyRegistration);
 
+// Attendance step-up (biometric-verified check-in/check-out)
+router.post('/attendance/options', generateAttendanceOptions);
+
 // Credential management
 router.get('/credentials', getCredentials);
 router.delete('/credentials/:credentialId', deleteCredential);
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const {
+  getEvents,
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  testWebhook,
+  getDeliveries,
+  retryDelivery
+} = require('../controllers/webhook.controller');
+
+// All routes require an admin
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/events', getEvents);
+router.route('/')
+  .get(getWebhooks)
+  .post(createWebhook);
+router.route('/:id')
+  .get(getWebhook)
+  .put(updateWebhook)
+  .delete(deleteWebhook);
+router.post('/:id/rotate-secret', rotateSecret);
+router.post('/:id/test', testWebhook);
+router.get('/:id/deliveries', getDeliveries);
+router.post('/:id/deliveries/:deliveryId/retry', retryDelivery);
+
+module.exports = router;
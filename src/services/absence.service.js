@@ -1,6 +1,12 @@
 const Intern = require('../models/intern.model');
 const Attendance = require('../models/attendance.model');
 const { NotificationService } = require('../controllers/notification.controller');
+const AttendancePolicy = require('./attendancePolicy.service');
+const LeaveService = require('./leave.service');
+const EscalationService = require('./escalation.service');
+const WebhookService = require('./webhook.service');
+const ReminderService = require('./reminder.service');
+const { getDayRange, addDays, formatDateKey } = require('../utils/timezone.utils');
 
 /**
  * Automatic Absence Detection Service
@@ -16,9 +22,9 @@ class AbsenceService {
     try {
       console.log('🔍 Starting daily absence check...');
       
-      const today = new Date();
-      today.setHours(0, 0, 0, 0); // Set to beginning of day
-      const endOfDay = new Date(today.getTime() + 24 * 60 * 60 * 1000); // End of day
+      // Today in the organization timezone
+      const timeZone = await AttendancePolicy.getTimezone();
+      const { start: today, end: endOfDay } = getDayRange(new Date(), timeZone);
       
       // Get all active interns
       const allInterns = await Intern.find({ status: 'active' })
@@ -39,12 +45,25 @@ class AbsenceService {
         todayAttendance.map(record => record.internId.toString())
       );
       
-      // Find absent interns (those without attendance records)
-      const absentInterns = allInterns.filter(intern => 
-        !presentInternIds.has(intern._id.toString())
+      // Only interns scheduled to work today whose shift has already started are expected
+      const now = new Date();
+      const resolvePolicy = await AttendancePolicy.createResolver();
+      const expectedInterns = allInterns.filter(intern => {
+        const policy = resolvePolicy(intern.department, intern._id);
+        return AttendancePolicy.isWorkingDay(policy, today) &&
+          AttendancePolicy.classifyCheckIn(policy, today).lateAfter <= now;
+      });
+      
+      // Interns on approved leave are excused, not absent
+      const onLeaveInternIds = await LeaveService.getInternIdsOnLeave(today, endOfDay);
+      
+      // Find absent interns (those without attendance records or leave)
+      const absentInterns = expectedInterns.filter(intern => 
+        !presentInternIds.has(intern._id.toString()) &&
+        !onLeaveInternIds.has(intern._id.toString())
       );
       
-      console.log(`❌ Found ${absentInterns.length} absent interns`);
+      console.log(`❌ Found ${absentInterns.length} absent interns (${allInterns.length - expectedInterns.length} not scheduled yet today, ${onLeaveInternIds.size} on leave)`);
       
       // Create notifications for absent interns
       let notificationsCreated = 0;
@@ -58,10 +77,11 @@ class AbsenceService {
               department: intern.department
             },
             {
-              date: today.toISOString().split('T')[0],
+              date: formatDateKey(today, timeZone),
               checkTime: new Date().toLocaleTimeString('en-US', {
                 hour: '2-digit',
-                minute: '2-digit'
+                minute: '2-digit',
+                timeZone
               })
             }
           );
@@ -70,13 +90,24 @@ class AbsenceService {
         } catch (notificationError) {
           console.error(`Failed to create absence notification for ${intern.userId?.name}:`, notificationError);
         }
+        
+        // The check runs again later in the day - integrations get each absence once
+        WebhookService.emit('attendance.absent', {
+          internId: intern._id,
+          employeeId: intern.employeeId,
+          internName: intern.userId?.name || intern.name,
+          department: intern.department,
+          date: formatDateKey(today, timeZone)
+        }, { idempotencyKey: `${intern._id}|${formatDateKey(today, timeZone)}` });
       }
       
       console.log(`✅ Daily absence check completed. Created ${notificationsCreated} notifications.`);
       
       return {
         totalInterns: allInterns.length,
+        expectedInterns: expectedInterns.length,
         presentInterns: presentInternIds.size,
+        onLeaveInterns: onLeaveInternIds.size,
         absentInterns: absentInterns.length,
         notificationsCreated
       };
@@ -95,18 +126,18 @@ class AbsenceService {
     try {
       console.log('🔍 Checking for missed check-outs...');
       
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      yesterday.setHours(0, 0, 0, 0);
-      const endOfYesterday = new Date(yesterday.getTime() + 24 * 60 * 60 * 1000);
+      // Yesterday in the organization timezone
+      const timeZone = await AttendancePolicy.getTimezone();
+      const yesterday = addDays(new Date(), -1, timeZone);
+      const endOfYesterday = addDays(yesterday, 1, timeZone);
       
       // Find attendance records from yesterday that have check-in but no check-out
-      const missedCheckouts = await Attendance.find({
+      const openRecords = await Attendance.find({
         date: {
           $gte: yesterday,
           $lt: endOfYesterday
         },
-        checkInTime: { $exists: true },
+        checkInTime: { $ne: null },
         checkOutTime: { $exists: false }
       }).populate('internId', 'name department userId')
         .populate({
@@ -117,6 +148,15 @@ class AbsenceService {
           }
         });
       
+      // Interns on shifts that have not ended yet (e.g. overnight) have not missed anything
+      const now = new Date();
+      const resolvePolicy = await AttendancePolicy.createResolver();
+      const missedCheckouts = openRecords.filter(record => {
+        if (!record.internId) return false;
+        const policy = resolvePolicy(record.internId.department, record.internId._id);
+        return AttendancePolicy.getShiftWindow(policy, record.date).end <= now;
+      });
+      
       console.log(`⏰ Found ${missedCheckouts.length} missed check-outs`);
       
       // Create notifications for missed check-outs
@@ -133,10 +173,11 @@ class AbsenceService {
               department: record.internId.department
             },
             {
-              date: yesterday.toISOString().split('T')[0],
+              date: formatDateKey(yesterday, timeZone),
               checkInTime: record.checkInTime.toLocaleTimeString('en-US', {
                 hour: '2-digit',
-                minute: '2-digit'
+                minute: '2-digit',
+                timeZone
               })
             }
           );
@@ -169,18 +210,23 @@ class AbsenceService {
       console.log('🏆 Checking for perfect attendance milestones...');
       
       const milestones = [7, 14, 30, 60, 90]; // Days to celebrate
-      const today = new Date();
+      const timeZone = await AttendancePolicy.getTimezone();
+      const dateKey = formatDateKey(new Date(), timeZone);
       
-      // Get all active interns
-      const allInterns = await Intern.find({ status: 'active' })
-        .populate('userId', 'name email');
+      // Get all active interns, and those already congratulated today (the check may run more than once a day)
+      const [allInterns, sent] = await Promise.all([
+        Intern.find({ status: 'active' }).populate('userId', 'name email'),
+        ReminderService.getSentReminders('attendance_streak', [dateKey])
+      ]);
       
       let notificationsCreated = 0;
       
       for (const intern of allInterns) {
+        if (sent.has(`${intern._id}|${dateKey}`)) continue;
+        
         try {
           // Calculate consecutive attendance days
-          const consecutiveDays = await this.calculateConsecutiveAttendanceDays(intern._id);
+          const consecutiveDays = await this.calculateConsecutiveAttendanceDays(intern._id, intern.department);
           
           // Check if this is a milestone day
           if (milestones.includes(consecutiveDays)) {
@@ -196,6 +242,17 @@ class AbsenceService {
                 milestone: true
               }
             );
+            // Congratulate the intern too
+            await NotificationService.createInternReminderNotification(
+              'attendance_streak',
+              {
+                _id: intern._id,
+                userId: intern.userId?._id,
+                department: intern.department,
+                supervisor: intern.supervisor
+              },
+              { days: consecutiveDays, date: dateKey }
+            );
             notificationsCreated++;
             console.log(`🏆 Created perfect attendance notification for ${intern.userId?.name} (${consecutiveDays} days)`);
           }
@@ -216,23 +273,21 @@ class AbsenceService {
 
   /**
    * Calculate consecutive attendance days for an intern
+   * Non-working days from the attendance policy and intern schedule are skipped
    */
-  static async calculateConsecutiveAttendanceDays(internId) {
+  static async calculateConsecutiveAttendanceDays(internId, department = null) {
     try {
-      const today = new Date();
+      const policy = await AttendancePolicy.getPolicy(department, internId);
       let consecutiveDays = 0;
-      let currentDate = new Date(today);
+      let dayStart = getDayRange(new Date(), policy.timezone).start;
       
       // Go back day by day and count consecutive attendance
       for (let i = 0; i < 365; i++) { // Check up to 1 year back
-        currentDate.setDate(currentDate.getDate() - 1);
-        const dayStart = new Date(currentDate);
-        dayStart.setHours(0, 0, 0, 0);
-        const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+        const dayEnd = dayStart;
+        dayStart = addDays(dayStart, -1, policy.timezone);
         
-        // Skip weekends (optional - adjust based on your business rules)
-        const dayOfWeek = currentDate.getDay();
-        if (dayOfWeek === 0 || dayOfWeek === 6) { // Sunday = 0, Saturday = 6
+        // Skip non-working days
+        if (!AttendancePolicy.isWorkingDay(policy, dayStart)) {
           continue;
         }
         
@@ -271,7 +326,8 @@ class AbsenceService {
         timestamp: new Date(),
         absenceCheck: await this.checkDailyAbsences(),
         missedCheckoutCheck: await this.checkMissedCheckouts(),
-        perfectAttendanceCheck: await this.checkPerfectAttendance()
+        perfectAttendanceCheck: await this.checkPerfectAttendance(),
+        escalationCheck: await EscalationService.runEscalations()
       };
       
       console.log('✅ All automatic checks completed:', results);
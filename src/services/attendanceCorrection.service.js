@@ -0,0 +1,168 @@
+const Attendance = require('../models/attendance.model');
+const AttendancePolicy = require('./attendancePolicy.service');
+const { addDays, formatDateKey } = require('../utils/timezone.utils');
+
+/**
+ * Attendance Correction Service
+ * Applies approved correction requests to attendance records and keeps
+ * a before/after snapshot of what changed
+ */
+
+// Fields recorded in the correction history
+const snapshot = (attendance) => (attendance ? {
+  checkInTime: attendance.checkInTime,
+  checkOutTime: attendance.checkOutTime,
+  status: attendance.status,
+  workedMinutes: attendance.hours?.workedMinutes
+} : undefined);
+
+class AttendanceCorrectionService {
+  /**
+   * Find the attendance record a correction applies to
+   * @param {Object} correction - Correction request (or { internId, date, attendanceId })
+   * @param {String} timeZone - Intern's timezone
+   */
+  static async findAttendance(correction, timeZone) {
+    if (correction.attendanceId) {
+      return Attendance.findById(correction.attendanceId);
+    }
+
+    return Attendance.findOne({
+      internId: correction.internId,
+      date: {
+        $gte: correction.date,
+        $lt: addDays(correction.date, 1, timeZone)
+      }
+    });
+  }
+
+  /**
+   * Check corrected times fall on the corrected day (in the policy timezone)
+   * Only the check-out of an overnight shift may fall on the following day
+   * @param {Object} policy - Intern's attendance policy
+   * @param {Date} day - Start of the corrected day
+   * @param {Object} times - { checkInTime, checkOutTime } (either may be missing)
+   * @returns {String|null} Why the times don't fit the day, or null
+   */
+  static getDayError(policy, day, { checkInTime, checkOutTime }) {
+    const timeZone = policy.timezone;
+    const dateKey = formatDateKey(day, timeZone);
+
+    if (checkInTime && formatDateKey(checkInTime, timeZone) !== dateKey) {
+      return `The check-in time must be on ${dateKey}`;
+    }
+
+    if (checkOutTime) {
+      const nextDateKey = formatDateKey(addDays(day, 1, timeZone), timeZone);
+      const overnight = formatDateKey(AttendancePolicy.getShiftWindow(policy, day).end, timeZone) !== dateKey;
+      const checkOutKey = formatDateKey(checkOutTime, timeZone);
+
+      if (checkOutKey !== dateKey && !(overnight && checkOutKey === nextDateKey)) {
+        return overnight
+          ? `The check-out time must be on ${dateKey} or ${nextDateKey}`
+          : `The check-out time must be on ${dateKey}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a correction still fits the day's record
+   * The record may have changed since the request was submitted
+   * @param {Object} correction - Correction request
+   * @param {Object} attendance - Current attendance record of the day (optional)
+   * @param {Object} policy - Intern's attendance policy
+   * @returns {String|null} Why the correction can't be applied, or null
+   */
+  static getConflict(correction, attendance, policy) {
+    const dayError = this.getDayError(policy, correction.date, {
+      checkInTime: correction.requestedCheckInTime,
+      checkOutTime: correction.requestedCheckOutTime
+    });
+    if (dayError) return dayError;
+
+    const checkInTime = correction.requestedCheckInTime || attendance?.checkInTime;
+    if (!checkInTime) {
+      return 'No check-in is recorded for this day anymore. The correction needs a check-in time';
+    }
+
+    const checkOutTime = correction.requestedCheckOutTime || attendance?.checkOutTime;
+    if (checkOutTime && checkOutTime <= checkInTime) {
+      return 'Check-out time must be after check-in time';
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply an approved correction to the intern's attendance record
+   * Creates the record when the day had none; status is re-derived from the
+   * attendance policy when the check-in time changes
+   * @param {Object} correction - Approved correction document (updated in place, not saved)
+   * @param {Object} intern - Intern document the correction belongs to
+   * @returns {Object} Updated attendance record
+   * @throws {Error} code CORRECTION_CONFLICT when the correction no longer fits the record
+   */
+  static async applyCorrection(correction, intern) {
+    const policy = await AttendancePolicy.getPolicy(intern.department, intern._id);
+    let attendance = await this.findAttendance(correction, policy.timezone);
+    const before = snapshot(attendance);
+
+    const conflict = this.getConflict(correction, attendance, policy);
+    if (conflict) {
+      const error = new Error(conflict);
+      error.code = 'CORRECTION_CONFLICT';
+      throw error;
+    }
+
+    if (!attendance) {
+      attendance = new Attendance({
+        internId: intern._id,
+        date: correction.date
+      });
+    }
+
+    const checkInChanged = !!correction.requestedCheckInTime;
+    if (correction.requestedCheckInTime) attendance.checkInTime = correction.requestedCheckInTime;
+    if (correction.requestedCheckOutTime) attendance.checkOutTime = correction.requestedCheckOutTime;
+
+    if (checkInChanged || !['present', 'late'].includes(attendance.status)) {
+      attendance.status = AttendancePolicy.classifyCheckIn(policy, attendance.checkInTime).status;
+    }
+
+    // Move the first/last clock segment; recorded breaks are kept while they
+    // still fit, otherwise the day becomes a single work segment
+    const segments = attendance.segments;
+    if (segments.length > 0) {
+      segments[0].start = attendance.checkInTime;
+      if (attendance.checkOutTime) segments[segments.length - 1].end = attendance.checkOutTime;
+    }
+    const consistent = segments.length > 0 && segments.every((segment, index) =>
+      (segment.end ? segment.end > segment.start : index === segments.length - 1) &&
+      (index === 0 || segment.start >= segments[index - 1].end)
+    );
+    if (!consistent) {
+      attendance.segments = [{ type: 'work', start: attendance.checkInTime, end: attendance.checkOutTime }];
+    }
+
+    if (attendance.checkOutTime) {
+      attendance.calculateHours(AttendancePolicy.getScheduledMinutes(policy, attendance.date));
+    }
+
+    await attendance.withRevision({
+      changedBy: correction.reviewedBy,
+      reason: `Correction request: ${correction.justification}`,
+      source: 'correction'
+    }).save();
+
+    correction.attendanceId = attendance._id;
+    correction.before = before;
+    correction.after = snapshot(attendance);
+
+    console.log(`✏️ Applied attendance correction ${correction._id} for ${intern.name}`);
+    return attendance;
+  }
+}
+
+module.exports = AttendanceCorrectionService;
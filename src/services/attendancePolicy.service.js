@@ -0,0 +1,383 @@
+const Settings = require('../models/settings.model');
+const Holiday = require('../models/holiday.model');
+const Schedule = require('../models/schedule.model');
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfDay,
+  addDays,
+  formatDateKey,
+  DEFAULT_TIMEZONE
+} = require('../utils/timezone.utils');
+
+/**
+ * Attendance Policy Service
+ * Central place where check-in status, working days and expected attendance
+ * are derived from the active Settings document (and per-department overrides),
+ * the organization calendar (holidays, closures, half-days) and each intern's
+ * shift schedule
+ */
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Convert "HH:MM" to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '00:00').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+class AttendancePolicy {
+  /**
+   * Get the active settings document
+   * Falls back to an unsaved document so schema defaults still apply
+   */
+  static async getSettings() {
+    const settings = await Settings.findOne().sort({ created: -1 });
+
+    return settings || new Settings({
+      organization: {
+        name: 'CheckMate Organization'
+      }
+    });
+  }
+
+  /**
+   * Get the attendance policy for a department (and intern) from the active settings
+   * @param {String} department - Department name (optional)
+   * @param {String} internId - Intern whose shift schedule applies (optional)
+   * @returns {Object} Policy with workingHours, lateThreshold, graceTime and workingDays
+   */
+  static async getPolicy(department = null, internId = null) {
+    const [settings, holidays, schedules] = await Promise.all([
+      this.getSettings(),
+      this.getCalendar(),
+      internId ? Schedule.findWithShifts({ internId }) : []
+    ]);
+    return this.resolvePolicy(settings, department, holidays, schedules);
+  }
+
+  /**
+   * Get all organization calendar entries (cached by the Holiday model)
+   */
+  static async getCalendar() {
+    return Holiday.findCalendar();
+  }
+
+  /**
+   * Get the timezone used for day boundaries (organization or department)
+   * Only needs the settings, not the calendar or schedules
+   * @param {String} department - Department name (optional)
+   * @returns {String} IANA timezone
+   */
+  static async getTimezone(department = null) {
+    const settings = await this.getSettings();
+    return this.resolvePolicy(settings, department).timezone;
+  }
+
+  /**
+   * Load settings, calendar and schedules once and return a function
+   * resolving (and caching) the policy per department and intern - useful
+   * when a report spans many interns
+   */
+  static async createResolver() {
+    const [settings, holidays, schedules] = await Promise.all([
+      this.getSettings(),
+      this.getCalendar(),
+      Schedule.findWithShifts()
+    ]);
+    const cache = new Map();
+
+    // Group schedules by intern
+    const schedulesByIntern = new Map();
+    schedules.forEach(schedule => {
+      const key = schedule.internId.toString();
+      if (!schedulesByIntern.has(key)) schedulesByIntern.set(key, []);
+      schedulesByIntern.get(key).push(schedule);
+    });
+
+    return (department = null, internId = null) => {
+      const internSchedules = internId ? schedulesByIntern.get(internId.toString()) || [] : [];
+      const key = `${department || ''}|${internSchedules.length > 0 ? internId : ''}`;
+      if (!cache.has(key)) {
+        cache.set(key, this.resolvePolicy(settings, department, holidays, internSchedules));
+      }
+      return cache.get(key);
+    };
+  }
+
+  /**
+   * Resolve the attendance policy for a department from a settings document
+   * Department overrides in settings.attendance.departmentOverrides win over
+   * the organization-wide values; only calendar entries for the department are kept
+   * Schedules (newest first) take precedence over working days/hours on the days they cover
+   */
+  static resolvePolicy(settings, department = null, holidays = [], schedules = []) {
+    const attendance = settings.attendance || {};
+
+    const policy = {
+      department: department || null,
+      timezone: settings.system?.timezone || DEFAULT_TIMEZONE,
+      workingHours: {
+        start: attendance.workingHours?.start || '09:00',
+        end: attendance.workingHours?.end || '17:00'
+      },
+      lateThreshold: attendance.lateThreshold ?? 15,
+      graceTime: attendance.graceTime ?? 5,
+      requireBiometric: attendance.requireBiometric ?? false,
+      workingDays: DAY_NAMES.reduce((days, day) => {
+        days[day] = attendance.workingDays?.[day] ?? (day !== 'saturday' && day !== 'sunday');
+        return days;
+      }, {}),
+      holidays: holidays.filter(holiday => holiday.appliesTo(department)),
+      schedules,
+      // Location anti-fraud thresholds (organization-wide)
+      locationSecurity: {
+        requireLocation: attendance.locationSecurity?.requireLocation ?? true,
+        maxAccuracy: attendance.locationSecurity?.maxAccuracy ?? 100,
+        maxFixAge: attendance.locationSecurity?.maxFixAge ?? 120,
+        maxTravelSpeed: attendance.locationSecurity?.maxTravelSpeed ?? 200,
+        flagScore: attendance.locationSecurity?.flagScore ?? 30,
+        rejectScore: attendance.locationSecurity?.rejectScore ?? 70
+      },
+      // Device binding / buddy-punching rules (organization-wide)
+      deviceSecurity: {
+        sharedDevice: attendance.deviceSecurity?.sharedDevice || 'flag',
+        requireTrustedDevice: attendance.deviceSecurity?.requireTrustedDevice ?? false
+      }
+    };
+
+    // Apply department override if one exists
+    const override = department
+      ? (attendance.departmentOverrides || []).find(o => o.department === department)
+      : null;
+
+    if (override) {
+      if (override.workingHours?.start) policy.workingHours.start = override.workingHours.start;
+      if (override.workingHours?.end) policy.workingHours.end = override.workingHours.end;
+      if (override.lateThreshold !== undefined && override.lateThreshold !== null) {
+        policy.lateThreshold = override.lateThreshold;
+      }
+      if (override.graceTime !== undefined && override.graceTime !== null) {
+        policy.graceTime = override.graceTime;
+      }
+      if (override.timezone) policy.timezone = override.timezone;
+      if (typeof override.requireBiometric === 'boolean') {
+        policy.requireBiometric = override.requireBiometric;
+      }
+      DAY_NAMES.forEach(day => {
+        if (typeof override.workingDays?.[day] === 'boolean') {
+          policy.workingDays[day] = override.workingDays[day];
+        }
+      });
+    }
+
+    return policy;
+  }
+
+  /**
+   * Get the calendar entry covering a date, if any
+   * Full-day closures take precedence over half-days
+   */
+  static getHoliday(policy, date = new Date()) {
+    if (!policy.holidays || policy.holidays.length === 0) return null;
+
+    const dateKey = formatDateKey(date, policy.timezone);
+    const matches = policy.holidays.filter(holiday => holiday.coversDate(dateKey));
+
+    return matches.find(holiday => holiday.type !== 'half_day') || matches[0] || null;
+  }
+
+  /**
+   * Get the intern's schedule entry for a date, if a schedule covers it
+   * @returns {Object|null} { schedule, shift } - shift is null on days off
+   */
+  static getScheduledShift(policy, date = new Date()) {
+    if (!policy.schedules || policy.schedules.length === 0) return null;
+
+    const dateKey = formatDateKey(date, policy.timezone);
+    const schedule = [...policy.schedules]
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom)
+      .find(entry => entry.coversDate(dateKey));
+
+    return schedule ? { schedule, shift: schedule.getShiftForDate(dateKey) } : null;
+  }
+
+  /**
+   * Check if a date falls on a working day for the policy (in its timezone)
+   * A schedule decides on the days it covers; holidays and closures are not
+   * working days; half-days are
+   */
+  static isWorkingDay(policy, date = new Date()) {
+    const scheduled = this.getScheduledShift(policy, date);
+
+    if (scheduled) {
+      if (!scheduled.shift) return false;
+    } else {
+      const { dayOfWeek } = getZonedParts(date, policy.timezone);
+      if (!policy.workingDays[DAY_NAMES[dayOfWeek]]) return false;
+    }
+
+    const holiday = this.getHoliday(policy, date);
+    return !holiday || holiday.type === 'half_day';
+  }
+
+  /**
+   * Get the expected hours for a date
+   * A scheduled shift wins over half-day hours, which win over the policy
+   * @returns {Object} { start, end, lateThreshold, graceTime, shift }
+   */
+  static getWorkingHours(policy, date = new Date()) {
+    const shift = this.getScheduledShift(policy, date)?.shift;
+    if (shift) {
+      return {
+        start: shift.start,
+        end: shift.end,
+        lateThreshold: shift.lateThreshold ?? policy.lateThreshold,
+        graceTime: shift.graceTime ?? policy.graceTime,
+        shift
+      };
+    }
+
+    const holiday = this.getHoliday(policy, date);
+    return {
+      start: holiday?.workingHours?.start || policy.workingHours.start,
+      end: holiday?.workingHours?.end || policy.workingHours.end,
+      lateThreshold: policy.lateThreshold,
+      graceTime: policy.graceTime,
+      shift: null
+    };
+  }
+
+  /**
+   * Get the expected start and end instants of the working day containing a date
+   * Overnight shifts end on the following day
+   * @returns {Object} { start, end }
+   */
+  static getShiftWindow(policy, date = new Date()) {
+    const hours = this.getWorkingHours(policy, date);
+    const local = getZonedParts(date, policy.timezone);
+    const startMinutes = toMinutes(hours.start);
+    let endMinutes = toMinutes(hours.end);
+    if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+    return {
+      start: zonedTimeToUtc(local.year, local.month, local.day, 0, startMinutes, policy.timezone),
+      end: zonedTimeToUtc(local.year, local.month, local.day, 0, endMinutes, policy.timezone)
+    };
+  }
+
+  /**
+   * Get the minutes an intern is expected to work on a date
+   * Shift breaks are not counted; non-working days expect nothing
+   */
+  static getScheduledMinutes(policy, date = new Date()) {
+    if (!this.isWorkingDay(policy, date)) return 0;
+
+    const { start, end } = this.getShiftWindow(policy, date);
+    const breakMinutes = this.getWorkingHours(policy, date).shift?.breakMinutes || 0;
+    return Math.max(0, Math.round((end - start) / 60000) - breakMinutes);
+  }
+
+  /**
+   * Classify a check-in time as present or late
+   * An intern is late once they check in after start time plus the larger of
+   * lateThreshold and graceTime
+   * @returns {Object} { status, minutesLate, lateAfter }
+   */
+  static classifyCheckIn(policy, checkInTime = new Date()) {
+    const time = new Date(checkInTime);
+    const local = getZonedParts(time, policy.timezone);
+    const checkInMinutes = local.hour * 60 + local.minute;
+
+    // Shifts and half-days may use different hours
+    const hours = this.getWorkingHours(policy, time);
+    const startMinutes = toMinutes(hours.start);
+    const allowance = Math.max(hours.lateThreshold || 0, hours.graceTime || 0);
+
+    const lateAfter = zonedTimeToUtc(
+      local.year,
+      local.month,
+      local.day,
+      0,
+      startMinutes + allowance,
+      policy.timezone
+    );
+
+    const minutesLate = Math.max(0, checkInMinutes - startMinutes);
+
+    return {
+      status: time > lateAfter ? 'late' : 'present',
+      minutesLate: time > lateAfter ? minutesLate : 0,
+      lateAfter
+    };
+  }
+
+  /**
+   * Count working days between two dates (inclusive, in the policy timezone)
+   */
+  static countWorkingDays(policy, startDate, endDate) {
+    let count = 0;
+    let curDate = startOfDay(startDate, policy.timezone);
+
+    while (curDate <= endDate) {
+      if (this.isWorkingDay(policy, curDate)) count++;
+      curDate = addDays(curDate, 1, policy.timezone);
+    }
+
+    return count;
+  }
+
+  /**
+   * Sum the working days of several interns, each against their own schedule
+   * @param {Function} resolvePolicy - Resolver from createResolver()
+   * @param {Array} interns - Intern documents
+   * @returns {Number} Expected attendance (intern-days)
+   */
+  static countExpectedAttendance(resolvePolicy, interns, startDate, endDate) {
+    return interns.reduce((total, intern) => total + this.countWorkingDays(
+      resolvePolicy(intern.department, intern._id),
+      startDate,
+      endDate
+    ), 0);
+  }
+
+  /**
+   * Evaluate a check-in attempt for a department (and intern schedule)
+   * @returns {Object} { allowed, status, minutesLate, message, code, policy }
+   */
+  static async evaluateCheckIn(department, checkInTime = new Date(), internId = null) {
+    const policy = await this.getPolicy(department, internId);
+    const holiday = this.getHoliday(policy, checkInTime);
+
+    if (holiday && holiday.type !== 'half_day') {
+      return {
+        allowed: false,
+        code: 'HOLIDAY',
+        message: `Check-in is not allowed on ${holiday.name}`,
+        holiday: holiday.name,
+        policy
+      };
+    }
+
+    if (!this.isWorkingDay(policy, checkInTime)) {
+      return {
+        allowed: false,
+        code: 'NON_WORKING_DAY',
+        message: 'Check-in is not allowed on a non-working day',
+        policy
+      };
+    }
+
+    const { status, minutesLate, lateAfter } = this.classifyCheckIn(policy, checkInTime);
+
+    return {
+      allowed: true,
+      status,
+      minutesLate,
+      lateAfter,
+      policy
+    };
+  }
+}
+
+module.exports = AttendancePolicy;
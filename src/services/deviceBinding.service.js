@@ -0,0 +1,189 @@
+const Attendance = require('../models/attendance.model');
+const TrustedDevice = require('../models/trustedDevice.model');
+
+/**
+ * Device Binding Service
+ * Detects buddy punching: one phone clocking in/out several interns on the
+ * same day, a device bound to another intern, or an intern using a phone
+ * other than their trusted devices. The policy (settings.attendance.deviceSecurity)
+ * decides whether shared devices are allowed, flagged or blocked
+ */
+
+const FLAGS = {
+  NO_DEVICE_ID: { weight: 100, message: 'The app did not identify this device' },
+  BOUND_TO_OTHER_INTERN: { weight: 100, message: 'This device is registered to another intern' },
+  UNTRUSTED_DEVICE: { weight: 40, message: 'This device is not one of the intern\'s trusted devices' },
+  SHARED_DEVICE: { weight: 40, message: 'This device was already used by another intern today' },
+  SHARED_UNIDENTIFIED_DEVICE: { weight: 40, message: 'The same browser on the same network was already used by another intern today' }
+};
+
+class DeviceBindingService {
+  /**
+   * Check the device used for a check-in/check-out
+   * @param {Object} options
+   * @param {Object} options.intern - Intern checking in/out
+   * @param {Object} options.device - Result of getDeviceFingerprint
+   * @param {Object} options.policy - Attendance policy (uses policy.deviceSecurity)
+   * @param {Object} options.day - { start, end } of the attendance day
+   * @param {String} options.event - 'check_in' or 'check_out'
+   * @param {Date} options.at - Server time of the attempt
+   * @returns {Object} { kind, event, score, decision, flags, evaluatedAt }
+   */
+  static async evaluate({ intern, device, policy, day, event = 'check_in', at = new Date() }) {
+    const settings = policy.deviceSecurity;
+    const flags = [];
+    const add = (code, weight = FLAGS[code].weight, details = null) => {
+      flags.push({
+        code,
+        message: details ? `${FLAGS[code].message} (${details})` : FLAGS[code].message,
+        weight
+      });
+    };
+
+    // Fingerprints built from the user agent and IP cannot tell identical phones
+    // on one network apart, but leaving the device ID out must not soften the
+    // shared-device policy either
+    if (!device.strong) {
+      if (settings.requireTrustedDevice) add('NO_DEVICE_ID');
+
+      if (settings.sharedDevice !== 'allow') {
+        const otherInterns = await this.findOtherInterns(device.fingerprint, intern._id, day);
+        if (otherInterns.length > 0) {
+          add(
+            'SHARED_UNIDENTIFIED_DEVICE',
+            settings.sharedDevice === 'block' ? 100 : FLAGS.SHARED_UNIDENTIFIED_DEVICE.weight,
+            `${otherInterns.length} other intern${otherInterns.length === 1 ? '' : 's'}`
+          );
+        }
+      }
+
+      return this.decide(flags, event, at);
+    }
+
+    const binding = await TrustedDevice.findOne({ fingerprint: device.fingerprint, isActive: true });
+    const boundToIntern = binding && binding.internId.toString() === intern._id.toString();
+
+    if (binding && !boundToIntern) {
+      add('BOUND_TO_OTHER_INTERN');
+    } else if (!binding) {
+      const trustedCount = await TrustedDevice.countDocuments({ internId: intern._id, isActive: true });
+      if (settings.requireTrustedDevice) {
+        add('UNTRUSTED_DEVICE', 100);
+      } else if (trustedCount > 0) {
+        add('UNTRUSTED_DEVICE');
+      }
+    }
+
+    // The owner of a trusted device is not the one borrowing it
+    if (!boundToIntern && settings.sharedDevice !== 'allow') {
+      const otherInterns = await this.findOtherInterns(device.fingerprint, intern._id, day);
+      if (otherInterns.length > 0) {
+        add(
+          'SHARED_DEVICE',
+          settings.sharedDevice === 'block' ? 100 : FLAGS.SHARED_DEVICE.weight,
+          `${otherInterns.length} other intern${otherInterns.length === 1 ? '' : 's'}`
+        );
+      }
+    }
+
+    if (boundToIntern) {
+      await TrustedDevice.updateOne({ _id: binding._id }, { $set: { lastUsedAt: at } });
+    }
+
+    return this.decide(flags, event, at);
+  }
+
+  /**
+   * Get the other interns who clocked in/out with a device during a day
+   * @returns {Array} Intern IDs
+   */
+  static async findOtherInterns(fingerprint, internId, day) {
+    return Attendance.distinct('internId', {
+      internId: { $ne: internId },
+      date: { $gte: day.start, $lt: day.end },
+      $or: [
+        { 'checkInDevice.fingerprint': fingerprint },
+        { 'checkOutDevice.fingerprint': fingerprint }
+      ]
+    });
+  }
+
+  /**
+   * Any blocking finding rejects the attempt; other findings flag it
+   */
+  static decide(flags, event, at) {
+    const score = Math.min(100, flags.reduce((total, flag) => total + flag.weight, 0));
+    let decision = 'allow';
+    if (flags.some(flag => flag.weight >= 100)) decision = 'reject';
+    else if (flags.length > 0) decision = 'flag';
+
+    return {
+      kind: 'device',
+      event,
+      score,
+      decision,
+      flags,
+      evaluatedAt: at
+    };
+  }
+
+  /**
+   * Find devices used by more than one intern on the same day
+   * Unidentified devices (no X-Device-Id) are included with identified: false
+   * @param {Object} filter - Attendance filter (date range, interns)
+   * @returns {Array} [{ date, fingerprint, identified, deviceInfo, interns: [{ internId, events }] }]
+   */
+  static async findCollisions(filter = {}) {
+    const events = [
+      { field: '$checkInDevice', event: 'check_in' },
+      { field: '$checkOutDevice', event: 'check_out' }
+    ];
+
+    return Attendance.aggregate([
+      { $match: filter },
+      {
+        $project: {
+          internId: 1,
+          date: 1,
+          uses: events.map(({ field, event }) => ({ device: field, event }))
+        }
+      },
+      { $unwind: '$uses' },
+      { $match: { 'uses.device.fingerprint': { $ne: null } } },
+      {
+        $group: {
+          _id: { date: '$date', fingerprint: '$uses.device.fingerprint', internId: '$internId' },
+          events: { $addToSet: '$uses.event' },
+          device: { $first: '$uses.device' }
+        }
+      },
+      {
+        $group: {
+          _id: { date: '$_id.date', fingerprint: '$_id.fingerprint' },
+          interns: { $push: { internId: '$_id.internId', events: '$events' } },
+          device: { $first: '$device' }
+        }
+      },
+      { $match: { 'interns.1': { $exists: true } } },
+      {
+        $project: {
+          _id: 0,
+          date: '$_id.date',
+          fingerprint: '$_id.fingerprint',
+          identified: { $eq: ['$device.strong', true] },
+          deviceInfo: {
+            browser: '$device.browser',
+            os: '$device.os',
+            device: '$device.device'
+          },
+          interns: 1
+        }
+      },
+      { $sort: { date: -1 } }
+    ]);
+  }
+}
+
+DeviceBindingService.FLAGS = FLAGS;
+
+module.exports = DeviceBindingService;
@@ -0,0 +1,368 @@
+const Intern = require('../models/intern.model');
+const Attendance = require('../models/attendance.model');
+const Notification = require('../models/notification.model');
+const AttendancePolicy = require('./attendancePolicy.service');
+const LeaveService = require('./leave.service');
+const MailService = require('./mail.service');
+const TemplateService = require('./template.service');
+const { toCsv } = require('../utils/csv.utils');
+const { getDayRange, addDays, formatDateKey, formatTime } = require('../utils/timezone.utils');
+
+/**
+ * Attendance Digest Service
+ * Builds the daily digest and weekly summary and emails them to the
+ * recipients in Settings.notifications, honoring its email toggles.
+ * Also emails users whose notification preference is digest-only the
+ * notifications they received since their last digest
+ */
+
+// Interns below this weekly attendance rate are listed in the summary
+const LOW_ATTENDANCE_THRESHOLD = 80;
+
+const WEEKLY_CSV_COLUMNS = [
+  { header: 'Intern ID', key: 'internId' },
+  { header: 'Employee ID', key: 'employeeId' },
+  { header: 'Name', key: 'name' },
+  { header: 'Email', key: 'email' },
+  { header: 'Department', key: 'department' },
+  { header: 'Expected Days', key: 'expectedDays' },
+  { header: 'Present Days', key: 'presentDays' },
+  { header: 'Late Days', key: 'lateDays' },
+  { header: 'Excused Days', key: 'excusedDays' },
+  { header: 'Absent Days', key: 'absentDays' },
+  { header: 'Attendance Rate (%)', key: 'attendanceRate' }
+];
+
+// Percentage rounded to one decimal (100 when nothing was expected)
+const toRate = (attended, expected) =>
+  (expected > 0 ? Math.round((attended / expected) * 1000) / 10 : 100);
+
+const internName = (intern) => intern.userId?.name || intern.name || 'Unknown';
+
+class DigestService {
+  /**
+   * Build the attendance digest for one day
+   * @param {Date} date - Any time on the day (organization timezone)
+   * @returns {Object} { date, timeZone, totals, lateArrivals, absentees }
+   */
+  static async buildDailyDigest(date = new Date()) {
+    const timeZone = await AttendancePolicy.getTimezone();
+    const { start, end } = getDayRange(date, timeZone);
+
+    const [interns, records, onLeaveInternIds, resolvePolicy] = await Promise.all([
+      Intern.find({ status: 'active' }).populate('userId', 'name email'),
+      Attendance.find({ date: { $gte: start, $lt: end } }),
+      LeaveService.getInternIdsOnLeave(start, end),
+      AttendancePolicy.createResolver()
+    ]);
+
+    const recordsByIntern = new Map(records.map(record => [record.internId.toString(), record]));
+
+    const totals = { expected: 0, present: 0, late: 0, absent: 0, excused: 0, notCheckedOut: 0, flagged: 0 };
+    const lateArrivals = [];
+    const absentees = [];
+
+    interns.forEach(intern => {
+      const id = intern._id.toString();
+      const record = recordsByIntern.get(id);
+      const policy = resolvePolicy(intern.department, intern._id);
+
+      // Skip interns not scheduled today unless they checked in anyway
+      if (!record && !AttendancePolicy.isWorkingDay(policy, start)) return;
+      totals.expected++;
+
+      const status = record ? record.status : (onLeaveInternIds.has(id) ? 'excused' : 'absent');
+      totals[status]++;
+
+      if (record?.checkInTime && !record.checkOutTime) totals.notCheckedOut++;
+      if (record?.fraud?.flagged) totals.flagged++;
+
+      if (status === 'late') {
+        lateArrivals.push({
+          name: internName(intern),
+          department: intern.department,
+          checkInTime: record.checkInTime ? formatTime(record.checkInTime, timeZone) : ''
+        });
+      } else if (status === 'absent') {
+        absentees.push({ name: internName(intern), department: intern.department });
+      }
+    });
+
+    // Late interns still attended
+    totals.attendanceRate = toRate(totals.present + totals.late, totals.expected - totals.excused);
+
+    return {
+      date: formatDateKey(start, timeZone),
+      timeZone,
+      totals,
+      lateArrivals: lateArrivals.sort((a, b) => a.checkInTime.localeCompare(b.checkInTime)),
+      absentees: absentees.sort((a, b) => a.name.localeCompare(b.name))
+    };
+  }
+
+  /**
+   * Build the attendance summary for the 7 days ending on weekEnd
+   * @param {Date} weekEnd - Any time on the last day of the week (organization timezone)
+   * @returns {Object} { startDate, endDate, timeZone, totals, interns }
+   */
+  static async buildWeeklySummary(weekEnd = new Date()) {
+    const timeZone = await AttendancePolicy.getTimezone();
+    const { end } = getDayRange(weekEnd, timeZone);
+    const start = addDays(end, -7, timeZone);
+    const lastDay = new Date(end.getTime() - 1);
+
+    const [interns, records, resolvePolicy] = await Promise.all([
+      Intern.find({ status: 'active' }).populate('userId', 'name email'),
+      Attendance.find({ date: { $gte: start, $lt: end } }),
+      AttendancePolicy.createResolver()
+    ]);
+
+    // Count statuses per intern (approved leave is recorded as excused attendance)
+    const countsByIntern = new Map();
+    records.forEach(record => {
+      const key = record.internId.toString();
+      if (!countsByIntern.has(key)) countsByIntern.set(key, { present: 0, late: 0, excused: 0, absent: 0 });
+      countsByIntern.get(key)[record.status]++;
+    });
+
+    const rows = interns.map(intern => {
+      const counts = countsByIntern.get(intern._id.toString()) || { present: 0, late: 0, excused: 0, absent: 0 };
+      const expectedDays = AttendancePolicy.countWorkingDays(
+        resolvePolicy(intern.department, intern._id),
+        start,
+        lastDay
+      );
+      const attended = counts.present + counts.late;
+
+      return {
+        internId: intern.internId,
+        employeeId: intern.employeeId,
+        name: internName(intern),
+        email: intern.userId?.email || intern.email,
+        department: intern.department,
+        expectedDays,
+        presentDays: attended,
+        lateDays: counts.late,
+        excusedDays: counts.excused,
+        absentDays: Math.max(counts.absent, expectedDays - attended - counts.excused),
+        attendanceRate: toRate(attended, expectedDays - counts.excused)
+      };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+
+    const totals = rows.reduce((sum, row) => ({
+      interns: sum.interns + 1,
+      expectedDays: sum.expectedDays + row.expectedDays,
+      presentDays: sum.presentDays + row.presentDays,
+      lateDays: sum.lateDays + row.lateDays,
+      excusedDays: sum.excusedDays + row.excusedDays,
+      absentDays: sum.absentDays + row.absentDays
+    }), { interns: 0, expectedDays: 0, presentDays: 0, lateDays: 0, excusedDays: 0, absentDays: 0 });
+    totals.attendanceRate = toRate(totals.presentDays, totals.expectedDays - totals.excusedDays);
+
+    return {
+      startDate: formatDateKey(start, timeZone),
+      endDate: formatDateKey(lastDay, timeZone),
+      timeZone,
+      totals,
+      interns: rows
+    };
+  }
+
+  /**
+   * Resolve the recipients and check the toggle for a digest
+   * @returns {Object} { settings, recipients, skipped }
+   */
+  static async prepare(toggle, recipients, force) {
+    const settings = await AttendancePolicy.getSettings();
+    const notifications = settings.notifications || {};
+
+    if (!force && notifications.email?.[toggle] === false) {
+      return { settings, skipped: `${toggle} is disabled` };
+    }
+
+    const to = [...new Set(recipients?.length ? recipients : notifications.recipients || [])].filter(Boolean);
+    if (to.length === 0) {
+      return { settings, skipped: 'No recipients configured' };
+    }
+
+    return { settings, recipients: to };
+  }
+
+  /**
+   * Send one email per recipient
+   * Emails the provider did not accept stay in the mail queue for retry
+   * @returns {Object} { sent, queued, failed }
+   */
+  static async deliver(recipients, message, options) {
+    let sent = 0;
+    let queued = 0;
+    let failed = 0;
+
+    for (const to of recipients) {
+      try {
+        const email = await MailService.send({ ...message, to }, options);
+        if (email.status === 'sent') sent++;
+        else if (email.status === 'queued') queued++;
+        else failed++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to queue ${options.category} for ${to}:`, error.message);
+      }
+    }
+
+    return { sent, queued, failed };
+  }
+
+  /**
+   * Email the daily digest
+   * @param {Object} options - { date, recipients (defaults to Settings.notifications.recipients), force: ignore the dailyReport toggle }
+   * @returns {Object} Delivery summary, or { skipped } with the reason
+   */
+  static async sendDailyDigest({ date = new Date(), recipients, force = false } = {}) {
+    const { settings, recipients: to, skipped } = await this.prepare('dailyReport', recipients, force);
+    if (skipped) {
+      console.log(`⏭️ Daily digest skipped: ${skipped}`);
+      return { skipped };
+    }
+
+    const digest = await this.buildDailyDigest(date);
+    const { language, timeZone, variables } = await TemplateService.getContext();
+    const toggles = settings.notifications?.email || {};
+
+    const { subject, html } = await TemplateService.renderEmail('email.daily_digest', {
+      date: TemplateService.formatDate(digest.date, language, timeZone),
+      totals: digest.totals,
+      showLateArrivals: toggles.lateArrivals !== false,
+      lateArrivals: digest.lateArrivals,
+      showAbsentees: toggles.absentees !== false,
+      absentees: digest.absentees,
+      dashboardUrl: `${variables.frontendUrl}/dashboard/attendance`
+    }, { language });
+
+    const delivery = await this.deliver(to, { subject, html }, {
+      category: 'daily_digest',
+      metadata: { date: digest.date }
+    });
+
+    console.log(`📊 Daily digest for ${digest.date} sent to ${delivery.sent}/${to.length} recipient(s)`);
+
+    return { type: 'daily', date: digest.date, totals: digest.totals, recipients: to, ...delivery };
+  }
+
+  /**
+   * Email the weekly summary with the per-intern breakdown as a CSV attachment
+   * @param {Object} options - { weekEnd, recipients (defaults to Settings.notifications.recipients), force: ignore the weeklyReport toggle }
+   * @returns {Object} Delivery summary, or { skipped } with the reason
+   */
+  static async sendWeeklySummary({ weekEnd = new Date(), recipients, force = false } = {}) {
+    const { recipients: to, skipped } = await this.prepare('weeklyReport', recipients, force);
+    if (skipped) {
+      console.log(`⏭️ Weekly summary skipped: ${skipped}`);
+      return { skipped };
+    }
+
+    const summary = await this.buildWeeklySummary(weekEnd);
+    const { language, timeZone, variables } = await TemplateService.getContext();
+
+    const { subject, html } = await TemplateService.renderEmail('email.weekly_summary', {
+      startDate: TemplateService.formatDate(summary.startDate, language, timeZone),
+      endDate: TemplateService.formatDate(summary.endDate, language, timeZone),
+      totals: summary.totals,
+      lowAttendanceThreshold: LOW_ATTENDANCE_THRESHOLD,
+      lowAttendance: summary.interns
+        .filter(row => row.expectedDays > 0 && row.attendanceRate < LOW_ATTENDANCE_THRESHOLD)
+        .sort((a, b) => a.attendanceRate - b.attendanceRate),
+      dashboardUrl: `${variables.frontendUrl}/dashboard/reports`
+    }, { language });
+
+    const delivery = await this.deliver(to, {
+      subject,
+      html,
+      attachments: [{
+        filename: `attendance-summary-${summary.startDate}-to-${summary.endDate}.csv`,
+        content: toCsv(summary.interns, WEEKLY_CSV_COLUMNS),
+        contentType: 'text/csv'
+      }]
+    }, {
+      category: 'weekly_summary',
+      metadata: { startDate: summary.startDate, endDate: summary.endDate }
+    });
+
+    console.log(`📅 Weekly summary for ${summary.startDate} to ${summary.endDate} sent to ${delivery.sent}/${to.length} recipient(s)`);
+
+    return {
+      type: 'weekly',
+      startDate: summary.startDate,
+      endDate: summary.endDate,
+      totals: summary.totals,
+      recipients: to,
+      ...delivery
+    };
+  }
+  /**
+   * Email each user with pending digest-only notifications one digest listing them
+   * @returns {Object} { users, notifications, sent, queued, failed }
+   */
+  static async sendNotificationDigests() {
+    const pending = await Notification.find({
+      'delivery.channel': 'digest',
+      'delivery.digestedAt': null
+    })
+      .sort({ createdAt: 1 })
+      .populate('recipient', 'name email notificationEmail isActive');
+
+    const byRecipient = new Map();
+    pending.forEach(notification => {
+      if (!notification.recipient) return;
+      const key = notification.recipient._id.toString();
+      if (!byRecipient.has(key)) byRecipient.set(key, []);
+      byRecipient.get(key).push(notification);
+    });
+
+    const { language, timeZone, variables } = await TemplateService.getContext();
+    const summary = { users: 0, notifications: 0, sent: 0, queued: 0, failed: 0 };
+
+    for (const notifications of byRecipient.values()) {
+      const { recipient } = notifications[0];
+      const ids = notifications.map(notification => notification._id);
+
+      // Nothing to send to deactivated users, but don't keep their notifications pending
+      if (recipient.isActive !== false) {
+        const { subject, html } = await TemplateService.renderEmail('email.notification_digest', {
+          userName: recipient.name,
+          count: notifications.length,
+          notifications: notifications.map(notification => ({
+            title: notification.title,
+            message: notification.message,
+            time: TemplateService.formatDate(notification.createdAt, language, timeZone, {
+              month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            })
+          })),
+          dashboardUrl: `${variables.frontendUrl}/dashboard/notifications`,
+          preferencesUrl: `${variables.frontendUrl}/dashboard/settings/notifications`
+        }, { language });
+
+        const delivery = await this.deliver([recipient.notificationEmail || recipient.email], { subject, html }, {
+          category: 'notification_digest',
+          metadata: { userId: recipient._id, notifications: ids.length }
+        });
+
+        summary.sent += delivery.sent;
+        summary.queued += delivery.queued;
+        summary.failed += delivery.failed;
+        // Failed emails are retried in tomorrow's digest
+        if (delivery.failed > 0) continue;
+      }
+
+      await Notification.updateMany({ _id: { $in: ids } }, { 'delivery.digestedAt': new Date() });
+      summary.users++;
+      summary.notifications += ids.length;
+    }
+
+    console.log(`📬 Notification digests: ${summary.notifications} notification(s) to ${summary.users} user(s)`);
+
+    return summary;
+  }
+}
+
+module.exports = DigestService;
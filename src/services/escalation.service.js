@@ -0,0 +1,198 @@
+const Intern = require('../models/intern.model');
+const Attendance = require('../models/attendance.model');
+const Escalation = require('../models/escalation.model');
+const { NotificationService } = require('../controllers/notification.controller');
+const AttendancePolicy = require('./attendancePolicy.service');
+const WebhookService = require('./webhook.service');
+const { getDayRange, addDays, formatDateKey, startOfDay } = require('../utils/timezone.utils');
+
+/**
+ * Attendance Escalation Service
+ * Tracks each intern's consecutive absences and late arrivals and escalates
+ * them through the tiers in Settings.attendance.escalation:
+ * reminder to the intern -> supervisor alert -> admin warning -> flag on the intern record.
+ * Excused days (approved leave) and non-working days neither extend nor break a streak
+ */
+
+// Tier -> threshold key in Settings.attendance.escalation.absence / .late
+const TIER_SETTINGS = {
+  remind_intern: 'remindIntern',
+  alert_supervisor: 'alertSupervisor',
+  warn_admins: 'warnAdmins',
+  flag_intern: 'flagIntern'
+};
+
+// Streaks longer than this many calendar days are not looked back on
+const LOOKBACK_DAYS = 60;
+
+class EscalationService {
+  /**
+   * Count an intern's current absence and late streaks
+   * Today counts once it has a record or the intern is late (as in the absence check)
+   * @param {Object} intern - Intern document
+   * @param {Object} policy - Intern's attendance policy
+   * @param {Map} records - dateKey -> attendance record for the intern
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { absence: { count, start }, late: { count, start } } - start is the first day (YYYY-MM-DD)
+   */
+  static getStreaks(intern, policy, records, now = new Date()) {
+    const timeZone = policy.timezone;
+    const streaks = { absence: { count: 0, start: null }, late: { count: 0, start: null } };
+    const open = { absence: true, late: true };
+    const firstDay = intern.startDate ? startOfDay(intern.startDate, timeZone) : null;
+
+    let day = getDayRange(now, timeZone).start;
+
+    for (let i = 0; i < LOOKBACK_DAYS && (open.absence || open.late); i++, day = addDays(day, -1, timeZone)) {
+      if (firstDay && day < firstDay) break;
+      if (!AttendancePolicy.isWorkingDay(policy, day)) continue;
+
+      const dateKey = formatDateKey(day, timeZone);
+      const record = records.get(dateKey);
+
+      // Today is not over: without a record it only counts once the intern is late
+      if (i === 0 && !record && AttendancePolicy.classifyCheckIn(policy, day).lateAfter > now) continue;
+
+      const status = record?.status || 'absent';
+      if (status === 'excused') continue;
+
+      ['absence', 'late'].forEach(type => {
+        if (!open[type]) return;
+        if (status === (type === 'absence' ? 'absent' : 'late')) {
+          streaks[type].count++;
+          streaks[type].start = dateKey;
+        } else {
+          open[type] = false;
+        }
+      });
+    }
+
+    return streaks;
+  }
+
+  /**
+   * Escalate one streak: fire the highest tier it has reached that did not fire yet
+   * Lower tiers that were skipped (e.g. thresholds changed) are not sent afterwards
+   * @returns {Object|null} The escalation created, or null
+   */
+  static async escalate(intern, type, streak, thresholds, dateKey) {
+    if (streak.count === 0) return null;
+
+    const reached = Escalation.TIERS.filter(tier => {
+      const threshold = thresholds?.[TIER_SETTINGS[tier]];
+      return threshold > 0 && streak.count >= threshold;
+    });
+    if (reached.length === 0) return null;
+
+    const fired = await Escalation.find({ internId: intern._id, type, streakStart: streak.start }).select('tier');
+    const highestFired = Math.max(-1, ...fired.map(e => Escalation.TIERS.indexOf(e.tier)));
+    const tier = reached[reached.length - 1];
+
+    if (Escalation.TIERS.indexOf(tier) <= highestFired) return null;
+
+    let escalation;
+    try {
+      escalation = await Escalation.create({
+        internId: intern._id,
+        type,
+        tier,
+        streak: streak.count,
+        streakStart: streak.start,
+        date: dateKey
+      });
+    } catch (error) {
+      // Another instance escalated it first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    if (tier === 'flag_intern') {
+      intern.attendanceFlag = {
+        flagged: true,
+        reason: `${streak.count} consecutive ${type === 'late' ? 'late arrivals' : 'absences'} since ${streak.start}`,
+        flaggedAt: new Date(),
+        escalationId: escalation._id
+      };
+      await intern.save();
+
+      WebhookService.emit('intern.flagged', {
+        internId: intern._id,
+        employeeId: intern.employeeId,
+        internName: intern.userId?.name || intern.name,
+        department: intern.department,
+        reason: intern.attendanceFlag.reason,
+        escalationId: escalation._id
+      });
+    }
+
+    try {
+      const notifications = await NotificationService.createEscalationNotification(tier, escalation, intern);
+      escalation.notificationsSent = notifications.length;
+      await escalation.save();
+    } catch (error) {
+      console.error(`Failed to notify ${tier} escalation for intern ${intern._id}:`, error.message);
+    }
+
+    console.log(`📈 ${type} escalation for ${intern.name}: ${tier} after ${streak.count} day(s)`);
+    return escalation;
+  }
+
+  /**
+   * Check every active intern and escalate the streaks that reached a new tier
+   * Called by the scheduler; safe to run several times a day
+   */
+  static async runEscalations() {
+    const settings = await AttendancePolicy.getSettings();
+    const config = settings.attendance?.escalation || {};
+
+    if (config.enabled === false) {
+      return { skipped: 'Escalation is disabled' };
+    }
+
+    const now = new Date();
+    const timeZone = await AttendancePolicy.getTimezone();
+    const dateKey = formatDateKey(now, timeZone);
+
+    const [interns, records, resolvePolicy] = await Promise.all([
+      Intern.find({ status: 'active' }).populate('userId', 'name email'),
+      Attendance.find({
+        date: { $gte: addDays(getDayRange(now, timeZone).start, -LOOKBACK_DAYS, timeZone) }
+      }).select('internId date status'),
+      AttendancePolicy.createResolver()
+    ]);
+
+    const recordsByIntern = new Map();
+    records.forEach(record => {
+      const key = record.internId.toString();
+      if (!recordsByIntern.has(key)) recordsByIntern.set(key, []);
+      recordsByIntern.get(key).push(record);
+    });
+
+    const summary = { interns: interns.length, escalations: 0, flagged: 0 };
+
+    for (const intern of interns) {
+      try {
+        const policy = resolvePolicy(intern.department, intern._id);
+        const internRecords = new Map((recordsByIntern.get(intern._id.toString()) || [])
+          .map(record => [formatDateKey(record.date, policy.timezone), record]));
+        const streaks = this.getStreaks(intern, policy, internRecords, now);
+
+        for (const type of ['absence', 'late']) {
+          const escalation = await this.escalate(intern, type, streaks[type], config[type], dateKey);
+          if (escalation) {
+            summary.escalations++;
+            if (escalation.tier === 'flag_intern') summary.flagged++;
+          }
+        }
+      } catch (error) {
+        console.error(`Error escalating attendance for ${intern.name}:`, error);
+      }
+    }
+
+    console.log(`✅ Escalation check completed. ${summary.escalations} escalation(s), ${summary.flagged} intern(s) flagged.`);
+
+    return summary;
+  }
+}
+
+module.exports = EscalationService;
@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Intern = require('../models/intern.model');
+const Department = require('../models/department.model');
+const AttendancePolicy = require('./attendancePolicy.service');
+const MailService = require('./mail.service');
+const TemplateService = require('./template.service');
+const WebhookService = require('./webhook.service');
+const { parseCsvRecords } = require('../utils/csv.utils');
+const { parseDate, formatDateKey } = require('../utils/timezone.utils');
+
+/**
+ * Intern Import Service
+ * Validates a batch of interns (CSV or JSON) and creates the User + Intern
+ * pairs in a single transaction: either every row is imported or none is.
+ * Transactions need MongoDB to run as a replica set (or Atlas)
+ *
+ * Columns: name, email, employeeId, department (required), position, phone,
+ * startDate, endDate (YYYY-MM-DD), supervisorEmail, password.
+ * Interns without a password get a generated temporary one
+ */
+
+// Largest batch accepted in one request
+const MAX_ROWS = 500;
+
+const FIELDS = ['name', 'email', 'employeeId', 'department', 'position', 'phone', 'startDate', 'endDate', 'supervisorEmail', 'password'];
+const REQUIRED_FIELDS = ['name', 'email', 'employeeId', 'department'];
+
+// Header -> field, ignoring case, spaces, dashes and underscores ("Employee ID" -> employeeId)
+const HEADER_FIELDS = FIELDS.reduce((headers, field) => {
+  headers[field.toLowerCase()] = field;
+  return headers;
+}, { supervisor: 'supervisorEmail' });
+
+const normalizeHeader = (header) => HEADER_FIELDS[header.toLowerCase().replace(/[\s_-]/g, '')] || null;
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const generatePassword = () => crypto.randomBytes(9).toString('base64').replace(/[+/]/g, '-');
+
+class InternImportService {
+  static MAX_ROWS = MAX_ROWS;
+  static FIELDS = FIELDS;
+
+  /**
+   * Read the rows of a CSV document
+   * @param {String} text - CSV with a header row
+   * @returns {Object} { rows: [{ row, values }], unknownColumns } - row is the line number in the file
+   */
+  static parseCsv(text) {
+    const { headers, records } = parseCsvRecords(text, normalizeHeader);
+
+    return {
+      rows: records.map(({ line, values }) => ({ row: line, values })),
+      unknownColumns: headers.filter(header => header && !normalizeHeader(header))
+    };
+  }
+
+  /**
+   * Read the rows of a JSON array of interns
+   * @param {Array} items - Intern objects using the CSV column names
+   * @returns {Object} { rows: [{ row, values }], unknownColumns } - row is the 1-based position in the array
+   */
+  static parseJson(items) {
+    const unknownColumns = new Set();
+
+    const rows = items.map((item, index) => ({
+      row: index + 1,
+      values: Object.entries(item && typeof item === 'object' ? item : {}).reduce((values, [key, value]) => {
+        const field = normalizeHeader(key);
+        if (!field) {
+          unknownColumns.add(key);
+        } else if (value !== undefined && value !== null) {
+          values[field] = String(value).trim();
+        }
+        return values;
+      }, {})
+    }));
+
+    return { rows, unknownColumns: [...unknownColumns] };
+  }
+
+  /**
+   * Validate rows against each other and the database
+   * @param {Array} rows - [{ row, values }]
+   * @returns {Object} { valid, invalid, rows: [{ row, employeeId, email, errors, intern }] }
+   *   intern holds the resolved values of valid rows
+   */
+  static async validate(rows) {
+    const timeZone = await AttendancePolicy.getTimezone();
+    const emails = rows.map(({ values }) => (values.email || '').toLowerCase()).filter(Boolean);
+    const employeeIds = rows.map(({ values }) => values.employeeId).filter(Boolean);
+    const supervisorEmails = rows.map(({ values }) => (values.supervisorEmail || '').toLowerCase()).filter(Boolean);
+
+    const [existingUsers, existingInterns, departments, supervisors] = await Promise.all([
+      User.find({ email: { $in: emails } }).select('email'),
+      Intern.find({ employeeId: { $in: employeeIds } }).select('employeeId'),
+      Department.find().select('name'),
+      User.find({ email: { $in: supervisorEmails }, role: { $in: ['admin', 'supervisor'] }, isActive: true }).select('email')
+    ]);
+
+    const takenEmails = new Set(existingUsers.map(user => user.email));
+    const takenEmployeeIds = new Set(existingInterns.map(intern => intern.employeeId));
+    const departmentNames = new Map(departments.map(department => [department.name.toLowerCase(), department.name]));
+    const supervisorIds = new Map(supervisors.map(user => [user.email, user._id]));
+
+    // First row each email / employee ID appears on
+    const seenEmails = new Map();
+    const seenEmployeeIds = new Map();
+
+    const parseRowDate = (value) => {
+      if (!DATE_PATTERN.test(value)) return null;
+      const date = parseDate(value, timeZone);
+      // Rejects dates such as 2025-02-30 that roll over to another day
+      return formatDateKey(date, timeZone) === value ? date : null;
+    };
+
+    const report = rows.map(({ row, values }) => {
+      const errors = [];
+      const email = (values.email || '').toLowerCase();
+
+      REQUIRED_FIELDS.forEach(field => {
+        if (!values[field]) errors.push(`${field} is required`);
+      });
+
+      if (email) {
+        if (!EMAIL_PATTERN.test(email)) {
+          errors.push(`Invalid email: ${values.email}`);
+        } else if (takenEmails.has(email)) {
+          errors.push(`A user with email ${email} already exists`);
+        } else if (seenEmails.has(email)) {
+          errors.push(`Duplicate email ${email} (also on row ${seenEmails.get(email)})`);
+        } else {
+          seenEmails.set(email, row);
+        }
+      }
+
+      if (values.employeeId) {
+        if (takenEmployeeIds.has(values.employeeId)) {
+          errors.push(`An intern with employee ID ${values.employeeId} already exists`);
+        } else if (seenEmployeeIds.has(values.employeeId)) {
+          errors.push(`Duplicate employee ID ${values.employeeId} (also on row ${seenEmployeeIds.get(values.employeeId)})`);
+        } else {
+          seenEmployeeIds.set(values.employeeId, row);
+        }
+      }
+
+      const department = values.department && departmentNames.get(values.department.toLowerCase());
+      if (values.department && !department) {
+        errors.push(`Unknown department: ${values.department}`);
+      }
+
+      const startDate = values.startDate ? parseRowDate(values.startDate) : parseDate(formatDateKey(new Date(), timeZone), timeZone);
+      if (!startDate) errors.push(`Invalid startDate: ${values.startDate} (use YYYY-MM-DD)`);
+
+      const endDate = values.endDate ? parseRowDate(values.endDate) : undefined;
+      if (endDate === null) {
+        errors.push(`Invalid endDate: ${values.endDate} (use YYYY-MM-DD)`);
+      } else if (endDate && startDate && endDate < startDate) {
+        errors.push('endDate is before startDate');
+      }
+
+      const supervisorEmail = (values.supervisorEmail || '').toLowerCase();
+      const supervisor = supervisorEmail ? supervisorIds.get(supervisorEmail) : undefined;
+      if (supervisorEmail && !supervisor) {
+        errors.push(`No active supervisor or admin with email ${values.supervisorEmail}`);
+      }
+
+      if (values.password && values.password.length < 6) {
+        errors.push('password must be at least 6 characters');
+      }
+
+      return {
+        row,
+        employeeId: values.employeeId,
+        email: email || undefined,
+        errors,
+        intern: errors.length > 0 ? undefined : {
+          name: values.name,
+          email,
+          employeeId: values.employeeId,
+          department,
+          position: values.position || undefined,
+          phone: values.phone || undefined,
+          startDate,
+          endDate,
+          supervisor,
+          password: values.password || undefined
+        }
+      };
+    });
+
+    const invalid = report.filter(result => result.errors.length > 0).length;
+
+    return { valid: report.length - invalid, invalid, rows: report };
+  }
+
+  /**
+   * Create the User + Intern pairs of validated rows in one transaction
+   * @param {Array} interns - Resolved values from validate()
+   * @returns {Array} [{ user, intern, temporaryPassword }]
+   */
+  static async createInterns(interns) {
+    const session = await mongoose.startSession();
+    let created;
+
+    try {
+      await session.withTransaction(async () => {
+        // The callback is retried on transient errors
+        created = [];
+
+        for (const values of interns) {
+          const temporaryPassword = values.password ? undefined : generatePassword();
+
+          const [user] = await User.create([{
+            name: values.name,
+            email: values.email,
+            password: values.password || temporaryPassword,
+            role: 'intern'
+          }], { session });
+
+          const [intern] = await Intern.create([{
+            userId: user._id,
+            name: values.name,
+            email: values.email,
+            employeeId: values.employeeId,
+            department: values.department,
+            position: values.position,
+            phone: values.phone,
+            startDate: values.startDate,
+            endDate: values.endDate,
+            supervisor: values.supervisor
+          }], { session });
+
+          created.push({ user, intern, temporaryPassword });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return created;
+  }
+
+  /**
+   * Email an imported intern their login details
+   * @returns {Object} OutboundEmail record
+   */
+  static async sendWelcomeEmail({ user, intern, temporaryPassword }) {
+    const timeZone = await AttendancePolicy.getTimezone();
+    const context = await TemplateService.getContext();
+
+    const { subject, html } = await TemplateService.renderEmail('email.welcome', {
+      name: user.name,
+      email: user.email,
+      employeeId: intern.employeeId,
+      department: intern.department,
+      startDate: TemplateService.formatDate(intern.startDate, context.language, timeZone),
+      temporaryPassword,
+      loginUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login`
+    });
+
+    return MailService.send({
+      to: user.email,
+      subject,
+      html
+    }, {
+      category: 'welcome',
+      metadata: { internId: intern._id },
+      sensitive: !!temporaryPassword
+    });
+  }
+
+  /**
+   * Validate rows and, unless it is a dry run or a row is invalid, import them
+   * @param {Array} rows - [{ row, values }] from parseCsv / parseJson
+   * @param {Object} options - { dryRun, sendWelcomeEmails }
+   * @returns {Object} Report: { dryRun, imported, total, valid, invalid, created, rows }
+   */
+  static async importRows(rows, { dryRun = false, sendWelcomeEmails = false } = {}) {
+    const validation = await this.validate(rows);
+    const report = {
+      dryRun,
+      imported: false,
+      total: rows.length,
+      valid: validation.valid,
+      invalid: validation.invalid,
+      created: 0,
+      rows: validation.rows.map(({ intern, ...result }) => result)
+    };
+
+    if (dryRun || validation.invalid > 0 || rows.length === 0) return report;
+
+    const created = await this.createInterns(validation.rows.map(result => result.intern));
+    report.imported = true;
+    report.created = created.length;
+
+    for (const [index, entry] of created.entries()) {
+      const result = report.rows[index];
+      result.internId = entry.intern._id;
+      result.userId = entry.user._id;
+
+      WebhookService.emit('intern.created', {
+        internId: entry.intern._id,
+        employeeId: entry.intern.employeeId,
+        name: entry.intern.name,
+        email: entry.intern.email,
+        department: entry.intern.department,
+        position: entry.intern.position,
+        startDate: entry.intern.startDate,
+        supervisorId: entry.intern.supervisor
+      });
+
+      if (sendWelcomeEmails) {
+        try {
+          const email = await this.sendWelcomeEmail(entry);
+          result.welcomeEmail = email.status;
+        } catch (error) {
+          console.error(`Failed to send welcome email to ${entry.user.email}:`, error.message);
+          result.welcomeEmail = 'failed';
+        }
+      }
+
+      // Without a welcome email the admin has to hand the password over
+      if (entry.temporaryPassword && !(sendWelcomeEmails && result.welcomeEmail !== 'failed')) {
+        result.temporaryPassword = entry.temporaryPassword;
+      }
+    }
+
+    return report;
+  }
+}
+
+module.exports = InternImportService;
@@ -0,0 +1,122 @@
+const Intern = require('../models/intern.model');
+
+/**
+ * Intern Request Service
+ * Access rules shared by the requests interns file (leave, attendance
+ * corrections): interns see their own, supervisors the interns assigned to
+ * them, admins everyone. Interns without a supervisor are left to admins
+ */
+
+const idOf = (value) => value?._id || value;
+
+class InternRequestService {
+  // Populate options for the intern a request belongs to
+  static INTERN_POPULATE = {
+    path: 'internId',
+    select: 'name email employeeId department userId supervisor',
+    populate: {
+      path: 'userId',
+      select: 'name email'
+    }
+  };
+
+  /**
+   * Check a supervisor is assigned to an intern
+   * @param {Object} user - Supervisor
+   * @param {Object} intern - Intern document (supervisor populated or not)
+   */
+  static supervises(user, intern) {
+    const supervisor = idOf(intern?.supervisor);
+    return !!supervisor && supervisor.toString() === user._id.toString();
+  }
+
+  /**
+   * Check a user may handle an intern's requests on their behalf (view, review, cancel)
+   * @param {Object} user - Admin or supervisor
+   * @param {Object} intern - Intern document
+   */
+  static canManage(user, intern) {
+    if (user.role === 'admin') return true;
+    return user.role === 'supervisor' && this.supervises(user, intern);
+  }
+
+  /**
+   * Check a user may see a request
+   * @param {Object} user - Signed-in user
+   * @param {Object} request - Leave/correction with internId populated
+   */
+  static canAccess(user, request) {
+    const intern = request.internId;
+
+    if (user.role === 'intern') {
+      const owner = idOf(intern?.userId);
+      return !!owner && owner.toString() === user._id.toString();
+    }
+
+    return this.canManage(user, intern);
+  }
+
+  /**
+   * Build the internId filter for a list of requests
+   * @param {Object} user - Signed-in user
+   * @param {Object} query - { internId, department } from the query string
+   * @returns {Object|null} { internId } filter ({} for everyone), or null when nothing can match
+   */
+  static async getScopeFilter(user, { internId, department } = {}) {
+    if (user.role === 'intern') {
+      const intern = await Intern.findOne({ userId: user._id }).select('_id');
+      return intern ? { internId: intern._id } : null;
+    }
+
+    const internFilter = {};
+    if (internId) internFilter._id = internId;
+    if (department && department !== 'all' && department !== 'All Departments') {
+      internFilter.department = department;
+    }
+    if (user.role === 'supervisor') internFilter.supervisor = user._id;
+
+    if (Object.keys(internFilter).length === 0) return {};
+
+    const interns = await Intern.find(internFilter).select('_id');
+    return { internId: { $in: interns.map(intern => intern._id) } };
+  }
+
+  /**
+   * Check a reviewer may decide a request
+   * @param {Object} user - Admin or supervisor
+   * @param {Object} request - Leave/correction with internId populated
+   * @param {String} label - e.g. 'leave request', used in messages
+   * @returns {Object|null} { statusCode, message } when the review is refused
+   */
+  static getReviewError(user, request, label) {
+    if (request.status !== 'pending') {
+      return { statusCode: 400, message: `${label.charAt(0).toUpperCase()}${label.slice(1)} is already ${request.status}` };
+    }
+
+    if (!request.internId) {
+      return { statusCode: 404, message: 'Intern not found' };
+    }
+
+    if (!this.canManage(user, request.internId)) {
+      return { statusCode: 403, message: `You can only review ${label}s for interns you supervise` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Record the reviewer's decision on a request (not saved)
+   * @param {Object} request - Leave/correction document
+   * @param {String} decision - 'approved' or 'rejected'
+   * @param {Object} user - Reviewer
+   * @param {String} note - Review note (optional)
+   */
+  static setDecision(request, decision, user, note) {
+    request.status = decision;
+    request.reviewedBy = user._id;
+    request.reviewedAt = new Date();
+    request.reviewNote = note;
+  }
+}
+
+module.exports = InternRequestService;
@@ -0,0 +1,119 @@
+const Attendance = require('../models/attendance.model');
+const Leave = require('../models/leave.model');
+const AttendanceRevision = require('../models/attendanceRevision.model');
+const AttendancePolicy = require('./attendancePolicy.service');
+const { startOfDay, addDays } = require('../utils/timezone.utils');
+
+/**
+ * Leave Service
+ * Turns approved leave into excused attendance rows (one per working day)
+ * and undoes them again when the leave is cancelled
+ */
+
+// Fields approved leave overwrites on an existing row
+const RESTORED_FIELDS = ['status', 'absenceReason', 'leaveId', 'notes'];
+
+class LeaveService {
+  /**
+   * Create or update excused attendance rows for an approved leave
+   * Days the intern already checked in on are left untouched
+   * @param {Object} leave - Approved leave document
+   * @param {Object} intern - Intern document the leave belongs to
+   * @returns {Number} Number of excused days recorded
+   */
+  static async applyApprovedLeave(leave, intern) {
+    const policy = await AttendancePolicy.getPolicy(intern.department, intern._id);
+    const timeZone = policy.timezone;
+    const revision = { changedBy: leave.reviewedBy, reason: `Approved leave: ${leave.reason}`, source: 'leave' };
+    let excusedDays = 0;
+
+    let dayStart = startOfDay(leave.startDate, timeZone);
+    while (dayStart <= leave.endDate) {
+      const dayEnd = addDays(dayStart, 1, timeZone);
+
+      if (AttendancePolicy.isWorkingDay(policy, dayStart)) {
+        const existing = await Attendance.findOne({
+          internId: intern._id,
+          date: { $gte: dayStart, $lt: dayEnd }
+        });
+
+        if (!existing) {
+          await new Attendance({
+            internId: intern._id,
+            date: dayStart,
+            status: 'excused',
+            absenceReason: leave.absenceReason,
+            leaveId: leave._id,
+            notes: `Approved leave: ${leave.reason}`
+          }).withRevision(revision).save();
+          excusedDays++;
+        } else if (existing.status === 'absent' || existing.status === 'excused') {
+          existing.status = 'excused';
+          existing.absenceReason = leave.absenceReason;
+          existing.leaveId = leave._id;
+          existing.notes = `Approved leave: ${leave.reason}`;
+          await existing.withRevision(revision).save();
+          excusedDays++;
+        }
+      }
+
+      dayStart = dayEnd;
+    }
+
+    console.log(`📅 Recorded ${excusedDays} excused day(s) for leave ${leave._id}`);
+    return excusedDays;
+  }
+
+  /**
+   * Undo the excused attendance rows of a leave
+   * Rows the leave created are deleted; rows it turned from absent into
+   * excused get their previous values back from the revision history.
+   * Each change is kept in the revision history
+   * @param {Object} leave - Leave document being cancelled
+   * @param {String} changedBy - User cancelling the leave
+   * @returns {Number} Number of rows removed or restored
+   */
+  static async revokeLeave(leave, changedBy = null) {
+    const records = await Attendance.find({
+      leaveId: leave._id,
+      status: 'excused',
+      checkInTime: null
+    });
+    const revision = { changedBy, reason: 'Leave cancelled', source: 'leave' };
+    let restored = 0;
+
+    for (const record of records) {
+      // The change that put this leave on the row
+      const applied = await AttendanceRevision.findOne({
+        attendanceId: record._id,
+        'after.leaveId': leave._id,
+        'before.leaveId': { $ne: leave._id }
+      }).sort({ version: -1 });
+
+      const before = applied?.before;
+      if (!before) {
+        await record.withRevision(revision).deleteOne();
+        continue;
+      }
+
+      RESTORED_FIELDS.forEach(field => {
+        record[field] = before[field] ?? undefined;
+      });
+      await record.withRevision(revision).save();
+      restored++;
+    }
+
+    console.log(`🗑️ Removed ${records.length - restored} and restored ${restored} excused day(s) for cancelled leave ${leave._id}`);
+    return records.length;
+  }
+
+  /**
+   * Get IDs of interns on approved leave for the day containing a date
+   * @returns {Set<String>} Intern IDs
+   */
+  static async getInternIdsOnLeave(dayStart, dayEnd) {
+    return Leave.getInternIdsOnLeave(dayStart, new Date(dayEnd.getTime() - 1));
+  }
+}
+
+module.exports = LeaveService;
@@ -0,0 +1,231 @@
+const Attendance = require('../models/attendance.model');
+const { calculateDistance } = require('../utils/geo.utils');
+
+/**
+ * Location Fraud Service
+ * Scores the GPS fix sent with a check-in/check-out for signs of spoofing:
+ * poor or fake accuracy, stale fixes, mock providers, impossible travel since
+ * the previous check-in and coordinates copied from another intern.
+ * Each finding adds its weight to the score; the policy thresholds
+ * (settings.attendance.locationSecurity) decide whether to allow, flag or reject
+ */
+
+const FLAGS = {
+  LOCATION_MISSING: { weight: 35, message: 'No GPS location was sent' },
+  INVALID_COORDINATES: { weight: 100, message: 'Coordinates are out of range' },
+  ACCURACY_MISSING: { weight: 10, message: 'The GPS fix has no accuracy value' },
+  SUSPICIOUS_ACCURACY: { weight: 25, message: 'Reported accuracy is not physically possible' },
+  POOR_ACCURACY: { weight: 40, message: 'GPS accuracy is too low' },
+  ACCURACY_EXCEEDS_GEOFENCE: { weight: 20, message: 'GPS accuracy is larger than the workplace radius' },
+  STALE_FIX: { weight: 35, message: 'The GPS fix is too old' },
+  FUTURE_FIX: { weight: 35, message: 'The GPS fix is timestamped in the future' },
+  MOCK_PROVIDER: { weight: 70, message: 'Location comes from a mock provider' },
+  IMPLAUSIBLE_ALTITUDE: { weight: 20, message: 'Altitude is implausible' },
+  IMPOSSIBLE_TRAVEL: { weight: 60, message: 'Travel speed since the previous check-in is impossible' },
+  REUSED_COORDINATES: { weight: 50, message: 'Identical coordinates were used by another intern' }
+};
+
+const MOCK_PROVIDER_PATTERN = /mock|fake|spoof/i;
+const ALTITUDE_RANGE = { min: -500, max: 9000 }; // meters
+const FUTURE_TOLERANCE_MS = 60 * 1000; // device clocks drift a little
+const TRAVEL_MARGIN_METERS = 100; // ignore jitter between nearby fixes
+const REUSE_WINDOW_DAYS = 7;
+const REUSE_MIN_DECIMALS = 6; // rounded coordinates can legitimately collide
+
+// Number of decimal places in a coordinate
+const countDecimals = (value) => {
+  const [, decimals = ''] = String(value).split('.');
+  return decimals.replace(/e.*$/i, '').length;
+};
+
+class LocationFraudService {
+  /**
+   * Normalize the location sent by the client
+   * @returns {Object|null} { latitude, longitude, accuracy, altitude, timestamp, provider }
+   */
+  static normalizeLocation(location) {
+    if (!location || location.latitude === undefined || location.longitude === undefined ||
+        location.latitude === null || location.longitude === null) {
+      return null;
+    }
+
+    const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+    const timestamp = location.timestamp !== undefined && location.timestamp !== null
+      ? new Date(location.timestamp)
+      : undefined;
+
+    return {
+      latitude: Number(location.latitude),
+      longitude: Number(location.longitude),
+      accuracy: toNumber(location.accuracy),
+      altitude: toNumber(location.altitude),
+      timestamp: timestamp && !isNaN(timestamp.getTime()) ? timestamp : undefined,
+      provider: location.provider ? String(location.provider).trim() : undefined
+    };
+  }
+
+  /**
+   * Check that a normalized location has usable coordinates
+   */
+  static hasValidCoordinates(location) {
+    return !!location &&
+      Number.isFinite(location.latitude) && Number.isFinite(location.longitude) &&
+      Math.abs(location.latitude) <= 90 && Math.abs(location.longitude) <= 180;
+  }
+
+  /**
+   * Score a location fix
+   * @param {Object} options
+   * @param {Object} options.intern - Intern checking in/out
+   * @param {Object} options.location - Normalized location (null when none was sent)
+   * @param {Object} options.policy - Attendance policy (uses policy.locationSecurity)
+   * @param {Object} options.geofence - Geofence the fix was validated against (optional)
+   * @param {String} options.event - 'check_in' or 'check_out'
+   * @param {Date} options.at - Server time of the attempt
+   * @returns {Object} { event, score, decision, flags, evaluatedAt }
+   */
+  static async evaluate({ intern, location, policy, geofence = null, event = 'check_in', at = new Date() }) {
+    const settings = policy.locationSecurity;
+    const flags = [];
+    const add = (code, details = null) => {
+      flags.push({
+        code,
+        message: details ? `${FLAGS[code].message} (${details})` : FLAGS[code].message,
+        weight: FLAGS[code].weight
+      });
+    };
+
+    if (!location) {
+      add('LOCATION_MISSING');
+      return this.decide(flags, settings, event, at);
+    }
+
+    const { accuracy, altitude, timestamp, provider } = location;
+
+    if (!this.hasValidCoordinates(location)) {
+      add('INVALID_COORDINATES');
+      return this.decide(flags, settings, event, at);
+    }
+
+    // Accuracy (radius of uncertainty in meters)
+    if (accuracy === undefined) {
+      add('ACCURACY_MISSING');
+    } else if (!Number.isFinite(accuracy) || accuracy <= 0) {
+      add('SUSPICIOUS_ACCURACY', `${accuracy}m`);
+    } else if (accuracy > settings.maxAccuracy) {
+      add('POOR_ACCURACY', `${Math.round(accuracy)}m, max ${settings.maxAccuracy}m`);
+    } else if (geofence && geofence.shape !== 'polygon' && accuracy > geofence.radius) {
+      add('ACCURACY_EXCEEDS_GEOFENCE', `${Math.round(accuracy)}m vs ${geofence.radius}m`);
+    }
+
+    // Fix age
+    if (timestamp) {
+      const age = at.getTime() - timestamp.getTime();
+      if (age > settings.maxFixAge * 1000) {
+        add('STALE_FIX', `${Math.round(age / 1000)}s old`);
+      } else if (age < -FUTURE_TOLERANCE_MS) {
+        add('FUTURE_FIX', `${Math.round(-age / 1000)}s ahead`);
+      }
+    }
+
+    if (provider && MOCK_PROVIDER_PATTERN.test(provider)) {
+      add('MOCK_PROVIDER', provider);
+    }
+
+    if (altitude !== undefined && (!Number.isFinite(altitude) ||
+        altitude < ALTITUDE_RANGE.min || altitude > ALTITUDE_RANGE.max)) {
+      add('IMPLAUSIBLE_ALTITUDE', `${altitude}m`);
+    }
+
+    const travel = await this.checkTravel(intern, location, at, settings);
+    if (travel) {
+      add('IMPOSSIBLE_TRAVEL', `${Math.round(travel.distance / 1000)}km at ${Math.round(travel.speed)}km/h`);
+    }
+
+    const reusedBy = await this.findReusedCoordinates(intern, location, at);
+    if (reusedBy) {
+      add('REUSED_COORDINATES');
+    }
+
+    return this.decide(flags, settings, event, at);
+  }
+
+  /**
+   * Compare the fix with the intern's previous located attendance
+   * @returns {Object|null} { distance, speed } when the speed is impossible
+   */
+  static async checkTravel(intern, location, at, settings) {
+    const previous = await Attendance.findOne({
+      internId: intern._id,
+      checkInTime: { $lte: at },
+      'location.latitude': { $ne: null },
+      'location.longitude': { $ne: null }
+    }).sort({ checkInTime: -1 });
+
+    if (!previous) return null;
+
+    const previousAt = previous.location.timestamp ||
+      (previous.checkOutTime && previous.checkOutTime <= at ? previous.checkOutTime : previous.checkInTime);
+    const fixAt = location.timestamp && location.timestamp <= at ? location.timestamp : at;
+    const elapsedHours = (fixAt.getTime() - previousAt.getTime()) / (60 * 60 * 1000);
+    if (elapsedHours <= 0) return null;
+
+    // Give both fixes the benefit of their accuracy before measuring speed
+    const distance = calculateDistance(
+      previous.location.latitude,
+      previous.location.longitude,
+      location.latitude,
+      location.longitude
+    );
+    const margin = TRAVEL_MARGIN_METERS + (previous.location.accuracy || 0) + (location.accuracy || 0);
+    const effectiveDistance = distance - margin;
+    if (effectiveDistance <= 0) return null;
+
+    const speed = (effectiveDistance / 1000) / elapsedHours;
+    return speed > settings.maxTravelSpeed ? { distance, speed } : null;
+  }
+
+  /**
+   * Find another intern who recently sent exactly the same coordinates
+   * @returns {String|null} Intern ID of the other record
+   */
+  static async findReusedCoordinates(intern, location, at) {
+    if (countDecimals(location.latitude) < REUSE_MIN_DECIMALS ||
+        countDecimals(location.longitude) < REUSE_MIN_DECIMALS) {
+      return null;
+    }
+
+    const since = new Date(at.getTime() - REUSE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const match = await Attendance.findOne({
+      internId: { $ne: intern._id },
+      'location.latitude': location.latitude,
+      'location.longitude': location.longitude,
+      checkInTime: { $gte: since }
+    }).select('internId');
+
+    return match ? match.internId.toString() : null;
+  }
+
+  /**
+   * Turn the findings into a decision using the policy thresholds
+   */
+  static decide(flags, settings, event, at) {
+    const score = Math.min(100, flags.reduce((total, flag) => total + flag.weight, 0));
+    let decision = 'allow';
+    if (score >= settings.rejectScore) decision = 'reject';
+    else if (score >= settings.flagScore) decision = 'flag';
+
+    return {
+      kind: 'location',
+      event,
+      score,
+      decision,
+      flags,
+      evaluatedAt: at
+    };
+  }
+}
+
+LocationFraudService.FLAGS = FLAGS;
+
+module.exports = LocationFraudService;
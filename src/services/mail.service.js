@@ -0,0 +1,151 @@
+const OutboundEmail = require('../models/outboundEmail.model');
+const mailConfig = require('../config/mail');
+const { createTransport, formatAddress } = require('./mail.transports');
+
+/**
+ * Mail Service
+ * Single entry point for outgoing email. Every message is stored in the
+ * outbound queue, sent right away through the configured transport
+ * (SMTP, Resend or the JSON outbox) and retried later if delivery fails
+ */
+
+class MailService {
+  static transport = null;
+
+  /**
+   * Get the configured transport (created on first use)
+   */
+  static getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(mailConfig);
+      console.log(`📧 Mail provider: ${this.transport.name}`);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Queue an email and attempt delivery immediately
+   * @param {Object} message - { to, subject, html, text, attachments: [{ filename, content, contentType }] }
+   * @param {Object} options - { category, metadata, maxAttempts, sensitive }
+   * @returns {Object} OutboundEmail record (status 'sent', or 'queued' for retry / 'failed')
+   */
+  static async send({ to, subject, html, text, attachments }, { category = 'general', metadata, maxAttempts, sensitive = false } = {}) {
+    const recipients = (Array.isArray(to) ? to : [to]).filter(Boolean);
+
+    if (recipients.length === 0) {
+      throw new Error('Email recipient is required');
+    }
+
+    const email = await OutboundEmail.create({
+      to: recipients,
+      from: formatAddress(mailConfig.from),
+      subject,
+      html,
+      text,
+      attachments,
+      category,
+      metadata,
+      maxAttempts: maxAttempts || mailConfig.maxAttempts,
+      sensitive,
+      status: 'sending',
+      lockedAt: new Date()
+    });
+
+    return this.deliver(email);
+  }
+
+  /**
+   * Attempt delivery of a claimed email and record the outcome
+   * @param {Object} email - OutboundEmail document in 'sending' state
+   * @returns {Object} Updated email
+   */
+  static async deliver(email) {
+    const transport = this.getTransport();
+    email.attempts += 1;
+
+    try {
+      const { messageId } = await transport.send({
+        from: email.from,
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        attachments: email.attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+      });
+
+      email.markSent(transport.name, messageId);
+      console.log(`✅ Email "${email.subject}" sent to ${email.to.join(', ')} via ${transport.name}`);
+    } catch (error) {
+      email.markFailed(transport.name, error);
+      console.error(
+        `❌ Email to ${email.to.join(', ')} failed (attempt ${email.attempts}/${email.maxAttempts}):`,
+        error.message
+      );
+    }
+
+    await email.save();
+    return email;
+  }
+
+  /**
+   * Send queued emails that are due for a retry
+   * @param {Number} limit - Maximum emails to process in one run
+   * @returns {Object} Summary of the run
+   */
+  static async processQueue(limit = 20) {
+    const summary = { processed: 0, sent: 0, failed: 0 };
+
+    for (let i = 0; i < limit; i++) {
+      const email = await OutboundEmail.claimNext();
+      if (!email) break;
+
+      await this.deliver(email);
+      summary.processed += 1;
+      if (email.status === 'sent') summary.sent += 1;
+      if (email.status === 'failed') summary.failed += 1;
+    }
+
+    if (summary.processed > 0) {
+      console.log(`📬 Mail queue: ${summary.sent} sent, ${summary.failed} failed of ${summary.processed}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Retry an email now, even if it has used up its attempts
+   * @param {String} id - OutboundEmail ID
+   * @returns {Object} Updated email or null if not found / not retryable
+   */
+  static async retry(id) {
+    const email = await OutboundEmail.findOneAndUpdate(
+      {
+        _id: id,
+        // A sensitive email has no body left once it failed
+        $or: [{ status: 'queued' }, { status: 'failed', sensitive: { $ne: true } }]
+      },
+      { status: 'sending', lockedAt: new Date() },
+      { new: true }
+    );
+
+    if (!email) return null;
+
+    if (email.attempts >= email.maxAttempts) {
+      email.maxAttempts = email.attempts + 1;
+    }
+
+    return this.deliver(email);
+  }
+
+  /**
+   * Check the transport configuration
+   * @returns {String} Provider name
+   */
+  static async verify() {
+    const transport = this.getTransport();
+    await transport.verify();
+    return transport.name;
+  }
+}
+
+module.exports = MailService;
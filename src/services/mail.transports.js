@@ -0,0 +1,110 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { Resend } = require('resend');
+
+/**
+ * Mail Transports
+ * Each transport exposes { name, send(message), verify() }. send() resolves with
+ * { messageId } and throws when the provider rejects the message
+ * message: { from, to: [String], subject, html, text, attachments: [{ filename, content, contentType }] }
+ */
+
+const formatAddress = ({ name, address }) => (name ? `${name} <${address}>` : address);
+
+/**
+ * SMTP (nodemailer) - any SMTP server, or a well-known service such as Gmail
+ */
+const createSmtpTransport = (config) => {
+  const transporter = nodemailer.createTransport(config.service
+    ? { service: config.service, auth: { user: config.user, pass: config.pass } }
+    : {
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.user ? { user: config.user, pass: config.pass } : undefined
+    });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const result = await transporter.sendMail(message);
+      return { messageId: result.messageId };
+    },
+    async verify() {
+      await transporter.verify();
+    }
+  };
+};
+
+/**
+ * Resend HTTP API (works on hosts that block SMTP ports, e.g. Render)
+ */
+const createResendTransport = (config) => {
+  if (!config.apiKey) {
+    throw new Error('RESEND_API_KEY is required for the resend mail provider');
+  }
+
+  const resend = new Resend(config.apiKey);
+
+  return {
+    name: 'resend',
+    async send(message) {
+      const { data, error } = await resend.emails.send({
+        ...message,
+        attachments: message.attachments?.length
+          ? message.attachments.map(({ filename, content }) => ({ filename, content: Buffer.from(content) }))
+          : undefined
+      });
+      if (error) {
+        throw new Error(`Resend API error: ${error.message}`);
+      }
+      return { messageId: data.id };
+    },
+    async verify() {
+      // Resend has no dry-run endpoint - a configured key is all we can check
+    }
+  };
+};
+
+/**
+ * Outbox - writes each message to a JSON file instead of sending it
+ */
+const createOutboxTransport = (config) => ({
+  name: 'outbox',
+  async send(message) {
+    const messageId = `outbox-${crypto.randomUUID()}`;
+    await fs.mkdir(config.dir, { recursive: true });
+    await fs.writeFile(
+      path.join(config.dir, `${Date.now()}-${messageId}.json`),
+      JSON.stringify({ messageId, createdAt: new Date(), ...message }, null, 2)
+    );
+    return { messageId };
+  },
+  async verify() {
+    await fs.mkdir(config.dir, { recursive: true });
+  }
+});
+
+/**
+ * Create the transport for the configured provider
+ * @param {Object} config - Mail configuration (see config/mail.js)
+ */
+const createTransport = (config) => {
+  switch (config.provider) {
+    case 'smtp':
+      return createSmtpTransport(config.smtp);
+    case 'resend':
+      return createResendTransport(config.resend);
+    case 'outbox':
+      return createOutboxTransport(config.outbox);
+    default:
+      throw new Error(`Unknown mail provider: ${config.provider}`);
+  }
+};
+
+module.exports = {
+  createTransport,
+  formatAddress
+};
@@ -1,98 +1,287 @@
+const os = require('os');
+const crypto = require('crypto');
 const cron = require('node-cron');
 const AbsenceService = require('./absence.service');
+const AttendancePolicy = require('./attendancePolicy.service');
+const MailService = require('./mail.service');
+const DigestService = require('./digest.service');
+const ReminderService = require('./reminder.service');
+const EscalationService = require('./escalation.service');
+const WebhookService = require('./webhook.service');
+const SchedulerJob = require('../models/schedulerJob.model');
+const SchedulerJobRun = require('../models/schedulerJobRun.model');
+const { addDays } = require('../utils/timezone.utils');
 
 /**
  * Automatic Notification Scheduler
- * This service sets up automatic daily checks for notifications
+ * Runs the jobs stored in MongoDB (SchedulerJob) on their cron schedules and
+ * records each execution (SchedulerJobRun). Every instance schedules every
+ * enabled job; the job lock makes sure only one of them executes each run
  */
 
+/**
+ * Tasks jobs can run
+ * run({ timezone }) resolves with the task's result counts
+ * defaultCron is used for the built-in job of the same name
+ */
+const TASKS = {
+  absenceCheck: {
+    description: 'Notify about interns who have not checked in',
+    defaultCron: '0 10 * * *',
+    run: () => AbsenceService.checkDailyAbsences()
+  },
+  missedCheckout: {
+    description: 'Notify about interns who did not check out the previous day',
+    defaultCron: '0 8 * * *',
+    run: () => AbsenceService.checkMissedCheckouts()
+  },
+  perfectAttendance: {
+    description: 'Notify about interns with perfect attendance',
+    defaultCron: '0 18 * * *',
+    run: () => AbsenceService.checkPerfectAttendance()
+  },
+  escalationCheck: {
+    description: 'Escalate consecutive absences and late arrivals',
+    defaultCron: '30 10 * * *',
+    run: () => EscalationService.runEscalations()
+  },
+  comprehensiveCheck: {
+    description: 'Run all attendance checks',
+    defaultCron: '0 23 * * *',
+    run: () => AbsenceService.runAllChecks()
+  },
+  dailyDigest: {
+    description: 'Email the daily attendance digest',
+    defaultCron: '30 18 * * *',
+    run: () => DigestService.sendDailyDigest()
+  },
+  weeklySummary: {
+    description: 'Email the weekly attendance summary for the previous 7 days',
+    defaultCron: '0 8 * * 1',
+    run: ({ timezone }) => DigestService.sendWeeklySummary({ weekEnd: addDays(new Date(), -1, timezone) })
+  },
+  internReminders: {
+    description: 'Remind interns who have not checked in or out',
+    defaultCron: '*/5 * * * *',
+    leaseMinutes: 5,
+    run: () => ReminderService.sendReminders()
+  },
+  notificationDigest: {
+    description: 'Email users whose notification preference is digest the notifications they received',
+    defaultCron: '0 17 * * *',
+    run: () => DigestService.sendNotificationDigests()
+  },
+  mailQueue: {
+    description: 'Retry queued emails',
+    defaultCron: '* * * * *',
+    leaseMinutes: 5,
+    run: () => MailService.processQueue()
+  },
+  webhookQueue: {
+    description: 'Retry queued webhook deliveries',
+    defaultCron: '* * * * *',
+    leaseMinutes: 5,
+    run: () => WebhookService.processQueue()
+  }
+};
+
+// Manual check triggers -> built-in job they run
+const CHECK_TASKS = {
+  all: 'comprehensiveCheck',
+  absence: 'absenceCheck',
+  missedCheckout: 'missedCheckout',
+  perfectAttendance: 'perfectAttendance'
+};
+
 class NotificationScheduler {
+  static TASKS = TASKS;
+  static CHECK_TASKS = CHECK_TASKS;
+  static instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
   static isRunning = false;
   static scheduledTasks = [];
+  static syncTask = null;
+  static signature = null;
+  static timezone = null;
+
+  /**
+   * Create the built-in jobs that do not exist yet
+   */
+  static async seedDefaultJobs() {
+    await Promise.all(Object.entries(TASKS).map(([task, definition]) =>
+      SchedulerJob.updateOne(
+        { name: task },
+        {
+          $setOnInsert: {
+            name: task,
+            task,
+            description: definition.description,
+            cronExpression: definition.defaultCron,
+            isDefault: true
+          }
+        },
+        { upsert: true }
+      ).catch(error => {
+        // Another instance inserted it first
+        if (error.code !== 11000) throw error;
+      })
+    ));
+  }
 
   /**
    * Start all automatic notification checks
+   * Cron times are interpreted in the job's timezone, or the organization timezone from Settings
    */
-  static start() {
+  static async start() {
     if (this.isRunning) {
       console.log('⚠️ Notification scheduler is already running');
       return;
     }
 
-    console.log('🚀 Starting automatic notification scheduler...');
+    await this.seedDefaultJobs();
+    this.timezone = await AttendancePolicy.getTimezone();
 
-    // Schedule daily absence check at 10:00 AM every day
-    const absenceCheckTask = cron.schedule('0 10 * * *', async () => {
-      try {
-        console.log('⏰ Running scheduled absence check...');
-        await AbsenceService.checkDailyAbsences();
-      } catch (error) {
-        console.error('❌ Error in scheduled absence check:', error);
-      }
-    }, {
-      scheduled: false,
-      timezone: "Africa/Lagos" // Adjust timezone as needed
-    });
+    console.log(`🚀 Starting automatic notification scheduler (${this.timezone}, instance ${this.instanceId})...`);
 
-    // Schedule missed checkout check at 8:00 AM every day (for previous day)
-    const missedCheckoutTask = cron.schedule('0 8 * * *', async () => {
-      try {
-        console.log('⏰ Running scheduled missed checkout check...');
-        await AbsenceService.checkMissedCheckouts();
-      } catch (error) {
-        console.error('❌ Error in scheduled missed checkout check:', error);
-      }
-    }, {
-      scheduled: false,
-      timezone: "Africa/Lagos" // Adjust timezone as needed
-    });
+    await this.scheduleJobs();
 
-    // Schedule perfect attendance check at 6:00 PM every day
-    const perfectAttendanceTask = cron.schedule('0 18 * * *', async () => {
+    // Pick up job and timezone changes made through other instances
+    this.syncTask = cron.schedule('* * * * *', async () => {
       try {
-        console.log('⏰ Running scheduled perfect attendance check...');
-        await AbsenceService.checkPerfectAttendance();
+        await this.sync();
       } catch (error) {
-        console.error('❌ Error in scheduled perfect attendance check:', error);
+        console.error('❌ Error syncing scheduler jobs:', error);
       }
-    }, {
-      scheduled: false,
-      timezone: "Africa/Lagos" // Adjust timezone as needed
     });
 
-    // Schedule comprehensive check at 11:00 PM every day
-    const comprehensiveCheckTask = cron.schedule('0 23 * * *', async () => {
-      try {
-        console.log('⏰ Running comprehensive daily check...');
-        await AbsenceService.runAllChecks();
-      } catch (error) {
-        console.error('❌ Error in comprehensive daily check:', error);
-      }
-    }, {
-      scheduled: false,
-      timezone: "Africa/Lagos" // Adjust timezone as needed
+    this.isRunning = true;
+    console.log('✅ Automatic notification scheduler started successfully!');
+    console.log('📅 Scheduled jobs:');
+    this.scheduledTasks.forEach(({ name, schedule, timezone }) => {
+      console.log(`   - ${name}: ${schedule} (${timezone})`);
     });
+  }
+
+  /**
+   * Schedule every enabled job
+   */
+  static async scheduleJobs() {
+    const jobs = await SchedulerJob.find().sort({ name: 1 });
+    this.signature = this.getSignature(jobs, this.timezone);
 
-    // Start all tasks
-    absenceCheckTask.start();
-    missedCheckoutTask.start();
-    perfectAttendanceTask.start();
-    comprehensiveCheckTask.start();
+    this.scheduledTasks = jobs
+      .filter(job => job.enabled)
+      .filter(job => {
+        if (TASKS[job.task]) return true;
+        console.warn(`⚠️ Skipping job ${job.name}: unknown task ${job.task}`);
+        return false;
+      })
+      .map(job => {
+        const timezone = job.timezone || this.timezone;
+        const task = cron.schedule(job.cronExpression, async () => {
+          try {
+            await this.execute(job._id, { trigger: 'schedule' });
+          } catch (error) {
+            console.error(`❌ Error in scheduled job ${job.name}:`, error);
+          }
+        }, { timezone });
 
-    // Store tasks for later management
-    this.scheduledTasks = [
-      { name: 'absenceCheck', task: absenceCheckTask, schedule: '10:00 AM daily' },
-      { name: 'missedCheckout', task: missedCheckoutTask, schedule: '8:00 AM daily' },
-      { name: 'perfectAttendance', task: perfectAttendanceTask, schedule: '6:00 PM daily' },
-      { name: 'comprehensiveCheck', task: comprehensiveCheckTask, schedule: '11:00 PM daily' }
-    ];
+        return { id: job._id, name: job.name, task, jobTask: job.task, schedule: job.cronExpression, timezone };
+      });
+  }
 
-    this.isRunning = true;
-    console.log('✅ Automatic notification scheduler started successfully!');
-    console.log('📅 Scheduled tasks:');
-    this.scheduledTasks.forEach(({ name, schedule }) => {
-      console.log(`   - ${name}: ${schedule}`);
+  /**
+   * Stop the cron tasks of all scheduled jobs
+   */
+  static unscheduleJobs() {
+    this.scheduledTasks.forEach(({ task }) => task.stop());
+    this.scheduledTasks = [];
+  }
+
+  // Fingerprint of the job definitions, to detect changes
+  static getSignature(jobs, timezone) {
+    return [timezone, ...jobs.map(job => `${job._id}:${job.updatedAt?.getTime()}`)].join('|');
+  }
+
+  /**
+   * Reschedule if jobs or the organization timezone changed since the last load
+   */
+  static async sync() {
+    const [jobs, timezone] = await Promise.all([
+      SchedulerJob.find().select('updatedAt').sort({ name: 1 }),
+      AttendancePolicy.getTimezone()
+    ]);
+
+    if (this.getSignature(jobs, timezone) === this.signature) return;
+
+    console.log('🔄 Scheduler jobs changed, rescheduling...');
+    this.timezone = timezone;
+    await this.reload();
+  }
+
+  /**
+   * Reschedule all jobs (after a job was created, edited or deleted)
+   * Does nothing if the scheduler is not running
+   */
+  static async reload() {
+    if (!this.isRunning) return;
+
+    this.unscheduleJobs();
+    await this.scheduleJobs();
+  }
+
+  /**
+   * Run a job once, if this instance can claim it, and record the run
+   * @param {ObjectId} jobId - Job to run
+   * @param {Object} options - { trigger: 'schedule'|'manual', triggeredBy: user ID }
+   * @returns {Object} Finished SchedulerJobRun, or null if another instance is running the job
+   */
+  static async execute(jobId, { trigger = 'schedule', triggeredBy = null } = {}) {
+    const startedAt = new Date();
+
+    // All instances fire at the same cron slot - only the first to claim it runs
+    const scheduledFor = trigger === 'schedule'
+      ? new Date(Math.floor(startedAt.getTime() / 60000) * 60000)
+      : null;
+
+    const existing = await SchedulerJob.findById(jobId).select('task');
+    const definition = existing && TASKS[existing.task];
+    if (!definition) return null;
+
+    const job = await SchedulerJob.claim(jobId, {
+      instanceId: this.instanceId,
+      scheduledFor,
+      leaseMinutes: definition.leaseMinutes
     });
+    if (!job) return null;
+
+    const run = await SchedulerJobRun.create({
+      jobId: job._id,
+      jobName: job.name,
+      task: job.task,
+      trigger,
+      triggeredBy,
+      instanceId: this.instanceId,
+      scheduledFor,
+      startedAt
+    });
+
+    try {
+      if (trigger === 'manual') console.log(`🔧 Manually running job ${job.name}...`);
+      const timezone = job.timezone || this.timezone || await AttendancePolicy.getTimezone();
+      run.result = await definition.run({ timezone });
+      run.status = 'success';
+    } catch (error) {
+      console.error(`❌ Job ${job.name} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+      await run.save();
+      await SchedulerJob.release(job._id, this.instanceId, run);
+    }
+
+    return run;
   }
 
   /**
@@ -107,70 +296,62 @@ class NotificationScheduler {
     console.log('🛑 Stopping automatic notification scheduler...');
 
     // Stop all scheduled tasks
-    this.scheduledTasks.forEach(({ name, task }) => {
-      task.stop();
-      console.log(`   - Stopped ${name}`);
-    });
+    this.scheduledTasks.forEach(({ name }) => console.log(`   - Stopped ${name}`));
+    this.unscheduleJobs();
+    this.syncTask.stop();
 
-    this.scheduledTasks = [];
+    this.syncTask = null;
+    this.signature = null;
+    this.timezone = null;
     this.isRunning = false;
     console.log('✅ Notification scheduler stopped successfully');
   }
 
   /**
-   * Get status of the scheduler
+   * Restart the scheduler so it picks up a new organization timezone
+   * Does nothing if the scheduler is not running
+   */
+  static async restart() {
+    if (!this.isRunning) return;
+
+    this.stop();
+    await this.start();
+  }
+
+  /**
+   * Get status of the scheduler (on this instance)
    */
   static getStatus() {
     return {
       isRunning: this.isRunning,
+      instanceId: this.instanceId,
+      timezone: this.timezone,
       tasksCount: this.scheduledTasks.length,
-      tasks: this.scheduledTasks.map(({ name, schedule }) => ({ name, schedule }))
+      tasks: this.scheduledTasks.map(({ id, name, jobTask, schedule, timezone }) => ({
+        id,
+        name,
+        task: jobTask,
+        schedule,
+        timezone
+      }))
     };
   }
 
   /**
-   * Manually trigger all checks (for testing or immediate execution)
+   * Manually run one of the checks through its built-in job, so the run is
+   * locked and recorded like any other
+   * @param {String} checkType - 'all', 'absence', 'missedCheckout' or 'perfectAttendance'
+   * @param {ObjectId} triggeredBy - User running the check
+   * @returns {Object} Finished SchedulerJobRun, or null if the job is already running
    */
-  static async triggerManualCheck() {
-    try {
-      console.log('🔧 Manually triggering all notification checks...');
-      const results = await AbsenceService.runAllChecks();
-      console.log('✅ Manual check completed successfully');
-      return results;
-    } catch (error) {
-      console.error('❌ Error in manual check:', error);
-      throw error;
-    }
-  }
+  static async triggerCheck(checkType, triggeredBy = null) {
+    const task = CHECK_TASKS[checkType];
+    if (!task) throw new Error(`Unknown check type: ${checkType}`);
 
-  /**
-   * Trigger specific check type
-   */
-  static async triggerSpecificCheck(checkType) {
-    try {
-      console.log(`🔧 Manually triggering ${checkType} check...`);
-      let results;
-
-      switch (checkType) {
-        case 'absence':
-          results = await AbsenceService.checkDailyAbsences();
-          break;
-        case 'missedCheckout':
-          results = await AbsenceService.checkMissedCheckouts();
-          break;
-        case 'perfectAttendance':
-          results = await AbsenceService.checkPerfectAttendance();
-          break;
-        default:
-          throw new Error(`Unknown check type: ${checkType}`);
-      }
+    await this.seedDefaultJobs();
+    const job = await SchedulerJob.findOne({ name: task, isDefault: true }).select('_id');
 
-      console.log(`✅ ${checkType} check completed successfully`);
-      return results;
-    } catch (error) {
-      console.error(`❌ Error in ${checkType} check:`, error);
-      throw error;
-    }
+    return this.execute(job._id, { trigger: 'manual', triggeredBy });
   }
 }
 
@@ -0,0 +1,175 @@
+const User = require('../models/user.model');
+const Intern = require('../models/intern.model');
+const Department = require('../models/department.model');
+const NotificationRule = require('../models/notificationRule.model');
+const NotificationPreference = require('../models/notificationPreference.model');
+const AttendancePolicy = require('./attendancePolicy.service');
+
+/**
+ * Notification Routing Service
+ * Decides who receives a notification (the matching routing rules, or the
+ * event's built-in targets) and how (each recipient's preferences)
+ */
+
+// recipientRole stored on notifications sent to each target
+const TARGET_ROLES = {
+  admins: 'admin',
+  supervisor: 'manager',
+  department_heads: 'manager',
+  intern: 'user'
+};
+
+// Targets that may be unassigned - their events fall back to admins
+const ASSIGNED_TARGETS = ['supervisor', 'department_heads'];
+
+const idOf = (value) => value?._id || value;
+
+class NotificationRoutingService {
+  /**
+   * Get the department, user and supervisor of the intern an event is about
+   * Callers don't always pass the full intern (e.g. the absence check), so
+   * missing fields are loaded
+   * @param {Object} internData - Intern document or partial data (optional)
+   * @returns {Object} { department, userId, supervisorId }
+   */
+  static async getInternInfo(internData) {
+    if (!internData) return {};
+
+    let info = {
+      department: internData.department,
+      userId: idOf(internData.userId),
+      supervisorId: idOf(internData.supervisor)
+    };
+
+    if (internData._id && (!info.department || !info.userId || internData.supervisor === undefined)) {
+      const intern = await Intern.findById(internData._id).select('department userId supervisor').lean();
+      if (intern) {
+        info = {
+          department: info.department || intern.department,
+          userId: info.userId || intern.userId,
+          supervisorId: info.supervisorId || intern.supervisor
+        };
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Get the targets for an event: those of every matching enabled rule,
+   * or the default targets when no rule matches (or the event is personal).
+   * Events addressed to the intern always keep the intern as a target
+   * @param {Object} event - { eventType, department, priority }
+   * @param {Array} defaultTargets - Built-in targets of the event
+   * @returns {Object} { targets, rules }
+   */
+  static async getTargets(event, defaultTargets) {
+    if (NotificationRule.PERSONAL_EVENT_TYPES.includes(event.eventType)) {
+      return { targets: defaultTargets, rules: [] };
+    }
+
+    const rules = (await NotificationRule.find({ enabled: true })).filter(rule => rule.matches(event));
+
+    if (rules.length === 0) {
+      return { targets: defaultTargets, rules };
+    }
+
+    const targets = rules.flatMap(rule => rule.targets);
+    if (NotificationRule.INTERN_EVENT_TYPES.includes(event.eventType)) targets.unshift('intern');
+
+    return { targets: [...new Set(targets)], rules };
+  }
+
+  /**
+   * Load the active users behind targets
+   * @param {Array} targets - e.g. ['supervisor', 'admins']
+   * @param {Object} intern - From getInternInfo()
+   * @returns {Array} [{ user, recipientRole }] - each user once (first target wins)
+   */
+  static async resolveTargets(targets, intern = {}) {
+    const recipients = new Map();
+
+    for (const target of targets) {
+      let users = [];
+
+      switch (target) {
+        case 'admins':
+          users = await User.find({ role: 'admin', isActive: true });
+          break;
+        case 'supervisor':
+          users = intern.supervisorId ? await User.find({ _id: intern.supervisorId, isActive: true }) : [];
+          break;
+        case 'intern':
+          users = intern.userId ? await User.find({ _id: intern.userId, isActive: true }) : [];
+          break;
+        case 'department_heads': {
+          const department = intern.department
+            ? await Department.findOne({ name: intern.department }).select('heads')
+            : null;
+          users = department?.heads?.length
+            ? await User.find({ _id: { $in: department.heads }, isActive: true })
+            : [];
+          break;
+        }
+        default:
+          break;
+      }
+
+      users.forEach(user => {
+        const key = user._id.toString();
+        if (!recipients.has(key)) {
+          recipients.set(key, { user, recipientRole: TARGET_ROLES[target] });
+        }
+      });
+    }
+
+    return [...recipients.values()];
+  }
+
+  /**
+   * Route an event to its recipients and delivery channels
+   * @param {Object} event - { eventType, priority }
+   * @param {Object} options - { internData, defaultTargets }
+   * @returns {Array} [{ user, recipientRole, channel, quiet }] - muted recipients are left out;
+   *   quiet recipients are in their quiet hours (email copies move to the digest)
+   */
+  static async route(event, { internData = null, defaultTargets = ['admins'] } = {}) {
+    const intern = await this.getInternInfo(internData);
+    const { targets, rules } = await this.getTargets({ ...event, department: intern.department }, defaultTargets);
+
+    let recipients = await this.resolveTargets(targets, intern);
+
+    // Don't lose an alert because the intern has no supervisor or department head
+    if (recipients.length === 0 && targets.some(target => ASSIGNED_TARGETS.includes(target))) {
+      recipients = await this.resolveTargets(['admins'], intern);
+    }
+
+    if (rules.length > 0) {
+      console.log(`🧭 ${event.eventType} routed by ${rules.map(rule => rule.name).join(', ')} to ${targets.join(', ')}`);
+    }
+
+    const preferences = await NotificationPreference.findForUsers(recipients.map(({ user }) => user._id));
+
+    // Quiet hours are expressed in the organization timezone; urgent notifications ignore them
+    const now = new Date();
+    const timeZone = event.priority !== 'urgent' && [...preferences.values()].some(p => p.quietHours?.enabled)
+      ? await AttendancePolicy.getTimezone()
+      : null;
+
+    return recipients
+      .map(recipient => {
+        const preference = preferences.get(recipient.user._id.toString());
+        const channel = preference?.getChannel(event.eventType) || 'in_app';
+        const quiet = !!timeZone && !!preference?.isQuietTime(now, timeZone);
+
+        return {
+          ...recipient,
+          channel: quiet && channel === 'email' ? 'digest' : channel,
+          quiet
+        };
+      })
+      .filter(({ channel }) => channel !== 'muted');
+  }
+}
+
+module.exports = NotificationRoutingService;
@@ -0,0 +1,190 @@
+const Notification = require('../models/notification.model');
+
+/**
+ * Realtime Service
+ * Pushes events to connected clients over Server-Sent Events
+ * (GET /api/notifications/stream). Connections live in this process, so each
+ * server instance only reaches the clients connected to it
+ *
+ * Events:
+ *   connected     { unreadCount }
+ *   notification  { notification, unreadCount }
+ *   unread_count  { unreadCount }
+ *   attendance    { event: 'check_in'|'check_out', internId, internName, department, status, time, ... }
+ */
+
+// Comment line sent periodically so proxies don't close idle connections
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Oldest connections are closed beyond this many per user (e.g. many open tabs)
+const MAX_CONNECTIONS_PER_USER = 5;
+
+class RealtimeService {
+  // userId -> Set of { res, role }
+  static clients = new Map();
+  static heartbeat = null;
+
+  /**
+   * Open an event stream for the authenticated user
+   * @param {Object} req - Request (req.user set by the auth middleware)
+   * @param {Object} res - Response kept open for the stream
+   */
+  static async subscribe(req, res) {
+    const userId = req.user._id.toString();
+    const client = { res, role: req.user.role };
+    const unreadCount = await this.getUnreadCount(userId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx-style proxies
+      'X-Accel-Buffering': 'no'
+    });
+    req.socket.setTimeout(0);
+    res.write('retry: 5000\n\n');
+
+    if (!this.clients.has(userId)) this.clients.set(userId, new Set());
+    const connections = this.clients.get(userId);
+    connections.add(client);
+
+    if (connections.size > MAX_CONNECTIONS_PER_USER) {
+      const [oldest] = connections;
+      this.removeClient(userId, oldest);
+      oldest.res.end();
+    }
+
+    req.on('close', () => this.removeClient(userId, client));
+    this.startHeartbeat();
+
+    console.log(`📡 Realtime client connected for ${req.user.email} (${this.countConnections()} open)`);
+
+    this.write(client, 'connected', { unreadCount });
+  }
+
+  static removeClient(userId, client) {
+    const connections = this.clients.get(userId);
+    if (!connections) return;
+
+    connections.delete(client);
+    if (connections.size === 0) this.clients.delete(userId);
+    if (this.clients.size === 0) this.stopHeartbeat();
+  }
+
+  static startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(connections => connections.forEach(({ res }) => res.write(': ping\n\n')));
+    }, HEARTBEAT_INTERVAL_MS);
+    // Don't keep the process alive just for heartbeats
+    this.heartbeat.unref();
+  }
+
+  static stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  static countConnections() {
+    let count = 0;
+    this.clients.forEach(connections => { count += connections.size; });
+    return count;
+  }
+
+  // Write one event in SSE format
+  static write(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Send an event to every connection of a user
+   * @param {String|ObjectId} userId - Recipient user
+   * @param {String} event - Event name
+   * @param {Object} data - JSON payload
+   * @returns {Number} Connections the event was written to
+   */
+  static sendToUser(userId, event, data) {
+    const connections = userId ? this.clients.get(userId.toString()) : null;
+    if (!connections) return 0;
+
+    connections.forEach(client => this.write(client, event, data));
+    return connections.size;
+  }
+
+  /**
+   * Send an event to every connected user with one of the roles
+   * @param {Array} roles - e.g. ['admin']
+   * @param {String} event - Event name
+   * @param {Object} data - JSON payload
+   * @param {Set} skipUserIds - Users that already received the event
+   */
+  static sendToRoles(roles, event, data, skipUserIds = new Set()) {
+    this.clients.forEach((connections, userId) => {
+      if (skipUserIds.has(userId)) return;
+      connections.forEach(client => {
+        if (roles.includes(client.role)) this.write(client, event, data);
+      });
+    });
+  }
+
+  static isConnected(userId) {
+    return this.clients.has(userId.toString());
+  }
+
+  static async getUnreadCount(userId) {
+    return Notification.countDocuments({ recipient: userId, isRead: false });
+  }
+
+  /**
+   * Push a newly created notification to its recipient
+   * @param {Object} notification - Saved Notification document
+   */
+  static async publishNotification(notification) {
+    if (!this.isConnected(notification.recipient)) return;
+
+    this.sendToUser(notification.recipient, 'notification', {
+      notification,
+      unreadCount: await this.getUnreadCount(notification.recipient)
+    });
+  }
+
+  /**
+   * Push a user's unread count (after notifications are read or deleted)
+   * @param {String|ObjectId} userId - User whose count changed
+   */
+  static async publishUnreadCount(userId) {
+    if (!this.isConnected(userId)) return;
+
+    this.sendToUser(userId, 'unread_count', { unreadCount: await this.getUnreadCount(userId) });
+  }
+
+  /**
+   * Push a live check-in or check-out to admins, the intern's supervisor and the intern
+   * @param {String} event - 'check_in' or 'check_out'
+   * @param {Object} intern - Intern document (userId may be populated)
+   * @param {Object} attendance - Saved Attendance document
+   */
+  static publishAttendance(event, intern, attendance) {
+    const internUserId = (intern.userId?._id || intern.userId)?.toString();
+    const data = {
+      event,
+      attendanceId: attendance._id,
+      internId: intern._id,
+      internName: intern.userId?.name || intern.name,
+      department: intern.department,
+      status: attendance.status,
+      time: event === 'check_in' ? attendance.checkInTime : attendance.checkOutTime,
+      method: event === 'check_in' ? attendance.checkInMethod : attendance.checkOutMethod,
+      flagged: !!attendance.fraud?.flagged
+    };
+
+    const notified = new Set();
+    [(intern.supervisor?._id || intern.supervisor)?.toString(), internUserId].filter(Boolean).forEach(userId => {
+      if (this.sendToUser(userId, 'attendance', data)) notified.add(userId);
+    });
+    this.sendToRoles(['admin'], 'attendance', data, notified);
+  }
+}
+
+module.exports = RealtimeService;
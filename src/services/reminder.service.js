@@ -0,0 +1,172 @@
+const Intern = require('../models/intern.model');
+const Attendance = require('../models/attendance.model');
+const Notification = require('../models/notification.model');
+const { NotificationService } = require('../controllers/notification.controller');
+const AttendancePolicy = require('./attendancePolicy.service');
+const LeaveService = require('./leave.service');
+const { getDayRange, addDays, formatDateKey, formatTime } = require('../utils/timezone.utils');
+
+/**
+ * Intern Reminder Service
+ * Reminds interns who have not checked in shortly after their shift starts and
+ * those who have not checked out near its end. Runs every few minutes; each
+ * intern gets at most one reminder of each kind per working day. Timing comes
+ * from Settings.notifications.reminders; interns opt out by muting the
+ * checkin_reminder / checkout_reminder events in their notification preferences
+ */
+
+// Forgotten check-outs are still reminded this long after the shift ends
+// (e.g. when the intern's quiet hours held the reminder back)
+const CHECKOUT_REMINDER_GRACE_MINUTES = 120;
+
+const MINUTE = 60 * 1000;
+
+class ReminderService {
+  /**
+   * Get the interns already reminded (or congratulated)
+   * @param {String} type - 'checkin_reminder', 'checkout_reminder' or 'attendance_streak'
+   * @param {Array} dateKeys - Working days (YYYY-MM-DD)
+   * @returns {Set} `${internId}|${date}` keys
+   */
+  static async getSentReminders(type, dateKeys) {
+    const sent = await Notification.find({
+      'metadata.eventType': type,
+      'metadata.date': { $in: dateKeys }
+    }).select('metadata.internId metadata.date').lean();
+
+    return new Set(sent.map(({ metadata }) => `${metadata.internId}|${metadata.date}`));
+  }
+
+  /**
+   * Remind interns who have not checked in once checkInAfter minutes of their shift have passed
+   * Interns on leave or not scheduled today are skipped
+   */
+  static async sendCheckInReminders() {
+    const settings = await AttendancePolicy.getSettings();
+    const reminders = settings.notifications?.reminders || {};
+
+    if (reminders.checkIn === false) {
+      return { skipped: 'Check-in reminders are disabled' };
+    }
+
+    const now = new Date();
+    const timeZone = await AttendancePolicy.getTimezone();
+    const { start: today, end: endOfDay } = getDayRange(now, timeZone);
+    const dateKey = formatDateKey(today, timeZone);
+
+    const [interns, records, onLeaveInternIds, resolvePolicy, sent] = await Promise.all([
+      Intern.find({ status: 'active', userId: { $ne: null } }).select('userId department supervisor'),
+      Attendance.find({ date: { $gte: today, $lt: endOfDay } }).select('internId'),
+      LeaveService.getInternIdsOnLeave(today, endOfDay),
+      AttendancePolicy.createResolver(),
+      this.getSentReminders('checkin_reminder', [dateKey])
+    ]);
+
+    const checkedIn = new Set(records.map(record => record.internId.toString()));
+    const delay = (reminders.checkInAfter ?? 15) * MINUTE;
+    let remindersSent = 0;
+
+    for (const intern of interns) {
+      const internId = intern._id.toString();
+      if (checkedIn.has(internId) || onLeaveInternIds.has(internId) || sent.has(`${internId}|${dateKey}`)) continue;
+
+      const policy = resolvePolicy(intern.department, intern._id);
+      if (!AttendancePolicy.isWorkingDay(policy, today)) continue;
+
+      const { start, end } = AttendancePolicy.getShiftWindow(policy, today);
+      if (now < new Date(start.getTime() + delay) || now >= end) continue;
+
+      try {
+        const notifications = await NotificationService.createInternReminderNotification('checkin_reminder', intern, {
+          date: dateKey,
+          shiftStart: formatTime(start, policy.timezone)
+        });
+        if (notifications.length > 0) remindersSent++;
+      } catch (error) {
+        console.error(`Failed to remind intern ${internId} to check in:`, error.message);
+      }
+    }
+
+    if (remindersSent > 0) {
+      console.log(`⏰ Sent ${remindersSent} check-in reminder(s)`);
+    }
+
+    return { remindersSent };
+  }
+
+  /**
+   * Remind interns who are still checked in checkOutBefore minutes before their shift ends
+   * Yesterday's records are included for overnight shifts
+   */
+  static async sendCheckOutReminders() {
+    const settings = await AttendancePolicy.getSettings();
+    const reminders = settings.notifications?.reminders || {};
+
+    if (reminders.checkOut === false) {
+      return { skipped: 'Check-out reminders are disabled' };
+    }
+
+    const now = new Date();
+    const timeZone = await AttendancePolicy.getTimezone();
+    const { end: endOfDay } = getDayRange(now, timeZone);
+    const yesterday = addDays(now, -1, timeZone);
+    const dateKeys = [formatDateKey(yesterday, timeZone), formatDateKey(now, timeZone)];
+
+    const [openRecords, resolvePolicy, sent] = await Promise.all([
+      Attendance.find({
+        date: { $gte: getDayRange(yesterday, timeZone).start, $lt: endOfDay },
+        checkInTime: { $ne: null },
+        checkOutTime: { $exists: false }
+      }).populate('internId', 'userId department supervisor status'),
+      AttendancePolicy.createResolver(),
+      this.getSentReminders('checkout_reminder', dateKeys)
+    ]);
+
+    const lead = (reminders.checkOutBefore ?? 10) * MINUTE;
+    let remindersSent = 0;
+
+    for (const record of openRecords) {
+      const intern = record.internId;
+      if (!intern || !intern.userId || intern.status !== 'active') continue;
+
+      const dateKey = formatDateKey(record.date, timeZone);
+      if (sent.has(`${intern._id}|${dateKey}`)) continue;
+
+      const policy = resolvePolicy(intern.department, intern._id);
+      const { end } = AttendancePolicy.getShiftWindow(policy, record.date);
+      if (now < new Date(end.getTime() - lead) || now >= new Date(end.getTime() + CHECKOUT_REMINDER_GRACE_MINUTES * MINUTE)) {
+        continue;
+      }
+
+      try {
+        const notifications = await NotificationService.createInternReminderNotification('checkout_reminder', intern, {
+          date: dateKey,
+          attendanceId: record._id,
+          shiftEnd: formatTime(end, policy.timezone),
+          shiftEnded: now >= end
+        });
+        if (notifications.length > 0) remindersSent++;
+      } catch (error) {
+        console.error(`Failed to remind intern ${intern._id} to check out:`, error.message);
+      }
+    }
+
+    if (remindersSent > 0) {
+      console.log(`⏰ Sent ${remindersSent} check-out reminder(s)`);
+    }
+
+    return { remindersSent };
+  }
+
+  /**
+   * Send all due reminders (called by the scheduler)
+   */
+  static async sendReminders() {
+    return {
+      checkIn: await this.sendCheckInReminders(),
+      checkOut: await this.sendCheckOutReminders()
+    };
+  }
+}
+
+module.exports = ReminderService;
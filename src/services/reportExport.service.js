@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { getZonedParts, formatDateKey, DEFAULT_TIMEZONE } = require('../utils/timezone.utils');
+
+/**
+ * Report Export Service
+ * Builds Excel workbooks and branded PDF attendance reports locally
+ * (no external services) from the rows prepared by the reports controller
+ */
+
+const COLUMNS = [
+  { header: 'Name', key: 'name', width: 28 },
+  { header: 'Email', key: 'email', width: 32 },
+  { header: 'Employee ID', key: 'employeeId', width: 16 },
+  { header: 'Department', key: 'department', width: 22 },
+  { header: 'Present Days', key: 'presentDays', width: 14 },
+  { header: 'Absent Days', key: 'absentDays', width: 14 },
+  { header: 'Total Business Days', key: 'totalBusinessDays', width: 20 },
+  { header: 'Attendance Rate', key: 'attendanceRate', width: 16 },
+  { header: 'Last Attendance', key: 'lastAttendance', width: 18 }
+];
+
+const DATE_FORMAT = 'yyyy-mm-dd';
+const DATETIME_FORMAT = 'yyyy-mm-dd hh:mm';
+const PERCENT_FORMAT = '0.00%';
+
+// Excel stores dates without a zone, so shift instants to the organization
+// wall-clock time before writing them
+const toExcelDate = (date, timeZone) => {
+  if (!date) return null;
+  const p = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second));
+};
+
+// Excel sheet names are limited to 31 characters and cannot contain []:*?/\
+const toSheetName = (name, usedNames) => {
+  const base = String(name || 'Unknown').replace(/[\[\]:*?\/\\]/g, ' ').trim().slice(0, 31) || 'Unknown';
+  let sheetName = base;
+  let suffix = 2;
+
+  while (usedNames.has(sheetName.toLowerCase())) {
+    const tag = ` (${suffix++})`;
+    sheetName = `${base.slice(0, 31 - tag.length)}${tag}`;
+  }
+
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+// Group report rows by department name, keeping departments sorted
+const groupByDepartment = (rows) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const department = row.department || 'Unknown';
+    if (!groups.has(department)) groups.set(department, []);
+    groups.get(department).push(row);
+  });
+
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+};
+
+// Aggregate totals for a set of rows
+const summarize = (rows) => {
+  const presentDays = rows.reduce((sum, row) => sum + row.presentDays, 0);
+  const absentDays = rows.reduce((sum, row) => sum + row.absentDays, 0);
+  const totalBusinessDays = rows.reduce((sum, row) => sum + row.totalBusinessDays, 0);
+
+  return {
+    interns: rows.length,
+    presentDays,
+    absentDays,
+    totalBusinessDays,
+    attendanceRate: totalBusinessDays > 0 ? presentDays / totalBusinessDays : 0
+  };
+};
+
+class ReportExportService {
+  /**
+   * Resolve the organization logo to something PDFKit can draw
+   * Supports data URIs and files on local disk; remote URLs are skipped
+   * @param {String} logo - Settings.organization.logo
+   * @returns {Buffer|String|null} Image buffer, file path or null
+   */
+  static resolveLogo(logo) {
+    if (!logo || typeof logo !== 'string') return null;
+
+    const dataUri = logo.match(/^data:image\/(png|jpe?g);base64,(.+)$/i);
+    if (dataUri) {
+      return Buffer.from(dataUri[2], 'base64');
+    }
+
+    if (/^https?:\/\//i.test(logo) || !/\.(png|jpe?g)$/i.test(logo)) {
+      return null;
+    }
+
+    const candidates = [
+      path.join(process.cwd(), 'public', logo),
+      path.resolve(process.cwd(), logo.replace(/^\/+/, ''))
+    ];
+
+    return candidates.find(file => fs.existsSync(file)) || null;
+  }
+
+  /**
+   * Build an Excel workbook with a summary sheet and one sheet per department
+   * @param {Array} rows - Report rows (one per intern)
+   * @param {Object} meta - { organization, startDate, endDate, timeZone }
+   * @returns {Promise<Buffer>} XLSX file contents
+   */
+  static async buildWorkbook(rows, meta) {
+    const timeZone = meta.timeZone || DEFAULT_TIMEZONE;
+    const organizationName = meta.organization?.name || 'CheckMate';
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = organizationName;
+    workbook.created = new Date();
+
+    const departments = groupByDepartment(rows);
+    const usedNames = new Set();
+
+    // Summary sheet
+    const summary = workbook.addWorksheet(toSheetName('Summary', usedNames));
+    summary.columns = [
+      { key: 'label', width: 26 },
+      { key: 'interns', width: 12 },
+      { key: 'presentDays', width: 14 },
+      { key: 'absentDays', width: 14 },
+      { key: 'totalBusinessDays', width: 20 },
+      { key: 'attendanceRate', width: 16 }
+    ];
+
+    summary.addRow([`${organizationName} - Attendance Report`]).font = { bold: true, size: 14 };
+    summary.addRow(['Period Start', toExcelDate(meta.startDate, timeZone)]);
+    summary.addRow(['Period End', toExcelDate(meta.endDate, timeZone)]);
+    summary.addRow(['Generated At', toExcelDate(new Date(), timeZone)]);
+    summary.addRow(['Timezone', timeZone]);
+    summary.getCell('B2').numFmt = DATE_FORMAT;
+    summary.getCell('B3').numFmt = DATE_FORMAT;
+    summary.getCell('B4').numFmt = DATETIME_FORMAT;
+    summary.addRow([]);
+
+    const headerRow = summary.addRow([
+      'Department',
+      'Interns',
+      'Present Days',
+      'Absent Days',
+      'Total Business Days',
+      'Attendance Rate'
+    ]);
+    headerRow.font = { bold: true };
+
+    departments.forEach(([department, departmentRows]) => {
+      const totals = summarize(departmentRows);
+      summary.addRow({ label: department, ...totals }).getCell('attendanceRate').numFmt = PERCENT_FORMAT;
+    });
+
+    const totalRow = summary.addRow({ label: 'All Departments', ...summarize(rows) });
+    totalRow.font = { bold: true };
+    totalRow.getCell('attendanceRate').numFmt = PERCENT_FORMAT;
+
+    // One sheet per department
+    departments.forEach(([department, departmentRows]) => {
+      const sheet = workbook.addWorksheet(toSheetName(department, usedNames));
+      sheet.columns = COLUMNS;
+      sheet.getRow(1).font = { bold: true };
+      sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+      departmentRows.forEach(row => {
+        const added = sheet.addRow({
+          ...row,
+          lastAttendance: toExcelDate(row.lastAttendance, timeZone)
+        });
+        added.getCell('attendanceRate').numFmt = PERCENT_FORMAT;
+        added.getCell('lastAttendance').numFmt = DATE_FORMAT;
+      });
+    });
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  /**
+   * Build a branded PDF attendance report
+   * @param {Array} rows - Report rows (one per intern)
+   * @param {Object} meta - { organization, startDate, endDate, timeZone }
+   * @returns {Promise<Buffer>} PDF file contents
+   */
+  static buildPdf(rows, meta) {
+    const timeZone = meta.timeZone || DEFAULT_TIMEZONE;
+    const organizationName = meta.organization?.name || 'CheckMate';
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+      // Header with organization branding
+      const logo = this.resolveLogo(meta.organization?.logo);
+      let textLeft = left;
+      if (logo) {
+        try {
+          doc.image(logo, left, doc.y, { fit: [60, 60] });
+          textLeft = left + 72;
+        } catch (error) {
+          console.error('Failed to draw organization logo:', error.message);
+        }
+      }
+
+      const headerTop = doc.y;
+      doc.font('Helvetica-Bold').fontSize(18).text(organizationName, textLeft, headerTop, { width: width - (textLeft - left) });
+      doc.font('Helvetica').fontSize(10).fillColor('#555555');
+      if (meta.organization?.address) doc.text(meta.organization.address, textLeft);
+      if (meta.organization?.email) doc.text(meta.organization.email, textLeft);
+      doc.fillColor('black');
+      doc.y = Math.max(doc.y, headerTop + 64);
+
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(14).text('Attendance Report', left);
+      doc.font('Helvetica').fontSize(10).text(
+        `Period: ${formatDateKey(meta.startDate, timeZone)} to ${formatDateKey(meta.endDate, timeZone)} (${timeZone})`,
+        left
+      );
+      doc.text(`Generated: ${new Date().toLocaleString('en-US', { timeZone })}`, left);
+      doc.moveDown();
+
+      // Table helper
+      const drawTable = (columns, tableRows, { boldLast = false } = {}) => {
+        const rowHeight = 18;
+        const drawRow = (cells, bold) => {
+          if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+          }
+          const y = doc.y;
+          let x = left;
+          doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+          columns.forEach((column, i) => {
+            doc.text(String(cells[i] ?? ''), x + 2, y + 4, {
+              width: column.width - 4,
+              align: column.align || 'left',
+              lineBreak: false,
+              ellipsis: true
+            });
+            x += column.width;
+          });
+          doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).strokeColor('#dddddd').stroke();
+          doc.x = left;
+          doc.y = y + rowHeight;
+        };
+
+        drawRow(columns.map(column => column.header), true);
+        tableRows.forEach((cells, i) => drawRow(cells, boldLast && i === tableRows.length - 1));
+        doc.moveDown();
+      };
+
+      const percent = (rate) => `${(rate * 100).toFixed(2)}%`;
+      const departments = groupByDepartment(rows);
+
+      // Department summary
+      doc.font('Helvetica-Bold').fontSize(12).text('Summary by Department', left);
+      doc.moveDown(0.3);
+      const summaryRows = departments.map(([department, departmentRows]) => {
+        const totals = summarize(departmentRows);
+        return [department, totals.interns, totals.presentDays, totals.absentDays, totals.totalBusinessDays, percent(totals.attendanceRate)];
+      });
+      const overall = summarize(rows);
+      summaryRows.push(['All Departments', overall.interns, overall.presentDays, overall.absentDays, overall.totalBusinessDays, percent(overall.attendanceRate)]);
+
+      const numberColumn = (header) => ({ header, width: width * 0.14, align: 'right' });
+      drawTable([
+        { header: 'Department', width: width * 0.3 },
+        numberColumn('Interns'),
+        numberColumn('Present'),
+        numberColumn('Absent'),
+        numberColumn('Working Days'),
+        { header: 'Rate', width: width * 0.14, align: 'right' }
+      ], summaryRows, { boldLast: true });
+
+      // Intern details per department
+      departments.forEach(([department, departmentRows]) => {
+        doc.font('Helvetica-Bold').fontSize(12).text(department, left);
+        doc.moveDown(0.3);
+        drawTable([
+          { header: 'Name', width: width * 0.28 },
+          { header: 'Employee ID', width: width * 0.16 },
+          { header: 'Present', width: width * 0.11, align: 'right' },
+          { header: 'Absent', width: width * 0.11, align: 'right' },
+          { header: 'Working Days', width: width * 0.14, align: 'right' },
+          { header: 'Rate', width: width * 0.2, align: 'right' }
+        ], departmentRows.map(row => [
+          row.name,
+          row.employeeId,
+          row.presentDays,
+          row.absentDays,
+          row.totalBusinessDays,
+          percent(row.attendanceRate)
+        ]));
+      });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = ReportExportService;
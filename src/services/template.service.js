@@ -0,0 +1,194 @@
+const MessageTemplate = require('../models/messageTemplate.model');
+const AttendancePolicy = require('./attendancePolicy.service');
+const emailTemplates = require('../templates/email.templates');
+const notificationTemplates = require('../templates/notification.templates');
+const { renderTemplate } = require('../utils/template.utils');
+
+/**
+ * Template Service
+ * Renders emails and in-app notifications from the built-in templates
+ * (src/templates) or their admin overrides, in the organization language
+ * (Settings.system.language) with the organization branding
+ * (Settings.organization)
+ */
+
+const LANGUAGES = ['en', 'fr', 'es'];
+const LOCALES = { en: 'en-US', fr: 'fr-FR', es: 'es-ES' };
+const DEFAULT_BRAND_COLOR = '#10b981';
+
+const DEFAULTS = { ...emailTemplates, ...notificationTemplates };
+
+class TemplateService {
+  static LANGUAGES = LANGUAGES;
+
+  /**
+   * Get the built-in definition of a template
+   * @param {String} key - Template key
+   * @returns {Object} Definition or undefined
+   */
+  static getDefinition(key) {
+    return DEFAULTS[key];
+  }
+
+  /**
+   * List all template keys with their description
+   */
+  static listDefinitions() {
+    return Object.entries(DEFAULTS).map(([key, definition]) => ({
+      key,
+      channel: key.split('.')[0],
+      description: definition.description,
+      sample: definition.sample
+    }));
+  }
+
+  /**
+   * Organization language, branding and timezone from the active settings
+   * @returns {Object} { language, timeZone, variables }
+   */
+  static async getContext() {
+    const settings = await AttendancePolicy.getSettings();
+    const organization = settings.organization || {};
+    const logo = organization.logo || '';
+
+    return {
+      language: LANGUAGES.includes(settings.system?.language) ? settings.system.language : 'en',
+      timeZone: settings.system?.timezone,
+      variables: {
+        organization: {
+          name: organization.name || 'CheckMate',
+          // Email clients cannot load relative URLs
+          logoUrl: /^https?:\/\//.test(logo) ? logo : null,
+          address: organization.address,
+          email: organization.email,
+          phone: organization.phone,
+          brandColor: organization.brandColor || DEFAULT_BRAND_COLOR
+        },
+        frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+        year: new Date().getFullYear()
+      }
+    };
+  }
+
+  /**
+   * Get the template to use for a key and language
+   * An active override wins; otherwise the built-in version for the language (or English)
+   * @param {String} key - Template key
+   * @param {String} language - 'en', 'fr' or 'es'
+   * @returns {Object} { subject, title, body, language, source }
+   */
+  static async getTemplate(key, language) {
+    const definition = this.getDefinition(key);
+
+    if (!definition) {
+      throw new Error(`Unknown template: ${key}`);
+    }
+
+    const override = await MessageTemplate.findOne({ key, language, isActive: true });
+
+    if (override) {
+      return {
+        subject: override.subject,
+        title: override.title,
+        body: override.body,
+        language,
+        source: 'custom'
+      };
+    }
+
+    const builtIn = definition[language] ? language : 'en';
+    return { ...definition[builtIn], language: builtIn, source: 'default' };
+  }
+
+  /**
+   * Format a date in the organization language
+   * Date-only strings (YYYY-MM-DD) are formatted as calendar dates
+   * @param {Date|String} value - Date to format
+   * @param {String} language - 'en', 'fr' or 'es'
+   * @param {String} timeZone - IANA timezone
+   * @param {Object} options - Intl.DateTimeFormat options
+   */
+  static formatDate(value, language, timeZone, options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) {
+    const dateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+    return new Date(value).toLocaleString(LOCALES[language] || LOCALES.en, {
+      ...options,
+      timeZone: dateOnly ? 'UTC' : timeZone
+    });
+  }
+
+  /**
+   * Render an in-app notification
+   * @param {String} key - Template key (notification.*)
+   * @param {Object} variables - Template variables
+   * @param {Object} options - { language (defaults to the organization language), draft: { subject, body } to render unsaved changes }
+   * @returns {Object} { title, message, language }
+   */
+  static async renderNotification(key, variables = {}, { language, draft } = {}) {
+    const context = await this.getContext();
+    const template = await this.getTemplate(key, language || context.language);
+    if (draft) Object.assign(template, draft);
+    const values = { ...context.variables, ...variables };
+
+    return {
+      title: renderTemplate(template.subject, values),
+      message: renderTemplate(template.body, values),
+      language: template.language
+    };
+  }
+
+  /**
+   * Render an email inside the branded layout
+   * @param {String} key - Template key (email.*)
+   * @param {Object} variables - Template variables
+   * @param {Object} options - { language, draft: { subject, title, body } to render unsaved changes }
+   * @returns {Object} { subject, html, language }
+   */
+  static async renderEmail(key, variables = {}, { language, draft } = {}) {
+    const context = await this.getContext();
+    const lang = language || context.language;
+    const template = await this.getTemplate(key, lang);
+    if (draft) Object.assign(template, draft);
+    const values = { ...context.variables, ...variables };
+
+    const subject = renderTemplate(template.subject, values);
+    const content = renderTemplate(template.body, values, { html: true });
+
+    // The layout itself is an email template (previewing it renders a sample body)
+    if (key === 'email.layout') {
+      return { subject, html: content, language: template.language };
+    }
+
+    const layout = await this.getTemplate('email.layout', lang);
+    const html = renderTemplate(layout.body, {
+      ...values,
+      subject,
+      title: renderTemplate(template.title || template.subject, values),
+      content
+    }, { html: true });
+
+    return { subject, html, language: template.language };
+  }
+
+  /**
+   * Render a template with its sample variables (for the admin preview)
+   * @param {String} key - Template key
+   * @param {Object} options - { language, variables, draft }
+   * @returns {Object} Rendered email ({ subject, html }) or notification ({ title, message })
+   */
+  static async preview(key, { language, variables = {}, draft } = {}) {
+    const definition = this.getDefinition(key);
+
+    if (!definition) {
+      throw new Error(`Unknown template: ${key}`);
+    }
+
+    const values = { ...definition.sample, ...variables };
+
+    return key.startsWith('email.')
+      ? this.renderEmail(key, values, { language, draft })
+      : this.renderNotification(key, values, { language, draft });
+  }
+}
+
+module.exports = TemplateService;
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const Webhook = require('../models/webhook.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+
+/**
+ * Webhook Service
+ * Delivers events to the webhooks subscribed to them. Every delivery is
+ * stored (WebhookDelivery), sent right away and retried with exponential
+ * backoff by the scheduler if the endpoint does not answer with a 2xx.
+ *
+ * Each request is a JSON POST of { id, event, createdAt, data } with headers:
+ *   X-CheckMate-Event      event name
+ *   X-CheckMate-Delivery   delivery ID (the same on every retry)
+ *   X-CheckMate-Timestamp  Unix time of the attempt (seconds)
+ *   X-CheckMate-Signature  sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+ */
+
+// Endpoints must answer within this time
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+class WebhookService {
+  /**
+   * Sign a request body
+   * @param {String} secret - Webhook secret
+   * @param {Number} timestamp - Unix time in seconds
+   * @param {String} body - Raw JSON body
+   * @returns {String} Hex HMAC-SHA256 signature
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Queue an event for every enabled webhook subscribed to it and attempt delivery
+   * Never throws - callers do not wait for or depend on webhook delivery
+   * @param {String} event - e.g. 'attendance.check_in'
+   * @param {Object} data - Event data
+   * @param {Object} options - { idempotencyKey } skip webhooks that already got the event with this key
+   * @returns {Array} Deliveries
+   */
+  static async emit(event, data, { idempotencyKey } = {}) {
+    try {
+      const webhooks = await Webhook.find({ enabled: true, events: event }).select('+secret');
+      const deliveries = [];
+
+      for (const webhook of webhooks) {
+        const delivery = await this.createDelivery(webhook, event, data, { idempotencyKey });
+        if (delivery) deliveries.push(await this.deliver(delivery, webhook));
+      }
+
+      return deliveries;
+    } catch (error) {
+      console.error(`❌ Failed to emit ${event} webhooks:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Store a delivery claimed for immediate sending
+   * @returns {Object} Delivery, or null when one with the same idempotency key exists
+   */
+  static async createDelivery(webhook, event, data, { maxAttempts, idempotencyKey } = {}) {
+    const delivery = new WebhookDelivery({
+      webhookId: webhook._id,
+      event,
+      idempotencyKey,
+      status: 'sending',
+      lockedAt: new Date(),
+      maxAttempts
+    });
+    delivery.payload = { id: delivery._id, event, createdAt: delivery.lockedAt, data };
+
+    try {
+      return await delivery.save();
+    } catch (error) {
+      if (error.code === 11000 && idempotencyKey) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Attempt a claimed delivery and record the outcome
+   * @param {Object} delivery - WebhookDelivery in 'sending' state
+   * @param {Object} webhook - Webhook with its secret selected
+   * @returns {Object} Updated delivery
+   */
+  static async deliver(delivery, webhook) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    delivery.attempts += 1;
+    // Clear the previous attempt's response
+    delivery.recordResponse({});
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'CheckMate-Webhooks/1.0',
+          'X-CheckMate-Event': delivery.event,
+          'X-CheckMate-Delivery': delivery._id.toString(),
+          'X-CheckMate-Timestamp': String(timestamp),
+          'X-CheckMate-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      delivery.recordResponse({
+        status: response.status,
+        body: await response.text().catch(() => ''),
+        durationMs: Date.now() - startedAt
+      });
+
+      if (!response.ok) {
+        throw new Error(`Endpoint responded with HTTP ${response.status}`);
+      }
+
+      delivery.markDelivered();
+      console.log(`🔗 Webhook ${delivery.event} delivered to ${webhook.name}`);
+    } catch (error) {
+      // No response (network error or timeout)
+      if (delivery.responseStatus === undefined) {
+        delivery.durationMs = Date.now() - startedAt;
+      }
+      delivery.markFailed(error);
+      console.error(
+        `❌ Webhook ${delivery.event} to ${webhook.name} failed (attempt ${delivery.attempts}/${delivery.maxAttempts}):`,
+        error.message
+      );
+    }
+
+    await delivery.save();
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.status === 'delivered' ? 'delivered' : 'failed' },
+      { timestamps: false }
+    );
+
+    return delivery;
+  }
+
+  /**
+   * Send queued deliveries that are due for a retry
+   * @param {Number} limit - Maximum deliveries to process in one run
+   * @returns {Object} Summary of the run
+   */
+  static async processQueue(limit = 20) {
+    const summary = { processed: 0, delivered: 0, failed: 0 };
+
+    for (let i = 0; i < limit; i++) {
+      const delivery = await WebhookDelivery.claimNext();
+      if (!delivery) break;
+
+      const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+
+      if (!webhook || !webhook.enabled) {
+        delivery.status = 'failed';
+        delivery.lockedAt = undefined;
+        delivery.lastError = 'Webhook was deleted or disabled';
+        await delivery.save();
+      } else {
+        await this.deliver(delivery, webhook);
+      }
+
+      summary.processed += 1;
+      if (delivery.status === 'delivered') summary.delivered += 1;
+      if (delivery.status === 'failed') summary.failed += 1;
+    }
+
+    if (summary.processed > 0) {
+      console.log(`🔗 Webhook queue: ${summary.delivered} delivered, ${summary.failed} failed of ${summary.processed}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send a test event to a webhook (one attempt, not retried)
+   * @param {Object} webhook - Webhook with its secret selected
+   * @param {Object} user - Admin sending the test
+   * @returns {Object} Delivery
+   */
+  static async sendTest(webhook, user) {
+    const delivery = await this.createDelivery(webhook, 'webhook.test', {
+      message: 'Test event from CheckMate',
+      webhookId: webhook._id,
+      webhookName: webhook.name,
+      sentBy: user.email
+    }, { maxAttempts: 1 });
+
+    return this.deliver(delivery, webhook);
+  }
+
+  /**
+   * Event data for a check-in, check-out or late arrival
+   * @param {Object} intern - Intern document (userId may be populated)
+   * @param {Object} attendance - Attendance document
+   */
+  static attendanceData(intern, attendance) {
+    return {
+      attendanceId: attendance._id,
+      internId: intern._id,
+      employeeId: intern.employeeId,
+      internName: intern.userId?.name || intern.name,
+      department: intern.department,
+      date: attendance.date,
+      status: attendance.status,
+      checkInTime: attendance.checkInTime,
+      checkOutTime: attendance.checkOutTime,
+      checkInMethod: attendance.checkInMethod,
+      flagged: !!attendance.fraud?.flagged
+    };
+  }
+
+  /**
+   * Event data for a leave request or decision
+   * @param {Object} leave - Leave document
+   * @param {Object} intern - Intern document (userId may be populated)
+   */
+  static leaveData(leave, intern) {
+    return {
+      leaveId: leave._id,
+      internId: intern._id,
+      employeeId: intern.employeeId,
+      internName: intern.userId?.name || intern.name,
+      department: intern.department,
+      type: leave.type,
+      startDate: leave.startDate,
+      endDate: leave.endDate,
+      status: leave.status,
+      reviewNote: leave.reviewNote
+    };
+  }
+}
+
+module.exports = WebhookService;
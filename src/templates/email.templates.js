@@ -0,0 +1,602 @@
+/**
+ * Default email templates
+ * Each email body is placed in the shared 'email.layout' (branding header and
+ * footer) as {{{content}}}. Admins can override any of them per language
+ * (see MessageTemplate). All templates also receive:
+ *   organization { name, logoUrl, address, email, phone, brandColor }, frontendUrl, year
+ */
+
+const layoutBody = (lang, footerLine) => `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{subject}}</title>
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.7; color: #2d3748; background-color: #f7fafc; margin: 0; padding: 20px; }
+    .email-container { max-width: 650px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 10px 25px rgba(0, 0, 0, 0.1); overflow: hidden; }
+    .header { background: {{organization.brandColor}}; color: white; padding: 30px; text-align: center; }
+    .header img { max-height: 48px; margin-bottom: 10px; }
+    .header h1 { font-size: 26px; font-weight: 700; margin: 0; }
+    .content { padding: 40px 30px; }
+    .message { font-size: 16px; color: #4a5568; margin-bottom: 20px; }
+    .details-box { background-color: #f8fafc; border-left: 4px solid {{organization.brandColor}}; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0; }
+    .details-box h3 { color: #1a202c; font-size: 16px; margin: 0 0 12px 0; }
+    .detail-item { margin-bottom: 8px; font-size: 14px; }
+    .detail-label { font-weight: 600; color: #4a5568; }
+    .action-section { background-color: #edf2f7; padding: 25px; border-radius: 8px; margin: 25px 0; }
+    .action-section h3 { color: #1a202c; font-size: 16px; margin: 0 0 15px 0; }
+    .code-box { background: white; border: 2px dashed {{organization.brandColor}}; padding: 20px; text-align: center; margin: 20px 0; border-radius: 8px; }
+    .code { font-size: 32px; font-weight: bold; color: {{organization.brandColor}}; letter-spacing: 5px; }
+    .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+    .button { display: inline-block; background: {{organization.brandColor}}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
+    .footer { background-color: #1a202c; color: #e2e8f0; padding: 25px 30px; text-align: center; font-size: 14px; }
+    .footer p { margin: 0 0 5px 0; }
+    .footer .company { font-weight: 600; color: {{organization.brandColor}}; }
+  </style>
+</head>
+<body>
+  <div class="email-container">
+    <div class="header">
+      {{#if organization.logoUrl}}<img src="{{organization.logoUrl}}" alt="{{organization.name}}"><br>{{/if}}
+      <h1>{{title}}</h1>
+    </div>
+    <div class="content">
+      {{{content}}}
+    </div>
+    <div class="footer">
+      <p class="company">{{organization.name}}</p>
+      {{#if organization.address}}<p>{{organization.address}}</p>{{/if}}
+      {{#if organization.email}}<p>{{organization.email}}{{#if organization.phone}} · {{organization.phone}}{{/if}}</p>{{/if}}
+      <p>${footerLine}</p>
+      <p>© {{year}} {{organization.name}}</p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+module.exports = {
+  'email.layout': {
+    description: 'Branded wrapper used by every email ({{{content}}} is the email body, {{title}} its heading)',
+    sample: { title: 'Attendance Inquiry', subject: 'Attendance Inquiry', content: '<p class="message">Email content goes here.</p>' },
+    en: {
+      subject: '{{subject}}',
+      body: layoutBody('en', 'This is an automated message from the attendance system.')
+    },
+    fr: {
+      subject: '{{subject}}',
+      body: layoutBody('fr', 'Ceci est un message automatique du système de présence.')
+    },
+    es: {
+      subject: '{{subject}}',
+      body: layoutBody('es', 'Este es un mensaje automático del sistema de asistencia.')
+    }
+  },
+  'email.absentee': {
+    description: 'Sent to an intern who was marked absent',
+    sample: { internName: 'Jane Doe', employeeId: 'INT-0042', department: 'Engineering', date: 'Friday, March 14, 2025', shortDate: '3/14/2025', sentAt: 'March 14, 2025, 11:05 AM' },
+    en: {
+      subject: 'Attendance Inquiry - {{shortDate}}',
+      title: '📋 Attendance Inquiry Notice',
+      body: `<p class="message"><strong>Hello {{internName}},</strong></p>
+<p class="message">We hope this message finds you well. We noticed that you were marked as absent on <strong>{{date}}</strong> and wanted to follow up to ensure everything is okay.</p>
+<div class="details-box">
+  <h3>📊 Absence Details</h3>
+  <div class="detail-item"><span class="detail-label">Employee Name:</span> {{internName}}</div>
+  <div class="detail-item"><span class="detail-label">Employee ID:</span> {{employeeId}}</div>
+  <div class="detail-item"><span class="detail-label">Department:</span> {{department}}</div>
+  <div class="detail-item"><span class="detail-label">Absence Date:</span> {{date}}</div>
+  <div class="detail-item"><span class="detail-label">Email Sent:</span> {{sentAt}}</div>
+</div>
+<p class="message">Your attendance is important to us, and we want to make sure you have the support you need. If your absence was due to illness, personal emergency, or any other circumstances, please let us know so we can assist you appropriately.</p>
+<div class="action-section">
+  <h3>📝 Please Respond With:</h3>
+  <ul>
+    <li>The reason for your absence on {{date}}</li>
+    <li>Whether you need any support or assistance</li>
+    <li>If this was a planned absence that wasn't properly recorded</li>
+    <li>Any documentation if the absence was medical-related</li>
+    <li>Your expected return date if you're still unable to attend</li>
+  </ul>
+</div>
+<p class="message">Please reply to this email or contact your supervisor as soon as possible. We're here to support you and want to ensure your success in our program.</p>
+<p class="message"><strong>Best regards,</strong><br>{{organization.name}} Attendance Management Team</p>`
+    },
+    fr: {
+      subject: 'Demande concernant votre présence - {{shortDate}}',
+      title: '📋 Demande concernant votre présence',
+      body: `<p class="message"><strong>Bonjour {{internName}},</strong></p>
+<p class="message">Nous espérons que vous allez bien. Nous avons constaté que vous avez été marqué(e) absent(e) le <strong>{{date}}</strong> et souhaitons nous assurer que tout va bien.</p>
+<div class="details-box">
+  <h3>📊 Détails de l'absence</h3>
+  <div class="detail-item"><span class="detail-label">Nom :</span> {{internName}}</div>
+  <div class="detail-item"><span class="detail-label">Matricule :</span> {{employeeId}}</div>
+  <div class="detail-item"><span class="detail-label">Département :</span> {{department}}</div>
+  <div class="detail-item"><span class="detail-label">Date de l'absence :</span> {{date}}</div>
+  <div class="detail-item"><span class="detail-label">E-mail envoyé :</span> {{sentAt}}</div>
+</div>
+<p class="message">Votre présence est importante pour nous et nous voulons nous assurer que vous disposez du soutien nécessaire. Si votre absence est due à une maladie, une urgence personnelle ou toute autre raison, merci de nous en informer afin que nous puissions vous aider.</p>
+<div class="action-section">
+  <h3>📝 Merci de nous indiquer :</h3>
+  <ul>
+    <li>La raison de votre absence le {{date}}</li>
+    <li>Si vous avez besoin d'aide ou de soutien</li>
+    <li>S'il s'agissait d'une absence prévue qui n'a pas été enregistrée</li>
+    <li>Tout justificatif si l'absence est d'ordre médical</li>
+    <li>Votre date de retour prévue si vous êtes toujours absent(e)</li>
+  </ul>
+</div>
+<p class="message">Merci de répondre à cet e-mail ou de contacter votre superviseur dès que possible. Nous sommes là pour vous accompagner et contribuer à votre réussite.</p>
+<p class="message"><strong>Cordialement,</strong><br>L'équipe de gestion des présences de {{organization.name}}</p>`
+    },
+    es: {
+      subject: 'Consulta sobre asistencia - {{shortDate}}',
+      title: '📋 Consulta sobre asistencia',
+      body: `<p class="message"><strong>Hola {{internName}},</strong></p>
+<p class="message">Esperamos que te encuentres bien. Hemos notado que fuiste marcado(a) como ausente el <strong>{{date}}</strong> y queremos asegurarnos de que todo esté bien.</p>
+<div class="details-box">
+  <h3>📊 Detalles de la ausencia</h3>
+  <div class="detail-item"><span class="detail-label">Nombre:</span> {{internName}}</div>
+  <div class="detail-item"><span class="detail-label">ID de empleado:</span> {{employeeId}}</div>
+  <div class="detail-item"><span class="detail-label">Departamento:</span> {{department}}</div>
+  <div class="detail-item"><span class="detail-label">Fecha de la ausencia:</span> {{date}}</div>
+  <div class="detail-item"><span class="detail-label">Correo enviado:</span> {{sentAt}}</div>
+</div>
+<p class="message">Tu asistencia es importante para nosotros y queremos asegurarnos de que tengas el apoyo que necesitas. Si tu ausencia se debió a una enfermedad, una emergencia personal u otra circunstancia, avísanos para poder ayudarte.</p>
+<div class="action-section">
+  <h3>📝 Por favor, indícanos:</h3>
+  <ul>
+    <li>El motivo de tu ausencia el {{date}}</li>
+    <li>Si necesitas algún tipo de apoyo o ayuda</li>
+    <li>Si se trataba de una ausencia planificada que no se registró correctamente</li>
+    <li>Cualquier justificante si la ausencia fue por motivos médicos</li>
+    <li>Tu fecha prevista de regreso si aún no puedes asistir</li>
+  </ul>
+</div>
+<p class="message">Responde a este correo o contacta con tu supervisor lo antes posible. Estamos aquí para apoyarte y contribuir a tu éxito en el programa.</p>
+<p class="message"><strong>Saludos cordiales,</strong><br>Equipo de gestión de asistencia de {{organization.name}}</p>`
+    }
+  },
+  'email.approval': {
+    description: 'Sent when an admin approves a new account',
+    sample: { name: 'Jane Doe', email: 'jane.doe@example.com', loginUrl: 'http://localhost:3000/login' },
+    en: {
+      subject: '✅ Your {{organization.name}} Account Has Been Approved!',
+      title: '✅ Account Approved!',
+      body: `<p class="message"><strong>Hello {{name}},</strong></p>
+<p class="message">Great news! Your account has been approved by the administrator. You can now log in and start using the attendance management system.</p>
+<div class="details-box">
+  <div class="detail-item"><span class="detail-label">📧 Your Login Email:</span> {{email}}</div>
+  <div class="detail-item"><span class="detail-label">🔐 Password:</span> The password you created during registration</div>
+</div>
+<p class="message"><strong>What you can do now:</strong></p>
+<ul>
+  <li>✅ Log in to your account</li>
+  <li>✅ Check in and check out daily</li>
+  <li>✅ View your attendance history</li>
+  <li>✅ Update your profile</li>
+  <li>✅ Enable two-factor authentication for extra security</li>
+</ul>
+<center><a href="{{loginUrl}}" class="button">Log in to {{organization.name}}</a></center>
+<p class="message">If you have any questions or need assistance, please don't hesitate to contact your administrator.</p>
+<p class="message"><strong>Welcome aboard!</strong><br>The Attendance Management Team</p>`
+    },
+    fr: {
+      subject: '✅ Votre compte {{organization.name}} a été approuvé !',
+      title: '✅ Compte approuvé !',
+      body: `<p class="message"><strong>Bonjour {{name}},</strong></p>
+<p class="message">Bonne nouvelle ! Votre compte a été approuvé par l'administrateur. Vous pouvez maintenant vous connecter et utiliser le système de gestion des présences.</p>
+<div class="details-box">
+  <div class="detail-item"><span class="detail-label">📧 E-mail de connexion :</span> {{email}}</div>
+  <div class="detail-item"><span class="detail-label">🔐 Mot de passe :</span> celui que vous avez choisi lors de l'inscription</div>
+</div>
+<p class="message"><strong>Vous pouvez désormais :</strong></p>
+<ul>
+  <li>✅ Vous connecter à votre compte</li>
+  <li>✅ Pointer vos arrivées et départs chaque jour</li>
+  <li>✅ Consulter votre historique de présence</li>
+  <li>✅ Mettre à jour votre profil</li>
+  <li>✅ Activer l'authentification à deux facteurs</li>
+</ul>
+<center><a href="{{loginUrl}}" class="button">Se connecter à {{organization.name}}</a></center>
+<p class="message">Pour toute question, n'hésitez pas à contacter votre administrateur.</p>
+<p class="message"><strong>Bienvenue !</strong><br>L'équipe de gestion des présences</p>`
+    },
+    es: {
+      subject: '✅ ¡Tu cuenta de {{organization.name}} ha sido aprobada!',
+      title: '✅ ¡Cuenta aprobada!',
+      body: `<p class="message"><strong>Hola {{name}},</strong></p>
+<p class="message">¡Buenas noticias! El administrador ha aprobado tu cuenta. Ya puedes iniciar sesión y empezar a usar el sistema de gestión de asistencia.</p>
+<div class="details-box">
+  <div class="detail-item"><span class="detail-label">📧 Correo de acceso:</span> {{email}}</div>
+  <div class="detail-item"><span class="detail-label">🔐 Contraseña:</span> la que creaste al registrarte</div>
+</div>
+<p class="message"><strong>Ahora puedes:</strong></p>
+<ul>
+  <li>✅ Iniciar sesión en tu cuenta</li>
+  <li>✅ Registrar tu entrada y salida cada día</li>
+  <li>✅ Consultar tu historial de asistencia</li>
+  <li>✅ Actualizar tu perfil</li>
+  <li>✅ Activar la autenticación de dos factores</li>
+</ul>
+<center><a href="{{loginUrl}}" class="button">Iniciar sesión en {{organization.name}}</a></center>
+<p class="message">Si tienes alguna pregunta, no dudes en contactar con tu administrador.</p>
+<p class="message"><strong>¡Bienvenido(a)!</strong><br>El equipo de gestión de asistencia</p>`
+    }
+  },
+  'email.welcome': {
+    description: 'Sent to interns whose accounts were created by a bulk import',
+    sample: {
+      name: 'Jane Doe',
+      email: 'jane.doe@example.com',
+      employeeId: 'INT-2025-014',
+      department: 'Engineering',
+      startDate: 'Monday, September 1, 2025',
+      temporaryPassword: 'b7Qz-4kLm-9xTe',
+      loginUrl: 'http://localhost:3000/login'
+    },
+    en: {
+      subject: '👋 Welcome to {{organization.name}}, {{name}}!',
+      title: '👋 Welcome aboard!',
+      body: `<p class="message"><strong>Hello {{name}},</strong></p>
+<p class="message">Your intern account has been created. You can log in to check in and out every day and follow your attendance.</p>
+<div class="details-box">
+  <div class="detail-item"><span class="detail-label">📧 Your Login Email:</span> {{email}}</div>
+  {{#if temporaryPassword}}<div class="detail-item"><span class="detail-label">🔐 Temporary Password:</span> {{temporaryPassword}}</div>{{/if}}
+  <div class="detail-item"><span class="detail-label">🪪 Employee ID:</span> {{employeeId}}</div>
+  <div class="detail-item"><span class="detail-label">🏢 Department:</span> {{department}}</div>
+  <div class="detail-item"><span class="detail-label">📅 Start Date:</span> {{startDate}}</div>
+</div>
+{{#if temporaryPassword}}<div class="warning"><strong>⚠️ Security Notice:</strong> Please change your password after your first login.</div>{{/if}}
+<center><a href="{{loginUrl}}" class="button">Log in to {{organization.name}}</a></center>
+<p class="message"><strong>Welcome aboard!</strong><br>The Attendance Management Team</p>`
+    },
+    fr: {
+      subject: '👋 Bienvenue chez {{organization.name}}, {{name}} !',
+      title: '👋 Bienvenue !',
+      body: `<p class="message"><strong>Bonjour {{name}},</strong></p>
+<p class="message">Votre compte de stagiaire a été créé. Vous pouvez vous connecter pour pointer vos arrivées et départs chaque jour et suivre votre présence.</p>
+<div class="details-box">
+  <div class="detail-item"><span class="detail-label">📧 E-mail de connexion :</span> {{email}}</div>
+  {{#if temporaryPassword}}<div class="detail-item"><span class="detail-label">🔐 Mot de passe temporaire :</span> {{temporaryPassword}}</div>{{/if}}
+  <div class="detail-item"><span class="detail-label">🪪 Matricule :</span> {{employeeId}}</div>
+  <div class="detail-item"><span class="detail-label">🏢 Département :</span> {{department}}</div>
+  <div class="detail-item"><span class="detail-label">📅 Date de début :</span> {{startDate}}</div>
+</div>
+{{#if temporaryPassword}}<div class="warning"><strong>⚠️ Avis de sécurité :</strong> veuillez changer votre mot de passe après votre première connexion.</div>{{/if}}
+<center><a href="{{loginUrl}}" class="button">Se connecter à {{organization.name}}</a></center>
+<p class="message"><strong>Bienvenue !</strong><br>L'équipe de gestion des présences</p>`
+    },
+    es: {
+      subject: '👋 ¡Bienvenido(a) a {{organization.name}}, {{name}}!',
+      title: '👋 ¡Bienvenido(a)!',
+      body: `<p class="message"><strong>Hola {{name}},</strong></p>
+<p class="message">Se ha creado tu cuenta de becario. Ya puedes iniciar sesión para registrar tu entrada y salida cada día y seguir tu asistencia.</p>
+<div class="details-box">
+  <div class="detail-item"><span class="detail-label">📧 Correo de acceso:</span> {{email}}</div>
+  {{#if temporaryPassword}}<div class="detail-item"><span class="detail-label">🔐 Contraseña temporal:</span> {{temporaryPassword}}</div>{{/if}}
+  <div class="detail-item"><span class="detail-label">🪪 Número de empleado:</span> {{employeeId}}</div>
+  <div class="detail-item"><span class="detail-label">🏢 Departamento:</span> {{department}}</div>
+  <div class="detail-item"><span class="detail-label">📅 Fecha de inicio:</span> {{startDate}}</div>
+</div>
+{{#if temporaryPassword}}<div class="warning"><strong>⚠️ Aviso de seguridad:</strong> cambia tu contraseña después de iniciar sesión por primera vez.</div>{{/if}}
+<center><a href="{{loginUrl}}" class="button">Iniciar sesión en {{organization.name}}</a></center>
+<p class="message"><strong>¡Bienvenido(a)!</strong><br>El equipo de gestión de asistencia</p>`
+    }
+  },
+  'email.otp': {
+    description: 'Two-factor authentication code sent by email',
+    sample: { userName: 'Jane Doe', code: '482913', expiresInMinutes: 10 },
+    en: {
+      subject: '🔐 Your {{organization.name}} Verification Code',
+      title: '🔐 Verification Code',
+      body: `<p class="message">Hello <strong>{{userName}}</strong>,</p>
+<p class="message">You requested a verification code to access your account. Use the code below to complete your login:</p>
+<div class="code-box">
+  <div class="code">{{code}}</div>
+  <p style="margin: 10px 0 0 0; color: #6b7280; font-size: 14px;">This code expires in {{expiresInMinutes}} minutes</p>
+</div>
+<div class="warning"><strong>⚠️ Security Notice:</strong> If you didn't request this code, please ignore this email and secure your account immediately.</div>
+<p class="message">For your security:</p>
+<ul>
+  <li>Never share this code with anyone</li>
+  <li>{{organization.name}} staff will never ask for this code</li>
+  <li>This code can only be used once</li>
+</ul>
+<p class="message">Best regards,<br><strong>{{organization.name}} Security Team</strong></p>`
+    },
+    fr: {
+      subject: '🔐 Votre code de vérification {{organization.name}}',
+      title: '🔐 Code de vérification',
+      body: `<p class="message">Bonjour <strong>{{userName}}</strong>,</p>
+<p class="message">Vous avez demandé un code de vérification pour accéder à votre compte. Utilisez le code ci-dessous pour terminer votre connexion :</p>
+<div class="code-box">
+  <div class="code">{{code}}</div>
+  <p style="margin: 10px 0 0 0; color: #6b7280; font-size: 14px;">Ce code expire dans {{expiresInMinutes}} minutes</p>
+</div>
+<div class="warning"><strong>⚠️ Avis de sécurité :</strong> si vous n'avez pas demandé ce code, ignorez cet e-mail et sécurisez votre compte immédiatement.</div>
+<p class="message">Pour votre sécurité :</p>
+<ul>
+  <li>Ne partagez jamais ce code</li>
+  <li>Le personnel de {{organization.name}} ne vous demandera jamais ce code</li>
+  <li>Ce code ne peut être utilisé qu'une seule fois</li>
+</ul>
+<p class="message">Cordialement,<br><strong>L'équipe sécurité de {{organization.name}}</strong></p>`
+    },
+    es: {
+      subject: '🔐 Tu código de verificación de {{organization.name}}',
+      title: '🔐 Código de verificación',
+      body: `<p class="message">Hola <strong>{{userName}}</strong>,</p>
+<p class="message">Solicitaste un código de verificación para acceder a tu cuenta. Usa el siguiente código para completar el inicio de sesión:</p>
+<div class="code-box">
+  <div class="code">{{code}}</div>
+  <p style="margin: 10px 0 0 0; color: #6b7280; font-size: 14px;">Este código caduca en {{expiresInMinutes}} minutos</p>
+</div>
+<div class="warning"><strong>⚠️ Aviso de seguridad:</strong> si no solicitaste este código, ignora este correo y protege tu cuenta de inmediato.</div>
+<p class="message">Por tu seguridad:</p>
+<ul>
+  <li>Nunca compartas este código con nadie</li>
+  <li>El personal de {{organization.name}} nunca te pedirá este código</li>
+  <li>Este código solo se puede usar una vez</li>
+</ul>
+<p class="message">Saludos cordiales,<br><strong>Equipo de seguridad de {{organization.name}}</strong></p>`
+    }
+  },
+  'email.daily_digest': {
+    description: 'Daily attendance digest sent to the notification recipients (Settings.notifications)',
+    sample: {
+      date: 'Friday, March 14, 2025',
+      totals: { expected: 24, present: 21, late: 3, absent: 2, excused: 1, notCheckedOut: 4, flagged: 1, attendanceRate: 87.5 },
+      showLateArrivals: true,
+      lateArrivals: [{ name: 'Jane Doe', department: 'Engineering', checkInTime: '09:27' }],
+      showAbsentees: true,
+      absentees: [{ name: 'John Smith', department: 'Design' }],
+      dashboardUrl: 'http://localhost:3000/dashboard/attendance'
+    },
+    en: {
+      subject: '📊 Daily Attendance Digest - {{date}}',
+      title: '📊 Daily Attendance Digest',
+      body: `<p class="message">Here is the attendance summary for <strong>{{date}}</strong>.</p>
+<div class="details-box">
+  <h3>Summary</h3>
+  <div class="detail-item"><span class="detail-label">Expected:</span> {{totals.expected}}</div>
+  <div class="detail-item"><span class="detail-label">Present:</span> {{totals.present}}</div>
+  <div class="detail-item"><span class="detail-label">Late:</span> {{totals.late}}</div>
+  <div class="detail-item"><span class="detail-label">Absent:</span> {{totals.absent}}</div>
+  <div class="detail-item"><span class="detail-label">On leave / excused:</span> {{totals.excused}}</div>
+  <div class="detail-item"><span class="detail-label">Not checked out:</span> {{totals.notCheckedOut}}</div>
+  <div class="detail-item"><span class="detail-label">Flagged for review:</span> {{totals.flagged}}</div>
+  <div class="detail-item"><span class="detail-label">Attendance rate:</span> {{totals.attendanceRate}}%</div>
+</div>
+{{#if showLateArrivals}}
+<div class="action-section">
+  <h3>⏰ Late Arrivals</h3>
+  {{#if lateArrivals}}<ul>{{#each lateArrivals}}<li>{{name}} ({{department}}) - checked in at {{checkInTime}}</li>{{/each}}</ul>{{else}}<p>No late arrivals.</p>{{/if}}
+</div>
+{{/if}}
+{{#if showAbsentees}}
+<div class="action-section">
+  <h3>❌ Absentees</h3>
+  {{#if absentees}}<ul>{{#each absentees}}<li>{{name}} ({{department}})</li>{{/each}}</ul>{{else}}<p>No absentees.</p>{{/if}}
+</div>
+{{/if}}
+<center><a href="{{dashboardUrl}}" class="button">Open the dashboard</a></center>
+<p class="message">The Attendance Management Team</p>`
+    },
+    fr: {
+      subject: '📊 Récapitulatif quotidien des présences - {{date}}',
+      title: '📊 Récapitulatif quotidien',
+      body: `<p class="message">Voici le récapitulatif des présences du <strong>{{date}}</strong>.</p>
+<div class="details-box">
+  <h3>Résumé</h3>
+  <div class="detail-item"><span class="detail-label">Attendus :</span> {{totals.expected}}</div>
+  <div class="detail-item"><span class="detail-label">Présents :</span> {{totals.present}}</div>
+  <div class="detail-item"><span class="detail-label">En retard :</span> {{totals.late}}</div>
+  <div class="detail-item"><span class="detail-label">Absents :</span> {{totals.absent}}</div>
+  <div class="detail-item"><span class="detail-label">En congé / justifiés :</span> {{totals.excused}}</div>
+  <div class="detail-item"><span class="detail-label">Départ non pointé :</span> {{totals.notCheckedOut}}</div>
+  <div class="detail-item"><span class="detail-label">À vérifier :</span> {{totals.flagged}}</div>
+  <div class="detail-item"><span class="detail-label">Taux de présence :</span> {{totals.attendanceRate}}%</div>
+</div>
+{{#if showLateArrivals}}
+<div class="action-section">
+  <h3>⏰ Arrivées en retard</h3>
+  {{#if lateArrivals}}<ul>{{#each lateArrivals}}<li>{{name}} ({{department}}) - arrivé(e) à {{checkInTime}}</li>{{/each}}</ul>{{else}}<p>Aucune arrivée en retard.</p>{{/if}}
+</div>
+{{/if}}
+{{#if showAbsentees}}
+<div class="action-section">
+  <h3>❌ Absents</h3>
+  {{#if absentees}}<ul>{{#each absentees}}<li>{{name}} ({{department}})</li>{{/each}}</ul>{{else}}<p>Aucun absent.</p>{{/if}}
+</div>
+{{/if}}
+<center><a href="{{dashboardUrl}}" class="button">Ouvrir le tableau de bord</a></center>
+<p class="message">L'équipe de gestion des présences</p>`
+    },
+    es: {
+      subject: '📊 Resumen diario de asistencia - {{date}}',
+      title: '📊 Resumen diario de asistencia',
+      body: `<p class="message">Este es el resumen de asistencia del <strong>{{date}}</strong>.</p>
+<div class="details-box">
+  <h3>Resumen</h3>
+  <div class="detail-item"><span class="detail-label">Esperados:</span> {{totals.expected}}</div>
+  <div class="detail-item"><span class="detail-label">Presentes:</span> {{totals.present}}</div>
+  <div class="detail-item"><span class="detail-label">Con retraso:</span> {{totals.late}}</div>
+  <div class="detail-item"><span class="detail-label">Ausentes:</span> {{totals.absent}}</div>
+  <div class="detail-item"><span class="detail-label">De permiso / justificados:</span> {{totals.excused}}</div>
+  <div class="detail-item"><span class="detail-label">Sin registrar salida:</span> {{totals.notCheckedOut}}</div>
+  <div class="detail-item"><span class="detail-label">Marcados para revisión:</span> {{totals.flagged}}</div>
+  <div class="detail-item"><span class="detail-label">Tasa de asistencia:</span> {{totals.attendanceRate}}%</div>
+</div>
+{{#if showLateArrivals}}
+<div class="action-section">
+  <h3>⏰ Llegadas tarde</h3>
+  {{#if lateArrivals}}<ul>{{#each lateArrivals}}<li>{{name}} ({{department}}) - llegó a las {{checkInTime}}</li>{{/each}}</ul>{{else}}<p>No hubo llegadas tarde.</p>{{/if}}
+</div>
+{{/if}}
+{{#if showAbsentees}}
+<div class="action-section">
+  <h3>❌ Ausentes</h3>
+  {{#if absentees}}<ul>{{#each absentees}}<li>{{name}} ({{department}})</li>{{/each}}</ul>{{else}}<p>No hubo ausencias.</p>{{/if}}
+</div>
+{{/if}}
+<center><a href="{{dashboardUrl}}" class="button">Abrir el panel</a></center>
+<p class="message">El equipo de gestión de asistencia</p>`
+    }
+  },
+  'email.weekly_summary': {
+    description: 'Weekly attendance summary with a CSV attachment, sent to the notification recipients',
+    sample: {
+      startDate: 'Monday, March 10, 2025',
+      endDate: 'Sunday, March 16, 2025',
+      totals: { interns: 24, expectedDays: 120, presentDays: 108, lateDays: 9, absentDays: 8, excusedDays: 4, attendanceRate: 90 },
+      lowAttendanceThreshold: 80,
+      lowAttendance: [{ name: 'John Smith', department: 'Design', attendanceRate: 60, absentDays: 2 }],
+      dashboardUrl: 'http://localhost:3000/dashboard/reports'
+    },
+    en: {
+      subject: '📅 Weekly Attendance Summary - {{startDate}} to {{endDate}}',
+      title: '📅 Weekly Attendance Summary',
+      body: `<p class="message">Here is the attendance summary for the week from <strong>{{startDate}}</strong> to <strong>{{endDate}}</strong>. The full per-intern breakdown is attached as a CSV file.</p>
+<div class="details-box">
+  <h3>Summary</h3>
+  <div class="detail-item"><span class="detail-label">Active interns:</span> {{totals.interns}}</div>
+  <div class="detail-item"><span class="detail-label">Expected days:</span> {{totals.expectedDays}}</div>
+  <div class="detail-item"><span class="detail-label">Days present:</span> {{totals.presentDays}}</div>
+  <div class="detail-item"><span class="detail-label">Late arrivals:</span> {{totals.lateDays}}</div>
+  <div class="detail-item"><span class="detail-label">Days absent:</span> {{totals.absentDays}}</div>
+  <div class="detail-item"><span class="detail-label">Days on leave:</span> {{totals.excusedDays}}</div>
+  <div class="detail-item"><span class="detail-label">Attendance rate:</span> {{totals.attendanceRate}}%</div>
+</div>
+<div class="action-section">
+  <h3>⚠️ Low Attendance (below {{lowAttendanceThreshold}}%)</h3>
+  {{#if lowAttendance}}<ul>{{#each lowAttendance}}<li>{{name}} ({{department}}) - {{attendanceRate}}%, {{absentDays}} absence(s)</li>{{/each}}</ul>{{else}}<p>Every intern was above {{lowAttendanceThreshold}}% attendance this week.</p>{{/if}}
+</div>
+<center><a href="{{dashboardUrl}}" class="button">Open the dashboard</a></center>
+<p class="message">The Attendance Management Team</p>`
+    },
+    fr: {
+      subject: '📅 Bilan hebdomadaire des présences - du {{startDate}} au {{endDate}}',
+      title: '📅 Bilan hebdomadaire',
+      body: `<p class="message">Voici le bilan des présences de la semaine du <strong>{{startDate}}</strong> au <strong>{{endDate}}</strong>. Le détail par stagiaire est joint au format CSV.</p>
+<div class="details-box">
+  <h3>Résumé</h3>
+  <div class="detail-item"><span class="detail-label">Stagiaires actifs :</span> {{totals.interns}}</div>
+  <div class="detail-item"><span class="detail-label">Jours attendus :</span> {{totals.expectedDays}}</div>
+  <div class="detail-item"><span class="detail-label">Jours de présence :</span> {{totals.presentDays}}</div>
+  <div class="detail-item"><span class="detail-label">Retards :</span> {{totals.lateDays}}</div>
+  <div class="detail-item"><span class="detail-label">Jours d'absence :</span> {{totals.absentDays}}</div>
+  <div class="detail-item"><span class="detail-label">Jours de congé :</span> {{totals.excusedDays}}</div>
+  <div class="detail-item"><span class="detail-label">Taux de présence :</span> {{totals.attendanceRate}}%</div>
+</div>
+<div class="action-section">
+  <h3>⚠️ Assiduité faible (moins de {{lowAttendanceThreshold}} %)</h3>
+  {{#if lowAttendance}}<ul>{{#each lowAttendance}}<li>{{name}} ({{department}}) - {{attendanceRate}}%, {{absentDays}} absence(s)</li>{{/each}}</ul>{{else}}<p>Tous les stagiaires ont dépassé {{lowAttendanceThreshold}} % de présence cette semaine.</p>{{/if}}
+</div>
+<center><a href="{{dashboardUrl}}" class="button">Ouvrir le tableau de bord</a></center>
+<p class="message">L'équipe de gestion des présences</p>`
+    },
+    es: {
+      subject: '📅 Resumen semanal de asistencia - del {{startDate}} al {{endDate}}',
+      title: '📅 Resumen semanal de asistencia',
+      body: `<p class="message">Este es el resumen de asistencia de la semana del <strong>{{startDate}}</strong> al <strong>{{endDate}}</strong>. El detalle por becario se adjunta en un archivo CSV.</p>
+<div class="details-box">
+  <h3>Resumen</h3>
+  <div class="detail-item"><span class="detail-label">Becarios activos:</span> {{totals.interns}}</div>
+  <div class="detail-item"><span class="detail-label">Días esperados:</span> {{totals.expectedDays}}</div>
+  <div class="detail-item"><span class="detail-label">Días presentes:</span> {{totals.presentDays}}</div>
+  <div class="detail-item"><span class="detail-label">Llegadas tarde:</span> {{totals.lateDays}}</div>
+  <div class="detail-item"><span class="detail-label">Días ausentes:</span> {{totals.absentDays}}</div>
+  <div class="detail-item"><span class="detail-label">Días de permiso:</span> {{totals.excusedDays}}</div>
+  <div class="detail-item"><span class="detail-label">Tasa de asistencia:</span> {{totals.attendanceRate}}%</div>
+</div>
+<div class="action-section">
+  <h3>⚠️ Baja asistencia (menos del {{lowAttendanceThreshold}}%)</h3>
+  {{#if lowAttendance}}<ul>{{#each lowAttendance}}<li>{{name}} ({{department}}) - {{attendanceRate}}%, {{absentDays}} ausencia(s)</li>{{/each}}</ul>{{else}}<p>Todos los becarios superaron el {{lowAttendanceThreshold}}% de asistencia esta semana.</p>{{/if}}
+</div>
+<center><a href="{{dashboardUrl}}" class="button">Abrir el panel</a></center>
+<p class="message">El equipo de gestión de asistencia</p>`
+    }
+  },
+  'email.notification': {
+    description: 'Copy of an in-app notification, for users whose preference is email',
+    sample: {
+      userName: 'Jane Doe',
+      title: 'Late Check-in Alert',
+      message: 'John Smith checked in late at 09:27 AM (12 minutes late)',
+      priority: 'high',
+      actionUrl: 'http://localhost:3000/dashboard/attendance',
+      preferencesUrl: 'http://localhost:3000/dashboard/settings/notifications'
+    },
+    en: {
+      subject: '🔔 {{title}}',
+      title: '🔔 {{title}}',
+      body: `<p class="message"><strong>Hello {{userName}},</strong></p>
+<p class="message">{{message}}</p>
+{{#if actionUrl}}<center><a href="{{actionUrl}}" class="button">View details</a></center>{{/if}}
+<p class="message">You receive this email because of your notification preferences. <a href="{{preferencesUrl}}">Change them</a> at any time.</p>`
+    },
+    fr: {
+      subject: '🔔 {{title}}',
+      title: '🔔 {{title}}',
+      body: `<p class="message"><strong>Bonjour {{userName}},</strong></p>
+<p class="message">{{message}}</p>
+{{#if actionUrl}}<center><a href="{{actionUrl}}" class="button">Voir les détails</a></center>{{/if}}
+<p class="message">Vous recevez cet e-mail en raison de vos préférences de notification. <a href="{{preferencesUrl}}">Modifiez-les</a> à tout moment.</p>`
+    },
+    es: {
+      subject: '🔔 {{title}}',
+      title: '🔔 {{title}}',
+      body: `<p class="message"><strong>Hola {{userName}},</strong></p>
+<p class="message">{{message}}</p>
+{{#if actionUrl}}<center><a href="{{actionUrl}}" class="button">Ver detalles</a></center>{{/if}}
+<p class="message">Recibe este correo por sus preferencias de notificación. <a href="{{preferencesUrl}}">Cámbielas</a> cuando quiera.</p>`
+    }
+  },
+  'email.notification_digest': {
+    description: 'Daily email listing the notifications of users whose preference is digest',
+    sample: {
+      userName: 'Jane Doe',
+      count: 2,
+      notifications: [
+        { title: 'Late Check-in Alert', message: 'John Smith checked in late at 09:27 AM', time: 'Mar 14, 09:27' },
+        { title: 'Leave Request', message: 'Ada Lovelace requested annual leave from 2025-03-17 to 2025-03-21', time: 'Mar 14, 11:02' }
+      ],
+      dashboardUrl: 'http://localhost:3000/dashboard/notifications',
+      preferencesUrl: 'http://localhost:3000/dashboard/settings/notifications'
+    },
+    en: {
+      subject: '🔔 Your notification digest ({{count}})',
+      title: '🔔 Your Notification Digest',
+      body: `<p class="message"><strong>Hello {{userName}},</strong></p>
+<p class="message">Here are the notifications you received since your last digest.</p>
+<div class="details-box">
+{{#each notifications}}  <div class="detail-item"><span class="detail-label">{{title}}</span> ({{time}})<br>{{message}}</div>
+{{/each}}</div>
+<center><a href="{{dashboardUrl}}" class="button">Open notifications</a></center>
+<p class="message">You receive this digest because of your notification preferences. <a href="{{preferencesUrl}}">Change them</a> at any time.</p>`
+    },
+    fr: {
+      subject: '🔔 Votre récapitulatif de notifications ({{count}})',
+      title: '🔔 Votre récapitulatif de notifications',
+      body: `<p class="message"><strong>Bonjour {{userName}},</strong></p>
+<p class="message">Voici les notifications reçues depuis votre dernier récapitulatif.</p>
+<div class="details-box">
+{{#each notifications}}  <div class="detail-item"><span class="detail-label">{{title}}</span> ({{time}})<br>{{message}}</div>
+{{/each}}</div>
+<center><a href="{{dashboardUrl}}" class="button">Ouvrir les notifications</a></center>
+<p class="message">Vous recevez ce récapitulatif en raison de vos préférences de notification. <a href="{{preferencesUrl}}">Modifiez-les</a> à tout moment.</p>`
+    },
+    es: {
+      subject: '🔔 Su resumen de notificaciones ({{count}})',
+      title: '🔔 Su resumen de notificaciones',
+      body: `<p class="message"><strong>Hola {{userName}},</strong></p>
+<p class="message">Estas son las notificaciones recibidas desde su último resumen.</p>
+<div class="details-box">
+{{#each notifications}}  <div class="detail-item"><span class="detail-label">{{title}}</span> ({{time}})<br>{{message}}</div>
+{{/each}}</div>
+<center><a href="{{dashboardUrl}}" class="button">Abrir notificaciones</a></center>
+<p class="message">Recibe este resumen por sus preferencias de notificación. <a href="{{preferencesUrl}}">Cámbielas</a> cuando quiera.</p>`
+    }
+  }
+};
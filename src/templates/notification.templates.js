@@ -0,0 +1,456 @@
+/**
+ * Default in-app notification templates
+ * subject is the notification title, body the message (plain text).
+ * Admins can override any of them per language (see MessageTemplate)
+ */
+
+module.exports = {
+  'notification.late_checkin': {
+    description: 'An intern checked in late, or was manually marked late',
+    sample: { internName: 'Jane Doe', checkInTime: '09:27', isManual: false, markedBy: 'Admin', isBulk: false },
+    en: {
+      subject: '{{#if isManual}}Manual Late Marking{{else}}Late Check-in Alert{{/if}}',
+      body: '{{#if isManual}}{{internName}} was manually marked as late by {{markedBy}}{{#if isBulk}} (bulk update){{/if}}{{else}}{{internName}} checked in late at {{checkInTime}}{{/if}}'
+    },
+    fr: {
+      subject: '{{#if isManual}}Retard saisi manuellement{{else}}Alerte d\'arrivée en retard{{/if}}',
+      body: '{{#if isManual}}{{internName}} a été marqué(e) en retard par {{markedBy}}{{#if isBulk}} (mise à jour groupée){{/if}}{{else}}{{internName}} est arrivé(e) en retard à {{checkInTime}}{{/if}}'
+    },
+    es: {
+      subject: '{{#if isManual}}Retraso registrado manualmente{{else}}Alerta de llegada tarde{{/if}}',
+      body: '{{#if isManual}}{{internName}} fue marcado(a) con retraso por {{markedBy}}{{#if isBulk}} (actualización masiva){{/if}}{{else}}{{internName}} llegó tarde a las {{checkInTime}}{{/if}}'
+    }
+  },
+  'notification.missed_checkout': {
+    description: 'An intern did not check out the previous day',
+    sample: { internName: 'Jane Doe' },
+    en: {
+      subject: 'Missed Check-out',
+      body: '{{internName}} forgot to check out yesterday'
+    },
+    fr: {
+      subject: 'Départ non pointé',
+      body: '{{internName}} a oublié de pointer son départ hier'
+    },
+    es: {
+      subject: 'Salida no registrada',
+      body: '{{internName}} olvidó registrar su salida ayer'
+    }
+  },
+  'notification.absent': {
+    description: 'An intern is absent, or was manually marked absent',
+    sample: { internName: 'Jane Doe', isManual: false, markedBy: 'Admin', isBulk: false, date: '2025-03-14' },
+    en: {
+      subject: '{{#if isManual}}Manual Absent Marking{{else}}Intern Absent{{/if}}',
+      body: '{{#if isManual}}{{internName}} was manually marked as absent by {{markedBy}}{{#if isBulk}} (bulk update){{/if}}{{else}}{{internName}} is absent today{{/if}}'
+    },
+    fr: {
+      subject: '{{#if isManual}}Absence saisie manuellement{{else}}Stagiaire absent(e){{/if}}',
+      body: '{{#if isManual}}{{internName}} a été marqué(e) absent(e) par {{markedBy}}{{#if isBulk}} (mise à jour groupée){{/if}}{{else}}{{internName}} est absent(e) aujourd\'hui{{/if}}'
+    },
+    es: {
+      subject: '{{#if isManual}}Ausencia registrada manualmente{{else}}Becario ausente{{/if}}',
+      body: '{{#if isManual}}{{internName}} fue marcado(a) como ausente por {{markedBy}}{{#if isBulk}} (actualización masiva){{/if}}{{else}}{{internName}} está ausente hoy{{/if}}'
+    }
+  },
+  'notification.present': {
+    description: 'An intern was manually marked present',
+    sample: { internName: 'Jane Doe', markedBy: 'Admin', isBulk: false },
+    en: {
+      subject: 'Manual Present Marking',
+      body: '{{internName}} was manually marked as present by {{markedBy}}{{#if isBulk}} (bulk update){{/if}}'
+    },
+    fr: {
+      subject: 'Présence saisie manuellement',
+      body: '{{internName}} a été marqué(e) présent(e) par {{markedBy}}{{#if isBulk}} (mise à jour groupée){{/if}}'
+    },
+    es: {
+      subject: 'Asistencia registrada manualmente',
+      body: '{{internName}} fue marcado(a) como presente por {{markedBy}}{{#if isBulk}} (actualización masiva){{/if}}'
+    }
+  },
+  'notification.excused': {
+    description: 'An intern\'s absence was excused',
+    sample: { internName: 'Jane Doe', markedBy: 'Admin', isBulk: false },
+    en: {
+      subject: 'Excused Absence',
+      body: '{{internName}} was marked as excused by {{markedBy}}{{#if isBulk}} (bulk update){{/if}}'
+    },
+    fr: {
+      subject: 'Absence justifiée',
+      body: 'L\'absence de {{internName}} a été justifiée par {{markedBy}}{{#if isBulk}} (mise à jour groupée){{/if}}'
+    },
+    es: {
+      subject: 'Ausencia justificada',
+      body: 'La ausencia de {{internName}} fue justificada por {{markedBy}}{{#if isBulk}} (actualización masiva){{/if}}'
+    }
+  },
+  'notification.perfect_attendance': {
+    description: 'An intern reached a perfect attendance streak',
+    sample: { internName: 'Jane Doe', days: 30 },
+    en: {
+      subject: 'Perfect Attendance',
+      body: '{{internName}} has maintained perfect attendance for {{days}} days'
+    },
+    fr: {
+      subject: 'Assiduité parfaite',
+      body: '{{internName}} a une assiduité parfaite depuis {{days}} jours'
+    },
+    es: {
+      subject: 'Asistencia perfecta',
+      body: '{{internName}} ha mantenido una asistencia perfecta durante {{days}} días'
+    }
+  },
+  'notification.attendance_update': {
+    description: 'Any other attendance change',
+    sample: { internName: 'Jane Doe' },
+    en: {
+      subject: 'Attendance Update',
+      body: 'Attendance update for {{internName}}'
+    },
+    fr: {
+      subject: 'Mise à jour de présence',
+      body: 'Mise à jour de la présence de {{internName}}'
+    },
+    es: {
+      subject: 'Actualización de asistencia',
+      body: 'Actualización de asistencia de {{internName}}'
+    }
+  },
+  'notification.new_intern': {
+    description: 'A new intern was added',
+    sample: { internName: 'Jane Doe', department: 'Engineering' },
+    en: {
+      subject: 'New Intern Added',
+      body: '{{internName}} has been added to the {{department}} team'
+    },
+    fr: {
+      subject: 'Nouveau stagiaire',
+      body: '{{internName}} a rejoint l\'équipe {{department}}'
+    },
+    es: {
+      subject: 'Nuevo becario',
+      body: '{{internName}} se ha unido al equipo de {{department}}'
+    }
+  },
+  'notification.intern_updated': {
+    description: 'An intern profile was updated',
+    sample: { internName: 'Jane Doe' },
+    en: {
+      subject: 'Intern Profile Updated',
+      body: '{{internName}}\'s profile has been updated'
+    },
+    fr: {
+      subject: 'Profil de stagiaire mis à jour',
+      body: 'Le profil de {{internName}} a été mis à jour'
+    },
+    es: {
+      subject: 'Perfil de becario actualizado',
+      body: 'El perfil de {{internName}} ha sido actualizado'
+    }
+  },
+  'notification.low_attendance': {
+    description: 'An intern\'s attendance rate dropped',
+    sample: { internName: 'Jane Doe', attendanceRate: 62 },
+    en: {
+      subject: 'Low Attendance Alert',
+      body: '{{internName}} has low attendance ({{attendanceRate}}%)'
+    },
+    fr: {
+      subject: 'Alerte d\'assiduité faible',
+      body: '{{internName}} a une assiduité faible ({{attendanceRate}} %)'
+    },
+    es: {
+      subject: 'Alerta de baja asistencia',
+      body: '{{internName}} tiene una asistencia baja ({{attendanceRate}}%)'
+    }
+  },
+  'notification.intern_update': {
+    description: 'Any other intern change',
+    sample: { internName: 'Jane Doe' },
+    en: {
+      subject: 'Intern Update',
+      body: 'Update for intern {{internName}}'
+    },
+    fr: {
+      subject: 'Mise à jour de stagiaire',
+      body: 'Mise à jour pour le stagiaire {{internName}}'
+    },
+    es: {
+      subject: 'Actualización de becario',
+      body: 'Actualización del becario {{internName}}'
+    }
+  },
+  'notification.leave_requested': {
+    description: 'An intern requested leave (sent to admins and the supervisor)',
+    sample: { internName: 'Jane Doe', leaveType: 'sick', startDate: '2025-03-14', endDate: '2025-03-15' },
+    en: {
+      subject: 'New Leave Request',
+      body: '{{internName}} requested {{leaveType}} leave from {{startDate}} to {{endDate}}'
+    },
+    fr: {
+      subject: 'Nouvelle demande de congé',
+      body: '{{internName}} a demandé un congé ({{leaveType}}) du {{startDate}} au {{endDate}}'
+    },
+    es: {
+      subject: 'Nueva solicitud de permiso',
+      body: '{{internName}} solicitó un permiso ({{leaveType}}) del {{startDate}} al {{endDate}}'
+    }
+  },
+  'notification.leave_approved': {
+    description: 'A leave request was approved (sent to the intern)',
+    sample: { startDate: '2025-03-14', endDate: '2025-03-15', reviewNote: '' },
+    en: {
+      subject: 'Leave Approved',
+      body: 'Your leave request from {{startDate}} to {{endDate}} was approved{{#if reviewNote}}: {{reviewNote}}{{/if}}'
+    },
+    fr: {
+      subject: 'Congé approuvé',
+      body: 'Votre demande de congé du {{startDate}} au {{endDate}} a été approuvée{{#if reviewNote}} : {{reviewNote}}{{/if}}'
+    },
+    es: {
+      subject: 'Permiso aprobado',
+      body: 'Tu solicitud de permiso del {{startDate}} al {{endDate}} fue aprobada{{#if reviewNote}}: {{reviewNote}}{{/if}}'
+    }
+  },
+  'notification.leave_rejected': {
+    description: 'A leave request was rejected (sent to the intern)',
+    sample: { startDate: '2025-03-14', endDate: '2025-03-15', reviewNote: 'Team is short-staffed that week' },
+    en: {
+      subject: 'Leave Rejected',
+      body: 'Your leave request from {{startDate}} to {{endDate}} was rejected{{#if reviewNote}}: {{reviewNote}}{{/if}}'
+    },
+    fr: {
+      subject: 'Congé refusé',
+      body: 'Votre demande de congé du {{startDate}} au {{endDate}} a été refusée{{#if reviewNote}} : {{reviewNote}}{{/if}}'
+    },
+    es: {
+      subject: 'Permiso rechazado',
+      body: 'Tu solicitud de permiso del {{startDate}} al {{endDate}} fue rechazada{{#if reviewNote}}: {{reviewNote}}{{/if}}'
+    }
+  },
+  'notification.correction_requested': {
+    description: 'An intern requested an attendance correction',
+    sample: { internName: 'Jane Doe', date: '2025-03-14' },
+    en: {
+      subject: 'Attendance Correction Request',
+      body: '{{internName}} requested a correction to their attendance on {{date}}'
+    },
+    fr: {
+      subject: 'Demande de correction de présence',
+      body: '{{internName}} a demandé une correction de sa présence du {{date}}'
+    },
+    es: {
+      subject: 'Solicitud de corrección de asistencia',
+      body: '{{internName}} solicitó una corrección de su asistencia del {{date}}'
+    }
+  },
+  'notification.correction_approved': {
+    description: 'An attendance correction was approved (sent to the intern)',
+    sample: { date: '2025-03-14', reviewNote: '' },
+    en: {
+      subject: 'Correction Approved',
+      body: 'Your attendance correction for {{date}} was approved{{#if reviewNote}}: {{reviewNote}}{{/if}}'
+    },
+    fr: {
+      subject: 'Correction approuvée',
+      body: 'Votre correction de présence du {{date}} a été approuvée{{#if reviewNote}} : {{reviewNote}}{{/if}}'
+    },
+    es: {
+      subject: 'Corrección aprobada',
+      body: 'Tu corrección de asistencia del {{date}} fue aprobada{{#if reviewNote}}: {{reviewNote}}{{/if}}'
+    }
+  },
+  'notification.correction_rejected': {
+    description: 'An attendance correction was rejected (sent to the intern)',
+    sample: { date: '2025-03-14', reviewNote: 'No record of you on site' },
+    en: {
+      subject: 'Correction Rejected',
+      body: 'Your attendance correction for {{date}} was rejected{{#if reviewNote}}: {{reviewNote}}{{/if}}'
+    },
+    fr: {
+      subject: 'Correction refusée',
+      body: 'Votre correction de présence du {{date}} a été refusée{{#if reviewNote}} : {{reviewNote}}{{/if}}'
+    },
+    es: {
+      subject: 'Corrección rechazada',
+      body: 'Tu corrección de asistencia del {{date}} fue rechazada{{#if reviewNote}}: {{reviewNote}}{{/if}}'
+    }
+  },
+  'notification.location_rejected': {
+    description: 'A check-in/out was rejected for a suspicious location',
+    sample: { internName: 'Jane Doe', isCheckOut: false, score: 85, reasons: 'Location reported by a mock provider' },
+    en: {
+      subject: 'Suspicious Location Rejected',
+      body: 'A {{#if isCheckOut}}check-out{{else}}check-in{{/if}} by {{internName}} was rejected (fraud score {{score}}): {{reasons}}'
+    },
+    fr: {
+      subject: 'Position suspecte rejetée',
+      body: 'Un pointage {{#if isCheckOut}}de départ{{else}}d\'arrivée{{/if}} de {{internName}} a été rejeté (score de fraude {{score}}) : {{reasons}}'
+    },
+    es: {
+      subject: 'Ubicación sospechosa rechazada',
+      body: 'Un registro de {{#if isCheckOut}}salida{{else}}entrada{{/if}} de {{internName}} fue rechazado (puntuación de fraude {{score}}): {{reasons}}'
+    }
+  },
+  'notification.location_flagged': {
+    description: 'A check-in/out was flagged for a suspicious location',
+    sample: { internName: 'Jane Doe', isCheckOut: false, score: 45, reasons: 'Location accuracy is very poor' },
+    en: {
+      subject: 'Suspicious Location Flagged',
+      body: 'A {{#if isCheckOut}}check-out{{else}}check-in{{/if}} by {{internName}} was flagged for review (fraud score {{score}}): {{reasons}}'
+    },
+    fr: {
+      subject: 'Position suspecte signalée',
+      body: 'Un pointage {{#if isCheckOut}}de départ{{else}}d\'arrivée{{/if}} de {{internName}} doit être vérifié (score de fraude {{score}}) : {{reasons}}'
+    },
+    es: {
+      subject: 'Ubicación sospechosa marcada',
+      body: 'Un registro de {{#if isCheckOut}}salida{{else}}entrada{{/if}} de {{internName}} fue marcado para revisión (puntuación de fraude {{score}}): {{reasons}}'
+    }
+  },
+  'notification.device_rejected': {
+    description: 'A check-in/out was blocked because of the device used',
+    sample: { internName: 'Jane Doe', isCheckOut: false, reasons: 'Device is bound to another intern' },
+    en: {
+      subject: 'Shared Device Blocked',
+      body: 'A {{#if isCheckOut}}check-out{{else}}check-in{{/if}} by {{internName}} was blocked: {{reasons}}'
+    },
+    fr: {
+      subject: 'Appareil partagé bloqué',
+      body: 'Un pointage {{#if isCheckOut}}de départ{{else}}d\'arrivée{{/if}} de {{internName}} a été bloqué : {{reasons}}'
+    },
+    es: {
+      subject: 'Dispositivo compartido bloqueado',
+      body: 'Un registro de {{#if isCheckOut}}salida{{else}}entrada{{/if}} de {{internName}} fue bloqueado: {{reasons}}'
+    }
+  },
+  'notification.device_flagged': {
+    description: 'A check-in/out was flagged because of the device used',
+    sample: { internName: 'Jane Doe', isCheckOut: false, reasons: 'Device was used by another intern today' },
+    en: {
+      subject: 'Shared Device Flagged',
+      body: 'A {{#if isCheckOut}}check-out{{else}}check-in{{/if}} by {{internName}} was flagged for review: {{reasons}}'
+    },
+    fr: {
+      subject: 'Appareil partagé signalé',
+      body: 'Un pointage {{#if isCheckOut}}de départ{{else}}d\'arrivée{{/if}} de {{internName}} doit être vérifié : {{reasons}}'
+    },
+    es: {
+      subject: 'Dispositivo compartido marcado',
+      body: 'Un registro de {{#if isCheckOut}}salida{{else}}entrada{{/if}} de {{internName}} fue marcado para revisión: {{reasons}}'
+    }
+  },
+  'notification.checkin_reminder': {
+    description: 'Reminder to an intern who has not checked in after their shift started (sent to the intern)',
+    sample: { shiftStart: '09:00' },
+    en: {
+      subject: 'Check-in Reminder',
+      body: 'You have not checked in yet today. Your shift started at {{shiftStart}}'
+    },
+    fr: {
+      subject: 'Rappel de pointage d\'arrivée',
+      body: 'Vous n\'avez pas encore pointé votre arrivée aujourd\'hui. Votre service a commencé à {{shiftStart}}'
+    },
+    es: {
+      subject: 'Recordatorio de entrada',
+      body: 'Aún no has registrado tu entrada hoy. Tu turno empezó a las {{shiftStart}}'
+    }
+  },
+  'notification.checkout_reminder': {
+    description: 'Reminder to an intern who has not checked out near the end of their shift (sent to the intern)',
+    sample: { shiftEnd: '17:00', shiftEnded: false },
+    en: {
+      subject: 'Check-out Reminder',
+      body: 'Don\'t forget to check out. Your shift {{#if shiftEnded}}ended{{else}}ends{{/if}} at {{shiftEnd}}'
+    },
+    fr: {
+      subject: 'Rappel de pointage de départ',
+      body: 'N\'oubliez pas de pointer votre départ. Votre service {{#if shiftEnded}}s\'est terminé{{else}}se termine{{/if}} à {{shiftEnd}}'
+    },
+    es: {
+      subject: 'Recordatorio de salida',
+      body: 'No olvides registrar tu salida. Tu turno {{#if shiftEnded}}terminó{{else}}termina{{/if}} a las {{shiftEnd}}'
+    }
+  },
+  'notification.attendance_streak': {
+    description: 'An intern reached a perfect attendance milestone (sent to the intern)',
+    sample: { days: 30 },
+    en: {
+      subject: 'Attendance Streak',
+      body: 'Congratulations! You have attended {{days}} working days in a row'
+    },
+    fr: {
+      subject: 'Série d\'assiduité',
+      body: 'Félicitations ! Vous avez été présent(e) {{days}} jours ouvrés d\'affilée'
+    },
+    es: {
+      subject: 'Racha de asistencia',
+      body: '¡Felicidades! Has asistido {{days}} días laborables seguidos'
+    }
+  },
+  'notification.escalation_reminder': {
+    description: 'First escalation tier: an intern was absent or late several working days in a row (sent to the intern)',
+    sample: { count: 2, isLate: false },
+    en: {
+      subject: 'Attendance Reminder',
+      body: 'You have been {{#if isLate}}late{{else}}absent{{/if}} {{count}} working day(s) in a row. Please talk to your supervisor if something is keeping you from attending on time'
+    },
+    fr: {
+      subject: 'Rappel d\'assiduité',
+      body: 'Vous avez été {{#if isLate}}en retard{{else}}absent(e){{/if}} {{count}} jour(s) ouvré(s) d\'affilée. Parlez-en à votre responsable si quelque chose vous empêche d\'être présent(e) à l\'heure'
+    },
+    es: {
+      subject: 'Recordatorio de asistencia',
+      body: '{{#if isLate}}Has llegado tarde{{else}}Has faltado{{/if}} {{count}} día(s) laborable(s) seguidos. Habla con tu supervisor si algo te impide asistir a tiempo'
+    }
+  },
+  'notification.escalation_alert': {
+    description: 'Second escalation tier: repeated absences or late arrivals (sent to the supervisor)',
+    sample: { internName: 'Jane Doe', count: 3, isLate: true },
+    en: {
+      subject: 'Attendance Alert: {{internName}}',
+      body: '{{internName}} has been {{#if isLate}}late{{else}}absent{{/if}} {{count}} working days in a row'
+    },
+    fr: {
+      subject: 'Alerte d\'assiduité : {{internName}}',
+      body: '{{internName}} a été {{#if isLate}}en retard{{else}}absent(e){{/if}} {{count}} jours ouvrés d\'affilée'
+    },
+    es: {
+      subject: 'Alerta de asistencia: {{internName}}',
+      body: '{{internName}} ha {{#if isLate}}llegado tarde{{else}}faltado{{/if}} {{count}} días laborables seguidos'
+    }
+  },
+  'notification.escalation_warning': {
+    description: 'Third escalation tier: repeated absences or late arrivals (sent to admins)',
+    sample: { internName: 'Jane Doe', count: 3, isLate: false },
+    en: {
+      subject: 'Attendance Warning: {{internName}}',
+      body: '{{internName}} has been {{#if isLate}}late{{else}}absent{{/if}} {{count}} working days in a row despite earlier reminders'
+    },
+    fr: {
+      subject: 'Avertissement d\'assiduité : {{internName}}',
+      body: '{{internName}} a été {{#if isLate}}en retard{{else}}absent(e){{/if}} {{count}} jours ouvrés d\'affilée malgré les rappels précédents'
+    },
+    es: {
+      subject: 'Advertencia de asistencia: {{internName}}',
+      body: '{{internName}} ha {{#if isLate}}llegado tarde{{else}}faltado{{/if}} {{count}} días laborables seguidos a pesar de los recordatorios anteriores'
+    }
+  },
+  'notification.escalation_flag': {
+    description: 'Last escalation tier: the intern record was flagged for review (sent to admins and the supervisor)',
+    sample: { internName: 'Jane Doe', count: 5, isLate: false },
+    en: {
+      subject: 'Intern Flagged: {{internName}}',
+      body: '{{internName}} was flagged for review after {{count}} consecutive {{#if isLate}}late arrivals{{else}}absences{{/if}}'
+    },
+    fr: {
+      subject: 'Stagiaire signalé(e) : {{internName}}',
+      body: '{{internName}} a été signalé(e) pour examen après {{count}} {{#if isLate}}retards consécutifs{{else}}absences consécutives{{/if}}'
+    },
+    es: {
+      subject: 'Becario marcado: {{internName}}',
+      body: '{{internName}} fue marcado(a) para revisión tras {{count}} {{#if isLate}}llegadas tarde{{else}}ausencias{{/if}} consecutivas'
+    }
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * CSV helpers (RFC 4180: comma separated, CRLF line endings, quoted fields)
+ */
+
+/**
+ * Quote a value for a CSV field when needed
+ * Values starting with =, +, - or @ are prefixed with ' so spreadsheets
+ * don't evaluate them as formulas
+ * @param {*} value - Field value
+ * @returns {String} CSV field
+ */
+exports.escapeCsvValue = (value) => {
+  if (value == null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array} rows - Objects to write
+ * @param {Array} columns - [{ header, key }] in output order
+ * @returns {String} CSV text
+ */
+exports.toCsv = (rows, columns) => {
+  const lines = [
+    columns.map(column => exports.escapeCsvValue(column.header)).join(','),
+    ...rows.map(row => columns.map(column => exports.escapeCsvValue(row[column.key])).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse a CSV document into rows of fields
+ * Accepts CRLF or LF line endings, quoted fields (with "" escapes and line
+ * breaks) and a leading byte order mark. Blank lines are skipped
+ * @param {String} text - CSV text
+ * @returns {Array} Rows as { line, fields } - line is the 1-based line the row starts on
+ */
+exports.parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse a CSV document with a header row into objects
+ * @param {String} text - CSV text
+ * @param {Function} mapHeader - Optional (header) => key; columns mapped to a falsy key are dropped
+ * @returns {Object} { headers, records } - records are { line, values } with trimmed values
+ */
+exports.parseCsvRecords = (text, mapHeader = (header) => header) => {
+  const [headerRow, ...rows] = exports.parseCsv(text);
+  if (!headerRow) return { headers: [], records: [] };
+
+  const headers = headerRow.fields.map(header => header.trim());
+  const keys = headers.map(header => mapHeader(header));
+
+  const records = rows.map(({ line, fields }) => ({
+    line,
+    values: keys.reduce((values, key, index) => {
+      if (key) values[key] = (fields[index] || '').trim();
+      return values;
+    }, {})
+  }));
+
+  return { headers, records };
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+/**
+ * Device helpers for sessions and attendance
+ * Clients identify the device with a stable ID they generate once and keep
+ * (X-Device-Id header or deviceId in the body). Without one the fingerprint
+ * falls back to the user agent and IP, which is too weak to tell phones apart
+ */
+
+const DEVICE_ID_PATTERN = /^[\w-]{8,128}$/;
+
+/**
+ * Parse a user agent into browser, OS and device type
+ * @param {String} userAgent - User-Agent header
+ * @returns {Object} { browser, os, device }
+ */
+exports.parseUserAgent = (userAgent) => {
+  const info = {
+    browser: 'Unknown',
+    os: 'Unknown',
+    device: 'Desktop'
+  };
+
+  if (!userAgent) return info;
+
+  // Detect browser
+  if (userAgent.includes('Chrome')) info.browser = 'Chrome';
+  else if (userAgent.includes('Firefox')) info.browser = 'Firefox';
+  else if (userAgent.includes('Safari')) info.browser = 'Safari';
+  else if (userAgent.includes('Edge')) info.browser = 'Edge';
+
+  // Detect OS
+  if (userAgent.includes('Windows')) info.os = 'Windows';
+  else if (userAgent.includes('Mac')) info.os = 'macOS';
+  else if (userAgent.includes('Linux')) info.os = 'Linux';
+  else if (userAgent.includes('Android')) info.os = 'Android';
+  else if (userAgent.includes('iOS')) info.os = 'iOS';
+
+  // Detect device
+  if (userAgent.includes('Mobile') || userAgent.includes('Android')) info.device = 'Mobile';
+  else if (userAgent.includes('Tablet') || userAgent.includes('iPad')) info.device = 'Tablet';
+
+  return info;
+};
+
+/**
+ * Build the device fingerprint of a request
+ * @param {Object} req - Express request
+ * @returns {Object} { fingerprint, strong, browser, os, device, ipAddress, userAgent }
+ *   strong is false when the client sent no device ID
+ */
+exports.getDeviceFingerprint = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  const ipAddress = req.ip || req.connection?.remoteAddress;
+  const deviceId = req.get('x-device-id') || req.body?.deviceId;
+  const strong = typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+
+  const source = strong ? `id:${deviceId}` : `ua:${userAgent}|ip:${ipAddress}`;
+
+  return {
+    fingerprint: crypto.createHash('sha256').update(source).digest('hex'),
+    strong,
+    ...exports.parseUserAgent(userAgent),
+    ipAddress,
+    userAgent
+  };
+};
@@ -0,0 +1,179 @@
+/**
+ * Geometry helpers for geofences
+ * Coordinates follow GeoJSON order: [longitude, latitude]
+ */
+
+const EARTH_RADIUS = 6371e3; // meters
+
+exports.EARTH_RADIUS = EARTH_RADIUS;
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {Number} lat1 - Latitude of point 1
+ * @param {Number} lon1 - Longitude of point 1
+ * @param {Number} lat2 - Latitude of point 2
+ * @param {Number} lon2 - Longitude of point 2
+ * @returns {Number} Distance in meters
+ */
+exports.calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δφ = (lat2 - lat1) * Math.PI / 180;
+  const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS * c;
+};
+
+/**
+ * Outline of a circle as a GeoJSON Polygon, for containment queries
+ * The vertices sit slightly outside the circle so the outline covers all of it
+ * @param {Number} latitude - Centre latitude
+ * @param {Number} longitude - Centre longitude
+ * @param {Number} radius - Radius in meters
+ * @param {Number} sides - Number of vertices (default 32)
+ * @returns {Object} GeoJSON Polygon
+ */
+exports.circleToPolygon = (latitude, longitude, radius, sides = 32) => {
+  const δ = radius / Math.cos(Math.PI / sides) / EARTH_RADIUS;
+  const φ1 = latitude * Math.PI / 180;
+  const λ1 = longitude * Math.PI / 180;
+  const ring = [];
+
+  for (let i = 0; i < sides; i++) {
+    const θ = 2 * Math.PI * i / sides;
+    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+    const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+    const lon = ((λ2 * 180 / Math.PI) + 540) % 360 - 180;
+    ring.push([lon, φ2 * 180 / Math.PI]);
+  }
+  ring.push([...ring[0]]);
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+/**
+ * Get the polygons of a Polygon/MultiPolygon geometry as arrays of rings
+ */
+const getPolygons = (geometry) => {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return [];
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+};
+
+/**
+ * Ray casting test for a single ring
+ */
+const pointInRing = (longitude, latitude, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > latitude) !== (yj > latitude) &&
+      longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Check if a point is inside a Polygon/MultiPolygon (holes are excluded)
+ * @returns {Boolean} True if inside
+ */
+exports.pointInGeometry = (latitude, longitude, geometry) => getPolygons(geometry).some(([outer, ...holes]) =>
+  pointInRing(longitude, latitude, outer) &&
+  !holes.some(hole => pointInRing(longitude, latitude, hole))
+);
+
+/**
+ * Distance from a point to a segment, using a local flat projection
+ * (accurate enough at geofence scale)
+ */
+const distanceToSegment = (latitude, longitude, [lon1, lat1], [lon2, lat2]) => {
+  const metersPerDegLat = Math.PI * EARTH_RADIUS / 180;
+  const metersPerDegLon = metersPerDegLat * Math.cos(latitude * Math.PI / 180);
+
+  const ax = (lon1 - longitude) * metersPerDegLon;
+  const ay = (lat1 - latitude) * metersPerDegLat;
+  const bx = (lon2 - longitude) * metersPerDegLon;
+  const by = (lat2 - latitude) * metersPerDegLat;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+  return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+/**
+ * Distance in meters from a point to the edge of a Polygon/MultiPolygon
+ * @returns {Number} 0 when the point is inside
+ */
+exports.distanceToGeometry = (latitude, longitude, geometry) => {
+  if (exports.pointInGeometry(latitude, longitude, geometry)) return 0;
+
+  let distance = Infinity;
+  getPolygons(geometry).forEach(rings => rings.forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      distance = Math.min(distance, distanceToSegment(latitude, longitude, ring[i - 1], ring[i]));
+    }
+  }));
+  return distance;
+};
+
+/**
+ * Close open rings (first position repeated at the end) in place
+ */
+exports.closeRings = (geometry) => {
+  getPolygons(geometry).forEach(rings => rings.forEach(ring => {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first && last && (first[0] !== last[0] || first[1] !== last[1])) {
+      ring.push([...first]);
+    }
+  }));
+  return geometry;
+};
+
+/**
+ * Validate a GeoJSON Polygon/MultiPolygon
+ * @returns {String|null} Error message, or null when valid
+ */
+exports.validatePolygonGeometry = (geometry) => {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return 'Area must be a GeoJSON Polygon or MultiPolygon';
+  }
+
+  const polygons = getPolygons(geometry);
+  if (polygons.length === 0) return 'Area has no coordinates';
+
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) return 'Each polygon needs at least one ring';
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return 'Each ring needs at least three distinct positions';
+      }
+      const invalid = ring.some(position => !Array.isArray(position) || position.length < 2 ||
+        position[0] < -180 || position[0] > 180 || position[1] < -90 || position[1] > 90);
+      if (invalid) {
+        return 'Invalid coordinates. Use [longitude, latitude] pairs';
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Average of the outer ring vertices - used as the display/search point of a polygon
+ * @returns {Array} [longitude, latitude]
+ */
+exports.getCentroid = (geometry) => {
+  const positions = getPolygons(geometry).flatMap(([outer]) => outer.slice(0, -1));
+  const sum = positions.reduce((total, [lon, lat]) => [total[0] + lon, total[1] + lat], [0, 0]);
+  return [sum[0] / positions.length, sum[1] / positions.length];
+};
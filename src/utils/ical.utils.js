@@ -0,0 +1,96 @@
+/**
+ * Minimal iCalendar (.ics) parsing for importing holiday calendars
+ * Only all-day and timed VEVENTs with SUMMARY/DTSTART/DTEND are supported
+ */
+
+/**
+ * Unfold continuation lines (RFC 5545 section 3.1)
+ */
+const unfold = (text) => String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+
+/**
+ * Unescape TEXT values (\n, \, \; \\)
+ */
+const unescapeText = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Convert an ICS date value (20261225 or 20261225T090000Z) to "YYYY-MM-DD"
+ */
+const toDateKey = (value) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Shift a "YYYY-MM-DD" key by a number of days
+ */
+const shiftDateKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Parse VEVENTs from an iCalendar document
+ * @param {String} text - Contents of an .ics file
+ * @returns {Array} Events as { uid, name, description, startDate, endDate, recurring }
+ */
+exports.parseICS = (text) => {
+  const lines = unfold(text).split('\n');
+  const events = [];
+  let current = null;
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (current && current.DTSTART) events.push(current);
+      current = null;
+      return;
+    }
+
+    if (!current) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const [name, ...params] = line.slice(0, separator).split(';');
+    current[name.toUpperCase()] = {
+      value: line.slice(separator + 1),
+      params: params.map(param => param.toUpperCase())
+    };
+  });
+
+  return events
+    .map(event => {
+      const startDate = toDateKey(event.DTSTART.value);
+      if (!startDate) return null;
+
+      const allDay = event.DTSTART.params.includes('VALUE=DATE') || /^\d{8}$/.test(event.DTSTART.value);
+      let endDate = event.DTEND ? toDateKey(event.DTEND.value) : startDate;
+
+      // All-day DTEND is exclusive
+      if (allDay && event.DTEND && endDate > startDate) {
+        endDate = shiftDateKey(endDate, -1);
+      }
+      if (!endDate || endDate < startDate) endDate = startDate;
+
+      return {
+        uid: event.UID?.value,
+        name: event.SUMMARY ? unescapeText(event.SUMMARY.value) : 'Holiday',
+        description: event.DESCRIPTION ? unescapeText(event.DESCRIPTION.value) : undefined,
+        startDate,
+        endDate,
+        recurring: /FREQ=YEARLY/i.test(event.RRULE?.value || '')
+      };
+    })
+    .filter(Boolean);
+};
@@ -27,6 +27,50 @@ exports.generateRefreshToken = (user) => {
   );
 };
 
+/**
+ * Generate a short-lived token for opening an event stream
+ * EventSource cannot send an Authorization header, so this token is passed in
+ * the URL instead - it only authenticates GET /api/notifications/stream
+ * @param {Object} user - User object containing id
+ * @returns {String} JWT token
+ */
+exports.generateStreamToken = (user) => {
+  return jwt.sign(
+    { id: user._id, type: 'stream' },
+    process.env.JWT_SECRET,
+    { expiresIn: '1m' }
+  );
+};
+
+/**
+ * Generate a short-lived token proving the password step of a 2FA login
+ * POST /api/auth/login-2fa requires it, so a code alone never signs anyone in
+ * @param {Object} user - User object containing id
+ * @returns {String} JWT token
+ */
+exports.generatePreAuthToken = (user) => {
+  return jwt.sign(
+    { id: user._id, type: 'pre_auth' },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m' }
+  );
+};
+
+/**
+ * Verify a 2FA pre-auth token
+ * @param {String} token - Token from the password step
+ * @returns {Object} Decoded token payload
+ */
+exports.verifyPreAuthToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'pre_auth') throw new Error('Wrong token type');
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid or expired login session');
+  }
+};
+
 /**
  * Verify JWT token
  * @param {String} token - JWT token to verify
@@ -0,0 +1,134 @@
+/**
+ * Minimal template engine for emails and notifications
+ *
+ * {{name}}               value (HTML-escaped when rendering HTML)
+ * {{{name}}}             value, never escaped
+ * {{organization.name}}  dotted paths into nested objects
+ * {{#if name}}...{{else}}...{{/if}}  conditional block (may be nested)
+ * {{#each list}}...{{/each}}          repeat for each item; the item's fields are
+ *                                     available by name, plus {{@index}} and {{this}}
+ *                                     (each blocks cannot be nested)
+ */
+
+const IF_BLOCK = /\{\{#if\s+([\w.]+)\s*\}\}((?:(?!\{\{#if\s)[\s\S])*?)\{\{\/if\}\}/;
+const EACH_BLOCK = /\{\{#each\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/each\}\}/;
+const BRACES = '\u0000';
+const VARIABLE = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*([\w.@]+)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {String} Escaped string
+ */
+exports.escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Resolve a dotted path (e.g. 'organization.name') in the variables
+ */
+const lookup = (variables, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+
+/**
+ * Render a template string
+ * @param {String} template - Template source
+ * @param {Object} variables - Values for the placeholders
+ * @param {Object} options - { html: escape {{values}} for HTML }
+ * @returns {String} Rendered text
+ */
+exports.renderTemplate = (template, variables = {}, { html = false } = {}) => {
+  let output = template || '';
+
+  // Expand loops first so conditionals inside them see the item's fields
+  let loop;
+  while ((loop = output.match(EACH_BLOCK))) {
+    const [block, name, content] = loop;
+    const items = lookup(variables, name);
+    const rendered = (Array.isArray(items) ? items : []).map((item, index) =>
+      exports.renderTemplate(content, {
+        ...variables,
+        ...(item && typeof item === 'object' ? item : {}),
+        this: item,
+        '@index': index + 1
+      }, { html })
+    ).join('')
+      // Values are final - don't let braces inside them be read as placeholders
+      .replace(/\{\{/g, BRACES);
+    output = output.replace(block, () => rendered);
+  }
+
+  // Resolve conditionals from the innermost block outwards
+  let match;
+  while ((match = output.match(IF_BLOCK))) {
+    const [block, name, content] = match;
+    const [whenTrue, whenFalse = ''] = content.split('{{else}}');
+    output = output.replace(block, () => (isTruthy(lookup(variables, name)) ? whenTrue : whenFalse));
+  }
+
+  return output
+    .replace(VARIABLE, (placeholder, rawName, name) => {
+      const value = lookup(variables, rawName || name);
+      if (value == null) return '';
+      return html && !rawName ? exports.escapeHtml(value) : String(value);
+    })
+    .split(BRACES).join('{{');
+};
+
+/**
+ * Check a template for syntax errors (unbalanced or unsupported blocks)
+ * @param {String} template - Template source
+ * @returns {Array} Error messages (empty if valid)
+ */
+exports.validateTemplate = (template) => {
+  const errors = [];
+  const opened = (template.match(/\{\{#if\s+[\w.]+\s*\}\}/g) || []).length;
+  const closed = (template.match(/\{\{\/if\}\}/g) || []).length;
+
+  if (opened !== closed) {
+    errors.push(`Unbalanced conditional blocks: ${opened} {{#if}} and ${closed} {{/if}}`);
+  }
+
+  const loops = (template.match(/\{\{#each\s+[\w.]+\s*\}\}/g) || []).length;
+  const loopEnds = (template.match(/\{\{\/each\}\}/g) || []).length;
+
+  if (loops !== loopEnds) {
+    errors.push(`Unbalanced loops: ${loops} {{#each}} and ${loopEnds} {{/each}}`);
+  }
+
+  if (/\{\{#each\s[^}]*\}\}(?:(?!\{\{\/each\}\})[\s\S])*\{\{#each\s/.test(template)) {
+    errors.push('Nested {{#each}} blocks are not supported');
+  }
+
+  const malformed = template.match(/\{\{#(?!(?:if|each)\s+[\w.]+\s*\}\})[^}]*\}\}/g);
+  if (malformed) {
+    errors.push(`Unsupported block: ${malformed[0]}`);
+  }
+
+  return errors;
+};
+
+/**
+ * List the variables a template uses (top-level names)
+ * @param {String} template - Template source
+ * @returns {Array} Variable names
+ */
+exports.extractVariables = (template) => {
+  const names = new Set();
+  const pattern = /\{\{\{?\s*(?:#(?:if|each)\s+)?([\w.]+)\s*\}?\}\}/g;
+  let match;
+
+  while ((match = pattern.exec(template || ''))) {
+    if (match[1] !== 'else') names.add(match[1].split('.')[0]);
+  }
+
+  return [...names];
+};
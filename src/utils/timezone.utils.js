@@ -0,0 +1,177 @@
+/**
+ * Timezone helpers
+ * All attendance day boundaries are computed in the organization's timezone
+ * (Settings.system.timezone) rather than the server's local zone
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check if a string is a valid IANA timezone
+ * @param {String} timeZone - Timezone name (e.g. "Africa/Lagos")
+ * @returns {Boolean} True if valid
+ */
+exports.isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get calendar parts of a date as seen in a timezone
+ * @param {Date} date - Date to convert
+ * @param {String} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second, dayOfWeek }
+ */
+exports.getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+};
+
+/**
+ * Get the UTC offset of a timezone at a given instant, in milliseconds
+ */
+const getOffset = (date, timeZone) => {
+  const p = exports.getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a timezone to a Date (UTC instant)
+ * @param {Number} year - Full year
+ * @param {Number} month - Month (1-12)
+ * @param {Number} day - Day of month (overflow is normalized)
+ * @param {Number} hour - Hour (0-23)
+ * @param {Number} minute - Minute (overflow is normalized)
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date} Instant matching that wall-clock time
+ */
+exports.zonedTimeToUtc = (year, month, day, hour = 0, minute = 0, timeZone = DEFAULT_TIMEZONE) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstOffset = getOffset(guess, timeZone);
+  let result = guess - firstOffset;
+
+  // Re-check in case the offset changes between the guess and the result (DST)
+  const secondOffset = getOffset(result, timeZone);
+  if (secondOffset !== firstOffset) {
+    result = guess - secondOffset;
+  }
+
+  return new Date(result);
+};
+
+/**
+ * Get the start of the day containing a date in a timezone
+ * @param {Date} date - Date (defaults to now)
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date} Midnight of that day in the timezone
+ */
+exports.startOfDay = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const p = exports.getZonedParts(date, timeZone);
+  return exports.zonedTimeToUtc(p.year, p.month, p.day, 0, 0, timeZone);
+};
+
+/**
+ * Add calendar days to a date in a timezone, returning the start of that day
+ * @param {Date} date - Date
+ * @param {Number} days - Number of days (can be negative)
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date} Midnight of the resulting day in the timezone
+ */
+exports.addDays = (date, days, timeZone = DEFAULT_TIMEZONE) => {
+  const p = exports.getZonedParts(date, timeZone);
+  return exports.zonedTimeToUtc(p.year, p.month, p.day + days, 0, 0, timeZone);
+};
+
+/**
+ * Get the [start, end) range of the day containing a date in a timezone
+ * @returns {Object} { start, end }
+ */
+exports.getDayRange = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  return {
+    start: exports.startOfDay(date, timeZone),
+    end: exports.addDays(date, 1, timeZone)
+  };
+};
+
+/**
+ * Parse a "YYYY-MM-DD" string (or any date input) as the start of that day
+ * in a timezone
+ * @param {String|Date} value - Date string or Date
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date} Midnight of that day in the timezone
+ */
+exports.parseDate = (value, timeZone = DEFAULT_TIMEZONE) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    return exports.zonedTimeToUtc(Number(match[1]), Number(match[2]), Number(match[3]), 0, 0, timeZone);
+  }
+  return exports.startOfDay(new Date(value), timeZone);
+};
+
+/**
+ * Parse a date as the last millisecond of that day in a timezone
+ * @param {String|Date} value - Date string or Date
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date} 23:59:59.999 of that day in the timezone
+ */
+exports.parseEndOfDay = (value, timeZone = DEFAULT_TIMEZONE) => {
+  const start = exports.parseDate(value, timeZone);
+  return new Date(exports.addDays(start, 1, timeZone).getTime() - 1);
+};
+
+/**
+ * Format a date as "YYYY-MM-DD" in a timezone
+ */
+exports.formatDateKey = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const p = exports.getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+/**
+ * Format a time as "HH:MM" (24-hour) in a timezone
+ */
+exports.formatTime = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const p = exports.getZonedParts(date, timeZone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+};
+
+exports.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;